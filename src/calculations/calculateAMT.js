@@ -0,0 +1,254 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - ALTERNATIVE MINIMUM TAX (FORM 6251)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §55: Alternative minimum tax imposed
+ * - IRC §56, §57, §58: Adjustments and tax preference items
+ * - IRC §59(a): AMT foreign tax credit
+ * - IRS Form 6251 and Instructions
+ *
+ * WHAT IS AMT?
+ * A parallel tax system with fewer deductions and a large exemption.
+ * You compute tax both ways and pay the HIGHER amount. The excess of the
+ * "tentative minimum tax" over your regular tax is the AMT (Schedule 2, Line 2).
+ *
+ * FORM 6251 FLOW:
+ * 1. Part I: Taxable income + adjustments and preferences = AMTI (Line 4)
+ * 2. Part II: AMTI - exemption (phased out at high AMTI) = AMT base (Line 6)
+ * 3. Line 7: 26%/28% on the base, or Part III if there are qualified
+ *    dividends / capital gains so they keep their 0%/15%/20% rates
+ * 4. Line 8: AMT foreign tax credit
+ * 5. Line 9: Tentative minimum tax
+ * 6. Line 11: AMT = tentative minimum tax - regular tax (never below zero)
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+import { calculateCapitalGainsTax } from './calculateTax.js';
+
+
+/**
+ * Calculate the AMT exemption after phase-out
+ *
+ * LEGAL AUTHORITY: IRC §55(d)(1) (amounts), §55(d)(2)-(3) (phase-out)
+ * IRS REFERENCE: Form 6251, Line 5 Exemption Worksheet
+ *
+ * The exemption is reduced by the phase-out rate (25% through 2025, 50%
+ * from 2026 under OBBBA) for every dollar of AMTI above the phase-out start.
+ *
+ * @param {number} amti - Alternative minimum taxable income (Line 4)
+ * @param {string} filingStatus - Filing status
+ * @param {number} [taxYear] - Tax year (defaults to 2025)
+ * @returns {number} - Exemption amount (Line 5)
+ */
+export function calculateAMTExemption(amti, filingStatus, taxYear) {
+    const { amt } = getTaxParameters(taxYear);
+    const baseExemption = amt.exemption[filingStatus] || amt.exemption.single;
+    const phaseOutStart = amt.phaseOut[filingStatus] || amt.phaseOut.single;
+
+    if (amti <= phaseOutStart) return baseExemption;
+
+    const reduction = (amti - phaseOutStart) * amt.phaseOutRate;
+    return Math.max(0, baseExemption - reduction);
+}
+
+
+/**
+ * Apply the 26%/28% AMT rate schedule
+ *
+ * LEGAL AUTHORITY: IRC §55(b)(1)(A)
+ * IRS REFERENCE: Form 6251, Line 7
+ *
+ * 26% on the first slice of the AMT base, 28% above it. The breakpoint is
+ * halved for married filing separately. Written the way the form does it:
+ * base × 28% - (breakpoint × 2%).
+ *
+ * @param {number} amtBase - AMTI minus exemption
+ * @param {string} filingStatus - Filing status
+ * @param {number} [taxYear] - Tax year (defaults to 2025)
+ * @returns {number} - Tax at AMT rates
+ */
+export function calculateAMTRateTax(amtBase, filingStatus, taxYear) {
+    if (amtBase <= 0) return 0;
+
+    const { rates } = getTaxParameters(taxYear).amt;
+    const breakpoint = filingStatus === 'marriedSeparate' ? rates.threshold / 2 : rates.threshold;
+
+    if (amtBase <= breakpoint) return amtBase * rates.lower;
+    return amtBase * rates.higher - breakpoint * (rates.higher - rates.lower);
+}
+
+
+/**
+ * Calculate Alternative Minimum Tax (Form 6251)
+ *
+ * LEGAL AUTHORITY: IRC §55-§59
+ * IRS REFERENCE: Form 6251 and Instructions
+ *
+ * PART I ADJUSTMENTS SUPPORTED (form field → Form 6251 line):
+ * - Taxes deducted on Schedule A, or the standard deduction if not itemizing → 2a
+ * - amtTaxRefundAdjustment: state tax refund included in income (subtracted) → 2b
+ * - privateActivityBondInterest: specified private activity bond interest → 2g
+ * - section1202ExclusionGain: 7% of excluded QSBS gain → 2h
+ * - isoExerciseSpread: ISO bargain element on exercise → 2i
+ * - amtDepreciationAdjustment: post-1986 depreciation difference → 2l
+ * - amtPassiveActivityAdjustment: passive activity difference → 2m
+ * - amtOtherAdjustments: all other adjustments → 3
+ *
+ * AMT FOREIGN TAX CREDIT (Line 8):
+ * Uses form.amtForeignTaxCredit (Form 1116 recomputed for AMT), falling back
+ * to the regular foreign tax credit. If form.foreignSourceIncome is given, the
+ * credit is limited to TMT × (foreign-source AMTI / AMTI).
+ *
+ * PART III (capital gains):
+ * Qualified dividends and long-term gains are taxed at the regular 0/15/20%
+ * rates, unrecaptured §1250 gain at 25% (Line 37), and the ordinary part of
+ * the AMT base at 26%/28%. Line 7 is the lesser of that and the flat
+ * 26%/28% computation. The 0%/15% breakpoints are stacked on the regular
+ * tax's ordinary taxable income (Lines 20 and 27), not on the ordinary part
+ * of the AMT base. 28% rate gain is taxed at the AMT rates.
+ *
+ * FOREIGN EARNED INCOME (Line 7):
+ * With a §911 exclusion, Line 7 comes from the Foreign Earned Income Tax
+ * Worksheet: the tax (flat or Part III) on the AMT base plus the exclusion,
+ * less the 26%/28% tax on the exclusion alone (§911(f)). It isn't used when
+ * the AMT base is zero.
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} regular - Amounts from the regular tax computation:
+ *   taxableIncome, itemized (bool), itemizedLimitation (§68 reduction),
+ *   saltDeduction, standardDeduction, qualifiedIncome (taxed at 0/15/20%),
+ *   unrecapturedSection1250Gain (taxed at 25%), ordinaryTaxableIncome
+ *   (regular taxable income less the gains taxed at preferential rates, with
+ *   any foreign earned income exclusion stacked in; defaults to taxableIncome -
+ *   qualifiedIncome - unrecapturedSection1250Gain + foreignExclusion),
+ *   foreignExclusion (Form 2555 Line 45, defaults to 0), regularTax (ordinary + capital gains tax), foreignTaxCredit (regular FTC,
+ *   defaults to 0)
+ * @returns {Object} - Form 6251 breakdown with `amt` (Line 11)
+ */
+export function calculateAMT(form, regular) {
+    const filingStatus = form.filingStatus || 'single';
+    const params = getTaxParameters(form.taxYear);
+
+    // ========================================================================
+    // PART I: ALTERNATIVE MINIMUM TAXABLE INCOME
+    // ========================================================================
+
+    // Line 1: Taxable income (may be negative when deductions exceed AGI)
+    const line1 = regular.taxableIncome;
+
+    // Line 2a: Taxes from Schedule A, or the standard deduction (not allowed for AMT)
+    const taxes = regular.itemized ? regular.saltDeduction : regular.standardDeduction;
+
+    const adjustments = {
+        taxes,
+        // §56(b)(1)(F): the §68 limitation (2026+) doesn't apply for AMT
+        itemizedLimitation: 0 - (regular.itemizedLimitation || 0),
+        taxRefund: 0 - (parseFloat(form.amtTaxRefundAdjustment) || 0),
+        privateActivityBondInterest: parseFloat(form.privateActivityBondInterest) || 0,
+        qualifiedSmallBusinessStock: (parseFloat(form.section1202ExclusionGain) || 0) * 0.07,
+        isoExercise: parseFloat(form.isoExerciseSpread) || 0,
+        depreciation: parseFloat(form.amtDepreciationAdjustment) || 0,
+        passiveActivities: parseFloat(form.amtPassiveActivityAdjustment) || 0,
+        other: parseFloat(form.amtOtherAdjustments) || 0,
+    };
+
+    const totalAdjustments = Object.values(adjustments).reduce((sum, v) => sum + v, 0);
+
+    // Line 4: AMTI
+    let amti = line1 + totalAdjustments;
+
+    // MFS add-back (Line 4 instructions): once AMTI passes the point where the
+    // exemption is fully phased out, MFS filers add back the phase-out rate
+    // times the excess, up to the exemption amount
+    let mfsAddBack = 0;
+    if (filingStatus === 'marriedSeparate') {
+        const { exemption, phaseOut, phaseOutRate } = params.amt;
+        const fullPhaseOut = phaseOut.marriedSeparate + exemption.marriedSeparate / phaseOutRate;
+        if (amti > fullPhaseOut) {
+            mfsAddBack = Math.min(exemption.marriedSeparate, (amti - fullPhaseOut) * phaseOutRate);
+            amti += mfsAddBack;
+        }
+    }
+
+
+    // ========================================================================
+    // PART II: ALTERNATIVE MINIMUM TAX
+    // ========================================================================
+
+    // Line 5: Exemption (after phase-out)
+    const exemption = calculateAMTExemption(amti, filingStatus, params.taxYear);
+
+    // Line 6: AMT base
+    const amtBase = Math.max(0, amti - exemption);
+
+    // Foreign Earned Income Tax Worksheet Lines 1a-1c: the excluded income
+    // is stacked under the AMT base (§911(f))
+    const foreignExclusion = amtBase > 0 ? Math.max(0, regular.foreignExclusion || 0) : 0;
+    const taxBase = amtBase + foreignExclusion;
+
+    // Line 7: Tax at AMT rates, preserving capital gains rates (Part III)
+    const flatRateTax = calculateAMTRateTax(taxBase, filingStatus, params.taxYear);
+    let line7 = flatRateTax;
+    let partIII = null;
+
+    const qualifiedIncome = Math.min(Math.max(0, regular.qualifiedIncome || 0), taxBase);
+    const unrecapturedSection1250Gain = Math.min(Math.max(0, regular.unrecapturedSection1250Gain || 0), taxBase - qualifiedIncome);
+    if (qualifiedIncome + unrecapturedSection1250Gain > 0) {
+        const ordinaryBase = taxBase - qualifiedIncome - unrecapturedSection1250Gain;
+        const ordinaryTax = calculateAMTRateTax(ordinaryBase, filingStatus, params.taxYear);
+        // Lines 20 and 27: the regular tax's ordinary taxable income
+        const regularOrdinaryIncome = regular.ordinaryTaxableIncome ?? Math.max(0,
+            line1 - Math.max(0, regular.qualifiedIncome || 0) - Math.max(0, regular.unrecapturedSection1250Gain || 0)) +
+            foreignExclusion;
+        const gainsTax = calculateCapitalGainsTax(regularOrdinaryIncome, qualifiedIncome, filingStatus, params.taxYear) +
+            unrecapturedSection1250Gain * 0.25;
+
+        partIII = { ordinaryBase, ordinaryTax, regularOrdinaryIncome, qualifiedIncome, unrecapturedSection1250Gain, gainsTax };
+        line7 = Math.min(ordinaryTax + gainsTax, flatRateTax);
+    }
+
+    // Foreign Earned Income Tax Worksheet Lines 2-3: less the tax on the
+    // excluded income alone
+    const excludedIncomeTax = calculateAMTRateTax(foreignExclusion, filingStatus, params.taxYear);
+    line7 = Math.max(0, line7 - excludedIncomeTax);
+
+    // Line 8: AMT foreign tax credit (IRC §59(a))
+    const claimedAMTFTC = parseFloat(form.amtForeignTaxCredit) || regular.foreignTaxCredit || 0;
+    const foreignSourceIncome = parseFloat(form.foreignSourceIncome);
+    const ftcLimit = Number.isFinite(foreignSourceIncome) && amti > 0
+        ? line7 * Math.min(1, Math.max(0, foreignSourceIncome) / amti)
+        : line7;
+    const amtForeignTaxCredit = Math.min(claimedAMTFTC, ftcLimit);
+
+    // Line 9: Tentative minimum tax
+    const tentativeMinimumTax = Math.max(0, line7 - amtForeignTaxCredit);
+
+    // Line 10: Regular tax (less the regular foreign tax credit)
+    const regularTaxForAMT = Math.max(0, regular.regularTax - (regular.foreignTaxCredit || 0));
+
+    // Line 11: AMT
+    const amt = Math.max(0, tentativeMinimumTax - regularTaxForAMT);
+
+    return {
+        taxableIncome: line1,
+        adjustments,
+        totalAdjustments,
+        mfsAddBack,
+        amti,
+        exemption,
+        amtBase,
+        foreignExclusion,
+        excludedIncomeTax,
+        flatRateTax,
+        partIII,
+        taxBeforeCredit: line7,
+        amtForeignTaxCredit,
+        tentativeMinimumTax,
+        regularTaxForAMT,
+        amt,
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 8959: ADDITIONAL MEDICARE TAX
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §3101(b)(2): 0.9% on wages over the threshold
+ * - IRC §1401(b)(2): 0.9% on self-employment income over the threshold,
+ *   reduced (not below zero) by the taxpayer's wages
+ * - IRC §3102(f): Employers withhold 0.9% on wages over $200,000, whatever
+ *   the filing status; the withholding is credited against income tax
+ * - Treas. Reg. §1.1401-1, §31.3102-4
+ *
+ * IRS REFERENCE:
+ * - Form 8959 and Instructions
+ * - Questions and Answers for the Additional Medicare Tax (irs.gov)
+ *
+ * THRESHOLDS (not indexed for inflation):
+ * - Married filing jointly: $250,000 (combined wages and SE income of both spouses)
+ * - Married filing separately: $125,000
+ * - Single, head of household, qualifying surviving spouse: $200,000
+ *
+ * FORM 8959 FLOW:
+ * Part I   Lines 1-7:   0.9% × (Medicare wages - threshold)
+ * Part II  Lines 8-13:  0.9% × (SE income - (threshold - wages)); an SE loss
+ *                       doesn't reduce the tax on wages
+ * Part IV  Line 18:     Total → Schedule 2 Line 11
+ * Part V   Lines 19-24: Medicare tax withheld (W-2 Box 6) - 1.45% of Medicare
+ *                       wages = Additional Medicare Tax withheld → Form 1040
+ *                       Line 25c
+ *
+ * FORM FIELDS:
+ * - form.medicareWages: W-2 Box 5 (defaults to form.totalWages)
+ * - form.medicareTaxWithheld: W-2 Box 6 (no withholding credit without it)
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * Form 8959 thresholds by filing status
+ */
+export const ADDITIONAL_MEDICARE_THRESHOLDS = {
+    married: 250000,
+    marriedSeparate: 125000,
+    single: 200000,
+    head: 200000,
+    widow: 200000,
+};
+
+export const ADDITIONAL_MEDICARE_RATE = 0.009;
+
+// Regular employee Medicare rate, used to back out the additional withholding
+const MEDICARE_EMPLOYEE_RATE = 0.0145;
+
+
+/**
+ * Calculate Additional Medicare Tax (Form 8959)
+ *
+ * LEGAL AUTHORITY: IRC §3101(b)(2), §1401(b)(2)
+ * IRS REFERENCE: Form 8959
+ *
+ * @param {Object} inputs
+ * @param {number} inputs.medicareWages - Medicare wages and tips (W-2 Box 5)
+ * @param {number} inputs.selfEmploymentIncome - Net earnings from self-employment (Schedule SE Line 6)
+ * @param {number} [inputs.medicareTaxWithheld] - Medicare tax withheld (W-2 Box 6)
+ * @param {string} inputs.filingStatus - Filing status
+ * @returns {Object} - { form, threshold, medicareWages, wageTax,
+ *   selfEmploymentIncome, selfEmploymentThreshold, selfEmploymentTax, tax,
+ *   medicareTaxWithheld, regularMedicareWithholding, additionalWithholding }
+ */
+export function calculateAdditionalMedicareTax(inputs) {
+    const medicareWages = Math.max(0, inputs.medicareWages || 0);
+    const selfEmploymentIncome = Math.max(0, inputs.selfEmploymentIncome || 0);
+    const threshold = ADDITIONAL_MEDICARE_THRESHOLDS[inputs.filingStatus] || 200000;
+
+    // Part I: wages (Lines 1-7)
+    const wageTax = Math.max(0, medicareWages - threshold) * ADDITIONAL_MEDICARE_RATE;
+
+    // Part II: self-employment income (Lines 8-13); wages use up the threshold first
+    const selfEmploymentThreshold = Math.max(0, threshold - medicareWages);
+    const selfEmploymentTax = Math.max(0, selfEmploymentIncome - selfEmploymentThreshold) * ADDITIONAL_MEDICARE_RATE;
+
+    // Part V: withholding beyond the regular 1.45% (Lines 19-24)
+    const medicareTaxWithheld = Math.max(0, inputs.medicareTaxWithheld || 0);
+    const regularMedicareWithholding = medicareWages * MEDICARE_EMPLOYEE_RATE;
+    const additionalWithholding = medicareTaxWithheld > 0
+        ? Math.max(0, medicareTaxWithheld - regularMedicareWithholding)
+        : 0;
+
+    return {
+        form: 'Form 8959',
+        threshold,
+        medicareWages,
+        wageTax,
+        selfEmploymentIncome,
+        selfEmploymentThreshold,
+        selfEmploymentTax,
+        tax: wageTax + selfEmploymentTax,
+        medicareTaxWithheld,
+        regularMedicareWithholding,
+        additionalWithholding,
+    };
+}
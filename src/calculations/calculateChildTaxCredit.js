@@ -0,0 +1,187 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - SCHEDULE 8812: CHILD TAX CREDIT AND CREDIT FOR OTHER DEPENDENTS
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §24(a), (h)(2): $2,000 per qualifying child ($2,200 for 2025+ under OBBBA)
+ * - IRC §24(c), §152(c): Qualifying child under 17 at year end who lived
+ *   with you more than half the year
+ * - IRC §24(h)(7): The child needs an SSN valid for employment
+ * - IRC §24(h)(4): $500 credit for other dependents (no SSN requirement)
+ * - IRC §24(b), (h)(3): Reduced by $50 for each $1,000 (or part) of MAGI
+ *   over $200,000 ($400,000 MFJ)
+ * - IRC §24(d), (h)(5): Additional child tax credit (refundable), up to the
+ *   refundable maximum per child, of 15% of earned income over $2,500, or
+ *   for 3+ children the Social Security and Medicare taxes paid less EITC
+ *   if larger
+ *
+ * IRS REFERENCE:
+ * - Schedule 8812 (Form 1040) and Instructions, Credit Limit Worksheet A
+ * - Publication 972 (archived), Form 1040 Instructions Lines 19 and 28
+ *
+ * SCHEDULE 8812 FLOW:
+ * Part I   Lines 1-8:    MAGI; children × credit + other dependents × $500
+ *          Lines 9-12:   Phase-out: 5% of MAGI over the threshold, rounded
+ *                        up to the next $1,000
+ *          Lines 13-14:  Limited to tax after other nonrefundable credits
+ *                        → Form 1040 Line 19
+ * Part II-A Lines 16-20: Unused credit, up to the refundable max per child;
+ *                        15% of earned income over $2,500
+ * Part II-B Lines 21-26: 3+ children: withheld SS/Medicare + half SE tax - EITC
+ *          Line 27:      Additional child tax credit → Form 1040 Line 28
+ *
+ * FORM FIELDS (form.dependents[]):
+ * - qualifyingChild / qualifyingRelative
+ * - age or birthDate (age at the end of the tax year; unknown age is
+ *   taken as under 17)
+ * - ssn / hasSSN: an ITIN (starts with 9) or hasSSN: false means no CTC,
+ *   only the credit for other dependents
+ * - monthsLivedWithYou (defaults to 12)
+ * - citizenOrResident: false excludes the dependent entirely
+ * - childTaxCredit: false opts the child out of the CTC
+ *
+ * A preparer's figures in form.childTaxCredit / form.creditOtherDependents /
+ * form.additionalChildTaxCredit are used as entered instead.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getAgeAtYearEnd } from './taxYearParameters.js';
+
+
+/**
+ * Schedule 8812 amounts that are fixed by statute
+ */
+export const CHILD_TAX_CREDIT = {
+    otherDependentCredit: 500,
+    ageLimit: 17,
+    phaseOutStart: { married: 400000, other: 200000 },
+    phaseOutPerThousand: 50,
+    earnedIncomeThreshold: 2500,
+    refundableRate: 0.15,
+};
+
+
+/**
+ * Sort the form's dependents into CTC children and other dependents
+ *
+ * @param {Object} form - Tax form data
+ * @param {number} [taxYear] - Tax year (defaults to form.taxYear)
+ * @returns {Array} - [{ name, age, credit: 'ctc' | 'odc' | null, reasons }]
+ *   `reasons` explains why a qualifying child doesn't get the CTC
+ */
+export function getChildTaxCreditDependents(form, taxYear) {
+    const year = getTaxParameters(taxYear ?? form.taxYear).taxYear;
+
+    return (form.dependents || []).map((dependent, index) => {
+        const age = getAgeAtYearEnd(dependent.birthDate, dependent.age, year);
+        const ssn = String(dependent.ssn || '');
+        const hasSSN = dependent.hasSSN !== undefined ? !!dependent.hasSSN : !ssn.startsWith('9');
+        const months = dependent.monthsLivedWithYou !== undefined ? parseFloat(dependent.monthsLivedWithYou) || 0 : 12;
+
+        const reasons = [];
+        if (dependent.qualifyingChild) {
+            if (age !== null && age >= CHILD_TAX_CREDIT.ageLimit) reasons.push(`Age ${age} at year end (must be under 17)`);
+            if (!hasSSN) reasons.push('No SSN valid for employment');
+            if (months <= 6) reasons.push(`Lived with you ${months} months (must be more than half the year)`);
+            if (dependent.childTaxCredit === false) reasons.push('Not claimed');
+        }
+
+        const credit = dependent.citizenOrResident === false
+            ? null
+            : dependent.qualifyingChild && reasons.length === 0 ? 'ctc' : 'odc';
+
+        return {
+            name: dependent.name || dependent.firstName || `Dependent #${index + 1}`,
+            age,
+            credit,
+            reasons,
+        };
+    });
+}
+
+
+/**
+ * Calculate the child tax credit, credit for other dependents and
+ * additional child tax credit (Schedule 8812)
+ *
+ * LEGAL AUTHORITY: IRC §24
+ * IRS REFERENCE: Schedule 8812
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.magi - AGI plus excluded foreign income (Line 3)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} context.taxLiability - Tax after other nonrefundable credits (Credit Limit Worksheet A)
+ * @param {number} context.earnedIncome - Earned income (Line 18a)
+ * @param {number} context.socialSecurityTaxes - Withheld SS and Medicare + half SE tax + Additional Medicare Tax (Lines 21-23)
+ * @param {number} [context.earnedIncomeCredit] - EITC (Line 24)
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Schedule 8812 lines plus the per-dependent breakdown
+ */
+export function calculateChildTaxCredit(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const { perChild, refundablePerChild } = params.childTaxCredit;
+    const dependents = getChildTaxCreditDependents(form, params.taxYear);
+
+    const qualifyingChildren = dependents.filter(d => d.credit === 'ctc').length;
+    const otherDependents = dependents.filter(d => d.credit === 'odc').length;
+
+    // Part I: Lines 4-8
+    const childCredit = qualifyingChildren * perChild;
+    const otherDependentsCredit = otherDependents * CHILD_TAX_CREDIT.otherDependentCredit;
+    const tentativeCredit = childCredit + otherDependentsCredit;
+
+    // Lines 9-12: $50 per $1,000 (or part) over the threshold
+    const threshold = context.filingStatus === 'married'
+        ? CHILD_TAX_CREDIT.phaseOutStart.married
+        : CHILD_TAX_CREDIT.phaseOutStart.other;
+    const excess = Math.ceil(Math.max(0, context.magi - threshold) / 1000) * 1000;
+    const phaseOutReduction = (excess / 1000) * CHILD_TAX_CREDIT.phaseOutPerThousand;
+    const creditAfterPhaseOut = Math.max(0, tentativeCredit - phaseOutReduction);
+
+    // Lines 13-14: limited to tax (Credit Limit Worksheet A)
+    const creditLimit = Math.max(0, context.taxLiability);
+    const nonrefundableCredit = Math.min(creditAfterPhaseOut, creditLimit);
+
+    // Part II-A: unused credit, up to the refundable maximum per child
+    const unusedCredit = creditAfterPhaseOut - nonrefundableCredit;                    // Line 16a
+    const refundableMax = qualifyingChildren * refundablePerChild;                     // Line 16b
+    const refundableLimit = Math.min(unusedCredit, refundableMax);                     // Line 17
+    const earnedIncome = Math.max(0, context.earnedIncome);
+    const earnedIncomeAmount = Math.max(0, earnedIncome - CHILD_TAX_CREDIT.earnedIncomeThreshold) *
+        CHILD_TAX_CREDIT.refundableRate;                                               // Line 20
+
+    // Part II-B: three or more children
+    const socialSecurityCredit = qualifyingChildren >= 3
+        ? Math.max(0, (context.socialSecurityTaxes || 0) - (context.earnedIncomeCredit || 0))  // Line 25
+        : 0;
+
+    const additionalChildTaxCredit = refundableLimit > 0
+        ? Math.min(refundableLimit, Math.max(earnedIncomeAmount, socialSecurityCredit))
+        : 0;                                                                           // Line 27
+
+    return {
+        form: 'Schedule 8812',
+        dependents,
+        qualifyingChildren,
+        otherDependents,
+        perChild,
+        childCredit,
+        otherDependentsCredit,
+        tentativeCredit,
+        magi: context.magi,
+        threshold,
+        phaseOutReduction,
+        creditAfterPhaseOut,
+        creditLimit,
+        nonrefundableCredit,
+        unusedCredit,
+        refundableMax,
+        earnedIncome,
+        earnedIncomeAmount,
+        socialSecurityCredit,
+        additionalChildTaxCredit,
+    };
+}
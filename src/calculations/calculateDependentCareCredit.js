@@ -0,0 +1,205 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 2441: CHILD AND DEPENDENT CARE EXPENSES
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §21(a)(2): Credit rate of 35% (50% for 2026+ under OBBBA), reduced
+ *   1 point per $2,000 (or part) of AGI over $15,000, down to 20%
+ * - IRC §21(b)(1): Qualifying person - dependent child under 13, or a
+ *   dependent or spouse who can't care for themselves and lived with you
+ *   more than half the year
+ * - IRC §21(c): Expenses limited to $3,000 for one qualifying person, $6,000
+ *   for two or more, less excluded employer benefits
+ * - IRC §21(d)(1): Expenses limited to the earned income of each spouse
+ * - IRC §21(d)(2): A spouse who is a full-time student or disabled is deemed
+ *   to earn $250 a month ($500 for two or more qualifying persons)
+ * - IRC §21(e)(2), (4): Married couples file jointly unless they lived apart
+ *   for the last 6 months of the year
+ * - IRC §129: Up to $5,000 ($2,500 MFS; $7,500 / $3,750 for 2026+) of
+ *   employer dependent care benefits (FSA) excluded from income
+ *
+ * IRS REFERENCE:
+ * - Form 2441 and Instructions, Publication 503 - Child and Dependent Care Expenses
+ *
+ * FORM 2441 FLOW:
+ * Part III Lines 12-26: Employer benefits (W-2 Box 10) excluded up to the
+ *                       smaller of expenses, each spouse's earned income and
+ *                       the §129 limit; the rest is taxable
+ *          Lines 27-31: Expense limit less excluded benefits
+ * Part II  Lines 2-6:   Expenses, limited to each spouse's earned income
+ *          Lines 7-9:   × credit rate for AGI
+ *          Lines 10-11: Limited to tax → Schedule 3 Line 2
+ *
+ * FORM FIELDS:
+ * - form.childCareExpenses: care expenses paid
+ * - form.dependentCareBenefits: employer benefits (W-2 Box 10);
+ *   form.dependentCareBenefitsForfeited: amounts forfeited or carried forward
+ * - form.dependents[]: qualifyingChild, age / birthDate, disabled,
+ *   monthsLivedWithYou (defaults to 12)
+ * - form.spouseDisabled: the spouse is also a qualifying person
+ * - form.spouseEarnedIncome (or spouseWages); without it the spouse isn't
+ *   taken as limiting the expenses
+ * - form.spouseStudentOrDisabledMonths: months the spouse was a full-time
+ *   student or disabled (deemed earned income; defaults to 12 when
+ *   spouseFullTimeStudent or spouseDisabled)
+ * - form.separatedFromSpouse: MFS exception
+ *
+ * Benefits over the exclusion limit are normally already in W-2 Box 1. The
+ * Line 26 taxable benefits from expenses or earned income being lower than
+ * the benefits are reported in `taxableBenefits` and belong in totalWages.
+ *
+ * A preparer's figure in form.childCareCredit is used as entered instead.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getAgeAtYearEnd } from './taxYearParameters.js';
+
+
+/**
+ * Qualifying-child age limit and deemed monthly income (§21(b)(1), §21(d)(2))
+ */
+export const DEPENDENT_CARE = {
+    childAgeLimit: 13,
+    deemedMonthlyIncome: { one: 250, twoOrMore: 500 },
+};
+
+
+/**
+ * Credit rate for an AGI (Form 2441 Line 8)
+ *
+ * @param {number} agi - Adjusted gross income
+ * @param {string} filingStatus - Filing status
+ * @param {number} [taxYear] - Tax year
+ * @returns {number} - Decimal rate
+ */
+export function getDependentCareCreditRate(agi, filingStatus, taxYear) {
+    const { max, min, phaseDownStart, step, secondPhaseDown } = getTaxParameters(taxYear).dependentCare.creditRate;
+    const pointsOver = (start, size) => Math.ceil(Math.max(0, agi - start) / size) / 100;
+
+    let rate = Math.max(min, max - pointsOver(phaseDownStart, step));
+    if (secondPhaseDown) {
+        const key = filingStatus === 'married' ? 'married' : 'other';
+        rate = Math.max(secondPhaseDown.min, rate - pointsOver(secondPhaseDown.start[key], secondPhaseDown.step[key]));
+    }
+    return Math.round(rate * 100) / 100;
+}
+
+
+/**
+ * Qualifying persons for Form 2441 (Line 2)
+ *
+ * @param {Object} form - Tax form data
+ * @param {number} [taxYear] - Tax year (defaults to form.taxYear)
+ * @returns {Array} - [{ name, age }]
+ */
+export function getDependentCareQualifyingPersons(form, taxYear) {
+    const year = getTaxParameters(taxYear ?? form.taxYear).taxYear;
+
+    const persons = (form.dependents || [])
+        .map((dependent, index) => {
+            const age = getAgeAtYearEnd(dependent.birthDate, dependent.age, year);
+            const months = dependent.monthsLivedWithYou !== undefined ? parseFloat(dependent.monthsLivedWithYou) || 0 : 12;
+            const youngChild = dependent.qualifyingChild && age !== null && age < DEPENDENT_CARE.childAgeLimit;
+            return {
+                name: dependent.name || dependent.firstName || `Dependent #${index + 1}`,
+                age,
+                qualifies: (youngChild || !!dependent.disabled) && months > 6,
+            };
+        })
+        .filter(person => person.qualifies)
+        .map(({ name, age }) => ({ name, age }));
+
+    if (form.spouseDisabled) persons.push({ name: 'Spouse', age: null });
+    return persons;
+}
+
+
+/**
+ * Calculate the child and dependent care credit and the employer benefit
+ * exclusion (Form 2441)
+ *
+ * LEGAL AUTHORITY: IRC §21, §129
+ * IRS REFERENCE: Form 2441, Publication 503
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.agi - Adjusted gross income (Line 7)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} context.earnedIncome - Taxpayer's earned income (Line 4 / 18)
+ * @param {number} context.taxLiability - Tax for the Credit Limit Worksheet (Line 10)
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Form 2441 Part II and III lines
+ */
+export function calculateDependentCareCredit(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const { expenseLimit: limits, benefitExclusion } = params.dependentCare;
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+
+    const qualifyingPersons = getDependentCareQualifyingPersons(form, params.taxYear);
+    const count = qualifyingPersons.length;
+    const married = context.filingStatus === 'married';
+    const separate = context.filingStatus === 'marriedSeparate';
+
+    const reasons = [];
+    if (count === 0) reasons.push('No qualifying person (child under 13 or disabled dependent or spouse)');
+    if (separate && !form.separatedFromSpouse) reasons.push('Married filing separately without living apart for the last 6 months');
+
+    // Each spouse's earned income (Lines 4-5 / 18-19)
+    const earnedIncome = Math.max(0, context.earnedIncome);
+    const deemedMonths = form.spouseStudentOrDisabledMonths !== undefined
+        ? Math.min(12, amount(form.spouseStudentOrDisabledMonths))
+        : (form.spouseFullTimeStudent || form.spouseDisabled ? 12 : 0);
+    const deemedIncome = deemedMonths *
+        (count >= 2 ? DEPENDENT_CARE.deemedMonthlyIncome.twoOrMore : DEPENDENT_CARE.deemedMonthlyIncome.one);
+    const spouseEntered = form.spouseEarnedIncome !== undefined || form.spouseWages !== undefined;
+    const spouseEarnedIncome = married
+        ? (spouseEntered || deemedMonths > 0
+            ? Math.max(amount(form.spouseEarnedIncome ?? form.spouseWages), deemedIncome)
+            : earnedIncome)
+        : earnedIncome;
+
+    const expenses = amount(form.childCareExpenses);
+    const expenseLimit = count >= 2 ? limits.twoOrMore : (count === 1 ? limits.one : 0);
+
+    // Part III: employer benefits
+    const benefits = Math.max(0, amount(form.dependentCareBenefits) - amount(form.dependentCareBenefitsForfeited));  // Line 15
+    const exclusionLimit = separate ? benefitExclusion / 2 : benefitExclusion;                                       // Line 21
+    const excludedBenefits = count > 0
+        ? Math.min(benefits, expenses, earnedIncome, spouseEarnedIncome, exclusionLimit)
+        : 0;                                                                                                        // Line 25
+    const taxableBenefits = benefits - excludedBenefits;                                                             // Line 26
+
+    // Lines 27-31 / Part II Line 3: expenses left for the credit
+    const creditExpenseLimit = Math.max(0, expenseLimit - excludedBenefits);
+    const creditExpenses = Math.min(Math.max(0, expenses - excludedBenefits), creditExpenseLimit);
+
+    // Lines 4-11
+    const allowedExpenses = Math.min(creditExpenses, earnedIncome, spouseEarnedIncome);                             // Line 6
+    const creditRate = getDependentCareCreditRate(context.agi, context.filingStatus, params.taxYear);                // Line 8
+    const tentativeCredit = reasons.length > 0 ? 0 : allowedExpenses * creditRate;                                  // Line 9a
+    const creditLimit = Math.max(0, context.taxLiability);                                                          // Line 10
+    const credit = Math.min(tentativeCredit, creditLimit);                                                          // Line 11
+
+    return {
+        form: 'Form 2441',
+        reasons,
+        qualifyingPersons,
+        expenses,
+        expenseLimit,
+        earnedIncome,
+        spouseEarnedIncome,
+        benefits,
+        exclusionLimit,
+        excludedBenefits,
+        taxableBenefits,
+        creditExpenseLimit,
+        creditExpenses,
+        allowedExpenses,
+        creditRate,
+        tentativeCredit,
+        creditLimit,
+        credit,
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - EARNED INCOME TAX CREDIT (SCHEDULE EIC)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §32(a), (b): Credit = phase-in rate × earned income up to the earned
+ *   income amount, less the phase-out rate × the greater of AGI or earned
+ *   income over the phase-out start
+ * - IRC §32(b)(1): Rates by number of qualifying children (0, 1, 2, 3+)
+ * - IRC §32(b)(2)(B): Higher phase-out start for married filing jointly
+ * - IRC §32(c)(1)(A)(ii): With no qualifying child, age 25-64 at year end
+ *   (either spouse if MFJ) and not someone else's dependent
+ * - IRC §32(c)(3), §152(c): Qualifying child under 19 (24 if a full-time
+ *   student, any age if permanently disabled) who lived with you more than
+ *   half the year, with an SSN valid for employment (§32(m))
+ * - IRC §32(d)(2): Married filing separately only with a qualifying child
+ *   and no shared home with the spouse for the last 6 months of the year
+ *   (or legally separated)
+ * - IRC §32(i): No credit if investment income is over the limit
+ * - IRC §32(j): Amounts adjusted for inflation (Rev. Procs. in taxYearParameters)
+ *
+ * IRS REFERENCE:
+ * - Schedule EIC, Form 1040 Instructions Line 27 (EIC Worksheet A/B, EIC Table)
+ * - Publication 596 - Earned Income Credit
+ *
+ * CALCULATION:
+ * 1. Eligibility: filing status, investment income, age band (no children)
+ * 2. Credit on earned income (phase-in, plateau, phase-out)
+ * 3. If AGI is over the phase-out start, the credit on AGI if smaller
+ *    → Form 1040 Line 27
+ *
+ * The IRS EIC Table uses $50 income bands; this uses the exact formula, so
+ * amounts can differ from the table by a few dollars.
+ *
+ * FORM FIELDS:
+ * - form.dependents[]: qualifyingChild, age / birthDate, student,
+ *   disabled, ssn / hasSSN, monthsLivedWithYou (defaults to 12)
+ * - form.birthDate / form.spouseBirthDate: age band for no qualifying child
+ * - form.canBeClaimedAsDependent: no credit
+ * - form.separatedFromSpouse: MFS exception (§32(d)(2))
+ * - form.taxExemptInterest: counts as investment income
+ *
+ * A preparer's figure in form.earnedIncomeCredit is used as entered instead.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getAgeAtYearEnd } from './taxYearParameters.js';
+
+
+/**
+ * Credit and phase-out rates by number of qualifying children (§32(b)(1));
+ * not indexed for inflation
+ */
+export const EITC_RATES = [
+    { phaseInRate: 0.0765, phaseOutRate: 0.0765 },
+    { phaseInRate: 0.34, phaseOutRate: 0.1598 },
+    { phaseInRate: 0.40, phaseOutRate: 0.2106 },
+    { phaseInRate: 0.45, phaseOutRate: 0.2106 },
+];
+
+/**
+ * Age limits for qualifying children and for claiming with no children
+ */
+export const EITC_AGE_LIMITS = {
+    child: 19,
+    student: 24,
+    childlessMinimum: 25,
+    childlessMaximum: 64,
+};
+
+
+/**
+ * EITC qualifying children from the form's dependents
+ *
+ * @param {Object} form - Tax form data
+ * @param {number} [taxYear] - Tax year (defaults to form.taxYear)
+ * @returns {Array} - [{ name, age, qualifies, reasons }]; `reasons` explains
+ *   why a qualifying child for other purposes doesn't count for the EITC
+ */
+export function getEITCQualifyingChildren(form, taxYear) {
+    const year = getTaxParameters(taxYear ?? form.taxYear).taxYear;
+
+    return (form.dependents || [])
+        .filter(dependent => dependent.qualifyingChild)
+        .map((dependent, index) => {
+            const age = getAgeAtYearEnd(dependent.birthDate, dependent.age, year);
+            const ssn = String(dependent.ssn || '');
+            const hasSSN = dependent.hasSSN !== undefined ? !!dependent.hasSSN : !ssn.startsWith('9');
+            const months = dependent.monthsLivedWithYou !== undefined ? parseFloat(dependent.monthsLivedWithYou) || 0 : 12;
+            const ageLimit = dependent.student ? EITC_AGE_LIMITS.student : EITC_AGE_LIMITS.child;
+
+            const reasons = [];
+            if (age !== null && age >= ageLimit && !dependent.disabled) {
+                reasons.push(`Age ${age} at year end (must be under ${ageLimit})`);
+            }
+            if (!hasSSN) reasons.push('No SSN valid for employment');
+            if (months <= 6) reasons.push(`Lived with you ${months} months (must be more than half the year)`);
+
+            return {
+                name: dependent.name || dependent.firstName || `Child #${index + 1}`,
+                age,
+                qualifies: reasons.length === 0,
+                reasons,
+            };
+        });
+}
+
+
+/**
+ * Credit for a given income before the AGI test (EIC Worksheet A Lines 1-2)
+ */
+function creditFor(income, amounts, children) {
+    const { phaseInRate, phaseOutRate } = EITC_RATES[children];
+    const phaseIn = Math.min(Math.max(0, income) * phaseInRate, amounts.maxCredit);
+    const reduction = Math.max(0, income - amounts.phaseOutStart) * phaseOutRate;
+    return Math.max(0, phaseIn - reduction);
+}
+
+
+/**
+ * Calculate the earned income tax credit (Schedule EIC)
+ *
+ * LEGAL AUTHORITY: IRC §32
+ * IRS REFERENCE: Form 1040 Instructions Line 27, Publication 596
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.earnedIncome - Wages + net SE earnings - deductible half of SE tax
+ * @param {number} context.agi - Adjusted gross income
+ * @param {number} context.investmentIncome - Interest (taxable and exempt), dividends,
+ *   capital gain net income, net rental and passive income (Pub 596 Worksheet 1)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - { eligible, reasons, qualifyingChildren, children,
+ *   earnedIncome, agi, investmentIncome, investmentIncomeLimit, maxCredit,
+ *   phaseOutStart, creditOnEarnedIncome, creditOnAgi, credit }
+ */
+export function calculateEarnedIncomeCredit(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const eitc = params.eitc;
+    const children = getEITCQualifyingChildren(form, params.taxYear);
+    const qualifyingChildren = Math.min(children.filter(c => c.qualifies).length, 3);
+
+    const filingStatus = context.filingStatus;
+    const married = filingStatus === 'married';
+    const amounts = {
+        earnedIncomeAmount: eitc.earnedIncomeAmount[qualifyingChildren],
+        maxCredit: eitc.maxCredit[qualifyingChildren],
+        phaseOutStart: (married ? eitc.phaseOutStart.married : eitc.phaseOutStart.other)[qualifyingChildren],
+    };
+
+    const earnedIncome = Math.max(0, context.earnedIncome);
+    const agi = context.agi;
+    const investmentIncome = Math.max(0, context.investmentIncome || 0);
+
+    // Eligibility
+    const reasons = [];
+    if (filingStatus === 'marriedSeparate' && !(qualifyingChildren > 0 && form.separatedFromSpouse)) {
+        reasons.push('Married filing separately without a qualifying child and living apart from your spouse for the last 6 months');
+    }
+    if (investmentIncome > eitc.investmentIncomeLimit) {
+        reasons.push(`Investment income $${Math.round(investmentIncome).toLocaleString()} over the $${eitc.investmentIncomeLimit.toLocaleString()} limit`);
+    }
+    if (form.canBeClaimedAsDependent) {
+        reasons.push('Can be claimed as a dependent by another taxpayer');
+    }
+    if (qualifyingChildren === 0) {
+        const ages = [getAgeAtYearEnd(form.birthDate, form.age, params.taxYear)];
+        if (married) ages.push(getAgeAtYearEnd(form.spouseBirthDate, form.spouseAge, params.taxYear));
+        const known = ages.filter(age => age !== null);
+        const inBand = known.length === 0 || known.some(age =>
+            age >= EITC_AGE_LIMITS.childlessMinimum && age <= EITC_AGE_LIMITS.childlessMaximum);
+        if (!inBand) reasons.push('No qualifying child and not age 25-64 at year end');
+    }
+    if (earnedIncome <= 0) reasons.push('No earned income');
+
+    const eligible = reasons.length === 0;
+
+    // Worksheet A: credit on earned income, then on AGI if AGI is over the phase-out start
+    const creditOnEarnedIncome = eligible ? creditFor(earnedIncome, amounts, qualifyingChildren) : 0;
+    const creditOnAgi = eligible && agi > amounts.phaseOutStart ? creditFor(agi, amounts, qualifyingChildren) : null;
+    const credit = creditOnAgi !== null ? Math.min(creditOnEarnedIncome, creditOnAgi) : creditOnEarnedIncome;
+
+    return {
+        eligible,
+        reasons,
+        qualifyingChildren,
+        children,
+        earnedIncome,
+        agi,
+        investmentIncome,
+        investmentIncomeLimit: eitc.investmentIncomeLimit,
+        ...amounts,
+        ...EITC_RATES[qualifyingChildren],
+        creditOnEarnedIncome,
+        creditOnAgi,
+        credit,
+    };
+}
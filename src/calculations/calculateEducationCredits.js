@@ -0,0 +1,215 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 8863: EDUCATION CREDITS
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §25A(b), (i): American opportunity tax credit (AOTC) - 100% of the
+ *   first $2,000 and 25% of the next $2,000 of expenses per student; 40% is
+ *   refundable. Only for the first four years of postsecondary education,
+ *   for at most four tax years, at least half-time, no felony drug conviction
+ * - IRC §25A(c): Lifetime learning credit (LLC) - 20% of up to $10,000 of
+ *   expenses per return
+ * - IRC §25A(d): Both phase out between $80,000 and $90,000 of MAGI
+ *   ($160,000-$180,000 MFJ); not indexed for inflation
+ * - IRC §25A(c)(2)(A): One credit per student per year
+ * - IRC §25A(g)(2), (5): Expenses are reduced by tax-free assistance and
+ *   can't also be used for a tax-free 529 distribution
+ * - IRC §25A(g)(6): No credit for married filing separately
+ * - IRC §25A(i)(5): No refundable part for certain taxpayers under 24
+ *
+ * IRS REFERENCE:
+ * - Form 8863 and Instructions (Credit Limit Worksheet)
+ * - Publication 970 - Tax Benefits for Education, Chapters 2, 3 and 7
+ *
+ * FORM 8863 FLOW:
+ * Part III (per student): AOTC or LLC, the qualified expenses for it
+ * Part I   Lines 1-8:   AOTC × MAGI phase-out fraction; 40% refundable
+ *                       → Form 1040 Line 29
+ * Part II  Lines 10-18: LLC (20% of up to $10,000) × phase-out fraction
+ *          Line 19:     Nonrefundable AOTC + LLC, limited to tax
+ *                       → Schedule 3 Line 3
+ *
+ * EXPENSE ALLOCATION:
+ * Each student gets the AOTC when eligible (it is always the larger credit),
+ * otherwise the LLC. Expenses go to the credit first, up to $4,000 (AOTC) or
+ * the $10,000 LLC limit left on the return; what's left covers the student's
+ * 529 distribution (state529Plans.calculate529Distribution). Set
+ * `creditExpenses` to allocate differently.
+ *
+ * FORM FIELDS (form.students[]):
+ * - name, qualifiedExpenses (tuition, fees, course materials), taxFreeAssistance
+ *   (scholarships, Pell grants, employer assistance)
+ * - distribution529 / earnings529: Form 1099-Q Boxes 1 and 2
+ * - aotcYearsClaimed: tax years the AOTC was already claimed
+ * - completedFirstFourYears or graduate, halfTime (defaults to true),
+ *   drugFelony: AOTC tests
+ * - credit: 'aotc' | 'llc' | 'none' to choose the credit
+ * - creditExpenses: expenses to use for the credit
+ * - form.aotcNonrefundableOnly: Form 8863 Line 7 box (§25A(i)(5))
+ *
+ * A preparer's figure in form.educationCredits is used as entered instead.
+ *
+ * ============================================================================
+ */
+
+import { calculate529Distribution } from '../stateData/state529Plans.js';
+
+
+/**
+ * Form 8863 amounts fixed by statute
+ */
+export const EDUCATION_CREDITS = {
+    aotc: {
+        fullRateExpenses: 2000,
+        maxExpenses: 4000,
+        partialRate: 0.25,
+        maxCredit: 2500,
+        refundableRate: 0.40,
+        maxYears: 4,
+    },
+    llc: { rate: 0.20, maxExpenses: 10000, maxCredit: 2000 },
+    phaseOut: {
+        married: { start: 160000, end: 180000 },
+        other: { start: 80000, end: 90000 },
+    },
+};
+
+
+/**
+ * AOTC for one student's expenses (Form 8863 Part III Lines 27-30)
+ */
+function aotcFor(expenses) {
+    const { fullRateExpenses, maxExpenses, partialRate } = EDUCATION_CREDITS.aotc;
+    const capped = Math.min(Math.max(0, expenses), maxExpenses);
+    return Math.min(capped, fullRateExpenses) + Math.max(0, capped - fullRateExpenses) * partialRate;
+}
+
+
+/**
+ * Students on Form 8863 with their credit and expense allocation
+ *
+ * @param {Object} form - Tax form data
+ * @returns {Array} - [{ name, qualifiedExpenses, taxFreeAssistance, adjustedExpenses,
+ *   aotcEligible, aotcReasons, credit: 'aotc' | 'llc' | null, creditExpenses,
+ *   tentativeCredit, distribution529 }]
+ */
+export function getEducationStudents(form) {
+    const amount = (value) => parseFloat(value) || 0;
+    let llcExpensesLeft = EDUCATION_CREDITS.llc.maxExpenses;
+
+    return (form.students || []).map((student, index) => {
+        const qualifiedExpenses = amount(student.qualifiedExpenses);
+        const taxFreeAssistance = amount(student.taxFreeAssistance);
+        const adjustedExpenses = Math.max(0, qualifiedExpenses - taxFreeAssistance);
+
+        const aotcReasons = [];
+        const yearsClaimed = amount(student.aotcYearsClaimed);
+        if (yearsClaimed >= EDUCATION_CREDITS.aotc.maxYears) aotcReasons.push(`AOTC already claimed for ${yearsClaimed} years`);
+        if (student.completedFirstFourYears || student.graduate) aotcReasons.push('Completed the first four years of postsecondary education');
+        if (student.halfTime === false) aotcReasons.push('Not enrolled at least half-time');
+        if (student.drugFelony) aotcReasons.push('Felony drug conviction');
+        const aotcEligible = aotcReasons.length === 0;
+
+        const credit = student.credit === 'none' || adjustedExpenses === 0
+            ? null
+            : (student.credit === 'llc' || !aotcEligible ? 'llc' : 'aotc');
+
+        // Expenses for the credit; the rest can cover the 529 distribution
+        let creditExpenses = 0;
+        if (credit === 'aotc') {
+            creditExpenses = Math.min(adjustedExpenses, EDUCATION_CREDITS.aotc.maxExpenses);
+        } else if (credit === 'llc') {
+            creditExpenses = Math.min(adjustedExpenses, llcExpensesLeft);
+        }
+        if (credit && student.creditExpenses !== undefined) {
+            creditExpenses = Math.min(Math.max(0, amount(student.creditExpenses)), creditExpenses);
+        }
+        if (credit === 'llc') llcExpensesLeft -= creditExpenses;
+
+        return {
+            name: student.name || `Student #${index + 1}`,
+            qualifiedExpenses,
+            taxFreeAssistance,
+            adjustedExpenses,
+            aotcEligible,
+            aotcReasons,
+            credit,
+            creditExpenses,
+            tentativeCredit: credit === 'aotc'
+                ? aotcFor(creditExpenses)
+                : creditExpenses * EDUCATION_CREDITS.llc.rate,
+            distribution529: calculate529Distribution({
+                distribution: amount(student.distribution529),
+                earnings: amount(student.earnings529),
+                expenses: adjustedExpenses,
+                creditExpenses,
+            }),
+        };
+    });
+}
+
+
+/**
+ * Calculate the American opportunity and lifetime learning credits (Form 8863)
+ *
+ * LEGAL AUTHORITY: IRC §25A
+ * IRS REFERENCE: Form 8863, Publication 970
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.magi - AGI plus excluded foreign income (Lines 3 and 14)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} context.taxLiability - Tax less foreign tax and child care credits (Credit Limit Worksheet)
+ * @returns {Object} - Form 8863 lines plus the per-student allocation
+ */
+export function calculateEducationCredits(form, context) {
+    const students = getEducationStudents(form);
+    const sum = (list) => list.reduce((total, s) => total + s.tentativeCredit, 0);
+
+    const tentativeAOTC = sum(students.filter(s => s.credit === 'aotc'));        // Line 1
+    const tentativeLLC = sum(students.filter(s => s.credit === 'llc'));          // Line 12
+
+    // Lines 2-6 and 13-17: same phase-out for both credits
+    const { start, end } = context.filingStatus === 'married'
+        ? EDUCATION_CREDITS.phaseOut.married
+        : EDUCATION_CREDITS.phaseOut.other;
+    const reasons = [];
+    if (context.filingStatus === 'marriedSeparate') reasons.push('No education credits for married filing separately');
+    if (form.canBeClaimedAsDependent) reasons.push('Can be claimed as a dependent by another taxpayer');
+    const phaseOutFraction = reasons.length > 0
+        ? 0
+        : Math.min(1, Math.max(0, (end - context.magi) / (end - start)));
+
+    // Lines 7-9: 40% of the AOTC is refundable
+    const aotc = tentativeAOTC * phaseOutFraction;
+    const refundableCredit = form.aotcNonrefundableOnly ? 0 : aotc * EDUCATION_CREDITS.aotc.refundableRate;
+    const nonrefundableAOTC = aotc - refundableCredit;
+    const llc = tentativeLLC * phaseOutFraction;                                   // Line 18
+
+    // Line 19: Credit Limit Worksheet
+    const creditLimit = Math.max(0, context.taxLiability);
+    const nonrefundableCredit = Math.min(nonrefundableAOTC + llc, creditLimit);
+
+    const distributions = students.map(s => s.distribution529);
+
+    return {
+        form: 'Form 8863',
+        students,
+        reasons,
+        magi: context.magi,
+        phaseOutStart: start,
+        phaseOutEnd: end,
+        phaseOutFraction,
+        tentativeAOTC,
+        tentativeLLC,
+        aotc,
+        refundableCredit,
+        nonrefundableAOTC,
+        llc,
+        creditLimit,
+        nonrefundableCredit,
+        taxable529Earnings: distributions.reduce((total, d) => total + d.taxableEarnings, 0),
+        additional529Tax: distributions.reduce((total, d) => total + d.additionalTax, 0),
+    };
+}
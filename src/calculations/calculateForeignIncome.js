@@ -0,0 +1,260 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FOREIGN EARNED INCOME EXCLUSION (FORM 2555) AND
+ * FOREIGN TAX CREDIT (FORM 1116)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §911(a)-(b): A qualified individual (bona fide residence or 330
+ *   full days abroad) may exclude foreign earned income up to the annual
+ *   limit ($130,000 for 2025), prorated by qualifying days
+ * - IRC §911(c): Housing expenses over 16% of the limit, up to 30% of it
+ *   (more in high-cost locations), are also excluded
+ * - IRC §911(f): Tax on the rest of the income is figured as if the
+ *   excluded income were still taxed first (the "stacking" rule)
+ * - IRC §911(d)(6): Foreign taxes on excluded income aren't creditable
+ * - IRC §901, §904(a)-(d): The credit for foreign taxes is limited, per
+ *   category (basket), to US tax × foreign taxable income / taxable income;
+ *   unused taxes carry back 1 year and forward 10
+ * - IRC §904(j): With only passive income reported on payee statements
+ *   and no more than $300 ($600 joint) of tax, the credit can be claimed
+ *   without Form 1116 or the limit (and without carryovers)
+ *
+ * IRS REFERENCE:
+ * - Form 2555, Parts VI-VII (Lines 27-45)
+ * - Form 1040 Instructions, Foreign Earned Income Tax Worksheet (the
+ *   stacking itself is in calculateTax.js)
+ * - Form 1116, Parts I-IV, and Instructions
+ * - Publication 54 - Tax Guide for U.S. Citizens and Resident Aliens Abroad
+ * - Publication 514 - Foreign Tax Credit for Individuals
+ *
+ * FORM FIELDS:
+ * - foreignEarnedIncome: foreign wages, added to total income apart from
+ *   the W-2 wages in form.totalWages
+ * - foreignTaxPaid: foreign income tax on the wages (general category)
+ * - foreignPassiveIncome / foreignPassiveTaxPaid: foreign interest and
+ *   dividends (already in Lines 2b/3b) and the tax withheld on them
+ * - meetsBonaFideResidence, meetsPhysicalPresence, daysOutsideUS: §911(d)(1)
+ * - foreignQualifyingDays: days of the year in the qualifying period
+ *   (the full year when not given)
+ * - foreignHousingExpenses / foreignHousingLimit: qualified housing expenses
+ *   and the location's annual limit from the Form 2555 Instructions
+ * - claimForeignEarnedIncomeExclusion: false to not claim the exclusion
+ * - foreignTaxDeMinimisElection: false to file Form 1116 anyway
+ * - foreignTaxCarryovers[]: { year, category, amount } - unused foreign
+ *   taxes. The returned `carryforward` uses the same shape so it can be
+ *   passed into next year's form.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+
+
+/**
+ * Amounts fixed by statute
+ */
+export const FOREIGN_INCOME = {
+    physicalPresenceDays: 330,        // §911(d)(1)(B)
+    housingBasePercent: 0.16,         // §911(c)(1)(B)
+    housingLimitPercent: 0.30,        // §911(c)(2)(A)
+    deMinimisLimit: 300,              // §904(j)(2)(B), doubled on a joint return
+    carryforwardYears: 10,            // §904(c)
+    categories: ['general', 'passive'],
+};
+
+const amount = (value) => parseFloat(value) || 0;
+
+const daysInYear = (year) => (year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0) ? 366 : 365);
+
+
+/**
+ * Whether the taxpayer meets the bona fide residence or physical presence test
+ *
+ * @param {Object} form - Tax form data
+ * @returns {boolean}
+ */
+export function isQualifiedIndividual(form) {
+    return !!(form.meetsBonaFideResidence || form.meetsPhysicalPresence ||
+        amount(form.daysOutsideUS) >= FOREIGN_INCOME.physicalPresenceDays);
+}
+
+
+/**
+ * Foreign earned income and housing exclusions (Form 2555)
+ *
+ * LEGAL AUTHORITY: IRC §911(a)-(d)
+ * IRS REFERENCE: Form 2555 Parts VI-VII
+ *
+ * Foreign wages are employer-provided amounts, so the housing exclusion is
+ * taken first (Line 36) and the earned income exclusion from what's left
+ * (Line 42).
+ *
+ * @param {Object} form - Tax form data
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - `totalExclusion` (Line 45) goes on Schedule 1 Line 8d
+ *   as a negative amount
+ */
+export function calculateForeignEarnedIncomeExclusion(form, taxYear) {
+    const { taxYear: year, feieLimit } = getTaxParameters(taxYear ?? form.taxYear);
+    const foreignEarnedIncome = Math.max(0, amount(form.foreignEarnedIncome));                         // Line 27
+    const qualified = isQualifiedIndividual(form);
+    const claimed = qualified && foreignEarnedIncome > 0 && form.claimForeignEarnedIncomeExclusion !== false;
+
+    const yearDays = daysInYear(year);
+    const qualifyingDays = Math.min(yearDays, amount(form.foreignQualifyingDays) || yearDays);         // Lines 31, 38
+    const proration = qualifyingDays / yearDays;
+
+    // Part VI: housing exclusion
+    const housingExpenses = amount(form.foreignHousingExpenses);                                       // Line 28
+    const housingLimit = (amount(form.foreignHousingLimit) || feieLimit * FOREIGN_INCOME.housingLimitPercent) * proration; // Line 29b
+    const housingBase = feieLimit * FOREIGN_INCOME.housingBasePercent * proration;                     // Line 32
+    const housingAmount = Math.max(0, Math.min(housingExpenses, housingLimit) - housingBase);           // Line 33
+    const housingExclusion = claimed ? Math.min(housingAmount, foreignEarnedIncome) : 0;               // Line 36
+
+    // Part VII: foreign earned income exclusion
+    const exclusionLimit = feieLimit * proration;                                                      // Line 40
+    const earnedIncomeExclusion = claimed
+        ? Math.min(exclusionLimit, foreignEarnedIncome - housingExclusion)                             // Line 42
+        : 0;
+
+    return {
+        form: 'Form 2555',
+        qualified,
+        claimed,
+        foreignEarnedIncome,
+        qualifyingDays,
+        housingExpenses,
+        housingLimit,
+        housingBase,
+        housingAmount,
+        housingExclusion,
+        exclusionLimit,
+        earnedIncomeExclusion,
+        totalExclusion: housingExclusion + earnedIncomeExclusion,                                     // Lines 43-45
+    };
+}
+
+
+/**
+ * Foreign tax credit (Form 1116) by category
+ *
+ * LEGAL AUTHORITY: IRC §901, §904, §911(d)(6)
+ * IRS REFERENCE: Form 1116 Parts I-IV; Publication 514
+ *
+ * General category: foreign wages not excluded, with the foreign tax on
+ * them (the part on excluded income is disallowed). Passive category:
+ * foreign interest and dividends. The deduction is apportioned to each
+ * category by its share of gross income (Lines 3a-3g). Current-year taxes
+ * are used before carryovers, and carryovers oldest first.
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.taxableIncome - Form 1040 Line 15 (Form 1116 Line 18)
+ * @param {number} context.tax - Form 1040 Line 16 (Form 1116 Line 20)
+ * @param {number} context.grossIncome - Gross income from all sources (Line 3f)
+ * @param {number} [context.deduction] - Standard or itemized deduction (Line 3a)
+ * @param {Object} [context.exclusion] - calculateForeignEarnedIncomeExclusion() result
+ * @param {string} [context.filingStatus] - Filing status
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - `credit` goes on Schedule 3 Line 1; `carryforward`
+ *   holds next year's form.foreignTaxCarryovers
+ */
+export function calculateForeignTaxCredit(form, context) {
+    const { taxYear } = getTaxParameters(context.taxYear ?? form.taxYear);
+    const tax = Math.max(0, amount(context.tax));
+    const taxableIncome = Math.max(0, amount(context.taxableIncome));
+    const exclusion = context.exclusion?.totalExclusion || 0;
+
+    const foreignEarnedIncome = Math.max(0, amount(form.foreignEarnedIncome));
+    const excludedShare = foreignEarnedIncome > 0 ? Math.min(1, exclusion / foreignEarnedIncome) : 0;
+    const disallowedTax = amount(form.foreignTaxPaid) * excludedShare;
+    const income = {
+        general: foreignEarnedIncome - exclusion,
+        passive: Math.max(0, amount(form.foreignPassiveIncome)),
+    };
+    const taxPaid = {
+        general: amount(form.foreignTaxPaid) - disallowedTax,
+        passive: amount(form.foreignPassiveTaxPaid),
+    };
+    const totalTaxPaid = taxPaid.general + taxPaid.passive;
+
+    // §904(j) de minimis election: no Form 1116, no limit, no carryovers
+    const deMinimisLimit = FOREIGN_INCOME.deMinimisLimit * (context.filingStatus === 'married' ? 2 : 1);
+    if (income.general <= 0 && taxPaid.general <= 0 && totalTaxPaid > 0 && totalTaxPaid <= deMinimisLimit &&
+        form.foreignTaxDeMinimisElection !== false) {
+        const credit = Math.min(totalTaxPaid, tax);
+        return {
+            form: null,
+            deMinimis: true,
+            disallowedTax,
+            categories: {},
+            credit,
+            carryforward: { foreignTaxCarryovers: [] },
+        };
+    }
+
+    const carryovers = (form.foreignTaxCarryovers || [])
+        .map(carryover => ({
+            year: parseInt(carryover.year, 10),
+            category: carryover.category === 'passive' ? 'passive' : 'general',
+            amount: Math.abs(amount(carryover.amount)),
+        }))
+        .filter(carryover => carryover.amount > 0 && carryover.year < taxYear)
+        .sort((a, b) => a.year - b.year);
+    const isExpired = (carryover) => taxYear > carryover.year + FOREIGN_INCOME.carryforwardYears;
+
+    const grossIncome = Math.max(amount(context.grossIncome), income.general + income.passive);
+    const deduction = amount(context.deduction);
+    const carryforward = [];
+    const categories = {};
+    FOREIGN_INCOME.categories.forEach(category => {
+        const basketCarryovers = carryovers.filter(carryover => carryover.category === category);
+        const available = basketCarryovers.filter(carryover => !isExpired(carryover));
+        const expired = basketCarryovers.filter(isExpired).reduce((total, carryover) => total + carryover.amount, 0);
+        const carryover = available.reduce((total, entry) => total + entry.amount, 0);                // Line 10
+        if (income[category] <= 0 && taxPaid[category] <= 0 && carryover <= 0) return;
+
+        const apportionedDeduction = grossIncome > 0 ? deduction * income[category] / grossIncome : 0; // Line 6
+        const foreignTaxableIncome = Math.max(0, income[category] - apportionedDeduction);            // Lines 7, 17
+        const fraction = taxableIncome > 0 ? Math.min(1, foreignTaxableIncome / taxableIncome) : 0;   // Line 19
+        const limit = tax * fraction;                                                                  // Line 21
+        const taxesAvailable = taxPaid[category] + carryover;                                          // Line 14
+        const credit = Math.min(taxesAvailable, limit);                                                // Line 24
+
+        // This year's taxes first, then carryovers oldest first
+        const currentUsed = Math.min(Math.max(0, taxPaid[category]), credit);
+        const currentUnused = Math.max(0, taxPaid[category] - currentUsed);
+        let carryoverUsed = credit - currentUsed;
+        available.forEach(entry => {
+            const used = Math.min(entry.amount, carryoverUsed);
+            carryoverUsed -= used;
+            if (entry.amount > used) carryforward.push({ year: entry.year, category, amount: entry.amount - used });
+        });
+        if (currentUnused > 0) carryforward.push({ year: taxYear, category, amount: currentUnused });
+
+        categories[category] = {
+            grossIncome: income[category],
+            apportionedDeduction,
+            foreignTaxableIncome,
+            fraction,
+            limit,
+            taxPaid: taxPaid[category],
+            carryover,
+            expired,
+            credit,
+        };
+    });
+
+    const credit = Math.min(tax, Object.values(categories).reduce((total, basket) => total + basket.credit, 0)); // Line 35
+
+    return {
+        form: Object.keys(categories).length > 0 ? 'Form 1116' : null,
+        deMinimis: false,
+        disallowedTax,
+        categories,
+        credit,
+        carryforward: { foreignTaxCarryovers: carryforward.sort((a, b) => a.year - b.year) },
+    };
+}
+
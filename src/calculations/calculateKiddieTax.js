@@ -0,0 +1,399 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORMS 8615 / 8814: KIDDIE TAX
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §1(g): A child's net unearned income is taxed at the parent's rate
+ *   if the child is under 18, 18 with earned income of no more than half
+ *   their support, or a full-time student under 24 with the same
+ * - IRC §1(g)(4): Net unearned income is unearned income over twice the
+ *   §63(c)(5) dependent standard deduction ($2,700 for 2025)
+ * - IRC §1(g)(7): The parent can elect to report a child's interest and
+ *   dividends of less than 10 times that amount ($13,500 for 2025); the
+ *   child then doesn't file
+ * - IRC §63(c)(5): A dependent's standard deduction is the larger of
+ *   $1,350 or earned income + $450 (2025), not more than the regular amount
+ *
+ * IRS REFERENCE:
+ * - Form 8615 and Instructions (Tax for Certain Children Who Have
+ *   Unearned Income)
+ * - Form 8814 and Instructions (Parents' Election To Report Child's
+ *   Interest and Dividends)
+ * - Publication 929 - Tax Rules for Children and Dependents
+ *
+ * FORM 8615 FLOW (the child's return):
+ * Line 1-5:   Net unearned income - unearned income over $2,700, not more
+ *             than the child's taxable income
+ * Line 6-11:  Tax on the parent's taxable income with every child's net
+ *             unearned income added, less the parent's own tax
+ * Line 12-13: This child's share of that tax
+ * Line 14-16: Plus tax on the rest of the child's income at the child's rates
+ * Line 17-18: The larger of Line 16 or the child's tax figured normally
+ *             → child's Form 1040 Line 16
+ *
+ * FORM 8814 FLOW (the parent's return):
+ * Line 4:     Child's interest, ordinary dividends and capital gain
+ *             distributions
+ * Line 6:     Over $2,700 → parent's income: qualified dividends (Line 9,
+ *             Form 1040 Line 3a), capital gain distributions (Line 10,
+ *             Schedule D Line 13) and the rest (Line 12, Schedule 1 Line 8z)
+ * Line 15:    10% of the amount between $1,350 and $2,700 → Form 1040 Line 16
+ *
+ * FORM FIELDS:
+ * - form.dependents[].childReturn: the child's own return fields
+ *   (taxableInterest, taxExemptInterest, ordinaryDividends,
+ *   qualifiedDividends, capitalGainDistributions, totalWages, scheduleD,
+ *   totalWithholding, estimatedTaxPayments, ...)
+ * - form.dependents[].form8814: true when the parent elects to report the
+ *   child's interest and dividends
+ * - form.dependents[]: age / birthDate, student, earnedIncomeOverHalfSupport
+ * - On a child's return: form.canBeClaimedAsDependent and form.form8615
+ *   { parentFilingStatus, parentTaxableIncome, parentQualifiedIncome,
+ *   parentTax, otherChildrenNetUnearnedIncome, directlyConnectedDeductions }
+ *   (calculateChildReturns fills these in from the parent's return)
+ *
+ * Not modeled: which parent's return is used when the parents don't file
+ * jointly, the child's §59(j) AMT exemption and the other children's
+ * qualified dividends on Form 8615 Line 9 (taxed as ordinary there).
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getAgeAtYearEnd } from './taxYearParameters.js';
+import { calculateBracketTax, calculateCapitalGainsTax, calculateTotalTax } from './calculateTax.js';
+
+
+/**
+ * Kiddie tax amounts that are fixed by statute
+ */
+export const KIDDIE_TAX = {
+    ageLimit: 18,               // §1(g)(2)(A): under 18 at year end
+    supportTestAge: 18,         // Age 18 unless earned income is over half of support
+    studentAgeLimit: 24,        // §1(g)(2)(A)(ii)(II): full-time students under 24
+    form8814AgeLimit: 19,       // §1(g)(7)(A)(i): under 19, or a student under 24
+    form8814Rate: 0.10,         // §1(g)(7)(B)(ii)
+};
+
+/**
+ * Income that makes a child ineligible for the Form 8814 election
+ */
+const FORM_8814_OTHER_INCOME_FIELDS = [
+    'totalWages', 'scheduleC', 'scheduleD', 'scheduleE', 'capitalGainLoss',
+    'taxableIra', 'taxablePensions', 'otherIncome',
+];
+
+
+/**
+ * Kiddie tax thresholds for a tax year
+ *
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - { baseAmount ($1,350), threshold (twice it, Form 8615
+ *   Line 2 / Form 8814 Line 5), form8814Limit (10 times it), form8814MaxTax }
+ */
+export function getKiddieTaxAmounts(taxYear) {
+    const baseAmount = getTaxParameters(taxYear).dependentStandardDeduction.minimum;
+    return {
+        baseAmount,
+        threshold: 2 * baseAmount,
+        form8814Limit: 10 * baseAmount,
+        form8814MaxTax: KIDDIE_TAX.form8814Rate * baseAmount,
+    };
+}
+
+
+/**
+ * Whether a child's unearned income is taxed at the parent's rate (§1(g)(2))
+ *
+ * @param {Object} child - A dependent or a child's form: age / birthDate,
+ *   student, earnedIncomeOverHalfSupport
+ * @param {number} [taxYear] - Tax year
+ * @returns {boolean}
+ */
+export function isSubjectToKiddieTax(child, taxYear) {
+    const age = getAgeAtYearEnd(child.birthDate, child.age, getTaxParameters(taxYear ?? child.taxYear).taxYear);
+    if (age === null || age < KIDDIE_TAX.ageLimit) return true;
+    if (child.earnedIncomeOverHalfSupport) return false;
+    return age === KIDDIE_TAX.supportTestAge || (!!child.student && age < KIDDIE_TAX.studentAgeLimit);
+}
+
+
+/**
+ * Tax on taxable income with qualified dividends and net capital gain at
+ * the 0%/15%/20% rates (Qualified Dividends and Capital Gain Tax Worksheet)
+ */
+function taxOnIncome(taxableIncome, qualifiedIncome, filingStatus, taxYear) {
+    const params = getTaxParameters(taxYear);
+    const income = Math.max(0, taxableIncome);
+    const qualified = Math.min(Math.max(0, qualifiedIncome), income);
+    const ordinary = income - qualified;
+    const brackets = params.brackets[filingStatus] || params.brackets.single;
+    return calculateBracketTax(ordinary, brackets) +
+        calculateCapitalGainsTax(ordinary, qualified, filingStatus, params.taxYear);
+}
+
+
+/**
+ * Tax on a child's net unearned income at the parent's rate (Form 8615)
+ *
+ * LEGAL AUTHORITY: IRC §1(g)
+ * IRS REFERENCE: Form 8615
+ *
+ * @param {Object} child - The child's amounts
+ * @param {number} child.unearnedIncome - Line 1
+ * @param {number} child.taxableIncome - Line 4
+ * @param {number} [child.qualifiedIncome] - Qualified dividends and net capital gain
+ * @param {string} [child.filingStatus] - The child's filing status
+ * @param {boolean} [child.itemized] - The child itemizes
+ * @param {number} [child.directlyConnectedDeductions] - Itemized deductions
+ *   for producing the unearned income (Line 2 when itemizing)
+ * @param {Object} parent - The parent's amounts
+ * @param {string} parent.filingStatus - Parent's filing status
+ * @param {number} parent.taxableIncome - Line 6
+ * @param {number} [parent.qualifiedIncome] - Parent's qualified dividends and net capital gain
+ * @param {number} [parent.tax] - Parent's Form 1040 Line 16 tax (Line 10;
+ *   figured from Line 6 like Line 9 when not given)
+ * @param {number} [parent.otherChildrenNetUnearnedIncome] - Line 7
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - Form 8615 lines; `tax` is Line 18 and
+ *   `additionalTax` what it adds to the child's tax at the child's rates
+ */
+export function calculateForm8615(child, parent, taxYear) {
+    const year = getTaxParameters(taxYear).taxYear;
+    const { baseAmount, threshold } = getKiddieTaxAmounts(year);
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+    const childStatus = child.filingStatus || 'single';
+
+    const unearnedIncome = amount(child.unearnedIncome);                                               // Line 1
+    const allowance = child.itemized
+        ? Math.max(threshold, baseAmount + amount(child.directlyConnectedDeductions))
+        : threshold;                                                                                    // Line 2
+    const excessUnearnedIncome = Math.max(0, unearnedIncome - allowance);                              // Line 3
+    const taxableIncome = amount(child.taxableIncome);                                                 // Line 4
+    const netUnearnedIncome = Math.min(excessUnearnedIncome, taxableIncome);                           // Line 5
+    const qualifiedIncome = Math.min(amount(child.qualifiedIncome), taxableIncome);
+
+    // Line 17: the child's tax figured the usual way
+    const childTax = taxOnIncome(taxableIncome, qualifiedIncome, childStatus, year);
+
+    // Qualified dividends and capital gain in net unearned income, in proportion to Line 1
+    const qualifiedInNetUnearned = unearnedIncome > 0
+        ? Math.min(netUnearnedIncome, qualifiedIncome * netUnearnedIncome / unearnedIncome)
+        : 0;
+
+    const parentTaxableIncome = amount(parent.taxableIncome);                                          // Line 6
+    const otherChildrenNetUnearnedIncome = amount(parent.otherChildrenNetUnearnedIncome);              // Line 7
+    const combinedIncome = parentTaxableIncome + netUnearnedIncome + otherChildrenNetUnearnedIncome;   // Line 8
+    const parentQualifiedIncome = amount(parent.qualifiedIncome);
+    const combinedTax = taxOnIncome(
+        combinedIncome, parentQualifiedIncome + qualifiedInNetUnearned, parent.filingStatus, year
+    );                                                                                                  // Line 9
+    const parentTax = parent.tax !== undefined
+        ? amount(parent.tax)
+        : taxOnIncome(parentTaxableIncome, parentQualifiedIncome, parent.filingStatus, year);          // Line 10
+    const tentativeTax = Math.max(0, combinedTax - parentTax);                                         // Line 11
+    const allNetUnearnedIncome = netUnearnedIncome + otherChildrenNetUnearnedIncome;                   // Line 12a
+    const share = allNetUnearnedIncome > 0 ? netUnearnedIncome / allNetUnearnedIncome : 0;             // Line 12b
+    const childShare = tentativeTax * share;                                                           // Line 13
+
+    const otherIncome = taxableIncome - netUnearnedIncome;                                             // Line 14
+    const otherIncomeTax = taxOnIncome(
+        otherIncome, qualifiedIncome - qualifiedInNetUnearned, childStatus, year
+    );                                                                                                  // Line 15
+    const kiddieTax = childShare + otherIncomeTax;                                                     // Line 16
+    const tax = netUnearnedIncome > 0 ? Math.max(kiddieTax, childTax) : childTax;                      // Line 18
+
+    return {
+        form: 'Form 8615',
+        unearnedIncome,
+        allowance,
+        taxableIncome,
+        netUnearnedIncome,
+        parentTaxableIncome,
+        otherChildrenNetUnearnedIncome,
+        combinedIncome,
+        combinedTax,
+        parentTax,
+        tentativeTax,
+        share,
+        childShare,
+        otherIncomeTax,
+        childTax,
+        tax,
+        additionalTax: tax - childTax,
+    };
+}
+
+
+/**
+ * Parent's election to report a child's interest and dividends (Form 8814)
+ *
+ * LEGAL AUTHORITY: IRC §1(g)(7)
+ * IRS REFERENCE: Form 8814
+ *
+ * @param {Object} dependent - A form.dependents[] entry with `childReturn`
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - Form 8814 lines; `eligible` is false (with `reasons`)
+ *   when the child must file their own return
+ */
+export function calculateForm8814(dependent, taxYear) {
+    const year = getTaxParameters(taxYear).taxYear;
+    const { baseAmount, threshold, form8814Limit } = getKiddieTaxAmounts(year);
+    const child = dependent.childReturn || {};
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+
+    const interest = amount(child.taxableInterest);                                                    // Line 1a
+    const taxExemptInterest = amount(child.taxExemptInterest);                                         // Line 1b
+    const ordinaryDividends = amount(child.ordinaryDividends);                                         // Line 2a
+    const qualifiedDividends = Math.min(amount(child.qualifiedDividends), ordinaryDividends);          // Line 2b
+    const capitalGainDistributions = amount(child.capitalGainDistributions);                           // Line 3
+    const grossIncome = interest + ordinaryDividends + capitalGainDistributions;                       // Line 4
+
+    const age = getAgeAtYearEnd(dependent.birthDate, dependent.age, year);
+    const reasons = [];
+    if (age !== null && age >= KIDDIE_TAX.form8814AgeLimit && !(dependent.student && age < KIDDIE_TAX.studentAgeLimit)) {
+        reasons.push(`Age ${age} at year end (must be under 19, or a full-time student under 24)`);
+    }
+    if (FORM_8814_OTHER_INCOME_FIELDS.some(field => child[field])) {
+        reasons.push('Income other than interest, dividends and capital gain distributions');
+    }
+    if (grossIncome >= form8814Limit) {
+        reasons.push(`Interest and dividends of $${grossIncome.toLocaleString()} (must be under $${form8814Limit.toLocaleString()})`);
+    }
+    if (amount(child.totalWithholding) > 0 || amount(child.estimatedTaxPayments) > 0 || amount(child.amountAppliedFromPriorYear) > 0) {
+        reasons.push('Federal income tax withheld or estimated tax paid in the child\'s name');
+    }
+    if (child.filingStatus === 'married') reasons.push('Child files a joint return');
+
+    const includedIncome = Math.max(0, grossIncome - threshold);                                       // Line 6
+    const includedQualifiedDividends = grossIncome > 0
+        ? includedIncome * qualifiedDividends / grossIncome
+        : 0;                                                                                            // Line 9
+    const includedCapitalGainDistributions = grossIncome > 0
+        ? includedIncome * capitalGainDistributions / grossIncome
+        : 0;                                                                                            // Line 10
+    const includedOtherIncome = includedIncome - includedQualifiedDividends - includedCapitalGainDistributions;  // Line 12
+
+    const untaxed = Math.min(grossIncome, baseAmount);                                                 // Line 13
+    const tax = KIDDIE_TAX.form8814Rate * Math.min(grossIncome - untaxed, threshold - baseAmount);     // Line 15
+
+    return {
+        form: 'Form 8814',
+        name: dependent.name || dependent.firstName || 'Child',
+        eligible: reasons.length === 0,
+        reasons,
+        interest,
+        taxExemptInterest,
+        ordinaryDividends,
+        qualifiedDividends,
+        capitalGainDistributions,
+        grossIncome,
+        includedIncome,
+        includedQualifiedDividends,
+        includedCapitalGainDistributions,
+        includedOtherIncome,
+        tax,
+    };
+}
+
+
+/**
+ * Form 8814 elections the parent's return can make: dependents with
+ * form8814: true that qualify
+ *
+ * @param {Object} form - The parent's form
+ * @param {number} [taxYear] - Tax year (defaults to form.taxYear)
+ * @returns {Array} - calculateForm8814 results
+ */
+export function getForm8814Elections(form, taxYear) {
+    const year = taxYear ?? form.taxYear;
+    return (form.dependents || [])
+        .filter(dependent => dependent.form8814 && dependent.childReturn)
+        .map(dependent => calculateForm8814(dependent, year))
+        .filter(election => election.eligible);
+}
+
+
+/**
+ * A child's own return, with the parent's amounts for Form 8615
+ */
+function childReturnForm(dependent, form, parentResult, otherChildrenNetUnearnedIncome) {
+    const child = dependent.childReturn;
+    const capitalGainDistributions = parseFloat(child.capitalGainDistributions) || 0;
+    const scheduleD = capitalGainDistributions
+        ? { ...child.scheduleD, longTermGain: (parseFloat((child.scheduleD || {}).longTermGain) || 0) + capitalGainDistributions }
+        : child.scheduleD;
+
+    return {
+        filingStatus: 'single',
+        ...child,
+        ...(scheduleD ? { hasScheduleD: true, scheduleD } : {}),
+        taxYear: parentResult.taxYear,
+        age: dependent.age,
+        birthDate: dependent.birthDate,
+        student: dependent.student,
+        earnedIncomeOverHalfSupport: dependent.earnedIncomeOverHalfSupport,
+        canBeClaimedAsDependent: true,
+        form8615: {
+            parentFilingStatus: form.filingStatus || 'single',
+            parentTaxableIncome: parentResult.taxableIncome,
+            parentQualifiedIncome: parentResult.qualifiedIncome,
+            otherChildrenNetUnearnedIncome,
+            directlyConnectedDeductions: child.directlyConnectedDeductions,
+        },
+    };
+}
+
+
+/**
+ * The children's own returns
+ *
+ * Each dependent with a `childReturn` either files (with Form 8615 at the
+ * parent's rates when the kiddie tax applies) or, with a valid form8814
+ * election, is reported on the parent's return. Form 8615 Line 7 adds the
+ * other children's net unearned income, so the returns are figured twice
+ * when more than one child has it.
+ *
+ * @param {Object} form - The parent's form
+ * @param {Object} [parentResult] - calculateTotalTax(form)
+ * @returns {Array} - [{ name, form8814, reportedOnParentReturn, result,
+ *   kiddieTax, tax }]; `result` is the child's calculateTotalTax() result
+ *   (null when reported on the parent's return) and `tax` its final tax
+ */
+export function calculateChildReturns(form, parentResult = calculateTotalTax(form)) {
+    const children = (form.dependents || [])
+        .map((dependent, index) => ({ dependent, index }))
+        .filter(({ dependent }) => dependent.childReturn);
+
+    const entries = children.map(({ dependent, index }) => {
+        const form8814 = calculateForm8814(dependent, parentResult.taxYear);
+        const reportedOnParentReturn = !!dependent.form8814 && form8814.eligible;
+        return {
+            name: dependent.name || dependent.firstName || `Dependent #${index + 1}`,
+            dependent,
+            form8814,
+            reportedOnParentReturn,
+            result: reportedOnParentReturn
+                ? null
+                : calculateTotalTax(childReturnForm(dependent, form, parentResult, 0)),
+        };
+    });
+
+    const netUnearned = (entry) => (entry.result && entry.result.kiddieTaxDetails
+        ? entry.result.kiddieTaxDetails.netUnearnedIncome
+        : 0);
+    const totalNetUnearned = entries.reduce((total, entry) => total + netUnearned(entry), 0);
+
+    return entries.map(({ dependent, ...entry }) => {
+        const others = totalNetUnearned - netUnearned(entry);
+        const result = others > 0 && netUnearned(entry) > 0
+            ? calculateTotalTax(childReturnForm(dependent, form, parentResult, others))
+            : entry.result;
+        return {
+            ...entry,
+            result,
+            kiddieTax: result ? result.kiddieTax : 0,
+            tax: result ? result.finalTax : 0,
+        };
+    });
+}
@@ -0,0 +1,107 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - MARGINAL TAX RATE
+ * ============================================================================
+ *
+ * The tax on the next (or last) dollars of income, measured rather than
+ * looked up: the return is figured again with the income changed and the
+ * difference in tax is divided by the change. That picks up everything the
+ * engine does on the way - the filing status's brackets, the Social
+ * Security "tax torpedo", credit and deduction phase-outs, the premium tax
+ * credit, NIIT, Additional Medicare tax, self-employment tax, the AMT and
+ * the state return (form.state).
+ *
+ * HOW IT WORKS:
+ *   rate = (tax with the change - tax without it) / change
+ *
+ * The default change is $1,000 less income, the way a deduction works.
+ * Phase-outs that move in steps (the child tax credit loses $50 per $1,000,
+ * EITC tables use $50 rows) average out over a $1,000 step; a $1 step would
+ * report 0% or 5,000%.
+ *
+ * INCOME TYPES:
+ * - ordinary: Schedule 1 Line 8z other income (no SE tax, not earned income)
+ * - selfEmployment: Schedule C net profit, so SE tax and the QBI deduction
+ *   move with it
+ *
+ * ============================================================================
+ */
+
+import { calculateTotalTax } from './calculateTax.js';
+
+
+/**
+ * Default change in income ($1,000 of deduction)
+ */
+export const MARGINAL_RATE_STEP = -1000;
+
+const amount = (value) => parseFloat(value) || 0;
+
+// Federal tax after credits (Form 1040 Line 24 less refundable credits) and state tax
+const federalTax = (result) => result.finalTax;
+const stateTax = (result) => result.stateReturn?.finalTax || 0;
+
+
+/**
+ * The form with `change` more income of the given type
+ */
+function changeIncome(form, income, change) {
+    if (income === 'selfEmployment') {
+        const scheduleC = form.hasScheduleC && form.scheduleC ? form.scheduleC : {};
+        const netProfit = scheduleC.netProfit !== undefined
+            ? amount(scheduleC.netProfit)
+            : amount(scheduleC.grossReceipts) - amount(scheduleC.expenses);
+        return { ...form, hasScheduleC: true, scheduleC: { ...scheduleC, netProfit: netProfit + change } };
+    }
+    return { ...form, otherIncome: amount(form.otherIncome) + change };
+}
+
+
+/**
+ * Federal, state and combined marginal rates
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} [options]
+ * @param {number} [options.change] - Change in income (negative for a
+ *   deduction); defaults to MARGINAL_RATE_STEP
+ * @param {string} [options.income] - 'ordinary' (default) or 'selfEmployment'
+ * @param {Object} [options.baseline] - calculateTotalTax(form) result, when
+ *   the caller already has it
+ * @returns {Object} - { federal, state, combined } rates and the taxes they
+ *   were measured from
+ */
+export function calculateMarginalRate(form, options = {}) {
+    const change = options.change || MARGINAL_RATE_STEP;
+    const income = options.income === 'selfEmployment' ? 'selfEmployment' : 'ordinary';
+
+    const before = options.baseline || calculateTotalTax(form);
+    const after = calculateTotalTax(changeIncome(form, income, change));
+
+    const rate = (taxChange) => taxChange / change || 0;
+    const federal = rate(federalTax(after) - federalTax(before));
+    const state = rate(stateTax(after) - stateTax(before));
+
+    return {
+        income,
+        change,
+        federalTaxBefore: federalTax(before),
+        federalTaxAfter: federalTax(after),
+        stateTaxBefore: stateTax(before),
+        stateTaxAfter: stateTax(after),
+        federal,
+        state,
+        combined: federal + state,
+    };
+}
+
+
+/**
+ * Combined federal and state marginal rate, for savings estimates
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} [options] - See calculateMarginalRate()
+ * @returns {number}
+ */
+export function getMarginalRate(form, options) {
+    return calculateMarginalRate(form, options).combined;
+}
@@ -0,0 +1,203 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - NET OPERATING LOSSES (FORM 172) AND EXCESS BUSINESS LOSSES (FORM 461)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §461(l): Business losses over business income plus a threshold
+ *   ($313,000, $626,000 joint, for 2025) aren't allowed this year; the
+ *   excess is treated as a net operating loss carryforward
+ * - IRC §172(c)-(d): A net operating loss is figured without nonbusiness
+ *   deductions (beyond nonbusiness income), nonbusiness capital losses,
+ *   the NOL deduction itself or the §199A QBI deduction
+ * - IRC §172(a)(2): Losses from 2018 on offset only 80% of taxable income
+ *   figured without the NOL and QBI deductions; earlier losses offset 100%
+ * - IRC §172(b)(1)(A): Losses from 2021 on carry forward indefinitely
+ *   (farming losses aside, no carryback); pre-2018 losses expire after
+ *   20 years
+ *
+ * IRS REFERENCE:
+ * - Form 461, Limitation on Business Losses (Line 9 total, Line 16 excess)
+ * - Form 172, Net Operating Losses (NOLs) for Individuals, Estates, and Trusts
+ * - Publication 536 - NOLs for Individuals, Estates, and Trusts
+ *
+ * FLOW:
+ * 1. Form 461: the excess business loss goes back into income on
+ *    Schedule 1 Line 8p
+ * 2. NOL deduction: carryforwards (oldest first) → Schedule 1 Line 8a as a
+ *    negative amount
+ * 3. Form 172: a negative taxable income, adjusted, is this year's NOL
+ * 4. carryforward.nolCarryforwards: unused vintages plus this year's NOL
+ *    and excess business loss, in the form.nolCarryforwards shape
+ *
+ * FORM FIELDS:
+ * - form.nolCarryforwards[]: { year, amount } - unused NOLs by the year
+ *   they arose. The returned `carryforward` uses the same shape so it can
+ *   be passed into next year's form.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+
+
+/**
+ * §172 limits on the NOL deduction
+ */
+export const NOL_LIMITS = {
+    taxableIncomePercent: 0.80,       // §172(a)(2)(B)(ii), losses from 2018 on
+    firstLimitedYear: 2018,           // TCJA §13302
+    preTcjaCarryforwardYears: 20,     // §172(b)(1)(A)(ii) before TCJA
+};
+
+const amount = (value) => parseFloat(value) || 0;
+
+
+/**
+ * Excess business loss (Form 461)
+ *
+ * LEGAL AUTHORITY: IRC §461(l)
+ * IRS REFERENCE: Form 461 Lines 9, 15-16
+ *
+ * Business income is Schedule C, Schedule E, Form 4797 and K-1 trade or
+ * business income or loss; wages aren't business income for this limit
+ * (§461(l)(3)(A) as amended by ARPA §9041).
+ *
+ * @param {number} businessIncome - Net income or loss from all trades or businesses
+ * @param {Object} [context] - { filingStatus, taxYear }
+ * @returns {Object} - { businessIncome, threshold, excessBusinessLoss }
+ */
+export function calculateExcessBusinessLoss(businessIncome, context = {}) {
+    const { excessBusinessLoss: thresholds } = getTaxParameters(context.taxYear);
+    const threshold = context.filingStatus === 'married' ? thresholds.married : thresholds.single;     // Line 15
+    const netBusinessIncome = amount(businessIncome);                                                  // Line 9
+
+    return {
+        form: 'Form 461',
+        businessIncome: netBusinessIncome,
+        threshold,
+        excessBusinessLoss: Math.max(0, -netBusinessIncome - threshold),                              // Line 16
+    };
+}
+
+
+/**
+ * NOL deduction from prior-year carryforwards
+ *
+ * LEGAL AUTHORITY: IRC §172(a)-(b)
+ * IRS REFERENCE: Publication 536, "How To Figure an NOL Carryover"
+ *
+ * Losses are used oldest first (§172(b)(2)). Pre-2018 losses offset taxable
+ * income in full; later losses offset 80% of what's left after them.
+ *
+ * @param {Object[]} carryforwards - { year, amount } NOLs not yet used
+ * @param {Object} context - Engine amounts
+ * @param {number} context.taxableIncome - Taxable income without the NOL and QBI deductions
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - `deduction` goes on Schedule 1 Line 8a; `remaining`
+ *   lists the vintages left to carry forward
+ */
+export function calculateNOLDeduction(carryforwards, context = {}) {
+    const { taxYear } = getTaxParameters(context.taxYear);
+    const vintages = (carryforwards || [])
+        .map(loss => ({ year: parseInt(loss.year, 10), amount: Math.abs(amount(loss.amount)) }))
+        .filter(loss => loss.amount > 0 && loss.year < taxYear)
+        .sort((a, b) => a.year - b.year);
+
+    const isExpired = (loss) => loss.year < NOL_LIMITS.firstLimitedYear &&
+        taxYear > loss.year + NOL_LIMITS.preTcjaCarryforwardYears;
+    const expired = vintages.filter(isExpired).reduce((total, loss) => total + loss.amount, 0);
+    const available = vintages.filter(loss => !isExpired(loss));
+
+    let incomeLeft = Math.max(0, amount(context.taxableIncome));
+    let limit = null;
+    const used = [];
+    const remaining = [];
+    available.forEach(loss => {
+        let deducted;
+        if (loss.year < NOL_LIMITS.firstLimitedYear) {
+            deducted = Math.min(loss.amount, incomeLeft);
+            incomeLeft -= deducted;
+        } else {
+            // 80% of taxable income after any pre-2018 losses
+            if (limit === null) {
+                limit = incomeLeft * NOL_LIMITS.taxableIncomePercent;
+                incomeLeft = limit;
+            }
+            deducted = Math.min(loss.amount, incomeLeft);
+            incomeLeft -= deducted;
+        }
+        if (deducted > 0) used.push({ year: loss.year, amount: deducted });
+        if (loss.amount > deducted) remaining.push({ year: loss.year, amount: loss.amount - deducted });
+    });
+
+    return {
+        taxableIncome: Math.max(0, amount(context.taxableIncome)),
+        available: available.reduce((total, loss) => total + loss.amount, 0),
+        limit,
+        deduction: used.reduce((total, loss) => total + loss.amount, 0),
+        used,
+        remaining,
+        expired,
+    };
+}
+
+
+/**
+ * This year's net operating loss (Form 172, Part I) and the carryforward ledger
+ *
+ * LEGAL AUTHORITY: IRC §172(c)-(d), §461(l)(2)
+ * IRS REFERENCE: Form 172 Lines 1-10 and Instructions
+ *
+ * All capital gains and losses and all other income except wages and
+ * business income are treated as nonbusiness. The standard deduction and
+ * itemized deductions are nonbusiness deductions.
+ *
+ * @param {Object} amounts - Engine amounts
+ * @param {number} amounts.agi - Form 1040 Line 11
+ * @param {number} amounts.deduction - Form 1040 Line 12
+ * @param {number} [amounts.qbiDeduction] - Form 1040 Line 13
+ * @param {number} [amounts.capitalGainOrLoss] - Form 1040 Line 7
+ * @param {number} [amounts.nonbusinessIncome] - Interest, dividends, retirement income and other nonbusiness income
+ * @param {Object} [amounts.nolDeduction] - calculateNOLDeduction() result
+ * @param {number} [amounts.excessBusinessLoss] - Form 461 Line 16
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - Form 172 lines; `carryforward` holds next year's form.nolCarryforwards
+ */
+export function calculateNetOperatingLoss(amounts, taxYear) {
+    const { taxYear: year } = getTaxParameters(taxYear);
+    const nolDeduction = amounts.nolDeduction?.deduction || 0;
+    const qbiDeduction = amount(amounts.qbiDeduction);
+    const capitalGainOrLoss = amount(amounts.capitalGainOrLoss);
+    const deduction = amount(amounts.deduction);
+
+    const taxableIncome = amount(amounts.agi) - deduction - qbiDeduction;                             // Line 1
+    const capitalLossAddBack = Math.max(0, -capitalGainOrLoss);                                        // Line 4 (as deducted)
+    const capitalGainExcess = Math.max(0, capitalGainOrLoss);                                          // Line 5
+    const nonbusinessIncome = amount(amounts.nonbusinessIncome);                                       // Line 7
+    const nonbusinessDeductionAddBack = Math.max(0, deduction - (capitalGainExcess + nonbusinessIncome)); // Line 9
+
+    const netOperatingLoss = taxableIncome < 0
+        ? Math.max(0, -(taxableIncome + capitalLossAddBack + nonbusinessDeductionAddBack + nolDeduction + qbiDeduction))
+        : 0;
+    const excessBusinessLoss = amount(amounts.excessBusinessLoss);
+    const newLoss = netOperatingLoss + excessBusinessLoss;
+
+    return {
+        form: 'Form 172',
+        taxableIncome,
+        capitalLossAddBack,
+        nonbusinessIncome,
+        nonbusinessDeductionAddBack,
+        nolDeductionAddBack: nolDeduction,
+        qbiAddBack: qbiDeduction,
+        netOperatingLoss,
+        excessBusinessLoss,
+        carryforward: {
+            nolCarryforwards: [
+                ...(amounts.nolDeduction?.remaining || []),
+                ...(newLoss > 0 ? [{ year, amount: newLoss }] : []),
+            ],
+        },
+    };
+}
@@ -0,0 +1,276 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 8582: PASSIVE ACTIVITY LOSS LIMITATIONS
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §469(a), (d): Passive activity losses only offset passive income
+ * - IRC §469(b): Disallowed losses carry forward to the same activity
+ * - IRC §469(c)(2), (c)(7): Rentals are passive unless you are a real estate
+ *   professional who materially participates
+ * - IRC §469(g): A fully taxable disposition releases the activity's losses
+ * - IRC §469(h)(2): Limited partners generally don't materially participate
+ * - IRC §469(i): $25,000 special allowance for actively managed rental real
+ *   estate, reduced by 50% of MAGI over $100,000 (MFS living apart: $12,500
+ *   over $50,000; MFS living together: none)
+ * - Treas. Reg. §1.469-1T, §1.469-2T, §1.469-9
+ *
+ * IRS REFERENCE:
+ * - Form 8582 and Instructions (Worksheets 1-6)
+ * - Publication 925 - Passive Activity and At-Risk Rules
+ *
+ * FORM 8582 FLOW:
+ * 1. Part I: Net each activity's current income or loss and prior-year
+ *    unallowed loss. Line 1d: rentals with active participation; Line 3d:
+ *    all other passive activities; Line 4: combined
+ * 2. If Line 4 is not a loss, every passive loss is allowed
+ * 3. Part II (Lines 5-10): special allowance = smaller of the Line 1d loss,
+ *    the Line 4 loss, or 50% of ($150,000 - MAGI), at most $25,000
+ * 4. Line 16: losses allowed = passive income + special allowance
+ * 5. Allowed losses are spread across the loss activities (Worksheets 5-6);
+ *    whatever isn't allowed carries forward to the same activity
+ *
+ * Nonpassive activities (real estate professional rentals) and activities
+ * disposed of in a fully taxable transaction bypass the limit. A former
+ * passive activity's prior-year losses still only offset its own income
+ * (§469(f)).
+ *
+ * FORM FIELDS:
+ * - form.rentalActivities: [{ name, rentalIncome, rentalExpenses, netIncome,
+ *   activeParticipation, priorYearUnallowedLoss, disposedOf }]; without it,
+ *   form.scheduleE is one activity and form.suspendedPassiveLosses its
+ *   prior-year unallowed loss
+ * - form.activeParticipation: default for rentals (true unless false)
+ * - form.isRealEstateProfessional, or realEstateHours / otherWorkHours with
+ *   rentalPropertyHours >= 500 (§469(c)(7) plus the 500-hour test)
+ * - form.livedWithSpouse: MFS only
+ * - scheduleK1[].isPassive (or isLimitedPartner), priorYearUnallowedLoss,
+ *   disposedOf
+ *
+ * Each activity's `carryforward.priorYearUnallowedLoss` uses the input name
+ * so it can be fed into next year's form.
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * §469(i) special allowance amounts
+ */
+export const PASSIVE_LOSS_SPECIAL_ALLOWANCE = {
+    standard: { maximum: 25000, phaseOutStart: 100000 },
+    marriedSeparate: { maximum: 12500, phaseOutStart: 50000 },
+};
+
+
+/**
+ * Rental real estate activities from the form
+ *
+ * @param {Object} form - Tax form data
+ * @returns {Array} - [{ name, net, priorYearUnallowedLoss, activeParticipation, disposedOf }]
+ */
+export function getRentalActivities(form) {
+    const amount = (value) => parseFloat(value) || 0;
+    const netOf = (rental) => rental.netIncome !== undefined
+        ? amount(rental.netIncome)
+        : amount(rental.rentalIncome) - amount(rental.rentalExpenses);
+    const activeDefault = form.activeParticipation !== false;
+
+    if (Array.isArray(form.rentalActivities)) {
+        return form.rentalActivities.map((rental, index) => ({
+            name: rental.name || `Rental #${index + 1}`,
+            net: netOf(rental),
+            priorYearUnallowedLoss: Math.abs(amount(rental.priorYearUnallowedLoss)),
+            activeParticipation: rental.activeParticipation ?? activeDefault,
+            disposedOf: !!rental.disposedOf,
+        }));
+    }
+
+    if (!form.hasScheduleE || !form.scheduleE) return [];
+
+    return [{
+        name: form.scheduleE.name || 'Rental real estate',
+        net: netOf(form.scheduleE),
+        priorYearUnallowedLoss: Math.abs(amount(form.suspendedPassiveLosses)),
+        activeParticipation: form.scheduleE.activeParticipation ?? activeDefault,
+        disposedOf: !!form.scheduleE.disposedOf,
+    }];
+}
+
+
+/**
+ * Real estate professional who materially participates in the rentals
+ *
+ * LEGAL AUTHORITY: IRC §469(c)(7)(B); Treas. Reg. §1.469-5T(a)(1), §1.469-9
+ *
+ * @param {Object} form - Tax form data
+ * @returns {boolean}
+ */
+export function isRealEstateProfessional(form) {
+    if (form.isRealEstateProfessional !== undefined) return !!form.isRealEstateProfessional;
+
+    const realEstateHours = parseFloat(form.realEstateHours) || 0;
+    const otherWorkHours = parseFloat(form.otherWorkHours) || 0;
+    const meetsHourTests = realEstateHours >= 750 && realEstateHours > otherWorkHours;
+    const materiallyParticipates = !!form.materiallyParticipates ||
+        (parseFloat(form.rentalPropertyHours) || 0) >= 500;
+
+    return meetsHourTests && materiallyParticipates;
+}
+
+
+/**
+ * All activities Form 8582 looks at: rentals and passive K-1s
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} [k1Details] - calculateScheduleK1() result
+ * @returns {Array} - [{ name, type: 'rental' | 'k1', passive, net,
+ *   priorYearUnallowedLoss, activeParticipation, disposedOf, k1Index? }]
+ */
+export function getPassiveActivities(form, k1Details) {
+    const rep = isRealEstateProfessional(form);
+
+    const rentals = getRentalActivities(form).map(rental => ({
+        ...rental,
+        type: 'rental',
+        passive: !rep,
+    }));
+
+    const k1s = (k1Details ? k1Details.k1s : [])
+        .map((k1, index) => ({
+            name: k1.name,
+            type: 'k1',
+            k1Index: index,
+            passive: k1.isPassive,
+            net: k1.ordinaryIncome - k1.section179,
+            priorYearUnallowedLoss: k1.priorYearUnallowedLoss,
+            activeParticipation: false,
+            disposedOf: k1.disposedOf,
+        }))
+        .filter(activity => activity.passive || activity.priorYearUnallowedLoss > 0);
+
+    return [...rentals, ...k1s];
+}
+
+
+/**
+ * §469(i) special allowance after the MAGI phase-out (Form 8582 Lines 6-9)
+ *
+ * @param {number} magi - Modified AGI (Form 8582 Line 7)
+ * @param {string} filingStatus - Filing status
+ * @param {boolean} [livedWithSpouse] - MFS only
+ * @returns {Object} - { maximum, phaseOutStart, phaseOutEnd, available }
+ */
+export function calculateSpecialAllowance(magi, filingStatus, livedWithSpouse) {
+    if (filingStatus === 'marriedSeparate' && livedWithSpouse) {
+        return { maximum: 0, phaseOutStart: 0, phaseOutEnd: 0, available: 0 };
+    }
+
+    const { maximum, phaseOutStart } = filingStatus === 'marriedSeparate'
+        ? PASSIVE_LOSS_SPECIAL_ALLOWANCE.marriedSeparate
+        : PASSIVE_LOSS_SPECIAL_ALLOWANCE.standard;
+
+    // Reduced by 50% of MAGI over the start of the phase-out
+    const available = Math.max(0, Math.min(maximum, maximum - (magi - phaseOutStart) * 0.5));
+
+    return { maximum, phaseOutStart, phaseOutEnd: phaseOutStart + maximum * 2, available };
+}
+
+
+/**
+ * Calculate allowed and unallowed passive activity losses (Form 8582)
+ *
+ * LEGAL AUTHORITY: IRC §469
+ * IRS REFERENCE: Form 8582, Publication 925
+ *
+ * @param {Array} activities - From getPassiveActivities()
+ * @param {Object} context
+ * @param {number} context.magi - Modified AGI for the special allowance
+ * @param {string} context.filingStatus - Filing status
+ * @param {boolean} [context.livedWithSpouse] - MFS only
+ * @returns {Object} - Per-activity `allowedNet` (the amount that goes on the
+ *   return) and carryforwards, plus the Form 8582 line totals
+ */
+export function calculatePassiveActivityLoss(activities, context) {
+    const results = activities.map(activity => {
+        const currentLoss = Math.max(0, -activity.net);
+        return {
+            ...activity,
+            currentLoss,
+            totalLoss: currentLoss + activity.priorYearUnallowedLoss,
+            overall: activity.net - activity.priorYearUnallowedLoss,
+            allowedLoss: 0,
+            released: 0,
+        };
+    });
+
+    // Nonpassive activities: prior-year losses only offset the activity's own income (§469(f))
+    results.filter(a => !a.passive).forEach(activity => {
+        const priorUsed = Math.min(activity.priorYearUnallowedLoss, Math.max(0, activity.net));
+        activity.allowedLoss = activity.currentLoss + priorUsed;
+    });
+
+    // Fully taxable dispositions release everything (§469(g))
+    results.filter(a => a.passive && a.disposedOf && a.overall < 0).forEach(activity => {
+        activity.allowedLoss = activity.totalLoss;
+        activity.released = activity.priorYearUnallowedLoss;
+    });
+
+    const limited = results.filter(a => a.passive && !(a.disposedOf && a.overall < 0));
+    const sum = (list, field) => list.reduce((total, a) => total + a[field], 0);
+
+    // Part I
+    const activeRentals = limited.filter(a => a.type === 'rental' && a.activeParticipation);
+    const otherPassive = limited.filter(a => !(a.type === 'rental' && a.activeParticipation));
+    const rentalNet = sum(activeRentals, 'overall');          // Line 1d
+    const otherNet = sum(otherPassive, 'overall');            // Line 3d
+    const combined = rentalNet + otherNet;                    // Line 4
+    const passiveIncome = limited.reduce((total, a) => total + Math.max(0, a.net), 0);
+
+    // Part II: special allowance
+    const special = calculateSpecialAllowance(context.magi, context.filingStatus, context.livedWithSpouse);
+    const specialAllowance = combined < 0 && rentalNet < 0
+        ? Math.min(-rentalNet, -combined, special.available)  // Line 10
+        : 0;
+
+    if (combined >= 0) {
+        limited.forEach(activity => { activity.allowedLoss = activity.totalLoss; });
+    } else {
+        // Worksheet 5: special allowance to the active rentals with losses
+        const rentalLosses = sum(activeRentals, 'totalLoss');
+        activeRentals.forEach(activity => {
+            activity.allowedLoss = rentalLosses > 0 ? specialAllowance * (activity.totalLoss / rentalLosses) : 0;
+        });
+
+        // Worksheet 6: passive income offsets the remaining losses proportionally
+        const remaining = limited.reduce((total, a) => total + (a.totalLoss - a.allowedLoss), 0);
+        const offset = Math.min(passiveIncome, remaining);
+        limited.forEach(activity => {
+            const left = activity.totalLoss - activity.allowedLoss;
+            activity.allowedLoss += remaining > 0 ? offset * (left / remaining) : 0;
+        });
+    }
+
+    results.forEach(activity => {
+        activity.unallowedLoss = activity.totalLoss - activity.allowedLoss;
+        activity.allowedNet = Math.max(0, activity.net) - activity.allowedLoss;
+        activity.carryforward = { priorYearUnallowedLoss: activity.unallowedLoss };
+    });
+
+    const passiveLosses = sum(limited, 'totalLoss');
+
+    return {
+        activities: results,
+        rentalNet,
+        otherNet,
+        combined,
+        passiveIncome,
+        passiveLosses,
+        magi: context.magi,
+        specialAllowance: { ...special, allowed: specialAllowance },
+        allowedLosses: sum(limited, 'allowedLoss'),
+        unallowedLosses: sum(results, 'unallowedLoss'),
+        released: sum(results, 'released'),
+        isLimited: sum(results, 'unallowedLoss') > 0,
+    };
+}
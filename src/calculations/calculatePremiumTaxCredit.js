@@ -0,0 +1,224 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 8962: PREMIUM TAX CREDIT
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §36B(b)(2): Monthly credit = smaller of the enrollment premium or
+ *   the second lowest cost silver plan (SLCSP) premium less the monthly
+ *   contribution amount
+ * - IRC §36B(b)(3)(A): Contribution = household income × applicable
+ *   percentage for household income as a percentage of the federal poverty
+ *   line (FPL) (ARPA / IRA table for 2021-2025)
+ * - IRC §36B(c)(1): Household income of 100% to 400% of FPL (no upper limit
+ *   for 2021-2025); below 100% only when advance payments were made
+ *   (Treas. Reg. §1.36B-2(b)(6))
+ * - IRC §36B(c)(1)(C): Not for someone who can be claimed as a dependent
+ * - IRC §36B(c)(1)(C), Treas. Reg. §1.36B-2(b)(2): Married couples must file
+ *   jointly, except victims of domestic abuse or spousal abandonment
+ * - IRC §36B(d): Family size and household income (modified AGI of the
+ *   taxpayer and dependents required to file); FPL from the prior year's
+ *   HHS guidelines
+ * - IRC §36B(f): Advance payments reconciled; excess repayment limited
+ *   below 400% of FPL (no limit for 2026+ under OBBBA)
+ *
+ * IRS REFERENCE:
+ * - Form 8962 and Instructions (Table 1-1 FPL, Table 2 applicable figure,
+ *   Table 5 repayment limitation), Form 1095-A
+ * - Publication 974 - Premium Tax Credit
+ *
+ * FORM 8962 FLOW:
+ * Part I   Lines 1-8:   Family size, household income, FPL %, applicable
+ *                       figure, annual and monthly contribution
+ * Part II  Lines 11-24: Per month: min(premium, SLCSP - contribution)
+ *          Lines 25-26: Less advance payments → net PTC, Schedule 3 Line 9
+ * Part III Lines 27-29: Excess advance payments, limited → Schedule 2 Line 1a
+ *
+ * FORM FIELDS:
+ * - form.form1095A[]: one entry per policy - annual enrollmentPremium, slcsp
+ *   and advancePayment over coverageMonths (defaults to 12, from January),
+ *   or `monthly`: 12 × { enrollmentPremium, slcsp, advancePayment }
+ * - form.familySize (defaults to you, your spouse if MFJ and dependents)
+ * - form.dependentsMagi: MAGI of dependents required to file (Line 2b)
+ * - form.state: 'AK' or 'HI' for their poverty lines
+ * - form.ptcSpouseException: MFS domestic abuse / abandonment exception
+ * - form.canBeClaimedAsDependent: no credit
+ *
+ * Annual amounts spread evenly over the coverage months give the same
+ * result as the annual calculation on Line 11. The self-employed health
+ * insurance deduction isn't iterated with the credit (Rev. Proc. 2014-41).
+ *
+ * A preparer's figures in form.netPremiumTaxCredit and
+ * form.excessAdvancePremiumTaxCredit are used as entered instead.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+
+
+/**
+ * Poverty line for a family size (Form 8962 Line 4, Table 1-1)
+ *
+ * @param {number} familySize - Family size (Line 1)
+ * @param {string} [state] - State of residence ('AK' and 'HI' have their own)
+ * @param {number} [taxYear] - Tax year
+ * @returns {number} - Federal poverty line
+ */
+export function getPovertyLine(familySize, state, taxYear) {
+    const { povertyLine } = getTaxParameters(taxYear).premiumTaxCredit;
+    const { first, additional } = povertyLine[state] || povertyLine.contiguous;
+    return first + Math.max(0, familySize - 1) * additional;
+}
+
+
+/**
+ * Applicable figure for a whole FPL percentage (Form 8962 Line 7, Table 2)
+ *
+ * @param {number} fplPercent - Household income as a percentage of FPL (Line 5)
+ * @param {number} [taxYear] - Tax year
+ * @returns {number|null} - Decimal figure, or null over the 400% cap
+ */
+export function getApplicableFigure(fplPercent, taxYear) {
+    const { applicablePercentages, incomeCap } = getTaxParameters(taxYear).premiumTaxCredit;
+    if (incomeCap !== null && fplPercent > incomeCap) return null;
+
+    const [from, to, initial, final] = applicablePercentages.find(([, upper]) => fplPercent < upper) ||
+        applicablePercentages[applicablePercentages.length - 1];
+    const figure = to === Infinity || final === initial
+        ? initial
+        : initial + (final - initial) * (Math.min(fplPercent, to) - from) / (to - from);
+    return Math.round(figure * 10000) / 10000;
+}
+
+
+/**
+ * Monthly premium, SLCSP and advance payments across all 1095-A policies
+ * (Form 8962 Lines 12-23, columns A, B and F)
+ */
+function monthlyAmounts(policies) {
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+    const months = Array.from({ length: 12 }, (_, index) => ({
+        month: index + 1,
+        enrollmentPremium: 0,
+        slcsp: 0,
+        advancePayment: 0,
+    }));
+
+    policies.forEach(policy => {
+        if (Array.isArray(policy.monthly)) {
+            policy.monthly.slice(0, 12).forEach((entry, index) => {
+                if (!entry) return;
+                months[index].enrollmentPremium += amount(entry.enrollmentPremium);
+                months[index].slcsp += amount(entry.slcsp);
+                months[index].advancePayment += amount(entry.advancePayment);
+            });
+            return;
+        }
+        const covered = policy.coverageMonths !== undefined
+            ? Math.min(12, Math.max(0, Math.round(parseFloat(policy.coverageMonths) || 0)))
+            : 12;
+        for (let index = 0; index < covered; index++) {
+            months[index].enrollmentPremium += amount(policy.enrollmentPremium) / covered;
+            months[index].slcsp += amount(policy.slcsp) / covered;
+            months[index].advancePayment += amount(policy.advancePayment) / covered;
+        }
+    });
+
+    return months;
+}
+
+
+/**
+ * Calculate the premium tax credit and reconcile advance payments (Form 8962)
+ *
+ * LEGAL AUTHORITY: IRC §36B
+ * IRS REFERENCE: Form 8962, Publication 974
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.magi - AGI + tax-exempt interest + nontaxable Social
+ *   Security + excluded foreign income (Line 2a)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Form 8962 lines with the monthly calculation
+ */
+export function calculatePremiumTaxCredit(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const ptc = params.premiumTaxCredit;
+    const filingStatus = context.filingStatus;
+    const policies = form.form1095A || [];
+
+    // Part I: family size and household income
+    const familySize = parseFloat(form.familySize) ||
+        1 + (filingStatus === 'married' ? 1 : 0) + (form.dependents || []).length;                    // Line 1
+    const magi = context.magi;                                                                          // Line 2a
+    const dependentsMagi = Math.max(0, parseFloat(form.dependentsMagi) || 0);                          // Line 2b
+    const householdIncome = Math.max(0, magi + dependentsMagi);                                        // Line 3
+    const povertyLine = getPovertyLine(familySize, form.state, params.taxYear);                        // Line 4
+    const fplPercent = Math.floor(householdIncome / povertyLine * 100);                                // Line 5
+
+    const months = monthlyAmounts(policies);
+    const advancePayments = months.reduce((total, m) => total + m.advancePayment, 0);                 // Line 25
+
+    // Eligibility
+    const reasons = [];
+    if (policies.length === 0) reasons.push('No marketplace coverage (Form 1095-A)');
+    if (filingStatus === 'marriedSeparate' && !form.ptcSpouseException) {
+        reasons.push('Married filing separately without the domestic abuse or abandonment exception');
+    }
+    if (form.canBeClaimedAsDependent) reasons.push('Can be claimed as a dependent by another taxpayer');
+    if (fplPercent < 100 && advancePayments <= 0) reasons.push(`Household income ${fplPercent}% of FPL (under 100%)`);
+    const applicableFigure = getApplicableFigure(fplPercent, params.taxYear);                          // Line 7
+    if (applicableFigure === null) reasons.push(`Household income ${fplPercent}% of FPL (over ${ptc.incomeCap}%)`);
+    const eligible = reasons.length === 0;
+
+    const annualContribution = eligible ? householdIncome * applicableFigure : 0;                      // Line 8a
+    const monthlyContribution = annualContribution / 12;                                               // Line 8b
+
+    // Part II: monthly credit
+    const monthly = months.map(m => {
+        const maxAssistance = eligible ? Math.max(0, m.slcsp - monthlyContribution) : 0;               // Column D
+        return {
+            ...m,
+            contribution: m.slcsp > 0 ? monthlyContribution : 0,
+            maxAssistance,
+            credit: Math.min(m.enrollmentPremium, maxAssistance),                                      // Column E
+        };
+    });
+    const premiumTaxCredit = monthly.reduce((total, m) => total + m.credit, 0);                       // Line 24
+    const netPremiumTaxCredit = Math.max(0, premiumTaxCredit - advancePayments);                       // Line 26
+
+    // Part III: repayment of excess advance payments
+    const excessAdvancePayments = Math.max(0, advancePayments - premiumTaxCredit);                     // Line 27
+    let repaymentLimit = null;                                                                         // Line 28
+    if (ptc.repaymentLimit && fplPercent < 400 && !form.canBeClaimedAsDependent) {
+        const limits = filingStatus === 'single' ? ptc.repaymentLimit.single : ptc.repaymentLimit.other;
+        repaymentLimit = limits[fplPercent < 200 ? 0 : (fplPercent < 300 ? 1 : 2)];
+    }
+    const excessRepayment = repaymentLimit !== null
+        ? Math.min(excessAdvancePayments, repaymentLimit)
+        : excessAdvancePayments;                                                                       // Line 29
+
+    return {
+        form: 'Form 8962',
+        eligible,
+        reasons,
+        familySize,
+        magi,
+        dependentsMagi,
+        householdIncome,
+        povertyLine,
+        fplPercent,
+        applicableFigure,
+        annualContribution,
+        monthlyContribution,
+        months: monthly,
+        premiumTaxCredit,
+        advancePayments,
+        netPremiumTaxCredit,
+        excessAdvancePayments,
+        repaymentLimit,
+        excessRepayment,
+    };
+}
@@ -0,0 +1,330 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - QUALIFIED BUSINESS INCOME DEDUCTION (FORM 8995-A)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §199A: Qualified business income deduction
+ * - Treas. Reg. §1.199A-1: Computational rules, loss netting and carryovers
+ * - Treas. Reg. §1.199A-2: W-2 wages and UBIA of qualified property
+ * - Treas. Reg. §1.199A-3: What counts as QBI (SE tax deduction, SE health
+ *   insurance and retirement contributions reduce it; guaranteed payments
+ *   are excluded)
+ * - Treas. Reg. §1.199A-4: Aggregation of trades or businesses
+ * - Treas. Reg. §1.199A-5: Specified service trades or businesses (SSTB)
+ * - Form 8995-A and Schedules A, B, C, D; Form 8995 (simplified)
+ *
+ * HOW IT WORKS:
+ * 1. Each business (Schedule C or K-1) has QBI, W-2 wages and UBIA.
+ *    Businesses with the same `aggregationGroup` are combined first.
+ * 2. SSTBs: inside the phase-in range only the "applicable percentage" of
+ *    QBI, wages and UBIA counts (Schedule A); above it they count for nothing.
+ * 3. Losses (including last year's QBI loss carryforward) are spread over
+ *    the profitable businesses in proportion to their QBI (Schedule C).
+ *    A net loss carries forward and no QBI component is allowed.
+ * 4. Per business: 20% of QBI, limited by the greater of 50% of W-2 wages
+ *    or 25% of wages + 2.5% of UBIA. Below the threshold there is no limit;
+ *    inside the phase-in range the excess over the limit is reduced
+ *    proportionally (Part III).
+ * 5. REIT dividends and PTP income get their own 20% component, netted
+ *    against the REIT/PTP loss carryforward.
+ * 6. The total can't exceed 20% of (taxable income before QBI - net
+ *   capital gain), where net capital gain includes qualified dividends.
+ *
+ * THRESHOLDS come from the tax year registry (qbi.threshold, qbi.phaseInRange):
+ * married filing jointly uses the `married` amounts, every other status
+ * the `single` amounts.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+import { calculateScheduleK1 } from './calculateScheduleK1.js';
+
+
+// ============================================================================
+// QBI INPUTS
+// ============================================================================
+
+/**
+ * List the form's qualified trades or businesses
+ *
+ * SOURCES:
+ * - Schedule C: net profit less the deductible part of SE tax, SE health
+ *   insurance and SEP/SIMPLE contributions (Reg. §1.199A-3(b)(1)(vi)).
+ *   W-2 wages, UBIA, SSTB status and aggregation group come from
+ *   form.scheduleC (w2Wages, ubia, isSSTB, aggregationGroup).
+ * - Schedule K-1 (see calculateScheduleK1): section199A.qbi if given,
+ *   otherwise allowed ordinary income less allowed §179; guaranteed payments
+ *   are never QBI. W-2 wages, UBIA, isSSTB and aggregationGroup come from
+ *   section199A (Box 20 Code Z / Box 17 Code V).
+ *   A passive K-1's loss only counts once Form 8582 allows it
+ *   (Reg. §1.199A-3(b)(1)(iv)).
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} [passiveLossDetails] - calculatePassiveActivityLoss() result
+ * @returns {Array} - [{ name, source: 'scheduleC' | 'k1', qbi, w2Wages, ubia, isSSTB, aggregationGroup }]
+ */
+export function getQBIBusinesses(form, passiveLossDetails) {
+    const businesses = [];
+    const amount = (value) => parseFloat(value) || 0;
+
+    if (form.hasScheduleC && form.scheduleC) {
+        const scheduleC = form.scheduleC;
+        const netProfit = scheduleC.netProfit !== undefined
+            ? amount(scheduleC.netProfit)
+            : amount(scheduleC.grossReceipts) - amount(scheduleC.expenses);
+
+        // Deductions attributable to the business reduce QBI
+        const attributable = netProfit > 0
+            ? amount(form.selfEmploymentTaxDeduction) +
+            amount(form.selfEmployedHealthInsurance) +
+            amount(form.selfEmployedSEPSimple)
+            : 0;
+
+        businesses.push({
+            name: scheduleC.businessName || 'Schedule C',
+            source: 'scheduleC',
+            qbi: netProfit - Math.min(attributable, netProfit),
+            w2Wages: amount(scheduleC.w2Wages),
+            ubia: amount(scheduleC.ubia),
+            isSSTB: !!(scheduleC.isSSTB ?? form.isSSTB ?? form.isSpecifiedServiceBusiness),
+            aggregationGroup: scheduleC.aggregationGroup || null,
+        });
+    }
+
+    // K-1 amounts after the basis and at-risk limits (calculateScheduleK1.js)
+    const passive = passiveLossDetails ? passiveLossDetails.activities.filter(a => a.type === 'k1') : [];
+    calculateScheduleK1(form).k1s.forEach((k1, index) => {
+        const info = k1.section199A;
+        const activity = passive.find(a => a.k1Index === index);
+        const qbi = info.qbi !== undefined
+            ? amount(info.qbi)
+            : activity ? activity.allowedNet : k1.ordinaryIncome - k1.section179;
+
+        businesses.push({
+            name: k1.name,
+            source: 'k1',
+            qbi,
+            w2Wages: amount(info.w2Wages ?? form.k1W2Wages),
+            ubia: amount(info.ubia ?? form.k1UBIA),
+            isSSTB: !!(info.isSSTB ?? form.isSSTB ?? form.isSpecifiedServiceBusiness),
+            aggregationGroup: info.aggregationGroup || null,
+        });
+    });
+
+    return businesses;
+}
+
+
+/**
+ * Combine businesses that share an aggregation group
+ *
+ * LEGAL AUTHORITY: Treas. Reg. §1.199A-4 (Form 8995-A Schedule B).
+ * SSTBs can't be aggregated, so they always stay separate.
+ *
+ * @param {Array} businesses - From getQBIBusinesses()
+ * @returns {Array} - Businesses after aggregation
+ */
+export function aggregateQBIBusinesses(businesses) {
+    const result = [];
+    const groups = {};
+
+    businesses.forEach(business => {
+        if (!business.aggregationGroup || business.isSSTB) {
+            result.push({ ...business });
+            return;
+        }
+
+        const group = groups[business.aggregationGroup];
+        if (group) {
+            group.qbi += business.qbi;
+            group.w2Wages += business.w2Wages;
+            group.ubia += business.ubia;
+            group.members.push(business.name);
+        } else {
+            groups[business.aggregationGroup] = {
+                ...business,
+                name: `Aggregation: ${business.aggregationGroup}`,
+                members: [business.name],
+            };
+            result.push(groups[business.aggregationGroup]);
+        }
+    });
+
+    return result;
+}
+
+
+// ============================================================================
+// FORM 8995-A
+// ============================================================================
+
+/**
+ * Get the §199A threshold and phase-in range for a filing status and year
+ *
+ * @param {string} filingStatus - Filing status
+ * @param {number} [taxYear] - Tax year (defaults to 2025)
+ * @returns {Object} - { threshold, phaseInRange, phaseInEnd }
+ */
+export function getQBIThresholds(filingStatus, taxYear) {
+    const { qbi } = getTaxParameters(taxYear);
+    const status = filingStatus === 'married' ? 'married' : 'single';
+
+    return {
+        threshold: qbi.threshold[status],
+        phaseInRange: qbi.phaseInRange[status],
+        phaseInEnd: qbi.threshold[status] + qbi.phaseInRange[status],
+    };
+}
+
+
+/**
+ * Calculate the QBI deduction (Form 8995 / 8995-A)
+ *
+ * @param {Object} inputs
+ * @param {Array} inputs.businesses - Qualified businesses (see getQBIBusinesses)
+ * @param {number} [inputs.reitDividends] - Qualified REIT dividends (1099-DIV Box 5)
+ * @param {number} [inputs.ptpIncome] - Qualified publicly traded partnership income
+ * @param {number} [inputs.qbiLossCarryforward] - Prior-year qualified business net loss (positive)
+ * @param {number} [inputs.reitPtpLossCarryforward] - Prior-year REIT/PTP loss (positive)
+ * @param {Object} context
+ * @param {number} context.taxableIncome - Taxable income before the QBI deduction
+ * @param {number} context.netCapitalGain - Net capital gain plus qualified dividends
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} [context.taxYear] - Tax year (defaults to 2025)
+ * @returns {Object} - Deduction with per-business components and carryforwards
+ */
+export function calculateQBIDeduction(inputs, context) {
+    const { taxableIncome, netCapitalGain = 0, filingStatus, taxYear } = context;
+    const { threshold, phaseInRange, phaseInEnd } = getQBIThresholds(filingStatus, taxYear);
+
+    // Phase-in position: 0 at or below the threshold, 1 at or above the end
+    const phaseInPercent = Math.min(1, Math.max(0, (taxableIncome - threshold) / phaseInRange));
+    const applicablePercentage = 1 - phaseInPercent;
+
+
+    // ------------------------------------------------------------------------
+    // Schedule B + Schedule A: aggregation and SSTB applicable percentage
+    // ------------------------------------------------------------------------
+    const businesses = aggregateQBIBusinesses(inputs.businesses || []).map(business => {
+        const share = business.isSSTB ? applicablePercentage : 1;
+        return {
+            ...business,
+            applicablePercentage: share,
+            qbi: business.qbi * share,
+            w2Wages: business.w2Wages * share,
+            ubia: business.ubia * share,
+        };
+    });
+
+    const qbiLossCarryforward = Math.abs(parseFloat(inputs.qbiLossCarryforward) || 0);
+    if (qbiLossCarryforward > 0) {
+        businesses.push({
+            name: 'Prior-year qualified business loss carryforward',
+            source: 'carryforward',
+            qbi: -qbiLossCarryforward,
+            w2Wages: 0,
+            ubia: 0,
+            isSSTB: false,
+            applicablePercentage: 1,
+        });
+    }
+
+
+    // ------------------------------------------------------------------------
+    // Schedule C: net losses against the profitable businesses
+    // ------------------------------------------------------------------------
+    const totalGains = businesses.reduce((sum, b) => sum + Math.max(0, b.qbi), 0);
+    const totalLosses = businesses.reduce((sum, b) => sum + Math.min(0, b.qbi), 0);
+    const totalQBI = totalGains + totalLosses;
+
+    businesses.forEach(business => {
+        if (business.qbi <= 0) {
+            business.netQBI = 0;
+        } else {
+            // Each profitable business absorbs a share of the losses
+            const lossShare = totalGains > 0 ? -totalLosses * (business.qbi / totalGains) : 0;
+            business.netQBI = Math.max(0, business.qbi - lossShare);
+        }
+    });
+
+
+    // ------------------------------------------------------------------------
+    // Part II / Part III: per-business component with the wage/UBIA limit
+    // ------------------------------------------------------------------------
+    businesses.forEach(business => {
+        business.twentyPercentOfQBI = business.netQBI * 0.20;
+        business.wageLimit = Math.max(
+            business.w2Wages * 0.50,
+            business.w2Wages * 0.25 + business.ubia * 0.025
+        );
+
+        if (business.twentyPercentOfQBI <= 0 || phaseInPercent === 0) {
+            // Below the threshold: no wage/UBIA limit
+            business.component = business.twentyPercentOfQBI;
+            business.limitApplied = 'none';
+        } else if (business.twentyPercentOfQBI <= business.wageLimit) {
+            business.component = business.twentyPercentOfQBI;
+            business.limitApplied = 'none';
+        } else if (phaseInPercent === 1) {
+            business.component = business.wageLimit;
+            business.limitApplied = 'wageLimit';
+        } else {
+            // Part III: phase in the excess over the wage/UBIA limit
+            const reduction = (business.twentyPercentOfQBI - business.wageLimit) * phaseInPercent;
+            business.component = business.twentyPercentOfQBI - reduction;
+            business.limitApplied = 'phaseIn';
+        }
+    });
+
+    const qbiComponent = totalQBI > 0
+        ? businesses.reduce((sum, b) => sum + b.component, 0)
+        : 0;
+
+
+    // ------------------------------------------------------------------------
+    // REIT dividends and PTP income (Form 8995-A Lines 28-32)
+    // ------------------------------------------------------------------------
+    const reitPtpIncome = (parseFloat(inputs.reitDividends) || 0) + (parseFloat(inputs.ptpIncome) || 0);
+    const reitPtpLossCarryforward = Math.abs(parseFloat(inputs.reitPtpLossCarryforward) || 0);
+    const netReitPtp = reitPtpIncome - reitPtpLossCarryforward;
+    const reitPtpComponent = Math.max(0, netReitPtp) * 0.20;
+
+
+    // ------------------------------------------------------------------------
+    // Lines 33-39: income limitation
+    // ------------------------------------------------------------------------
+    const beforeIncomeLimit = qbiComponent + reitPtpComponent;
+    const incomeLimit = Math.max(0, taxableIncome - netCapitalGain) * 0.20;
+    const deduction = Math.min(beforeIncomeLimit, incomeLimit);
+
+    const hasBusinesses = (inputs.businesses || []).length > 0 || qbiLossCarryforward > 0;
+    const usesSimplifiedForm = taxableIncome <= threshold;
+
+    return {
+        form: usesSimplifiedForm ? 'Form 8995' : 'Form 8995-A',
+        threshold,
+        phaseInRange,
+        phaseInEnd,
+        phaseInPercent,
+        businesses,
+        totalQBI,
+        qbiComponent,
+        reitPtp: {
+            income: reitPtpIncome,
+            lossCarryforwardUsed: Math.min(reitPtpIncome, reitPtpLossCarryforward),
+            component: reitPtpComponent,
+        },
+        beforeIncomeLimit,
+        taxableIncome,
+        netCapitalGain,
+        incomeLimit,
+        incomeLimited: beforeIncomeLimit > incomeLimit,
+        deduction,
+        carryforward: {
+            qbiLossCarryforward: hasBusinesses ? Math.max(0, -totalQBI) : 0,
+            reitPtpLossCarryforward: Math.max(0, -netReitPtp),
+        },
+    };
+}
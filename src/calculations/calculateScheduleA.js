@@ -0,0 +1,300 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - SCHEDULE A: ITEMIZED DEDUCTIONS
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §213(a): Medical and dental expenses over 7.5% of AGI
+ * - IRC §164(b)(6)-(7): State and local tax cap, reduced by 30% of MAGI
+ *   over the OBBBA threshold (see getSaltCap)
+ * - IRC §163(h)(3)(F): Interest on up to $750,000 ($375,000 MFS) of
+ *   acquisition debt incurred after December 15, 2017; $1,000,000
+ *   ($500,000 MFS) for earlier debt. Home equity debt not used to buy,
+ *   build or improve the home isn't deductible (made permanent by OBBBA)
+ * - IRC §170(b)(1)(G): Cash to public charities - 60% of AGI (less
+ *   contributions under the 50% limit)
+ * - IRC §170(b)(1)(A): Other property to public charities - 50% of AGI
+ * - IRC §170(b)(1)(C): Capital gain property to public charities - 30%
+ * - IRC §170(b)(1)(B): Cash and property to private non-operating
+ *   foundations and other 30% organizations - 30%
+ * - IRC §170(b)(1)(D): Capital gain property to those organizations - 20%
+ * - IRC §170(d)(1): Excess contributions carry forward 5 years, keeping
+ *   their limit, used after the current year's gifts, oldest first
+ * - IRC §170(b)(1)(I) (OBBBA, 2026+): Gifts deductible only above 0.5% of AGI
+ * - IRC §68 (OBBBA, 2026+): Itemized deductions reduced by 2/37 of the
+ *   smaller of the deductions or taxable income (before §68, plus the
+ *   deductions) over the start of the 37% bracket
+ *
+ * IRS REFERENCE:
+ * - Schedule A (Form 1040) and Instructions
+ * - Publication 502 - Medical and Dental Expenses
+ * - Publication 526 - Charitable Contributions (Worksheet 2)
+ * - Publication 936 - Home Mortgage Interest Deduction (Table 1)
+ *
+ * SCHEDULE A FLOW:
+ * Lines 1-4:   Medical expenses - 7.5% of AGI
+ * Lines 5-7:   State and local taxes up to the SALT cap after phase-down
+ * Lines 8-10:  Mortgage interest on qualified debt (Pub 936 Table 1)
+ * Lines 11-14: Gifts to charity within the AGI limits, with carryovers
+ * Lines 15-17: Casualty losses, other deductions → total
+ * §68:         OBBBA limitation (2026+) → Form 1040 Line 12
+ *
+ * FORM FIELDS:
+ * - form.medicalExpenses, form.stateLocalTaxes, form.realEstateTaxes,
+ *   form.casualtyLosses (federally declared disasters), form.otherItemized
+ * - form.mortgageInterest: Form 1098 interest, deductible as entered; or
+ *   form.mortgageLoans[]: { interest, averageBalance, originated (ISO date),
+ *   grandfathered (debt before December 16, 2017, or under a binding
+ *   contract), use ('acquisition' or 'other' for home equity debt) }
+ * - form.charityCash, form.charityNonCash: gifts to public charities;
+ *   form.charityCapitalGainProperty: appreciated property at fair market
+ *   value; form.charityPrivateFoundation / form.charityPrivateFoundationCapitalGain
+ * - form.charityCarryovers[]: { year, category, amount } - unused gifts from
+ *   the last 5 years; category is a key of CHARITY_CATEGORIES
+ *
+ * The §68 limitation is figured from AGI: the QBI deduction depends on the
+ * deduction chosen, so the engine applies the limitation before it.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getSaltCap } from './taxYearParameters.js';
+
+
+/**
+ * Medical floor (§213(a)) and mortgage debt limits (§163(h)(3)(F))
+ */
+export const SCHEDULE_A_LIMITS = {
+    medicalFloor: 0.075,
+    acquisitionDebt: { other: 750000, marriedSeparate: 375000 },
+    grandfatheredDebt: { other: 1000000, marriedSeparate: 500000 },
+    grandfatheredBefore: '2017-12-16',
+    charityCarryoverYears: 5,
+};
+
+/**
+ * Charitable contribution categories: form field and AGI limit (§170(b)(1))
+ */
+export const CHARITY_CATEGORIES = {
+    cash: { field: 'charityCash', limit: 0.60 },
+    nonCash: { field: 'charityNonCash', limit: 0.50 },
+    capitalGainProperty: { field: 'charityCapitalGainProperty', limit: 0.30 },
+    privateFoundation: { field: 'charityPrivateFoundation', limit: 0.30 },
+    privateFoundationCapitalGain: { field: 'charityPrivateFoundationCapitalGain', limit: 0.20 },
+};
+
+
+const amount = (value) => Math.max(0, parseFloat(value) || 0);
+
+
+/**
+ * Deductible home mortgage interest (Schedule A Lines 8-10, Pub 936 Table 1)
+ *
+ * @param {Object} form - Tax form data
+ * @param {string} filingStatus - Filing status
+ * @returns {Object} - Qualified loan limit and deductible interest
+ */
+export function calculateMortgageInterest(form, filingStatus) {
+    const loans = Array.isArray(form.mortgageLoans) ? form.mortgageLoans : null;
+    if (!loans) {
+        const interest = amount(form.mortgageInterest);
+        return { interest, loans: null, qualifiedLoanLimit: null, averageBalance: null, deductible: interest, nonDeductible: 0 };
+    }
+
+    const key = filingStatus === 'marriedSeparate' ? 'marriedSeparate' : 'other';
+    const isGrandfathered = (loan) => loan.grandfathered ??
+        (Boolean(loan.originated) && String(loan.originated).slice(0, 10) < SCHEDULE_A_LIMITS.grandfatheredBefore);
+    const acquisition = loans.filter(loan => (loan.use || 'acquisition') === 'acquisition');
+
+    const grandfatheredBalance = acquisition.filter(isGrandfathered)
+        .reduce((total, loan) => total + amount(loan.averageBalance), 0);                             // Line 2
+    const grandfatheredLimit = Math.min(grandfatheredBalance, SCHEDULE_A_LIMITS.grandfatheredDebt[key]); // Line 6
+    const laterBalance = acquisition.filter(loan => !isGrandfathered(loan))
+        .reduce((total, loan) => total + amount(loan.averageBalance), 0);                             // Line 7
+    const averageBalance = grandfatheredBalance + laterBalance;                                        // Line 10
+    const qualifiedLoanLimit = Math.min(
+        Math.max(grandfatheredLimit, SCHEDULE_A_LIMITS.acquisitionDebt[key]),
+        averageBalance
+    );                                                                                                 // Line 11
+
+    const interest = loans.reduce((total, loan) => total + amount(loan.interest), 0);
+    const acquisitionInterest = acquisition.reduce((total, loan) => total + amount(loan.interest), 0); // Line 12
+    const deductible = averageBalance > qualifiedLoanLimit
+        ? acquisitionInterest * qualifiedLoanLimit / averageBalance
+        : acquisitionInterest;                                                                         // Line 15
+
+    return {
+        interest,
+        loans,
+        grandfatheredBalance,
+        averageBalance,
+        qualifiedLoanLimit,
+        deductible,
+        nonDeductible: interest - deductible,
+    };
+}
+
+
+/**
+ * Charitable contributions within the AGI limits, with carryovers
+ * (Schedule A Lines 11-14, Pub 526 Worksheet 2)
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context
+ * @param {number} context.agi - Contribution base
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Per-category amounts, the deduction and the
+ *   carryovers to next year
+ */
+export function calculateCharitableContributions(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const year = params.taxYear;
+    const agi = Math.max(0, context.agi);
+    const oldestYear = year - SCHEDULE_A_LIMITS.charityCarryoverYears;
+
+    const carryovers = (form.charityCarryovers || [])
+        .filter(c => CHARITY_CATEGORIES[c.category] && c.year >= oldestYear && c.year < year && amount(c.amount) > 0)
+        .sort((a, b) => a.year - b.year);
+    const categories = Object.fromEntries(Object.entries(CHARITY_CATEGORIES).map(([key, { field }]) => {
+        const contributions = amount(form[field]);
+        const prior = carryovers.filter(c => c.category === key);
+        return [key, {
+            contributions,
+            carryover: prior.reduce((total, c) => total + amount(c.amount), 0),
+            prior,
+        }];
+    }));
+    const available = (key) => categories[key].contributions + categories[key].carryover;
+
+    // Limits in the order of §170(b)(1): 50%, 60% cash, 30% capital gain, 30%, 20%
+    const allowed = {};
+    allowed.nonCash = Math.min(available('nonCash'), 0.50 * agi);
+    allowed.cash = Math.min(available('cash'), Math.max(0, 0.60 * agi - allowed.nonCash));
+    allowed.capitalGainProperty = Math.min(available('capitalGainProperty'), 0.30 * agi,
+        Math.max(0, 0.50 * agi - allowed.nonCash - allowed.cash));
+    // §170(b)(1)(B)(ii): gifts to public charities counted without the 30% capital gain limit
+    const publicCharity = Math.min(0.50 * agi, allowed.nonCash + allowed.cash + available('capitalGainProperty'));
+    allowed.privateFoundation = Math.min(available('privateFoundation'), 0.30 * agi,
+        Math.max(0, 0.50 * agi - publicCharity));
+    allowed.privateFoundationCapitalGain = Math.min(available('privateFoundationCapitalGain'), 0.20 * agi,
+        Math.max(0, 0.30 * agi - allowed.privateFoundation),
+        Math.max(0, 0.30 * agi - allowed.capitalGainProperty),
+        Math.max(0, 0.50 * agi - allowed.nonCash - allowed.cash - allowed.capitalGainProperty - allowed.privateFoundation));
+
+    // This year's gifts are used first, then carryovers oldest first
+    const carryoverToNextYear = [];
+    let expired = 0;
+    Object.entries(categories).forEach(([key, category]) => {
+        category.limit = CHARITY_CATEGORIES[key].limit;
+        category.allowed = allowed[key];
+        category.currentYearAllowed = Math.min(category.contributions, allowed[key]);
+        let left = allowed[key] - category.currentYearAllowed;
+        if (category.contributions > category.currentYearAllowed) {
+            carryoverToNextYear.push({ year, category: key, amount: category.contributions - category.currentYearAllowed });
+        }
+        category.prior.forEach(c => {
+            const used = Math.min(left, amount(c.amount));
+            left -= used;
+            const unused = amount(c.amount) - used;
+            if (unused <= 0) return;
+            if (c.year > oldestYear) carryoverToNextYear.push({ year: c.year, category: key, amount: unused });
+            else expired += unused;
+        });
+        category.excess = available(key) - allowed[key];
+        delete category.prior;
+    });
+    carryoverToNextYear.sort((a, b) => a.year - b.year);
+
+    const contributions = Object.values(categories).reduce((total, c) => total + c.contributions, 0);
+    const carryover = Object.values(categories).reduce((total, c) => total + c.carryover, 0);
+    const allowedTotal = Object.values(allowed).reduce((total, value) => total + value, 0);
+    const currentYearAllowed = Object.values(categories).reduce((total, c) => total + c.currentYearAllowed, 0);
+    // OBBBA floor (2026+) on this year's gifts; the floor amount isn't carried forward
+    const floor = Math.min(currentYearAllowed, params.itemizedDeductions.charityFloor * agi);
+
+    return {
+        categories,
+        contributions,
+        carryover,
+        allowed: allowedTotal,
+        floor,
+        deduction: allowedTotal - floor,
+        carryoverToNextYear,
+        expired,
+    };
+}
+
+
+/**
+ * Calculate itemized deductions (Schedule A) and the OBBBA §68 limitation
+ *
+ * LEGAL AUTHORITY: IRC §63(d), §68, §163(h), §164, §165(h), §170, §213
+ * IRS REFERENCE: Schedule A, Publications 502, 526 and 936
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.agi - Adjusted gross income (Form 1040 Line 11)
+ * @param {number} [context.magi] - Modified AGI for the SALT cap phase-down
+ *   (AGI plus excluded foreign and possession income); defaults to AGI
+ * @param {string} context.filingStatus - Filing status
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Schedule A lines; `itemizedDeduction` is the amount
+ *   for Form 1040 Line 12 after the §68 limitation
+ */
+export function calculateScheduleA(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const filingStatus = context.filingStatus;
+    const agi = context.agi;
+
+    // Medical and dental expenses
+    const medicalExpenses = amount(form.medicalExpenses);                                              // Line 1
+    const medicalFloor = Math.max(0, agi) * SCHEDULE_A_LIMITS.medicalFloor;                            // Line 3
+    const medicalDeduction = Math.max(0, medicalExpenses - medicalFloor);                              // Line 4
+
+    // Taxes you paid
+    const saltPaid = amount(form.stateLocalTaxes) + amount(form.realEstateTaxes);                      // Line 5d
+    const saltMagi = context.magi ?? agi;
+    const saltCap = getSaltCap(filingStatus, params.taxYear, saltMagi);
+    const saltCapReduction = getSaltCap(filingStatus, params.taxYear) - saltCap;
+    const saltDeduction = Math.min(saltPaid, saltCap);                                                 // Line 5e
+
+    // Interest you paid
+    const mortgage = calculateMortgageInterest(form, filingStatus);                                    // Line 10
+
+    // Gifts to charity
+    const charity = calculateCharitableContributions(form, { agi, taxYear: params.taxYear });          // Line 14
+
+    const casualtyLosses = amount(form.casualtyLosses);                                                // Line 15
+    const otherItemized = amount(form.otherItemized);                                                  // Line 16
+    const totalItemized = medicalDeduction + saltDeduction + mortgage.deductible +
+        charity.deduction + casualtyLosses + otherItemized;                                            // Line 17
+
+    // OBBBA §68 limitation (2026+)
+    const { limitationRate } = params.itemizedDeductions;
+    const brackets = params.brackets[filingStatus] || params.brackets.single;
+    const topBracketStart = brackets[brackets.length - 1][0];
+    const limitation = limitationRate
+        ? limitationRate * Math.min(totalItemized, Math.max(0, agi - topBracketStart))
+        : 0;
+
+    return {
+        form: 'Schedule A',
+        medicalExpenses,
+        medicalFloor,
+        medicalDeduction,
+        saltPaid,
+        saltMagi,
+        saltCap,
+        saltCapReduction,
+        saltDeduction,
+        mortgage,
+        mortgageInterest: mortgage.deductible,
+        charity,
+        charitableDeduction: charity.deduction,
+        casualtyLosses,
+        otherItemized,
+        totalItemized,
+        limitation,
+        itemizedDeduction: totalItemized - limitation,
+    };
+}
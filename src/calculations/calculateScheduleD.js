@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - SCHEDULE D: CAPITAL GAINS AND LOSSES
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §1222: Short-term / long-term netting
+ * - IRC §1211(b): Capital loss limitation ($3,000; $1,500 married filing separately)
+ * - IRC §1212(b): Capital loss carryover (indefinite, keeps its character)
+ * - IRC §1(h)(4)-(6): 28% rate gain (collectibles) and unrecaptured §1250
+ *   gain; losses offset the 28% gain first, then the 25% gain (Notice 97-59)
+ * - IRS Schedule D Instructions, Capital Loss Carryover Worksheet
+ * - IRS Publication 550, Chapter 4
+ *
+ * SCHEDULE D FLOW:
+ * 1. Part I (Line 7): short-term gains - short-term losses - ST carryover
+ * 2. Part II (Line 15): long-term gains - long-term losses - LT carryover
+ * 3. Line 16: Line 7 + Line 15
+ * 4. Line 21: if Line 16 is a loss, the smaller of the loss or $3,000
+ *    ($1,500 MFS) goes to Form 1040 Line 7
+ * 5. Carryover worksheet: whatever wasn't used carries to next year,
+ *    split back into short-term and long-term (short-term is used first)
+ * 6. Lines 18-19 (when Lines 15 and 16 are both gains): 28% rate gain and
+ *    unrecaptured §1250 gain for the Schedule D Tax Worksheet
+ *
+ * FORM FIELDS (form.scheduleD):
+ * - shortTermGain / longTermGain: net gain (may be negative)
+ * - shortTermLoss / longTermLoss: additional losses (positive amounts)
+ * - shortTermLossCarryover / longTermLossCarryover: prior-year carryovers
+ *   (Schedule D Lines 6 and 14). The `carryover` object returned here uses
+ *   the same names so it can be fed straight into next year's scheduleD.
+ * - collectiblesGain: collectibles gain or loss included in the long-term
+ *   amounts (Form 8949 code C, 1099-DIV Box 2d, K-1 Box 9b / 8b)
+ * - unrecapturedSection1250Gain: unrecaptured §1250 gain included in the
+ *   long-term amounts (1099-DIV Box 2b, Form 4797, K-1 Box 9c / 8c)
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * Annual net capital loss deduction limit, IRC §1211(b)
+ */
+export const CAPITAL_LOSS_LIMIT = {
+    standard: 3000,
+    marriedSeparate: 1500,
+};
+
+
+/**
+ * Get the capital loss limit for a filing status
+ *
+ * @param {string} filingStatus - Filing status
+ * @returns {number} - Maximum net capital loss deductible this year
+ */
+export function getCapitalLossLimit(filingStatus) {
+    return filingStatus === 'marriedSeparate' ? CAPITAL_LOSS_LIMIT.marriedSeparate : CAPITAL_LOSS_LIMIT.standard;
+}
+
+
+/**
+ * Split unused losses into short- and long-term carryovers
+ *
+ * IRS REFERENCE: Schedule D Instructions, Capital Loss Carryover Worksheet
+ *
+ * @param {number} netShortTerm - Schedule D Line 7
+ * @param {number} netLongTerm - Schedule D Line 15
+ * @param {number} allowedLoss - Loss deducted this year (Line 21, positive)
+ * @param {number} [taxableIncome] - Form 1040 Line 15 before flooring at zero;
+ *   when omitted the allowed loss is assumed to be fully absorbed
+ * @returns {Object} - { shortTermLossCarryover, longTermLossCarryover }
+ */
+export function calculateCapitalLossCarryover(netShortTerm, netLongTerm, allowedLoss, taxableIncome) {
+    // Lines 1-4: loss actually absorbed (less when taxable income is negative)
+    const absorbed = taxableIncome === undefined
+        ? allowedLoss
+        : Math.min(allowedLoss, Math.max(0, taxableIncome + allowedLoss));
+
+    // Lines 5-8: short-term carryover
+    const shortTermLoss = Math.max(0, -netShortTerm);
+    const longTermGain = Math.max(0, netLongTerm);
+    const shortTermLossCarryover = Math.max(0, shortTermLoss - (absorbed + longTermGain));
+
+    // Lines 9-13: long-term carryover
+    const longTermLoss = Math.max(0, -netLongTerm);
+    const shortTermGain = Math.max(0, netShortTerm);
+    const absorbedAfterShortTerm = Math.max(0, absorbed - shortTermLoss);
+    const longTermLossCarryover = Math.max(0, longTermLoss - (shortTermGain + absorbedAfterShortTerm));
+
+    return { shortTermLossCarryover, longTermLossCarryover };
+}
+
+
+/**
+ * Calculate Schedule D netting, loss limit and carryovers
+ *
+ * LEGAL AUTHORITY: IRC §1(h), §1211(b), §1212(b), §1222
+ * IRS REFERENCE: Schedule D (Form 1040), 28% Rate Gain and Unrecaptured
+ * Section 1250 Gain Worksheets
+ *
+ * @param {Object} form - Tax form data (uses form.scheduleD and form.filingStatus)
+ * @param {number} [taxableIncome] - Form 1040 Line 15 before flooring at zero,
+ *   used by the carryover worksheet
+ * @returns {Object} - Schedule D breakdown with `capitalGainOrLoss` (Form 1040 Line 7),
+ *   `netCapitalGain` and the Line 18 / 19 `collectiblesGain` / `unrecapturedSection1250Gain`
+ */
+export function calculateScheduleD(form, taxableIncome) {
+    const scheduleD = form.scheduleD || {};
+    const amount = (field) => parseFloat(scheduleD[field]) || 0;
+
+    // Part I: Short-term (Line 7)
+    const shortTerm = {
+        gain: amount('shortTermGain'),
+        loss: Math.abs(amount('shortTermLoss')),
+        carryover: Math.abs(amount('shortTermLossCarryover')),
+    };
+    shortTerm.net = shortTerm.gain - shortTerm.loss - shortTerm.carryover;
+
+    // Part II: Long-term (Line 15)
+    const longTerm = {
+        gain: amount('longTermGain'),
+        loss: Math.abs(amount('longTermLoss')),
+        carryover: Math.abs(amount('longTermLossCarryover')),
+    };
+    longTerm.net = longTerm.gain - longTerm.loss - longTerm.carryover;
+
+    // Line 16: Combined
+    const netGainOrLoss = shortTerm.net + longTerm.net;
+
+    // Line 21: Loss limitation
+    const lossLimit = getCapitalLossLimit(form.filingStatus);
+    const allowedLoss = netGainOrLoss < 0 ? Math.min(-netGainOrLoss, lossLimit) : 0;
+    const capitalGainOrLoss = netGainOrLoss < 0 ? -allowedLoss : netGainOrLoss;
+
+    // Net capital gain eligible for 0/15/20% rates: smaller of Line 15 or 16
+    const netCapitalGain = Math.max(0, Math.min(longTerm.net, netGainOrLoss));
+
+    // Line 18: 28% Rate Gain Worksheet - collectibles less LT carryovers and a net ST loss
+    const rateGain28 = amount('collectiblesGain') - longTerm.carryover + Math.min(0, shortTerm.net);
+    // Line 19: Unrecaptured Section 1250 Gain Worksheet - less any loss left from Line 18
+    const rateGain25 = amount('unrecapturedSection1250Gain') - Math.max(0, -rateGain28);
+    const collectiblesGain = netCapitalGain > 0 ? Math.max(0, rateGain28) : 0;
+    const unrecapturedSection1250Gain = netCapitalGain > 0 ? Math.max(0, rateGain25) : 0;
+
+    const carryover = netGainOrLoss < 0
+        ? calculateCapitalLossCarryover(shortTerm.net, longTerm.net, allowedLoss, taxableIncome)
+        : { shortTermLossCarryover: 0, longTermLossCarryover: 0 };
+
+    return {
+        shortTerm,
+        longTerm,
+        netGainOrLoss,
+        lossLimit,
+        allowedLoss,
+        capitalGainOrLoss,
+        netCapitalGain,
+        collectiblesGain,
+        unrecapturedSection1250Gain,
+        carryover,
+    };
+}
@@ -0,0 +1,247 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - SCHEDULE K-1: PARTNERSHIP AND S CORPORATION INCOME
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §702 / §1366(a): Partner's / shareholder's distributive share
+ * - IRC §707(c): Guaranteed payments (ordinary income, subject to SE tax)
+ * - IRC §1402(a)(13): Limited partners' distributive share is not SE income
+ * - IRC §704(d) / §1366(d): Losses limited to basis, excess suspended
+ * - IRC §465: At-risk limitation (Form 6198), applied after basis
+ * - IRC §731(a) / §1368(b): Distributions in excess of basis are capital gain
+ * - IRC §1231: Net §1231 gain is long-term capital gain, net loss is ordinary
+ *
+ * IRS REFERENCE:
+ * - Partner's Instructions for Schedule K-1 (Form 1065)
+ * - Shareholder's Instructions for Schedule K-1 (Form 1120-S)
+ * - Schedule E Part II, Form 4797, Form 6198, Form 7203
+ *
+ * WHERE EACH ITEM GOES:
+ *   Ordinary income (Box 1), guaranteed payments, royalties, §179 → Schedule E
+ *   Interest                                                     → Line 2b
+ *   Ordinary / qualified dividends                               → Lines 3b / 3a
+ *   Short-term / long-term capital gain                          → Schedule D Lines 5 / 12
+ *   Net §1231 gain (loss)                                        → Schedule D Line 11 (Schedule 1 Line 4)
+ *   Guaranteed payments + general partner share (Box 14 Code A)  → Schedule SE
+ *
+ * BASIS AND AT-RISK ORDERING (Reg. §1.704-1(d)(2), §1.1367-1(f)):
+ * 1. Basis increases by this year's income items
+ * 2. Decreases by distributions (any excess is capital gain)
+ * 3. Losses and deductions are allowed up to the remaining basis, then up
+ *    to the amount at risk; each loss item is allowed in proportion
+ * 4. Disallowed losses are suspended and carry to next year
+ *
+ * FORM FIELDS (form.scheduleK1, one object or an array):
+ * - entityType: 'partnership' (Form 1065) or 'sCorp' (Form 1120-S)
+ * - ordinaryIncome / ordinaryLoss (positive), guaranteedPayments
+ * - interestIncome, ordinaryDividends, qualifiedDividends, royalties
+ * - shortTermCapitalGains, capitalGains (long-term), section1231Gain, section179
+ * - collectiblesGain (Box 9b / 8b) and unrecapturedSection1250Gain (Box 9c / 8c):
+ *   parts of the long-term and §1231 gains taxed at 28% / 25%
+ * - selfEmploymentEarnings (Box 14 Code A, used as-is when given)
+ * - distributions, basis, atRiskAmount, priorYearSuspendedLoss
+ * - isGeneralPartner / isLLCMember (form-level flags are the fallback)
+ * - isPassive (or isLimitedPartner), priorYearUnallowedLoss, disposedOf:
+ *   passive activity inputs for Form 8582 (calculatePassiveActivityLoss)
+ *
+ * Basis and at-risk limits apply only when basis is known (k1.basis or
+ * form.k1Basis). The returned `carryforward.priorYearSuspendedLoss` uses the
+ * input name so it can be fed into next year's K-1.
+ *
+ * Without form.scheduleK1, form.partnershipIncome and form.sCorpIncome are
+ * treated as Box 1 ordinary income from one K-1 each.
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * Normalize the form's K-1s into an array with an entity type on each
+ *
+ * @param {Object} form - Tax form data
+ * @returns {Array} - Raw K-1 objects
+ */
+export function getScheduleK1s(form) {
+    const partnershipIncome = parseFloat(form.partnershipIncome) || 0;
+    const sCorpIncome = parseFloat(form.sCorpIncome) || 0;
+    const k1s = [].concat(form.scheduleK1 || []);
+
+    if (k1s.length > 0) {
+        // Without an entityType, a lone S-Corp amount on the form marks the K-1 as a 1120-S
+        const defaultType = sCorpIncome && !partnershipIncome ? 'sCorp' : 'partnership';
+        return k1s.map(k1 => ({ entityType: defaultType, ...k1 }));
+    }
+
+    const fallback = [];
+    if (partnershipIncome) {
+        fallback.push({ entityType: 'partnership', entityName: 'Partnership', ordinaryIncome: partnershipIncome });
+    }
+    if (sCorpIncome) {
+        fallback.push({ entityType: 'sCorp', entityName: 'S corporation', ordinaryIncome: sCorpIncome });
+    }
+    return fallback;
+}
+
+
+/**
+ * Apply the basis and at-risk limits to one K-1's loss items
+ *
+ * @param {Object} items - { ordinary, shortTerm, longTerm, section1231, section179 }
+ *   (losses negative, §179 positive)
+ * @param {Object} limits - { basis, atRisk, increases, distributions,
+ *   suspendedLoss } (basis / atRisk null when unknown)
+ * @returns {Object} - { allowedFraction, total, allowedByBasis, allowed,
+ *   suspendedByBasis, suspendedByAtRisk, basisAvailable, excessDistribution }
+ */
+export function applyK1LossLimits(items, limits) {
+    const total = Math.max(0, -items.ordinary) + Math.max(0, -items.shortTerm) +
+        Math.max(0, -items.longTerm) + Math.max(0, -items.section1231) +
+        items.section179 + limits.suspendedLoss;
+
+    if (limits.basis === null) {
+        return {
+            allowedFraction: 1,
+            total,
+            allowedByBasis: total,
+            allowed: total,
+            suspendedByBasis: 0,
+            suspendedByAtRisk: 0,
+            basisAvailable: null,
+            excessDistribution: 0,
+        };
+    }
+
+    // Steps 1-2: income items, then distributions
+    const beforeDistributions = limits.basis + limits.increases;
+    const excessDistribution = Math.max(0, limits.distributions - beforeDistributions);
+    const basisAvailable = Math.max(0, beforeDistributions - limits.distributions);
+    const atRiskAvailable = limits.atRisk === null
+        ? basisAvailable
+        : Math.max(0, limits.atRisk + limits.increases - limits.distributions);
+
+    // Step 3: basis first, then at-risk
+    const allowedByBasis = Math.min(total, basisAvailable);
+    const allowed = Math.min(allowedByBasis, atRiskAvailable);
+
+    return {
+        allowedFraction: total > 0 ? allowed / total : 1,
+        total,
+        allowedByBasis,
+        allowed,
+        suspendedByBasis: total - allowedByBasis,
+        suspendedByAtRisk: allowedByBasis - allowed,
+        basisAvailable,
+        excessDistribution,
+    };
+}
+
+
+/**
+ * Calculate Schedule K-1 pass-through items for Form 1040
+ *
+ * LEGAL AUTHORITY: IRC §702, §704(d), §707(c), §1366, §465, §1231
+ * IRS REFERENCE: Schedule K-1 (Form 1065 / 1120-S), Schedule E Part II
+ *
+ * @param {Object} form - Tax form data
+ * @returns {Object} - Per-K-1 breakdown (`k1s`) and the totals routed to
+ *   Form 1040: scheduleE, interest, ordinaryDividends, qualifiedDividends,
+ *   shortTermCapitalGain, longTermCapitalGain, section1231, collectiblesGain,
+ *   unrecapturedSection1250Gain, selfEmploymentEarnings
+ */
+export function calculateScheduleK1(form) {
+    const amount = (value) => parseFloat(value) || 0;
+
+    const k1s = getScheduleK1s(form).map((k1, index) => {
+        const isPartnership = k1.entityType !== 'sCorp';
+        const isGeneralPartner = isPartnership &&
+            !!(k1.isGeneralPartner || k1.isLLCMember || form.isGeneralPartner || form.isLLCMember);
+
+        const box1 = amount(k1.ordinaryIncome) - Math.abs(amount(k1.ordinaryLoss));
+        const guaranteedPayments = isPartnership ? amount(k1.guaranteedPayments) : 0;
+        const interest = amount(k1.interestIncome);
+        const ordinaryDividends = amount(k1.ordinaryDividends);
+        const qualifiedDividends = amount(k1.qualifiedDividends);
+        const royalties = amount(k1.royalties);
+        const shortTerm = amount(k1.shortTermCapitalGains);
+        const longTerm = amount(k1.capitalGains);
+        const section1231 = amount(k1.section1231Gain);
+        const section179 = Math.abs(amount(k1.section179));
+
+        // Basis is known when given on the K-1 or the form (see analyzeK1Basis)
+        const basisInput = k1.basis ?? (index === 0 ? form.k1Basis : undefined);
+        const hasBasis = basisInput !== undefined && basisInput !== null && basisInput !== '';
+
+        // Guaranteed payments are paid to the partner, so they don't change basis
+        const increases = Math.max(0, box1) + interest + ordinaryDividends +
+            royalties + Math.max(0, shortTerm) + Math.max(0, longTerm) + Math.max(0, section1231);
+
+        const limits = applyK1LossLimits(
+            { ordinary: box1, shortTerm, longTerm, section1231, section179 },
+            {
+                basis: hasBasis ? amount(basisInput) : null,
+                atRisk: k1.atRiskAmount !== undefined ? amount(k1.atRiskAmount) : null,
+                increases,
+                distributions: amount(k1.distributions),
+                suspendedLoss: Math.abs(amount(k1.priorYearSuspendedLoss)),
+            }
+        );
+        const allow = (value) => value < 0 ? value * limits.allowedFraction : value;
+
+        // Suspended losses from prior years come back as ordinary losses
+        const ordinaryIncome = allow(box1) - Math.abs(amount(k1.priorYearSuspendedLoss)) * limits.allowedFraction;
+        const section179Allowed = section179 * limits.allowedFraction;
+
+        // Box 14 Code A: guaranteed payments plus a general partner's share of ordinary income
+        const selfEmploymentEarnings = !isPartnership
+            ? 0
+            : k1.selfEmploymentEarnings !== undefined
+                ? amount(k1.selfEmploymentEarnings)
+                : guaranteedPayments + (isGeneralPartner ? ordinaryIncome - section179Allowed : 0);
+
+        return {
+            name: k1.entityName || `Schedule K-1 #${index + 1}`,
+            form: isPartnership ? 'Schedule K-1 (Form 1065)' : 'Schedule K-1 (Form 1120-S)',
+            entityType: isPartnership ? 'partnership' : 'sCorp',
+            ordinaryIncome,
+            guaranteedPayments,
+            royalties,
+            section179: section179Allowed,
+            scheduleE: ordinaryIncome + guaranteedPayments + royalties - section179Allowed,
+            interest,
+            ordinaryDividends,
+            qualifiedDividends,
+            shortTermCapitalGain: allow(shortTerm),
+            longTermCapitalGain: allow(longTerm) + limits.excessDistribution,
+            section1231: allow(section1231),
+            collectiblesGain: amount(k1.collectiblesGain),
+            unrecapturedSection1250Gain: amount(k1.unrecapturedSection1250Gain),
+            selfEmploymentEarnings,
+            section199A: k1.section199A || {},
+            isPassive: !!(k1.isPassive ?? k1.isLimitedPartner),
+            priorYearUnallowedLoss: Math.abs(amount(k1.priorYearUnallowedLoss)),
+            disposedOf: !!k1.disposedOf,
+            limits,
+            carryforward: {
+                priorYearSuspendedLoss: limits.suspendedByBasis + limits.suspendedByAtRisk,
+            },
+        };
+    });
+
+    const sum = (field) => k1s.reduce((total, k1) => total + k1[field], 0);
+
+    return {
+        k1s,
+        scheduleE: sum('scheduleE'),
+        interest: sum('interest'),
+        ordinaryDividends: sum('ordinaryDividends'),
+        qualifiedDividends: sum('qualifiedDividends'),
+        shortTermCapitalGain: sum('shortTermCapitalGain'),
+        longTermCapitalGain: sum('longTermCapitalGain'),
+        section1231: sum('section1231'),
+        collectiblesGain: sum('collectiblesGain'),
+        unrecapturedSection1250Gain: sum('unrecapturedSection1250Gain'),
+        selfEmploymentEarnings: sum('selfEmploymentEarnings'),
+        suspendedLosses: k1s.reduce((total, k1) => total + k1.carryforward.priorYearSuspendedLoss, 0),
+    };
+}
@@ -0,0 +1,110 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 4797: SALES OF BUSINESS PROPERTY (§1231)
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §1231(a): Net §1231 gain is long-term capital gain; a net §1231
+ *   loss is ordinary
+ * - IRC §1231(c): Net §1231 gain is ordinary to the extent of nonrecaptured
+ *   net §1231 losses of the 5 preceding years (oldest first)
+ * - IRC §1245 / §1250: Depreciation recapture is ordinary income (Form 4797
+ *   Part III); the rest of the depreciation on real property is
+ *   unrecaptured §1250 gain, taxed at up to 25% (IRC §1(h)(1)(E), §1(h)(6))
+ *
+ * IRS REFERENCE:
+ * - Form 4797 and Instructions (Part I Lines 7-9, Part II Line 12)
+ * - Schedule D Instructions, Unrecaptured Section 1250 Gain Worksheet
+ * - Publication 544 - Sales and Other Dispositions of Assets, Chapter 3
+ *
+ * FORM 4797 FLOW:
+ * Line 7:  Net §1231 gain or loss (this return's sales plus Schedule K-1 Box 10 / 9)
+ * Line 8:  Nonrecaptured net §1231 losses from the 5 prior years
+ * Line 9:  Line 7 less Line 8 → Schedule D Line 11 (long-term)
+ * Line 12: Line 8 recaptured as ordinary gain
+ * Line 18: Ordinary gains and losses (Parts II-III, recapture, Line 12,
+ *          or a Line 7 loss) → Schedule 1 Line 4
+ *
+ * FORM FIELDS (form.form4797):
+ * - section1231Gain: net gain or loss from Part I sales (after Part III recapture)
+ * - ordinaryGain: Part II ordinary gains and losses, including Part III
+ *   §1245 / §1250 recapture (Line 31)
+ * - unrecapturedSection1250Gain: the part of section1231Gain that is
+ *   unrecaptured §1250 gain (real property depreciation)
+ * - nonrecapturedLosses[]: { year, amount } - net §1231 losses of prior
+ *   years not yet recaptured. The returned `carryforward` uses the same
+ *   shape so it can be passed into next year's form.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+
+
+/**
+ * Years a net §1231 loss can be recaptured, IRC §1231(c)(1)
+ */
+export const SECTION_1231_LOOKBACK_YEARS = 5;
+
+
+/**
+ * Net §1231 gains and losses with the 5-year lookback recapture
+ *
+ * LEGAL AUTHORITY: IRC §1231, §1245, §1250
+ * IRS REFERENCE: Form 4797 Part I
+ *
+ * @param {Object} form - Tax form data (uses form.form4797)
+ * @param {Object} [context] - Engine amounts
+ * @param {number} [context.k1Section1231] - Net §1231 gain or loss allowed from Schedules K-1
+ * @param {number} [context.k1UnrecapturedSection1250Gain] - Schedule K-1 Box 9c / 8c
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Form 4797 lines: `capitalGain` goes on Schedule D
+ *   Line 11, `ordinaryGain` on Schedule 1 Line 4
+ */
+export function calculateSection1231(form, context = {}) {
+    const form4797 = form.form4797 || {};
+    const amount = (value) => parseFloat(value) || 0;
+    const { taxYear } = getTaxParameters(context.taxYear ?? form.taxYear);
+
+    const netSection1231 = amount(form4797.section1231Gain) + amount(context.k1Section1231);          // Line 7
+
+    // Line 8: losses of the 5 prior years, recaptured oldest first
+    const lookback = (form4797.nonrecapturedLosses || [])
+        .map(loss => ({ year: parseInt(loss.year, 10), amount: Math.abs(amount(loss.amount)) }))
+        .filter(loss => loss.amount > 0 && loss.year < taxYear && loss.year >= taxYear - SECTION_1231_LOOKBACK_YEARS)
+        .sort((a, b) => a.year - b.year);
+    const nonrecapturedLosses = lookback.reduce((total, loss) => total + loss.amount, 0);
+
+    let remainingGain = Math.max(0, netSection1231);
+    const carryforward = [];
+    lookback.forEach(loss => {
+        const recaptured = Math.min(loss.amount, remainingGain);
+        remainingGain -= recaptured;
+        if (loss.amount > recaptured) carryforward.push({ year: loss.year, amount: loss.amount - recaptured });
+    });
+    if (netSection1231 < 0) carryforward.push({ year: taxYear, amount: -netSection1231 });
+
+    const recaptured = Math.max(0, netSection1231) - remainingGain;                                    // Line 8 (used)
+    const capitalGain = remainingGain;                                                                  // Line 9
+    const partIIGain = amount(form4797.ordinaryGain);
+    const ordinaryGain = partIIGain + recaptured + Math.min(0, netSection1231);                         // Line 18
+
+    // Unrecaptured §1250 gain is part of the §1231 gain left as capital gain
+    // (Unrecaptured Section 1250 Gain Worksheet, Lines 9-10)
+    const unrecapturedSection1250Gain = Math.min(
+        amount(form4797.unrecapturedSection1250Gain) + amount(context.k1UnrecapturedSection1250Gain),
+        capitalGain
+    );
+
+    return {
+        form: 'Form 4797',
+        netSection1231,
+        nonrecapturedLosses,
+        recaptured,
+        capitalGain,
+        partIIGain,
+        ordinaryGain,
+        unrecapturedSection1250Gain,
+        carryforward: { nonrecapturedLosses: carryforward },
+    };
+}
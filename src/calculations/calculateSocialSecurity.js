@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - TAXABLE SOCIAL SECURITY BENEFITS
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §86: Social Security and tier 1 railroad retirement benefits
+ * - IRS Publication 915, Worksheet 1
+ * - Form 1040 Instructions, Social Security Benefits Worksheet (Line 6b)
+ *
+ * HOW IT WORKS:
+ * "Provisional income" = other income + tax-exempt interest + half of the
+ * benefits, less most adjustments to income. Compared against two statutory
+ * base amounts (not inflation-indexed):
+ *
+ *   Provisional income             Taxable portion of benefits
+ *   -------------------------      -------------------------------------
+ *   Up to base amount              0%
+ *   Base to adjusted base          50% of the excess (max 50% of benefits)
+ *   Above adjusted base            + 85% of the excess (max 85% of benefits)
+ *
+ * Married filing separately and living with your spouse at any time during
+ * the year: both base amounts are $0, so up to 85% is taxable from the first
+ * dollar.
+ *
+ * THE "TAX TORPEDO":
+ * In the phase-in ranges each extra dollar of other income also makes $0.50
+ * or $0.85 of benefits taxable, so the effective marginal rate is 1.5× or
+ * 1.85× the bracket rate. `marginalInclusionRate` reports that multiplier.
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * Base amounts (Worksheet lines 9 and 11), IRC §86(c)
+ */
+export const SOCIAL_SECURITY_BASE_AMOUNTS = {
+    married: { base: 32000, additional: 12000 },
+    other: { base: 25000, additional: 9000 },
+    marriedSeparateLivedTogether: { base: 0, additional: 0 },
+};
+
+
+/**
+ * Calculate the taxable portion of Social Security benefits
+ *
+ * IRS REFERENCE: Pub 915 Worksheet 1 / Form 1040 Social Security Benefits Worksheet
+ *
+ * FORM FIELDS:
+ * - socialSecurityBenefits: gross benefits (SSA-1099 Box 5, net of repayments)
+ * - taxExemptInterest: Form 1040 Line 2a
+ * - livedWithSpouse: MFS only - lived with spouse at any time during the year
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} income - Amounts from the return:
+ *   otherIncome (Form 1040 Lines 1z, 2b, 3b, 4b, 5b, 7, 8),
+ *   adjustments (Schedule 1 Lines 11-20, 23, 25; excludes student loan interest)
+ * @returns {Object} - Worksheet breakdown with `taxableBenefits` (Line 6b)
+ */
+export function calculateTaxableSocialSecurity(form, income) {
+    const filingStatus = form.filingStatus || 'single';
+    const benefits = Math.max(0, parseFloat(form.socialSecurityBenefits) || 0);
+
+    // Line 2: Half of benefits
+    const halfBenefits = benefits * 0.5;
+
+    // Lines 3-6: Other income + tax-exempt interest - adjustments
+    const taxExemptInterest = parseFloat(form.taxExemptInterest) || 0;
+    const provisionalIncome = Math.max(
+        0,
+        halfBenefits + income.otherIncome + taxExemptInterest - (income.adjustments || 0)
+    );
+
+    // Lines 9 and 11: Base amounts
+    const livedTogetherMFS = filingStatus === 'marriedSeparate' && !!form.livedWithSpouse;
+    const bases = livedTogetherMFS
+        ? SOCIAL_SECURITY_BASE_AMOUNTS.marriedSeparateLivedTogether
+        : filingStatus === 'married'
+            ? SOCIAL_SECURITY_BASE_AMOUNTS.married
+            : SOCIAL_SECURITY_BASE_AMOUNTS.other;
+
+    // Line 10: Excess over the base amount
+    const excessOverBase = Math.max(0, provisionalIncome - bases.base);
+
+    // Lines 12-15: 50% tier (limited to half of benefits)
+    const excessOverAdjustedBase = Math.max(0, excessOverBase - bases.additional);
+    const fiftyPercentTier = Math.min(halfBenefits, Math.min(excessOverBase, bases.additional) * 0.5);
+
+    // Lines 16-19: 85% tier, limited to 85% of benefits
+    const tentativeTaxable = fiftyPercentTier + excessOverAdjustedBase * 0.85;
+    const maxTaxable = benefits * 0.85;
+    const taxableBenefits = benefits > 0 ? Math.min(tentativeTaxable, maxTaxable) : 0;
+
+    // Additional benefits taxed per extra dollar of other income
+    let marginalInclusionRate = 0;
+    if (benefits > 0 && excessOverBase > 0 && tentativeTaxable < maxTaxable) {
+        if (excessOverAdjustedBase > 0) {
+            marginalInclusionRate = 0.85;
+        } else if (fiftyPercentTier < halfBenefits) {
+            marginalInclusionRate = 0.5;
+        }
+    }
+
+    return {
+        benefits,
+        provisionalIncome,
+        baseAmount: bases.base,
+        adjustedBaseAmount: bases.base + bases.additional,
+        fiftyPercentTier,
+        eightyFivePercentTier: excessOverAdjustedBase * 0.85,
+        taxableBenefits,
+        taxablePercent: benefits > 0 ? taxableBenefits / benefits : 0,
+        marginalInclusionRate,
+        livedTogetherMFS,
+    };
+}
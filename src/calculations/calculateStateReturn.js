@@ -0,0 +1,200 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - STATE INCOME TAX RETURN
+ * ============================================================================
+ *
+ * Builds a resident state return next to the federal one so callers don't
+ * have to stitch the two together.
+ *
+ * STATE RETURN FLOW (common to almost every state):
+ * 1. Start from federal AGI (Form 1040, Line 11)
+ * 2. Subtractions: Social Security, pension/IRA and 529 contributions the
+ *    state excludes → state AGI
+ * 3. Standard deduction (state's own, or the federal amount in conforming
+ *    states) and personal / dependent exemptions → state taxable income
+ * 4. State rates (flat, graduated, or Massachusetts surtax)
+ * 5. Credits: exemption credits, 529 credits, state EITC and child credits
+ *
+ * DATA SOURCES (src/stateData):
+ * - stateTaxRates.js: rates and brackets
+ * - stateDeductions.js: standard deductions and exemptions
+ * - stateRetirementExclusions.js: Social Security and pension exclusions
+ * - state529Plans.js: 529 deductions and credits
+ * - stateCredits.js: state EITC and CTC
+ *
+ * NOTE: State data is for 2025 and is applied to every supported tax year;
+ * only the federal amounts (AGI, conforming standard deduction) follow
+ * form.taxYear. Additions to income (e.g. out-of-state municipal bond
+ * interest) and state-specific phase-outs are not modeled.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters, getAgeAtYearEnd } from './taxYearParameters.js';
+import {
+    NO_INCOME_TAX_STATES,
+    calculateStateTax,
+    calculateWashingtonCapitalGainsTax,
+    getStateName,
+} from '../stateData/stateTaxRates.js';
+import {
+    getStateStandardDeduction,
+    calculateStateExemptions,
+} from '../stateData/stateDeductions.js';
+import {
+    calculateSSStateExclusion,
+    calculatePensionExclusion,
+} from '../stateData/stateRetirementExclusions.js';
+import { calculate529Benefit } from '../stateData/state529Plans.js';
+import {
+    STATE_EITC,
+    STATE_CTC,
+    calculateStateEITC,
+    calculateStateCTC,
+} from '../stateData/stateCredits.js';
+
+
+/**
+ * Calculate a resident state income tax return
+ *
+ * @param {Object} form - Tax form data; the state comes from form.state
+ *   (or form.stateOfResidence). State-only inputs:
+ *   - contributions529: 529 plan contributions
+ *   - pensionType: 'private' (default) or 'public' for pension exclusions
+ *   - stateItemizedDeductions: state itemized total, used when larger than
+ *     the state standard deduction
+ *   - stateWithholding: state income tax withheld
+ * @param {Object} federalResult - Result of calculateTotalTax (uses agi, taxYear,
+ *   taxableSocialSecurity, scheduleDDetails, earnedIncomeCredit)
+ * @returns {Object|null} - Line-by-line state breakdown, or null if no state
+ */
+export function calculateStateReturn(form, federalResult) {
+    const state = (form.state || form.stateOfResidence || '').toUpperCase();
+    if (!state) return null;
+
+    const filingStatus = form.filingStatus || 'single';
+    const params = getTaxParameters(federalResult.taxYear ?? form.taxYear);
+    const federalAGI = federalResult.agi;
+    // Retirement exclusions are age-based; no birth date is taken as under 65, matching calculateTotalTax
+    const age = form.birthDate ? getAgeAtYearEnd(form.birthDate, null, params.taxYear) : 40;
+    const dependents = form.dependents || [];
+
+    // Washington taxes long-term capital gains even without an income tax
+    const longTermGains = federalResult.scheduleDDetails
+        ? Math.max(0, federalResult.scheduleDDetails.longTerm.net)
+        : (form.hasScheduleD ? (parseFloat(form.scheduleD?.longTermGain) || 0) : 0);
+    const capitalGainsTax = state === 'WA' ? calculateWashingtonCapitalGainsTax(longTermGains) : 0;
+    const hasIncomeTax = !NO_INCOME_TAX_STATES.includes(state);
+
+
+    // ========================================================================
+    // SUBTRACTIONS FROM FEDERAL AGI
+    // ========================================================================
+
+    // Only the taxable portion of benefits is in federal AGI
+    const taxableSocialSecurity = federalResult.taxableSocialSecurity ?? (parseFloat(form.taxableSocialSecurity) || 0);
+    const socialSecurity = hasIncomeTax
+        ? calculateSSStateExclusion(state, taxableSocialSecurity, federalAGI, age, filingStatus).exclusion
+        : 0;
+
+    const retirementIncome = (parseFloat(form.taxablePensions) || 0) + (parseFloat(form.taxableIra) || 0);
+    const retirement = hasIncomeTax
+        ? calculatePensionExclusion(state, retirementIncome, age, filingStatus, form.pensionType || 'private').exclusion
+        : 0;
+
+    const contributions529 = parseFloat(form.contributions529) || 0;
+    const benefit529 = hasIncomeTax && contributions529 > 0
+        ? calculate529Benefit(state, contributions529, filingStatus)
+        : { type: 'none', amount: 0 };
+    const plan529 = benefit529.type === 'deduction' ? benefit529.deductionAmount : 0;
+
+    const subtractions = { socialSecurity, retirement, plan529 };
+    const totalSubtractions = socialSecurity + retirement + plan529;
+
+    const stateAGI = Math.max(0, federalAGI - totalSubtractions);
+
+
+    // ========================================================================
+    // DEDUCTIONS AND EXEMPTIONS → STATE TAXABLE INCOME
+    // ========================================================================
+
+    const federalStandardDeduction = params.standardDeduction[filingStatus] || params.standardDeduction.single;
+    const standardDeduction = hasIncomeTax
+        ? getStateStandardDeduction(state, filingStatus, federalStandardDeduction)
+        : 0;
+    const itemizedDeductions = standardDeduction > 0 ? (parseFloat(form.stateItemizedDeductions) || 0) : 0;
+    const deduction = Math.max(standardDeduction, itemizedDeductions);
+
+    const exemptions = hasIncomeTax
+        ? calculateStateExemptions(state, filingStatus, dependents.length)
+        : { personal: 0, dependents: 0, total: 0, isCredit: false };
+    const exemptionDeduction = exemptions.isCredit ? 0 : exemptions.total;
+
+    const taxableIncome = Math.max(0, stateAGI - deduction - exemptionDeduction);
+
+
+    // ========================================================================
+    // TAX AND CREDITS
+    // ========================================================================
+
+    const incomeTax = calculateStateTax(taxableIncome, state, filingStatus);
+    const totalTaxBeforeCredits = incomeTax + capitalGainsTax;
+
+    const numChildren = dependents.filter(d => d.qualifyingChild).length;
+    const childrenUnder6 = dependents.filter(d => d.age && d.age < 6).length;
+    const federalEITC = federalResult.earnedIncomeCredit ?? (parseFloat(form.earnedIncomeCredit) || 0);
+
+    const credits = {
+        exemption: exemptions.isCredit ? exemptions.total : 0,
+        plan529: benefit529.type === 'credit' ? benefit529.amount : 0,
+        eitc: hasIncomeTax && federalEITC > 0 ? calculateStateEITC(state, federalEITC, numChildren) : 0,
+        ctc: hasIncomeTax && numChildren > 0 ? calculateStateCTC(state, numChildren, childrenUnder6, form) : 0,
+    };
+
+    const refundableCredits =
+        (benefit529.refundable ? credits.plan529 : 0) +
+        (STATE_EITC[state]?.refundable ? credits.eitc : 0) +
+        (STATE_CTC[state]?.refundable ? credits.ctc : 0);
+    const nonRefundableCredits =
+        credits.exemption + credits.plan529 + credits.eitc + credits.ctc - refundableCredits;
+    const totalCredits = nonRefundableCredits + refundableCredits;
+
+    // Non-refundable credits stop at zero; refundable credits can produce a refund
+    const taxAfterNonRefundable = Math.max(0, totalTaxBeforeCredits - nonRefundableCredits);
+    const finalTax = taxAfterNonRefundable - refundableCredits;
+
+
+    // ========================================================================
+    // PAYMENTS AND REFUND
+    // ========================================================================
+
+    const withholding = parseFloat(form.stateWithholding) || 0;
+    const refundOrOwed = withholding - finalTax;
+
+    return {
+        state,
+        stateName: getStateName(state),
+        taxYear: params.taxYear,
+        hasIncomeTax,
+        federalAGI,
+        subtractions,
+        totalSubtractions,
+        stateAGI,
+        standardDeduction,
+        itemizedDeductions,
+        deduction,
+        exemptions,
+        taxableIncome,
+        incomeTax,
+        capitalGainsTax,
+        totalTaxBeforeCredits,
+        credits,
+        nonRefundableCredits,
+        refundableCredits,
+        totalCredits,
+        finalTax,
+        withholding,
+        refundOrOwed,
+        isRefund: refundOrOwed >= 0,
+    };
+}
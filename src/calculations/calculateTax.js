@@ -4,6 +4,7 @@
  * ============================================================================
  * 
  * This file contains the core US federal income tax calculations for tax year 2025.
+ * Other supported years (2023, 2024, 2026) are selected with `form.taxYear`.
  * 
  * LEGAL AUTHORITY:
  * - Internal Revenue Code (IRC) Title 26
@@ -24,233 +25,47 @@
  */
 
 // ============================================================================
-// SECTION 1: TAX BRACKETS (IRC §1)
+// SECTIONS 1-3: TAX TABLES (see taxYearParameters.js)
 // ============================================================================
 /**
- * 2025 Federal Income Tax Brackets
- * 
- * LEGAL AUTHORITY: IRC §1(a)-(d), IRC §1(i)
- * IRS REFERENCE: Rev. Proc. 2024-XX (annual inflation adjustments)
- * 
- * HOW TAX BRACKETS WORK:
- * The US uses a "progressive" or "marginal" tax system. This means:
- * - You don't pay your highest rate on ALL your income
- * - Each bracket only applies to income WITHIN that range
- * 
- * EXAMPLE (Single filer, $60,000 taxable income):
- * - First $11,925 taxed at 10% = $1,192.50
- * - Next $36,550 ($11,925 to $48,475) taxed at 12% = $4,386.00
- * - Remaining $11,525 ($48,475 to $60,000) taxed at 22% = $2,535.50
- * - TOTAL TAX = $8,114.00
- * - EFFECTIVE RATE = 13.5% (NOT 22%!)
- * 
- * 2025 OBBBA UPDATES:
- * - Tax rates were made PERMANENT (previously set to sunset in 2026)
- * - Brackets adjusted for inflation per IRC §1(f)
- * 
- * FORMAT: [income_threshold, marginal_rate]
- * The rate applies to income FROM this threshold UP TO the next threshold.
+ * Brackets, standard deductions, capital gains breakpoints and every other
+ * year-dependent amount live in the tax year registry. The 2025 tables are
+ * re-exported here so existing imports keep working.
  */
-export const TAX_BRACKETS_2025 = {
-    /**
-     * SINGLE FILERS (IRC §1(c))
-     * Unmarried individuals who don't qualify for Head of Household
-     */
-    single: [
-        [0, 0.10],       // $0 - $11,925: 10%
-        [11925, 0.12],   // $11,925 - $48,475: 12%
-        [48475, 0.22],   // $48,475 - $103,350: 22%
-        [103350, 0.24],  // $103,350 - $197,300: 24%
-        [197300, 0.32],  // $197,300 - $250,525: 32%
-        [250525, 0.35],  // $250,525 - $626,350: 35%
-        [626350, 0.37],  // $626,350+: 37%
-    ],
-
-    /**
-     * MARRIED FILING JOINTLY (IRC §1(a))
-     * Married couples who file a joint return
-     * Also applies to Qualifying Surviving Spouse (widow/widower)
-     * 
-     * NOTE: Brackets are approximately 2x single (no "marriage penalty" at most levels)
-     */
-    married: [
-        [0, 0.10],       // $0 - $23,850: 10%
-        [23850, 0.12],   // $23,850 - $96,950: 12%
-        [96950, 0.22],   // $96,950 - $206,700: 22%
-        [206700, 0.24],  // $206,700 - $394,600: 24%
-        [394600, 0.32],  // $394,600 - $501,050: 32%
-        [501050, 0.35],  // $501,050 - $751,600: 35%
-        [751600, 0.37],  // $751,600+: 37%
-    ],
-
-    /**
-     * MARRIED FILING SEPARATELY (IRC §1(d))
-     * Married couples who choose to file separate returns
-     * 
-     * WARNING: This status has DISADVANTAGES:
-     * - Lose many credits (EITC, education credits, etc.)
-     * - Lower phase-out thresholds
-     * - Cannot take standard deduction if spouse itemizes
-     * 
-     * USE CASES:
-     * - Liability protection (separate from spouse's tax issues)
-     * - Income-driven student loan repayment strategies
-     * - When one spouse owes back taxes/child support
-     */
-    marriedSeparate: [
-        [0, 0.10],       // $0 - $11,925: 10%
-        [11925, 0.12],   // $11,925 - $48,475: 12%
-        [48475, 0.22],   // $48,475 - $103,350: 22%
-        [103350, 0.24],  // $103,350 - $197,300: 24%
-        [197300, 0.32],  // $197,300 - $250,525: 32%
-        [250525, 0.35],  // $250,525 - $375,800: 35%
-        [375800, 0.37],  // $375,800+: 37% (NOTE: Lower threshold than single!)
-    ],
-
-    /**
-     * HEAD OF HOUSEHOLD (IRC §1(b))
-     * Unmarried taxpayers who maintain a home for a qualifying person
-     * 
-     * REQUIREMENTS (IRC §2(b)):
-     * 1. Unmarried (or "considered unmarried") on last day of year
-     * 2. Paid more than half the cost of keeping up a home
-     * 3. Qualifying person lived with you for more than half the year
-     * 
-     * BENEFITS:
-     * - Higher standard deduction than single ($23,500 vs $15,700)
-     * - Wider tax brackets than single
-     * - Higher income thresholds for credits
-     */
-    head: [
-        [0, 0.10],       // $0 - $17,000: 10%
-        [17000, 0.12],   // $17,000 - $64,850: 12%
-        [64850, 0.22],   // $64,850 - $103,350: 22%
-        [103350, 0.24],  // $103,350 - $197,300: 24%
-        [197300, 0.32],  // $197,300 - $250,500: 32%
-        [250500, 0.35],  // $250,500 - $626,350: 35%
-        [626350, 0.37],  // $626,350+: 37%
-    ],
-
-    /**
-     * QUALIFYING SURVIVING SPOUSE (formerly "Qualifying Widow(er)")
-     * IRC §2(a)
-     * 
-     * REQUIREMENTS:
-     * 1. Spouse died in one of the two preceding tax years
-     * 2. Did not remarry before end of current tax year
-     * 3. Have a dependent child
-     * 4. Paid more than half the cost of maintaining the home
-     * 
-     * BENEFIT: Use same brackets as Married Filing Jointly for 2 years after spouse's death
-     */
-    widow: [
-        [0, 0.10],
-        [23850, 0.12],
-        [96950, 0.22],
-        [206700, 0.24],
-        [394600, 0.32],
-        [501050, 0.35],
-        [751600, 0.37],
-    ],
-};
-
-
-// ============================================================================
-// SECTION 2: STANDARD DEDUCTIONS (IRC §63(c))
-// ============================================================================
-/**
- * 2025 Standard Deduction Amounts
- * 
- * LEGAL AUTHORITY: IRC §63(c)
- * IRS REFERENCE: Publication 17, Chapter 20
- * 
- * WHAT IS THE STANDARD DEDUCTION?
- * A fixed dollar amount that reduces your taxable income. You choose EITHER:
- * - Standard deduction (simple, fixed amount), OR
- * - Itemized deductions (sum of specific expenses like mortgage interest, SALT, charity)
- * 
- * 2025 OBBBA UPDATES:
- * - Standard deduction amounts made PERMANENT (were set to revert to lower 2017 amounts)
- * - Amounts adjusted for inflation
- * 
- * WHO SHOULD ITEMIZE?
- * Only itemize if your itemized deductions EXCEED the standard deduction.
- * Common scenarios where itemizing makes sense:
- * - High mortgage interest (especially first few years of mortgage)
- * - High state/local taxes (though capped at $40k per OBBBA)
- * - Significant charitable giving
- * - Large unreimbursed medical expenses (>7.5% of AGI)
- * 
- * ADDITIONAL AMOUNTS (not included here):
- * - Age 65+: Additional $1,950 (single) or $1,550 per spouse (married)
- * - Blind: Additional $1,950 (single) or $1,550 (married)
- */
-export const STANDARD_DEDUCTIONS_2025 = {
-    single: 15700,           // Single filers
-    married: 31400,          // Married Filing Jointly (exactly 2x single)
-    marriedSeparate: 15700,  // Married Filing Separately (same as single)
-    head: 23500,             // Head of Household (between single and married)
-    widow: 31400,            // Qualifying Surviving Spouse (same as MFJ)
-};
-
-
-// ============================================================================
-// SECTION 3: CAPITAL GAINS TAX BRACKETS (IRC §1(h))
-// ============================================================================
-/**
- * 2025 Long-Term Capital Gains Tax Brackets
- * 
- * LEGAL AUTHORITY: IRC §1(h)
- * IRS REFERENCE: Publication 550, Schedule D Instructions
- * 
- * WHAT ARE CAPITAL GAINS?
- * Profit from selling a capital asset (stocks, bonds, real estate, crypto, etc.)
- * 
- * SHORT-TERM vs LONG-TERM:
- * - SHORT-TERM (held ≤ 1 year): Taxed as ORDINARY INCOME (your regular rate)
- * - LONG-TERM (held > 1 year): Taxed at preferential rates below
- * 
- * WHY PREFERENTIAL RATES?
- * Congress chose to encourage long-term investment over short-term speculation.
- * This also mitigates "inflation tax" - part of the gain may be due to inflation, not real profit.
- * 
- * QUALIFIED DIVIDENDS (IRC §1(h)(11)):
- * Dividends from most US and some foreign corporations also qualify for these rates.
- * Requirements: Stock held 60+ days in 121-day period around ex-dividend date.
- * 
- * NET INVESTMENT INCOME TAX (NIIT):
- * High earners pay an ADDITIONAL 3.8% on investment income (see calculateNIIT function).
- * 
- * FORMAT: [taxable_income_threshold, rate]
- * The rate is based on your TOTAL taxable income, not just the gains.
- */
-export const CAPITAL_GAINS_BRACKETS_2025 = {
-    single: [
-        [0, 0],          // $0 - $48,350: 0% (!!)
-        [48350, 0.15],   // $48,350 - $533,400: 15%
-        [533400, 0.20],  // $533,400+: 20%
-    ],
-    married: [
-        [0, 0],          // $0 - $96,700: 0%
-        [96700, 0.15],   // $96,700 - $600,050: 15%
-        [600050, 0.20],  // $600,050+: 20%
-    ],
-    marriedSeparate: [
-        [0, 0],          // $0 - $48,350: 0%
-        [48350, 0.15],   // $48,350 - $300,025: 15%
-        [300025, 0.20],  // $300,025+: 20%
-    ],
-    head: [
-        [0, 0],          // $0 - $64,750: 0%
-        [64750, 0.15],   // $64,750 - $566,700: 15%
-        [566700, 0.20],  // $566,700+: 20%
-    ],
-    widow: [
-        [0, 0],          // $0 - $96,700: 0%
-        [96700, 0.15],   // $96,700 - $600,050: 15%
-        [600050, 0.20],  // $600,050+: 20%
-    ],
-};
+import {
+    TAX_BRACKETS_2025,
+    STANDARD_DEDUCTIONS_2025,
+    CAPITAL_GAINS_BRACKETS_2025,
+    getTaxParameters,
+    getAgeAtYearEnd,
+} from './taxYearParameters.js';
+import { calculateAMT } from './calculateAMT.js';
+import { calculateStateReturn } from './calculateStateReturn.js';
+import { calculateTaxableSocialSecurity } from './calculateSocialSecurity.js';
+import { calculateScheduleD, getCapitalLossLimit } from './calculateScheduleD.js';
+import { calculateSection1231 } from './calculateSection1231.js';
+import { calculateQBIDeduction, getQBIBusinesses } from './calculateQBI.js';
+import { calculateScheduleK1 } from './calculateScheduleK1.js';
+import { calculateAdditionalMedicareTax } from './calculateAdditionalMedicareTax.js';
+import { calculateChildTaxCredit } from './calculateChildTaxCredit.js';
+import { calculateEarnedIncomeCredit } from './calculateEarnedIncomeCredit.js';
+import { calculateEducationCredits, getEducationStudents } from './calculateEducationCredits.js';
+import { calculateDependentCareCredit } from './calculateDependentCareCredit.js';
+import { calculatePremiumTaxCredit } from './calculatePremiumTaxCredit.js';
+import { calculateScheduleA } from './calculateScheduleA.js';
+import { calculateForeignEarnedIncomeExclusion, calculateForeignTaxCredit } from './calculateForeignIncome.js';
+import { calculateExcessBusinessLoss, calculateNetOperatingLoss, calculateNOLDeduction } from './calculateNetOperatingLoss.js';
+import { calculateForm8615, getForm8814Elections, isSubjectToKiddieTax } from './calculateKiddieTax.js';
+import { calculateUnderpaymentPenalty, getAnnualizedIncomeForms } from './calculateUnderpaymentPenalty.js';
+import {
+    calculatePassiveActivityLoss,
+    getPassiveActivities,
+    getRentalActivities,
+} from './calculatePassiveActivityLoss.js';
+import { buildForm1040 } from './form1040.js';
+import { createTrace, NO_TRACE } from '../utils/calculationTrace.js';
+
+export { TAX_BRACKETS_2025, STANDARD_DEDUCTIONS_2025, CAPITAL_GAINS_BRACKETS_2025 };
 
 
 // ============================================================================
@@ -276,7 +91,7 @@ export const CAPITAL_GAINS_BRACKETS_2025 = {
  * 
  * EXAMPLE:
  * calculateBracketTax(60000, TAX_BRACKETS_2025.single)
- * Returns: $8,114 (see breakdown in TAX_BRACKETS_2025 comments above)
+ * Returns: $8,114 (see breakdown in TAX_BRACKETS_2025 comments in taxYearParameters.js)
  */
 export function calculateBracketTax(income, brackets) {
     // Handle edge case: negative or zero income results in no tax
@@ -308,6 +123,33 @@ export function calculateBracketTax(income, brackets) {
 }
 
 
+/**
+ * Break ordinary income into the slice taxed at each bracket rate
+ *
+ * Same walk as calculateBracketTax(), keeping each bracket's amount; used
+ * by the calculation trace to show how Line 16 was built.
+ *
+ * @param {number} income - Ordinary taxable income
+ * @param {Array} brackets - Array of [threshold, rate] pairs
+ * @returns {Array} - [{ from, to, rate, amount, tax }] for each bracket reached
+ */
+export function calculateBracketSlices(income, brackets) {
+    const slices = [];
+    if (income <= 0) return slices;
+
+    for (let i = 0; i < brackets.length; i++) {
+        const [limit, rate] = brackets[i];
+        const nextLimit = brackets[i + 1]?.[0] ?? Infinity;
+        const to = Math.min(income, nextLimit);
+
+        slices.push({ from: limit, to, rate, amount: to - limit, tax: (to - limit) * rate });
+        if (income <= nextLimit) break;
+    }
+
+    return slices;
+}
+
+
 /**
  * Calculate capital gains tax using "stacking" method
  * 
@@ -330,18 +172,39 @@ export function calculateBracketTax(income, brackets) {
  * @param {number} taxableIncome - Ordinary taxable income (before adding gains)
  * @param {number} capitalGains - Total qualified dividends + long-term capital gains
  * @param {string} filingStatus - Filing status for bracket lookup
+ * @param {number} [taxYear] - Tax year for bracket lookup (defaults to 2025)
  * @returns {number} - Capital gains tax liability
  */
-export function calculateCapitalGainsTax(taxableIncome, capitalGains, filingStatus) {
+export function calculateCapitalGainsTax(taxableIncome, capitalGains, filingStatus, taxYear) {
+    return calculateCapitalGainsSlices(taxableIncome, capitalGains, filingStatus, taxYear)
+        .reduce((tax, slice) => tax + slice.tax, 0);
+}
+
+
+/**
+ * Split qualified income into the amounts taxed at 20%, 15% and 0%
+ *
+ * Stacking walk behind calculateCapitalGainsTax(), also used by the
+ * calculation trace.
+ *
+ * @param {number} taxableIncome - Ordinary taxable income (before adding gains)
+ * @param {number} capitalGains - Total qualified dividends + long-term capital gains
+ * @param {string} filingStatus - Filing status for bracket lookup
+ * @param {number} [taxYear] - Tax year for bracket lookup (defaults to 2025)
+ * @returns {Array} - [{ rate, amount, tax }], highest rate first
+ */
+export function calculateCapitalGainsSlices(taxableIncome, capitalGains, filingStatus, taxYear) {
+    const slices = [];
+
     // No tax if no gains
-    if (capitalGains <= 0) return 0;
+    if (capitalGains <= 0) return slices;
 
-    const brackets = CAPITAL_GAINS_BRACKETS_2025[filingStatus] || CAPITAL_GAINS_BRACKETS_2025.single;
+    const { capitalGainsBrackets } = getTaxParameters(taxYear);
+    const brackets = capitalGainsBrackets[filingStatus] || capitalGainsBrackets.single;
 
     // "Stacking": Capital gains sit on top of ordinary income
     const totalIncome = taxableIncome + capitalGains;
 
-    let tax = 0;
     let remainingGains = capitalGains;
 
     // Process brackets from highest to lowest (reverse order)
@@ -357,12 +220,99 @@ export function calculateCapitalGainsTax(taxableIncome, capitalGains, filingStat
                 totalIncome - Math.max(taxableIncome, threshold)
             );
 
-            tax += gainsTaxedAtThisRate * rate;
+            slices.push({ rate, amount: gainsTaxedAtThisRate, tax: gainsTaxedAtThisRate * rate });
             remainingGains -= gainsTaxedAtThisRate;
         }
     }
 
-    return Math.max(0, tax);
+    return slices;
+}
+
+
+/**
+ * Schedule D Tax Worksheet: tax with 28% rate gain and unrecaptured §1250 gain
+ *
+ * LEGAL AUTHORITY: IRC §1(h)(1)
+ * IRS REFERENCE: Schedule D Instructions, Schedule D Tax Worksheet
+ *
+ * Used instead of the Qualified Dividends and Capital Gain Tax Worksheet
+ * when Schedule D Line 18 or 19 has an amount. Ordinary income and the
+ * 25%/28% gains that fall below the 32% bracket are taxed at regular rates;
+ * the rest of the net capital gain is taxed at 0/15/20%, then 25%, then 28%.
+ * The result is never more than the regular tax on all taxable income.
+ *
+ * @param {number} taxableIncome - Form 1040 Line 15
+ * @param {Object} gains - { qualifiedDividends, netCapitalGain (smaller of
+ *   Schedule D Line 15 or 16), collectiblesGain (Line 18),
+ *   unrecapturedSection1250Gain (Line 19) }
+ * @param {string} filingStatus - Filing status for bracket lookup
+ * @param {number} [taxYear] - Tax year for bracket lookup (defaults to 2025)
+ * @returns {Object} - Worksheet lines with `ordinaryIncome` (Line 21),
+ *   the tax at each rate and `tax` (Line 47)
+ */
+export function calculateScheduleDTaxWorksheet(taxableIncome, gains, filingStatus, taxYear) {
+    const params = getTaxParameters(taxYear);
+    const brackets = params.brackets[filingStatus] || params.brackets.single;
+    const [, [zeroRateTop], [fifteenRateTop]] = params.capitalGainsBrackets[filingStatus] || params.capitalGainsBrackets.single;
+    const thirtyTwoRateStart = brackets.find(([, rate]) => rate > 0.25)[0];
+
+    const line1 = Math.max(0, taxableIncome);
+    const line6 = Math.max(0, gains.qualifiedDividends || 0);                     // Lines 2-6 (no Form 4952 election)
+    const line9 = Math.max(0, gains.netCapitalGain || 0);                         // Lines 7-9
+    const line10 = line6 + line9;
+    const line11 = Math.max(0, gains.collectiblesGain || 0) + Math.max(0, gains.unrecapturedSection1250Gain || 0);
+    const line12 = Math.min(line9, line11);
+    const line13 = line10 - line12;                                               // Taxed at 0/15/20%
+    const line14 = Math.max(0, line1 - line13);
+
+    // 0% rate
+    const line16 = Math.min(line1, zeroRateTop);
+    const line17 = Math.min(line14, line16);
+    const line18 = Math.max(0, line1 - line10);
+    const line20 = Math.min(line14, Math.min(line1, thirtyTwoRateStart));         // Line 19: 32% bracket start
+    const line21 = Math.max(line18, line20);                                      // Taxed at regular rates
+    const line22 = line16 - line17;
+
+    // 15% and 20% rates
+    const line23 = Math.min(line1, line13);
+    const line25 = line23 - line22;
+    const line27 = Math.min(line1, fifteenRateTop);
+    const line28 = line21 + line22;
+    const line29 = Math.max(0, line27 - line28);
+    const line30 = Math.min(line25, line29);
+    const line31 = line30 * 0.15;
+    const line32 = line22 + line30;
+    const line33 = line23 - line32;
+    const line34 = line33 * 0.20;
+
+    // 25% rate: unrecaptured §1250 gain not already taxed at regular rates
+    const line35 = Math.min(line9, Math.max(0, gains.unrecapturedSection1250Gain || 0));
+    const line38 = line10 + line21 - line1;
+    const line39 = Math.max(0, line35 - line38);
+    const line40 = line39 * 0.25;
+
+    // 28% rate: whatever is left
+    const line42 = line1 - (line21 + line22 + line30 + line33 + line39);
+    const line43 = Math.max(0, line42) * 0.28;
+
+    const line44 = calculateBracketTax(line21, brackets);
+    const line45 = line31 + line34 + line40 + line43 + line44;
+    const line46 = calculateBracketTax(line1, brackets);
+    const regularRatesLower = line46 < line45;
+
+    return {
+        taxableIncome: line1,
+        qualifiedIncome: line13,                                                  // Line 13
+        ordinaryIncome: regularRatesLower ? line1 : line21,                       // Line 21
+        zeroRateAmount: regularRatesLower ? 0 : line22,                           // Line 22
+        fifteenRateAmount: regularRatesLower ? 0 : line30,                        // Line 30
+        twentyRateAmount: regularRatesLower ? 0 : line33,                         // Line 33
+        unrecapturedSection1250Amount: regularRatesLower ? 0 : line39,            // Line 39
+        collectiblesAmount: regularRatesLower ? 0 : Math.max(0, line42),          // Line 42
+        ordinaryTax: regularRatesLower ? line46 : line44,                         // Line 44
+        capitalGainsTax: regularRatesLower ? 0 : line31 + line34 + line40 + line43,
+        tax: Math.min(line45, line46),                                            // Line 47
+    };
 }
 
 
@@ -393,45 +343,79 @@ export function calculateCapitalGainsTax(taxableIncome, capitalGains, filingStat
  * 
  * SOCIAL SECURITY WAGE BASE (2025):
  * Only the first $176,100 of combined wages + SE income is subject to SS tax.
- * (Medicare has no cap)
+ * W-2 Social Security wages use up the base first (Schedule SE Lines 8-9).
+ * (Medicare has no cap; other years use that year's wage base)
+ *
+ * MINIMUM: No SE tax when net earnings are under $400 (IRC §6017).
+ *
+ * The 0.9% Additional Medicare Tax is not part of SE tax (and not half
+ * deductible): see calculateAdditionalMedicareTax.js (Form 8959).
  * 
  * @param {number} netSelfEmploymentIncome - Schedule C net profit (or K-1 SE income)
- * @returns {Object} { tax: total SE tax, deduction: deductible portion }
+ * @param {number} [taxYear] - Tax year for the wage base (defaults to 2025)
+ * @param {number} [socialSecurityWages] - W-2 Social Security wages and tips
+ *   (Boxes 3 + 7) of the person with the SE income
+ * @returns {Object} { tax: total SE tax, deduction: deductible portion,
+ *   netEarnings, socialSecurityWages, socialSecurityBase, socialSecurityTax, medicareTax }
  */
-export function calculateSelfEmploymentTax(netSelfEmploymentIncome) {
+export function calculateSelfEmploymentTax(netSelfEmploymentIncome, taxYear, socialSecurityWages = 0) {
     // No SE tax if no SE income
     if (netSelfEmploymentIncome <= 0) return { tax: 0, deduction: 0 };
 
     // Step 1: Apply 92.35% factor (IRC §1402(a)(12))
     // This approximates the employer-equivalent deduction
     const taxableBase = netSelfEmploymentIncome * 0.9235;
+    if (taxableBase < 400) return { tax: 0, deduction: 0 };
 
     // Step 2: Calculate Social Security portion (12.4%)
-    // Subject to wage base limit ($176,100 for 2025)
-    // NOTE: If taxpayer has W-2 income, that uses up part of the wage base first
-    // This simplified calculation assumes no W-2 income
-    const ssWageBase = 176100;
-    const ssTax = Math.min(taxableBase, ssWageBase) * 0.124;
+    // Subject to wage base limit ($176,100 for 2025), reduced by W-2 wages
+    // (Schedule SE Line 9)
+    const ssWageBase = getTaxParameters(taxYear).socialSecurityWageBase;
+    const socialSecurityBase = Math.max(0, ssWageBase - Math.max(0, socialSecurityWages));
+    const ssTax = Math.min(taxableBase, socialSecurityBase) * 0.124;
 
     // Step 3: Calculate Medicare portion (2.9%)
     // No wage base limit - applies to ALL SE income
     const medicareTax = taxableBase * 0.029;
 
-    // Step 4: Calculate Additional Medicare Tax (0.9%)
-    // Applies to SE income over threshold (IRC §1401(b)(2))
-    // Thresholds: $200k (single/HOH), $250k (MFJ), $125k (MFS)
-    // This simplified version uses $200k (single threshold)
-    const additionalMedicareThreshold = 200000;
-    const additionalMedicare = Math.max(0, taxableBase - additionalMedicareThreshold) * 0.009;
-
-    // Total SE tax
-    const totalTax = ssTax + medicareTax + additionalMedicare;
+    // Total SE tax (Schedule SE Line 12)
+    const totalTax = ssTax + medicareTax;
 
     // Deductible portion: 50% of SE tax (IRC §164(f))
     // This is an "above the line" deduction (reduces AGI)
     const deduction = totalTax * 0.5;
 
-    return { tax: totalTax, deduction };
+    return {
+        tax: totalTax,
+        deduction,
+        netEarnings: taxableBase,
+        socialSecurityWages: Math.max(0, socialSecurityWages),
+        socialSecurityBase,
+        socialSecurityTax: ssTax,
+        medicareTax,
+    };
+}
+
+
+/**
+ * W-2 Social Security wages of the person with the SE income (Schedule SE Line 8a)
+ *
+ * Schedule SE is figured per person, so on a joint return the other
+ * spouse's W-2 doesn't use up this person's wage base. Form fields:
+ * - selfEmploymentSocialSecurityWages: the SE person's own W-2 Social
+ *   Security wages and tips (Boxes 3 + 7); defaults to 0 on a joint return
+ * - socialSecurityWages, else totalWages: used on other returns, where all
+ *   the wages are the filer's
+ *
+ * @param {Object} form - Tax form data
+ * @returns {number}
+ */
+export function getScheduleSEWages(form) {
+    if (form.selfEmploymentSocialSecurityWages !== undefined) {
+        return parseFloat(form.selfEmploymentSocialSecurityWages) || 0;
+    }
+    if (form.filingStatus === 'married') return 0;
+    return parseFloat(form.socialSecurityWages ?? form.totalWages) || 0;
 }
 
 
@@ -496,14 +480,74 @@ export function calculateNIIT(agi, netInvestmentIncome, filingStatus) {
     // How much AGI exceeds threshold
     const excessAGI = Math.max(0, agi - threshold);
 
-    // Tax applies to lesser of: net investment income OR excess AGI
-    const taxableNII = Math.min(excessAGI, netInvestmentIncome);
+    // Tax applies to lesser of: net investment income OR excess AGI.
+    // Net losses (e.g. a rental loss larger than other investment income)
+    // don't make the tax negative
+    const taxableNII = Math.max(0, Math.min(excessAGI, netInvestmentIncome));
 
     // NIIT rate is 3.8%
     return taxableNII * 0.038;
 }
 
 
+/**
+ * Add Schedule K-1, Form 4797 and Form 8814 capital gains to the form's Schedule D
+ *
+ * K-1 gains go on Schedule D Line 5 (short-term) and Line 12 (long-term);
+ * net §1231 gain left after the lookback recapture goes on Line 11 and a
+ * child's capital gain distributions (Form 8814 Line 10) on Line 13. Their
+ * 28% and 25% rate parts are added to the Line 18 / 19 inputs. Without a
+ * Schedule D, a Line 7 entry (form.capitalGainLoss) is kept as short-term
+ * so it's taxed as before.
+ */
+function withOtherCapitalGains(form, k1, section1231Details, form8814CapitalGain = 0) {
+    const scheduleD = form.hasScheduleD && form.scheduleD
+        ? { ...form.scheduleD }
+        : { shortTermGain: parseFloat(form.capitalGainLoss) || 0 };
+    const add = (field, value) => {
+        scheduleD[field] = (parseFloat(scheduleD[field]) || 0) + value;
+    };
+
+    add('shortTermGain', k1.shortTermCapitalGain);
+    add('longTermGain', k1.longTermCapitalGain + section1231Details.capitalGain + form8814CapitalGain);
+    add('collectiblesGain', k1.collectiblesGain);
+    add('unrecapturedSection1250Gain', section1231Details.unrecapturedSection1250Gain);
+
+    return { ...form, hasScheduleD: true, scheduleD };
+}
+
+
+/**
+ * Adjustments to income entered on Schedule 1 Part II, as [label, field]
+ */
+const ENTERED_ADJUSTMENTS = [
+    ['Educator expenses', 'educatorExpenses'],
+    ['HSA deduction', 'hsaDeduction'],
+    ['Deductible part of SE tax', 'selfEmploymentTaxDeduction'],
+    ['SEP, SIMPLE and qualified plans', 'selfEmployedSEPSimple'],
+    ['Self-employed health insurance', 'selfEmployedHealthInsurance'],
+    ['Early withdrawal penalty', 'penaltyEarlyWithdrawal'],
+    ['Alimony paid', 'alimonyPaid'],
+    ['IRA deduction', 'iraDeduction'],
+    ['Student loan interest', 'studentLoanInterest'],
+];
+
+/**
+ * Total of the entered adjustments to income
+ *
+ * MAGI worksheets add some adjustments back; list their fields in
+ * `excluding` (e.g. ['studentLoanInterest'] for the Social Security
+ * worksheet).
+ * The OBBBA deductions aren't included: they phase out by a MAGI figured
+ * from this total.
+ */
+function sumEnteredAdjustments(form, excluding = []) {
+    return ENTERED_ADJUSTMENTS
+        .filter(([, field]) => !excluding.includes(field))
+        .reduce((total, [, field]) => total + (parseFloat(form[field]) || 0), 0);
+}
+
+
 // ============================================================================
 // SECTION 5: MAIN TAX CALCULATION FUNCTION
 // ============================================================================
@@ -524,35 +568,65 @@ export function calculateNIIT(agi, netInvestmentIncome, filingStatus) {
  * 4. Taxable Income
  * 5. Tax Calculation (Tax Tables or Schedule D)
  * 6. Credits
- * 7. Other Taxes (SE tax, NIIT)
+ * 7. Other Taxes (AMT, SE tax, NIIT)
  * 8. Payments and Refund/Amount Owed
  * 
  * @param {Object} form - Tax form data object with all income, deduction, and credit fields
+ * @param {Object} [options]
+ * @param {boolean} [options.forms] - Also return `forms`: Form 1040 (Lines 1a-38),
+ *   Schedules 1, 2, 3, A, B, C, D and SE and Form 8959, line by line (see form1040.js)
+ * @param {boolean} [options.trace] - Also return `trace`: a tree of every
+ *   intermediate amount with the rule and TAX_AUTHORITY citation behind it
+ *   (see utils/calculationTrace.js)
  * @returns {Object} - Complete tax calculation breakdown
  */
-export function calculateTotalTax(form) {
+export function calculateTotalTax(form, options = {}) {
     // ========================================================================
     // STEP 1: DETERMINE FILING STATUS (Form 1040, top of page 1)
     // ========================================================================
     // Filing status affects: brackets, standard deduction, credit eligibility
     const filingStatus = form.filingStatus || 'single';
 
+    // Tax year selects brackets, deductions and limits (defaults to 2025)
+    const params = getTaxParameters(form.taxYear);
+
+    // Calculation trace (options.trace); NO_TRACE records nothing
+    const trace = options.trace
+        ? createTrace('Federal income tax', { rule: `Tax year ${params.taxYear}, filing status ${filingStatus}` })
+        : NO_TRACE;
+
 
     // ========================================================================
     // STEP 2: CALCULATE TOTAL INCOME (Form 1040, Lines 1-8)
     // ========================================================================
 
+    // Schedule K-1 items are routed to the lines below (see calculateScheduleK1.js)
+    const k1 = calculateScheduleK1(form);
+
+    // Children's interest and dividends the parent elects to report (Form
+    // 8814, see calculateKiddieTax.js): qualified dividends go on Lines 3a/3b,
+    // capital gain distributions on Schedule D and the rest on Schedule 1
+    const form8814Details = getForm8814Elections(form, params.taxYear);
+    const form8814 = (field) => form8814Details.reduce((total, election) => total + election[field], 0);
+
     // Line 1: Wages, salaries, tips (Form W-2 Box 1)
     const totalWages = parseFloat(form.totalWages) || 0;
 
-    // Line 2b: Taxable interest (Form 1099-INT)
+    // Foreign earned income (Form 2555 Line 27), all of it in income; the
+    // exclusion comes off on Schedule 1 Line 8d below
+    const foreignExclusionDetails = calculateForeignEarnedIncomeExclusion(form, params.taxYear);
+    const foreignEarnedIncome = foreignExclusionDetails.foreignEarnedIncome;
+
+    // Line 2b: Taxable interest (Form 1099-INT, plus K-1 interest)
     // Note: Line 2a is tax-exempt interest (not included in taxable income)
-    const taxableInterest = parseFloat(form.taxableInterest) || 0;
+    const taxableInterest = (parseFloat(form.taxableInterest) || 0) + k1.interest;
 
-    // Line 3b: Ordinary dividends (Form 1099-DIV Box 1a)
+    // Line 3b: Ordinary dividends (Form 1099-DIV Box 1a, plus K-1 dividends)
     // Note: Line 3a is qualified dividends (taxed at capital gains rates)
-    const ordinaryDividends = parseFloat(form.ordinaryDividends) || 0;
-    const qualifiedDividends = parseFloat(form.qualifiedDividends) || 0;
+    const ordinaryDividends = (parseFloat(form.ordinaryDividends) || 0) + k1.ordinaryDividends +
+        form8814('includedQualifiedDividends');
+    const qualifiedDividends = (parseFloat(form.qualifiedDividends) || 0) + k1.qualifiedDividends +
+        form8814('includedQualifiedDividends');
 
     // Line 4b: Taxable IRA distributions (Form 1099-R)
     const taxableIra = parseFloat(form.taxableIra) || 0;
@@ -560,16 +634,21 @@ export function calculateTotalTax(form) {
     // Line 5b: Taxable pensions and annuities (Form 1099-R)
     const taxablePensions = parseFloat(form.taxablePensions) || 0;
 
-    // Line 6b: Taxable Social Security benefits
-    // IRC §86 formula determines taxable portion (up to 85%)
-    const taxableSocialSecurity = parseFloat(form.taxableSocialSecurity) || 0;
+    // Line 6b: Taxable Social Security benefits - computed below from gross
+    // benefits (form.socialSecurityBenefits) once all other income is known
 
     // Line 7: Capital gain/loss (from Schedule D or Form 8949)
     // See Schedule D calculation below
     const capitalGainLoss = parseFloat(form.capitalGainLoss) || 0;
 
-    // Line 8: Other income (Schedule 1, Part I)
-    const otherIncome = parseFloat(form.otherIncome) || 0;
+    // Line 8: Other income (Schedule 1, Part I), including 529 earnings that
+    // aren't tax-free because the expenses went to an education credit (Form 8863)
+    // and children's income from Form 8814 Line 12
+    const educationStudents = getEducationStudents(form);
+    const taxable529Earnings = educationStudents
+        .reduce((total, student) => total + student.distribution529.taxableEarnings, 0);
+    const form8814Income = form8814('includedOtherIncome');
+    const otherIncome = (parseFloat(form.otherIncome) || 0) + taxable529Earnings + form8814Income;
 
 
     // ========================================================================
@@ -607,17 +686,37 @@ export function calculateTotalTax(form) {
      * - Part III: Estate and trust income
      * 
      * Rental income is generally "passive" unless you're a Real Estate Professional (IRC §469(c)(7))
-     * Passive losses can only offset passive income (with limited exceptions)
+     * Passive losses can only offset passive income (with limited exceptions);
+     * see the Form 8582 section below
+     *
+     * form.rentalActivities lists each rental separately; otherwise
+     * form.scheduleE is a single rental activity.
      */
-    let scheduleE = 0;
-    if (form.hasScheduleE && form.scheduleE) {
-        if (form.scheduleE.netIncome !== undefined) {
-            scheduleE = parseFloat(form.scheduleE.netIncome) || 0;
-        } else {
-            scheduleE = (parseFloat(form.scheduleE.rentalIncome) || 0) -
-                (parseFloat(form.scheduleE.rentalExpenses) || 0);
-        }
-    }
+    let scheduleE = getRentalActivities(form).reduce((total, rental) => total + rental.net, 0);
+
+
+    // ========================================================================
+    // SCHEDULE K-1: PARTNERSHIP AND S-CORP INCOME (Schedule E, Part II)
+    // ========================================================================
+    /**
+     * Each K-1's ordinary income, guaranteed payments, royalties and §179
+     * deduction go to Schedule E; portfolio income was added to Lines 2b/3b
+     * above and capital gains go to Schedule D below. Losses are limited
+     * to basis and then the amount at risk (IRC §704(d), §1366(d), §465).
+     *
+     * K-1 §1231 gains and losses are netted with this return's on Form 4797
+     * (see calculateSection1231.js): net gain is long-term capital gain
+     * (Schedule D Line 11) except what the 5-year lookback recaptures as
+     * ordinary; a net loss and depreciation recapture are ordinary (Form
+     * 4797 → Schedule 1 Line 4).
+     */
+    let passThroughIncome = k1.scheduleE;
+    const section1231Details = calculateSection1231(form, {
+        k1Section1231: k1.section1231,
+        k1UnrecapturedSection1250Gain: k1.unrecapturedSection1250Gain,
+        taxYear: params.taxYear,
+    });
+    const otherGains = section1231Details.ordinaryGain;
 
 
     // ========================================================================
@@ -636,40 +735,302 @@ export function calculateTotalTax(form) {
      * 
      * LOSS LIMIT: Can deduct up to $3,000 ($1,500 MFS) of net capital losses per year
      * Excess losses carry forward to future years (never expire)
+     *
+     * See calculateScheduleD.js; prior-year carryovers go in
+     * scheduleD.shortTermLossCarryover / longTermLossCarryover.
      */
-    let scheduleD = 0;
-    if (form.hasScheduleD && form.scheduleD) {
-        scheduleD = (parseFloat(form.scheduleD.shortTermGain) || 0) +
-            (parseFloat(form.scheduleD.longTermGain) || 0);
+    let scheduleDDetails = null;
+    const form8814CapitalGain = form8814('includedCapitalGainDistributions');
+    const otherCapitalGains = k1.shortTermCapitalGain !== 0 || k1.collectiblesGain !== 0 ||
+        k1.longTermCapitalGain + section1231Details.capitalGain + form8814CapitalGain !== 0;
+    const scheduleDForm = otherCapitalGains
+        ? withOtherCapitalGains(form, k1, section1231Details, form8814CapitalGain)
+        : form;
+    if (scheduleDForm.hasScheduleD && scheduleDForm.scheduleD) {
+        scheduleDDetails = calculateScheduleD(scheduleDForm);
     }
 
     // Use Schedule D if present, otherwise fallback to Line 7 entry
     // This prevents double-counting if both are populated
-    const totalCapitalGains = (form.hasScheduleD && form.scheduleD)
-        ? scheduleD
-        : (parseFloat(form.capitalGainLoss) || 0);
+    const totalCapitalGains = scheduleDDetails
+        ? scheduleDDetails.capitalGainOrLoss
+        : Math.max(capitalGainLoss, -getCapitalLossLimit(filingStatus));
+
+    const incomeTrace = trace.section('Total income (Form 1040 Line 9)');
+    if (scheduleDDetails) {
+        const scheduleDTrace = incomeTrace.section('Schedule D netting', { authority: 'capitalLossLimit' });
+        scheduleDTrace.record('Net short-term gain or loss (Line 7)', scheduleDDetails.shortTerm.net, {
+            rule: 'Short-term gains - losses - prior-year carryover',
+        });
+        scheduleDTrace.record('Net long-term gain or loss (Line 15)', scheduleDDetails.longTerm.net, {
+            rule: 'Long-term gains - losses - prior-year carryover',
+        });
+        scheduleDTrace.record('Combined (Line 16)', scheduleDDetails.netGainOrLoss, { rule: 'Line 7 + Line 15' });
+        if (scheduleDDetails.netGainOrLoss < 0) {
+            scheduleDTrace.record('Loss allowed (Line 21)', -scheduleDDetails.allowedLoss, {
+                rule: `Smaller of the loss or the $${scheduleDDetails.lossLimit.toLocaleString()} limit`,
+                authority: 'capitalLossLimit',
+            });
+        }
+        scheduleDTrace.total(totalCapitalGains);
+    } else if (capitalGainLoss < totalCapitalGains) {
+        incomeTrace.record('Capital loss limited', totalCapitalGains, {
+            rule: `Line 7 loss of $${(-capitalGainLoss).toLocaleString()} limited to $${getCapitalLossLimit(filingStatus).toLocaleString()}`,
+            authority: 'capitalLossLimit',
+        });
+    }
 
 
     // ========================================================================
-    // TOTAL INCOME (Form 1040, Line 9)
+    // FORM 8582: PASSIVE ACTIVITY LOSS LIMITATIONS
     // ========================================================================
-    const totalIncome = totalWages + taxableInterest + ordinaryDividends + taxableIra +
+    /**
+     * Rentals (unless you're a real estate professional) and K-1s you don't
+     * materially participate in are passive activities (IRC §469). Their
+     * net losses only offset passive income, plus up to $25,000 of actively
+     * managed rental losses, phased out between $100,000 and $150,000 of
+     * MAGI. Unallowed losses carry forward per activity and are released
+     * when the activity is disposed of. See calculatePassiveActivityLoss.js.
+     */
+    let passiveLossDetails = null;
+    let passiveK1Income = 0;
+    const passiveActivities = getPassiveActivities(form, k1);
+    if (passiveActivities.length > 0) {
+        const passiveNet = passiveActivities
+            .filter(activity => activity.passive)
+            .reduce((total, activity) => total + activity.net, 0);
+
+        // Form 8582 Line 7: MAGI without passive losses, taxable Social
+        // Security, the deductible part of SE tax, the IRA deduction or
+        // student loan interest
+        const magi = totalWages + foreignEarnedIncome + taxableInterest + ordinaryDividends + taxableIra +
+            taxablePensions + otherIncome + scheduleC + scheduleE + passThroughIncome -
+            passiveNet + Math.max(0, passiveNet) + otherGains + totalCapitalGains -
+            sumEnteredAdjustments(form, ['selfEmploymentTaxDeduction', 'iraDeduction', 'studentLoanInterest']);
+
+        passiveLossDetails = calculatePassiveActivityLoss(passiveActivities, {
+            magi,
+            filingStatus,
+            livedWithSpouse: !!form.livedWithSpouse,
+        });
+
+        // Replace each activity's net with the amount allowed this year
+        passiveLossDetails.activities.forEach(activity => {
+            const adjustment = activity.allowedNet - activity.net;
+            if (activity.type === 'rental') {
+                scheduleE += adjustment;
+            } else {
+                passThroughIncome += adjustment;
+            }
+            if (activity.type === 'k1' && activity.passive) {
+                passiveK1Income += activity.allowedNet;
+            }
+        });
+
+        const palTrace = incomeTrace.section('Passive activity losses (Form 8582)', { authority: 'passiveActivityLoss' });
+        palTrace.record('Rental activities with active participation (Line 1d)', passiveLossDetails.rentalNet, {
+            rule: 'Current-year income or loss - prior-year unallowed losses',
+        });
+        palTrace.record('All other passive activities (Line 3d)', passiveLossDetails.otherNet);
+        palTrace.record('Combined (Line 4)', passiveLossDetails.combined, { rule: 'Line 1d + Line 3d' });
+        if (passiveLossDetails.combined < 0) {
+            palTrace.record('Modified AGI (Line 7)', magi, {
+                rule: 'Without passive losses, taxable Social Security, IRA deduction or student loan interest',
+            });
+            palTrace.record('Special allowance (Line 10)', passiveLossDetails.specialAllowance.allowed, {
+                rule: `Up to $${passiveLossDetails.specialAllowance.maximum.toLocaleString()}, less 50% of MAGI over $${passiveLossDetails.specialAllowance.phaseOutStart.toLocaleString()}`,
+                authority: 'passiveActivityLoss',
+            });
+        }
+        if (passiveLossDetails.released > 0) {
+            palTrace.record('Released on disposition', passiveLossDetails.released, { rule: 'IRC §469(g)' });
+        }
+        palTrace.record('Unallowed losses carried forward', passiveLossDetails.unallowedLosses);
+        palTrace.total(passiveLossDetails.allowedLosses);
+    }
+
+
+    // ========================================================================
+    // EXCESS BUSINESS LOSS (Form 461 → Schedule 1 Line 8p)
+    // ========================================================================
+    /**
+     * IRC §461(l): business losses (after the basis, at-risk and passive
+     * limits) can offset only $313,000 ($626,000 joint, 2025) of wages and
+     * investment income. The excess is added back here and carries to next
+     * year as a net operating loss. See calculateNetOperatingLoss.js.
+     */
+    const excessBusinessLossDetails = calculateExcessBusinessLoss(
+        scheduleC + scheduleE + passThroughIncome + otherGains,
+        { filingStatus, taxYear: params.taxYear }
+    );
+    const excessBusinessLoss = excessBusinessLossDetails.excessBusinessLoss;
+    if (excessBusinessLoss > 0) {
+        const eblTrace = incomeTrace.section('Excess business loss (Form 461)', { authority: 'excessBusinessLoss' });
+        eblTrace.record('Business income or loss (Line 9)', excessBusinessLossDetails.businessIncome, {
+            rule: 'Schedules C and E and Form 4797, after passive loss limits; not wages',
+        });
+        eblTrace.record('Threshold (Line 15)', excessBusinessLossDetails.threshold, { rule: `${filingStatus}, ${params.taxYear}` });
+        eblTrace.total(excessBusinessLoss);
+    }
+
+
+    // ========================================================================
+    // TAXABLE SOCIAL SECURITY (Form 1040, Line 6b)
+    // ========================================================================
+    /**
+     * IRC §86: up to 85% of benefits are taxable depending on "provisional
+     * income" (Pub 915 Worksheet 1). Gross benefits go in
+     * form.socialSecurityBenefits; a precomputed form.taxableSocialSecurity
+     * is used as-is when gross benefits aren't given.
+     */
+    let socialSecurityDetails = null;
+    let taxableSocialSecurity = parseFloat(form.taxableSocialSecurity) || 0;
+    if (parseFloat(form.socialSecurityBenefits) > 0) {
+        socialSecurityDetails = calculateTaxableSocialSecurity(form, {
+            otherIncome: totalWages + foreignEarnedIncome + taxableInterest + ordinaryDividends + taxableIra +
+                taxablePensions + otherIncome + scheduleC + scheduleE + passThroughIncome +
+                otherGains + excessBusinessLoss + totalCapitalGains,
+            // Schedule 1 Lines 11-20, 23 and 25 (student loan interest is added back)
+            adjustments: sumEnteredAdjustments(form, ['studentLoanInterest']),
+        });
+        taxableSocialSecurity = socialSecurityDetails.taxableBenefits;
+
+        const ssTrace = incomeTrace.section('Taxable Social Security worksheet', { authority: 'socialSecurityBenefits' });
+        ssTrace.record('Gross benefits', socialSecurityDetails.benefits, { rule: 'Form SSA-1099, Box 5' });
+        ssTrace.record('Provisional income', socialSecurityDetails.provisionalIncome, {
+            rule: '50% of benefits + other income + tax-exempt interest - adjustments',
+        });
+        ssTrace.record('Base amount', socialSecurityDetails.baseAmount, { rule: `Statutory base for ${filingStatus}` });
+        ssTrace.record('50% tier', socialSecurityDetails.fiftyPercentTier);
+        ssTrace.record('85% tier', socialSecurityDetails.eightyFivePercentTier);
+        ssTrace.record('Marginal inclusion rate', socialSecurityDetails.marginalInclusionRate, { format: 'rate' });
+        ssTrace.total(taxableSocialSecurity);
+    }
+
+
+    // ========================================================================
+    // FOREIGN EARNED INCOME EXCLUSION (Form 2555 → Schedule 1 Line 8d)
+    // ========================================================================
+    /**
+     * IRC §911: a qualified individual excludes foreign wages up to the
+     * annual limit, housing costs over the base amount first. Other MAGI
+     * figures (SALT cap, NIIT, credits) add the exclusion back; the tax on
+     * the rest is figured with it stacked underneath (§911(f), below). See
+     * calculateForeignIncome.js.
+     */
+    const foreignExclusion = foreignExclusionDetails.totalExclusion;
+    if (foreignExclusion > 0) {
+        const feieTrace = incomeTrace.section('Foreign earned income exclusion (Form 2555)', { authority: 'foreignEarnedIncomeExclusion' });
+        feieTrace.record('Foreign earned income (Line 27)', foreignEarnedIncome, { rule: 'In total income' });
+        if (foreignExclusionDetails.housingExclusion > 0) {
+            feieTrace.record('Housing exclusion (Line 36)', foreignExclusionDetails.housingExclusion, {
+                rule: `Housing expenses up to $${Math.round(foreignExclusionDetails.housingLimit).toLocaleString()}, ` +
+                    `less the $${Math.round(foreignExclusionDetails.housingBase).toLocaleString()} base amount`,
+            });
+        }
+        feieTrace.record('Foreign earned income exclusion (Line 42)', foreignExclusionDetails.earnedIncomeExclusion, {
+            rule: `Up to $${Math.round(foreignExclusionDetails.exclusionLimit).toLocaleString()} for ${foreignExclusionDetails.qualifyingDays} qualifying days`,
+        });
+        feieTrace.total(-foreignExclusion);
+    }
+
+
+    // ========================================================================
+    // NET OPERATING LOSS DEDUCTION (Schedule 1 Line 8a)
+    // ========================================================================
+    /**
+     * IRC §172: prior-year NOLs (form.nolCarryforwards) are used oldest
+     * first. Losses from 2018 on offset only 80% of taxable income figured
+     * without the NOL and QBI deductions. That base uses the adjustments
+     * entered and the larger of the standard or itemized deduction; the
+     * OBBBA deductions below phase out by MAGI after the NOL deduction, so
+     * they aren't in it. See calculateNetOperatingLoss.js.
+     */
+    const tentativeAdjustments = sumEnteredAdjustments(form);
+    const incomeBeforeNOL = totalWages + foreignEarnedIncome + taxableInterest + ordinaryDividends + taxableIra +
         taxablePensions + taxableSocialSecurity + otherIncome +
-        scheduleC + scheduleE + totalCapitalGains;
+        scheduleC + scheduleE + passThroughIncome + otherGains + excessBusinessLoss + totalCapitalGains -
+        foreignExclusion;
+
+    let nolDeductionDetails = calculateNOLDeduction(form.nolCarryforwards, { taxableIncome: 0, taxYear: params.taxYear });
+    if (nolDeductionDetails.available > 0) {
+        const agiBeforeNOL = incomeBeforeNOL - tentativeAdjustments;
+        const deductionBeforeNOL = Math.max(
+            params.standardDeduction[filingStatus] || params.standardDeduction.single,
+            calculateScheduleA(form, {
+                agi: agiBeforeNOL, magi: agiBeforeNOL + foreignExclusion, filingStatus, taxYear: params.taxYear,
+            }).itemizedDeduction
+        );
+        nolDeductionDetails = calculateNOLDeduction(form.nolCarryforwards, {
+            taxableIncome: agiBeforeNOL - deductionBeforeNOL,
+            taxYear: params.taxYear,
+        });
+    }
+    const nolDeduction = nolDeductionDetails.deduction;
 
 
     // ========================================================================
-    // HELPER: Calculate Age (for senior deductions)
+    // TOTAL INCOME (Form 1040, Line 9)
     // ========================================================================
-    const calculateAge = (birthDate) => {
-        if (!birthDate) return 40; // Default to under 65
-        const today = new Date();
-        const birth = new Date(birthDate);
-        let age = today.getFullYear() - birth.getFullYear();
-        const monthDiff = today.getMonth() - birth.getMonth();
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) age--;
-        return age;
-    };
+    const totalIncome = incomeBeforeNOL - nolDeduction;
+
+    [
+        ['Wages (Line 1a)', totalWages, 'Form W-2, Box 1'],
+        ['Foreign earned income', foreignEarnedIncome, 'Form 2555 Line 27'],
+        ['Taxable interest (Line 2b)', taxableInterest, 'Form 1099-INT'],
+        ['Ordinary dividends (Line 3b)', ordinaryDividends, 'Form 1099-DIV, Box 1a'],
+        ['Taxable IRA distributions (Line 4b)', taxableIra, 'Form 1099-R'],
+        ['Taxable pensions (Line 5b)', taxablePensions, 'Form 1099-R'],
+        ['Taxable Social Security (Line 6b)', taxableSocialSecurity, socialSecurityDetails ? 'Pub 915 worksheet' : 'As entered'],
+        ['Capital gain or loss (Line 7)', totalCapitalGains, scheduleDDetails ? 'Schedule D' : 'As entered'],
+        ['Business income (Schedule C)', scheduleC, 'Gross receipts - expenses'],
+        ['Rental income (Schedule E)', scheduleE, passiveLossDetails ? 'Rents - expenses, after Form 8582' : 'Rents - expenses'],
+        ['Partnership and S corporation income (Schedule E)', passThroughIncome, 'K-1 ordinary income + guaranteed payments - §179, after basis, at-risk and passive loss limits'],
+        ['Other gains or losses (Form 4797)', otherGains, section1231Details.recaptured
+            ? `Ordinary gains and losses, with $${Math.round(section1231Details.recaptured).toLocaleString()} of §1231 gain recaptured for prior-year losses`
+            : 'Ordinary gains and losses, or a net §1231 loss'],
+        ['Other income (Schedule 1 Line 8)', otherIncome, [
+            'As entered',
+            ...(taxable529Earnings ? ['taxable 529 earnings (Form 1099-Q)'] : []),
+            ...(form8814Income ? ['children\'s interest and dividends (Form 8814 Line 12)'] : []),
+        ].join(' + ')],
+        ['Excess business loss (Schedule 1 Line 8p)', excessBusinessLoss, 'Form 461 Line 16, added back'],
+        ['Foreign earned income exclusion (Schedule 1 Line 8d)', -foreignExclusion, 'Form 2555 Line 45'],
+    ].forEach(([label, value, rule]) => value && incomeTrace.record(label, value, { rule }));
+    form8814Details.forEach(election => incomeTrace.record(`${election.name}'s income (Form 8814 Line 6)`, election.includedIncome, {
+        rule: `$${election.grossIncome.toLocaleString()} of interest and dividends over $${(election.grossIncome - election.includedIncome).toLocaleString()}, ` +
+            'in Lines 3b, 7 and Schedule 1 Line 8 above',
+        authority: 'kiddieTax',
+    }));
+    k1.k1s.filter(entry => entry.limits.total > 0).forEach(entry => {
+        const lossTrace = incomeTrace.section(`${entry.name} losses allowed`, { authority: 'k1LossLimitations' });
+        lossTrace.record('Losses and deductions', entry.limits.total, {
+            rule: 'Ordinary, capital and §1231 losses, §179 and prior-year suspended losses',
+        });
+        if (entry.limits.basisAvailable !== null) {
+            lossTrace.record('Basis available', entry.limits.basisAvailable, { rule: 'Beginning basis + income items - distributions' });
+            lossTrace.record('Suspended by basis', entry.limits.suspendedByBasis);
+            lossTrace.record('Suspended by at-risk', entry.limits.suspendedByAtRisk);
+        }
+        lossTrace.total(entry.limits.allowed);
+    });
+    if (nolDeductionDetails.available > 0 || nolDeductionDetails.expired > 0) {
+        const nolTrace = incomeTrace.section('Net operating loss deduction (Schedule 1 Line 8a)', { authority: 'netOperatingLoss' });
+        nolTrace.record('Carryforwards available', nolDeductionDetails.available, { rule: 'form.nolCarryforwards, oldest first' });
+        if (nolDeductionDetails.expired > 0) {
+            nolTrace.record('Expired', nolDeductionDetails.expired, { rule: 'Pre-2018 losses carry forward 20 years' });
+        }
+        nolTrace.record('Taxable income before the NOL deduction', nolDeductionDetails.taxableIncome, {
+            rule: 'Without the NOL, QBI and OBBBA deductions',
+        });
+        if (nolDeductionDetails.limit !== null) {
+            nolTrace.record('80% limit for post-2017 losses', nolDeductionDetails.limit, {
+                rule: '80% of taxable income less pre-2018 losses used',
+            });
+        }
+        nolTrace.total(-nolDeduction);
+    }
+    incomeTrace.total(totalIncome);
 
 
     // ========================================================================
@@ -703,10 +1064,12 @@ export function calculateTotalTax(form) {
      */
 
     // Phase-out calculation for new OBBBA deductions
+    // Before 2025 (obbba is null) these deductions don't exist
+    const obbba = params.obbba;
     const getPhaseOutPct = (income) => {
         const limits = filingStatus === 'married'
-            ? { start: 300000, end: 550000 }
-            : { start: 150000, end: 400000 };
+            ? obbba.phaseOut.married
+            : obbba.phaseOut.other;
 
         if (income <= limits.start) return 1.0;  // Full deduction
         if (income >= limits.end) return 0.0;    // No deduction
@@ -716,24 +1079,18 @@ export function calculateTotalTax(form) {
 
     // Calculate tentative income for phase-out (before new deductions)
     const tentativeTotalIncome = totalIncome;
-    const tentativeAdjustments = (parseFloat(form.educatorExpenses) || 0) +
-        (parseFloat(form.hsaDeduction) || 0) +
-        (parseFloat(form.selfEmploymentTaxDeduction) || 0) +
-        (parseFloat(form.selfEmployedSEPSimple) || 0) +
-        (parseFloat(form.selfEmployedHealthInsurance) || 0) +
-        (parseFloat(form.penaltyEarlyWithdrawal) || 0) +
-        (parseFloat(form.alimonyPaid) || 0) +
-        (parseFloat(form.iraDeduction) || 0) +
-        (parseFloat(form.studentLoanInterest) || 0);
-
-    const magiForPhaseOut = tentativeTotalIncome - tentativeAdjustments;
-    const phaseOutPct = getPhaseOutPct(magiForPhaseOut);
+    const magiForPhaseOut = tentativeTotalIncome - tentativeAdjustments + foreignExclusion;
+    const phaseOutPct = obbba ? getPhaseOutPct(magiForPhaseOut) : 0;
 
     // Calculate new OBBBA deductions with phase-out
-    const tipsDeduction = Math.min(parseFloat(form.tipIncome) || 0, 25000) * phaseOutPct;
-    const overtimeDeduction = Math.min(parseFloat(form.overtimeIncome) || 0, 12500) * phaseOutPct;
-    const autoLoanDeduction = Math.min(parseFloat(form.autoLoanInterest) || 0, 10000);
-    const seniorBonus = calculateAge(form.birthDate) >= 65 ? 6000 : 0;
+    const tipsDeduction = obbba ? Math.min(parseFloat(form.tipIncome) || 0, obbba.tips.max) * phaseOutPct : 0;
+    const overtimeDeduction = obbba ? Math.min(parseFloat(form.overtimeIncome) || 0, obbba.overtime.max) * phaseOutPct : 0;
+    const autoLoanDeduction = obbba ? Math.min(parseFloat(form.autoLoanInterest) || 0, obbba.autoLoan.max) : 0;
+    // Age at the end of the tax year; no birth date is taken as under 65
+    const age = form.birthDate ? getAgeAtYearEnd(form.birthDate, null, params.taxYear) : 40;
+    const seniorBonus = obbba && age >= obbba.seniorBonus.ageRequirement
+        ? obbba.seniorBonus.max
+        : 0;
 
 
     // ========================================================================
@@ -754,22 +1111,41 @@ export function calculateTotalTax(form) {
      * - IRA contributions (Traditional IRA)
      * - Student loan interest (up to $2,500)
      */
-    const totalAdjustments =
-        (parseFloat(form.educatorExpenses) || 0) +
-        (parseFloat(form.hsaDeduction) || 0) +
-        (parseFloat(form.selfEmploymentTaxDeduction) || 0) +
-        (parseFloat(form.selfEmployedSEPSimple) || 0) +
-        (parseFloat(form.selfEmployedHealthInsurance) || 0) +
-        (parseFloat(form.penaltyEarlyWithdrawal) || 0) +
-        (parseFloat(form.alimonyPaid) || 0) +
-        (parseFloat(form.iraDeduction) || 0) +
-        (parseFloat(form.studentLoanInterest) || 0) +
+    const totalAdjustments = tentativeAdjustments +
         // New 2025 OBBBA deductions
         tipsDeduction +
         overtimeDeduction +
         autoLoanDeduction +
         seniorBonus;
 
+    const adjustmentsTrace = trace.section('Adjustments to income (Schedule 1 Line 26)', { authority: 'adjustmentsToIncome' });
+    ENTERED_ADJUSTMENTS.forEach(([label, field]) => parseFloat(form[field]) && adjustmentsTrace.record(label, parseFloat(form[field]), { rule: 'As entered' }));
+    if (obbba && tipsDeduction + overtimeDeduction + autoLoanDeduction + seniorBonus > 0) {
+        const limits = filingStatus === 'married' ? obbba.phaseOut.married : obbba.phaseOut.other;
+        const obbbaTrace = adjustmentsTrace.section('OBBBA deductions');
+        obbbaTrace.record('MAGI for phase-out', magiForPhaseOut, {
+            rule: `Total income - other adjustments${foreignExclusion ? ' + foreign earned income exclusion' : ''}`,
+        });
+        obbbaTrace.record('Phase-out percentage allowed', phaseOutPct, {
+            format: 'rate',
+            rule: `1 - (MAGI - $${limits.start.toLocaleString()}) / ($${limits.end.toLocaleString()} - $${limits.start.toLocaleString()}), between 0% and 100%`,
+        });
+        if (tipsDeduction) obbbaTrace.record('Tips deduction', tipsDeduction, {
+            rule: `min(tips, $${obbba.tips.max.toLocaleString()}) × phase-out %`, authority: 'tipsDeduction',
+        });
+        if (overtimeDeduction) obbbaTrace.record('Overtime deduction', overtimeDeduction, {
+            rule: `min(overtime, $${obbba.overtime.max.toLocaleString()}) × phase-out %`, authority: 'overtimeDeduction',
+        });
+        if (autoLoanDeduction) obbbaTrace.record('Car loan interest deduction', autoLoanDeduction, {
+            rule: `min(interest, $${obbba.autoLoan.max.toLocaleString()})`, authority: 'autoLoanInterest',
+        });
+        if (seniorBonus) obbbaTrace.record('Senior deduction', seniorBonus, {
+            rule: `Age ${obbba.seniorBonus.ageRequirement} or older`, authority: 'seniorBonus',
+        });
+        obbbaTrace.total(tipsDeduction + overtimeDeduction + autoLoanDeduction + seniorBonus);
+    }
+    adjustmentsTrace.total(totalAdjustments);
+
 
     // ========================================================================
     // ADJUSTED GROSS INCOME (AGI) - Form 1040 Line 11
@@ -781,45 +1157,94 @@ export function calculateTotalTax(form) {
      * - Is the starting point for itemized deduction limits
      * - Used for medical expense deduction (7.5% of AGI floor)
      */
-    const agi = totalIncome - totalAdjustments;
+    const agi = trace.record('Adjusted gross income (Form 1040 Line 11)', totalIncome - totalAdjustments, {
+        rule: 'Total income - adjustments',
+    });
 
 
     // ========================================================================
     // STANDARD VS ITEMIZED DEDUCTION (Form 1040 Lines 12-14)
     // ========================================================================
 
-    const standardDeduction = STANDARD_DEDUCTIONS_2025[filingStatus] || STANDARD_DEDUCTIONS_2025.single;
+    // Someone who can be claimed as a dependent (a child filing their own
+    // return) gets the larger of $1,350 or earned income + $450 (2025), up to
+    // the regular amount (IRC §63(c)(5))
+    const regularStandardDeduction = params.standardDeduction[filingStatus] || params.standardDeduction.single;
+    const { minimum: dependentMinimum, earnedIncomeAddition } = params.dependentStandardDeduction;
+    const standardDeduction = form.canBeClaimedAsDependent
+        ? Math.min(regularStandardDeduction, Math.max(
+            dependentMinimum,
+            Math.max(0, totalWages + foreignEarnedIncome + scheduleC + k1.selfEmploymentEarnings) + earnedIncomeAddition
+        ))
+        : regularStandardDeduction;
 
     /**
-     * SALT CAP (State and Local Tax Deduction Limit)
+     * ITEMIZED DEDUCTIONS (Schedule A)
      * 
-     * LEGAL AUTHORITY: IRC §164(b)(6)
+     * LEGAL AUTHORITY: IRC §63(d), §68, §163(h), §164(b)(6), §170, §213
      * 
-     * 2025 OBBBA UPDATE: Cap increased from $10,000 to $40,000
-     * (MFS cap is half: $20,000)
+     * See calculateScheduleA.js: medical expenses over 7.5% of AGI, SALT up
+     * to the cap ($40,000 for 2025 under OBBBA, half for MFS, less 30% of
+     * MAGI over $500,000 but not below $10,000; $10,000 before), mortgage interest on qualified debt, charity within the AGI
+     * limits with carryovers, and the OBBBA §68 limitation from 2026.
      * 
-     * This cap limits the deduction for:
-     * - State and local income taxes (or sales taxes if elected)
-     * - State and local property taxes
+     * The larger of itemized and standard is taken automatically. A
+     * form.deductionType of 'itemized' or 'standard' is an election (§63(e));
+     * a married person filing separately whose spouse itemizes
+     * (form.spouseItemizes) must itemize (§63(c)(6)(A)).
      */
-    const saltCap = filingStatus === 'marriedSeparate' ? 20000 : 40000;
-    const actualSalt = Math.min(
-        (parseFloat(form.stateLocalTaxes) || 0) + (parseFloat(form.realEstateTaxes) || 0),
-        saltCap
-    );
-
-    // Calculate total itemized deductions (Schedule A)
-    const itemizedTotal =
-        (parseFloat(form.medicalExpenses) || 0) +  // Subject to 7.5% AGI floor
-        actualSalt +                                // Subject to SALT cap
-        (parseFloat(form.mortgageInterest) || 0) +  // Limit: $750k acquisition debt
-        (parseFloat(form.charityCash) || 0) +       // Limit: 60% of AGI
-        (parseFloat(form.charityNonCash) || 0) +    // Limit: 30% of AGI
-        (parseFloat(form.casualtyLosses) || 0) +    // Federally declared disasters only
-        (parseFloat(form.otherItemized) || 0);
-
-    // Use whichever is higher: standard or itemized
-    const deduction = form.deductionType === 'itemized' ? itemizedTotal : standardDeduction;
+    const scheduleADetails = calculateScheduleA(form, { agi, magi: agi + foreignExclusion, filingStatus, taxYear: params.taxYear });
+    const actualSalt = scheduleADetails.saltDeduction;
+    const itemizedTotal = scheduleADetails.itemizedDeduction;
+
+    let deductionRule;
+    if (filingStatus === 'marriedSeparate' && form.spouseItemizes) {
+        deductionRule = 'Itemized (spouse itemizes, §63(c)(6))';
+    } else if (form.deductionType === 'itemized' || form.deductionType === 'standard') {
+        deductionRule = `${form.deductionType === 'itemized' ? 'Itemized' : 'Standard'} (form.deductionType)`;
+    } else {
+        deductionRule = itemizedTotal > standardDeduction ? 'Itemized (larger)' : 'Standard deduction (larger)';
+    }
+    const itemizing = deductionRule.startsWith('Itemized');
+    const deduction = itemizing ? itemizedTotal : standardDeduction;
+
+    const deductionTrace = trace.section('Deduction (Form 1040 Line 12)', { rule: deductionRule });
+    deductionTrace.record('Standard deduction', standardDeduction, {
+        rule: form.canBeClaimedAsDependent
+            ? `Dependent: larger of $${dependentMinimum.toLocaleString()} or earned income + $${earnedIncomeAddition}, up to $${regularStandardDeduction.toLocaleString()}`
+            : `${filingStatus}, ${params.taxYear}`,
+        authority: 'standardDeduction',
+    });
+    if (itemizing || itemizedTotal > 0) {
+        const scheduleATrace = deductionTrace.section('Itemized deductions (Schedule A Line 17)', { authority: 'itemizedDeductions' });
+        const { medicalExpenses, medicalFloor, saltPaid, saltCap, saltCapReduction, saltMagi, mortgage, charity } = scheduleADetails;
+        if (medicalExpenses) scheduleATrace.record('Medical and dental', scheduleADetails.medicalDeduction, {
+            rule: `$${medicalExpenses.toLocaleString()} - 7.5% of AGI ($${Math.round(medicalFloor).toLocaleString()})`,
+        });
+        scheduleATrace.record('State and local taxes', actualSalt, {
+            rule: `min($${saltPaid.toLocaleString()} paid, $${Math.round(saltCap).toLocaleString()} cap)` +
+                (saltCapReduction ? `, cap reduced $${Math.round(saltCapReduction).toLocaleString()} for MAGI of $${Math.round(saltMagi).toLocaleString()}` : ''),
+            authority: 'saltDeduction',
+        });
+        if (mortgage.interest) scheduleATrace.record('Mortgage interest', mortgage.deductible, {
+            rule: mortgage.qualifiedLoanLimit === null
+                ? 'As entered'
+                : `$${Math.round(mortgage.qualifiedLoanLimit).toLocaleString()} qualified of $${Math.round(mortgage.averageBalance).toLocaleString()} average balance`,
+        });
+        if (charity.contributions || charity.carryover) scheduleATrace.record('Gifts to charity', charity.deduction, {
+            rule: `$${Math.round(charity.contributions + charity.carryover).toLocaleString()} given and carried over, within the AGI limits` +
+                (charity.floor ? `, less the 0.5% floor` : ''),
+        });
+        [
+            ['Casualty and theft losses', scheduleADetails.casualtyLosses],
+            ['Other itemized deductions', scheduleADetails.otherItemized],
+        ].forEach(([label, value]) => value && scheduleATrace.record(label, value, { rule: 'As entered' }));
+        if (scheduleADetails.limitation) scheduleATrace.record('Itemized deduction limitation', -scheduleADetails.limitation, {
+            rule: '2/37 of the smaller of itemized deductions or income over the 37% bracket (§68)',
+        });
+        scheduleATrace.total(itemizedTotal);
+    }
+    deductionTrace.total(deduction);
 
 
     // ========================================================================
@@ -848,20 +1273,64 @@ export function calculateTotalTax(form) {
      * - Phase-in range: $50,000 (S), $100,000 (MFJ)
      * - Above phase-in: Subject to wage/UBIA limits
      * 
-     * NOTE: This is a simplified calculation. Complex cases (multiple businesses,
-     * specified service trades, aggregation elections) require Form 8995-A.
+     * See calculateQBI.js (Form 8995-A): per-business components, W-2 wage /
+     * UBIA limits, SSTB phase-in, aggregation groups and loss carryforwards
+     * (form.qbiLossCarryforward, form.reitPtpLossCarryforward). REIT dividends
+     * (form.qualifiedREITDividends) and PTP income (form.qualifiedPTPIncome)
+     * get their own 20% component.
+     *
+     * Businesses are Schedule C and each K-1 (after basis and at-risk limits).
      */
-    let qbiDeduction = 0;
-    if (scheduleC > 0) {
-        // Tentative QBI deduction: 20% of qualified business income
-        const tentativeQBI = scheduleC * 0.20;
-
-        // Limitation: Can't exceed 20% of (taxable income - net capital gains)
-        const taxableBeforeQBI = Math.max(0, agi - deduction);
-        const capGains = form.hasScheduleD ? (parseFloat(form.scheduleD?.longTermGain) || 0) : 0;
-        const limit = (taxableBeforeQBI - capGains) * 0.20;
-
-        qbiDeduction = Math.min(tentativeQBI, Math.max(0, limit));
+    const qbiDetails = calculateQBIDeduction({
+        businesses: getQBIBusinesses(form, passiveLossDetails),
+        reitDividends: form.qualifiedREITDividends,
+        ptpIncome: form.qualifiedPTPIncome,
+        qbiLossCarryforward: form.qbiLossCarryforward,
+        reitPtpLossCarryforward: form.reitPtpLossCarryforward,
+    }, {
+        taxableIncome: Math.max(0, agi - deduction),
+        // Net capital gain for §199A includes qualified dividends
+        netCapitalGain: (scheduleDDetails ? scheduleDDetails.netCapitalGain : 0) + qualifiedDividends,
+        filingStatus,
+        taxYear: params.taxYear,
+    });
+    const qbiDeduction = qbiDetails.deduction;
+
+    if (qbiDetails.businesses.length > 0 || qbiDetails.reitPtp.income > 0) {
+        const qbiTrace = trace.section(`QBI deduction (Form 1040 Line 13, ${qbiDetails.form})`, {
+            authority: 'qbiDeduction',
+            rule: qbiDetails.incomeLimited
+                ? 'Limited to 20% of taxable income'
+                : 'Sum of business and REIT/PTP components',
+        });
+        qbiTrace.record('Taxable income before QBI', qbiDetails.taxableIncome, { rule: 'AGI - deduction' });
+        qbiTrace.record('Phase-in percentage', qbiDetails.phaseInPercent, {
+            format: 'rate',
+            rule: `(taxable income - $${qbiDetails.threshold.toLocaleString()}) / $${qbiDetails.phaseInRange.toLocaleString()}, between 0% and 100%`,
+        });
+        qbiDetails.businesses.forEach(business => {
+            const businessTrace = qbiTrace.section(business.name, {
+                rule: {
+                    none: '20% of QBI',
+                    wageLimit: 'Limited to the W-2 wage / UBIA amount',
+                    phaseIn: 'Excess over the W-2 wage / UBIA amount phased in',
+                }[business.limitApplied],
+            });
+            if (business.isSSTB) {
+                businessTrace.record('SSTB applicable percentage', business.applicablePercentage, { format: 'rate' });
+            }
+            businessTrace.record('QBI after losses', business.netQBI, { rule: 'Losses allocated in proportion to QBI' });
+            businessTrace.record('W-2 wage / UBIA limit', business.wageLimit, {
+                rule: 'Greater of 50% of W-2 wages or 25% of wages + 2.5% of UBIA',
+            });
+            businessTrace.total(business.component);
+        });
+        if (qbiDetails.reitPtp.income > 0) {
+            qbiTrace.record('REIT/PTP component', qbiDetails.reitPtp.component, { rule: '20% × (REIT dividends + PTP income - loss carryforward)' });
+        }
+        qbiTrace.record('Net capital gain', qbiDetails.netCapitalGain, { rule: 'Including qualified dividends' });
+        qbiTrace.record('Taxable income limit', qbiDetails.incomeLimit, { rule: '20% × (taxable income before QBI - net capital gain)' });
+        qbiTrace.total(qbiDeduction);
     }
 
 
@@ -869,7 +1338,38 @@ export function calculateTotalTax(form) {
     // TAXABLE INCOME (Form 1040 Line 15)
     // ========================================================================
     // Taxable income = AGI - Deduction - QBI Deduction
-    const taxableIncome = Math.max(0, agi - deduction - qbiDeduction);
+    const taxableIncome = trace.record('Taxable income (Form 1040 Line 15)', Math.max(0, agi - deduction - qbiDeduction), {
+        rule: 'AGI - deduction - QBI deduction, not below zero',
+    });
+
+    // Net operating loss (Form 172): a negative taxable income without
+    // nonbusiness deductions, capital losses, the NOL or QBI deduction,
+    // carried forward with any excess business loss and unused vintages
+    const nolDetails = calculateNetOperatingLoss({
+        agi,
+        deduction,
+        qbiDeduction,
+        capitalGainOrLoss: totalCapitalGains,
+        nonbusinessIncome: taxableInterest + ordinaryDividends + taxableIra + taxablePensions +
+            taxableSocialSecurity + otherIncome,
+        nolDeduction: nolDeductionDetails,
+        excessBusinessLoss,
+    }, params.taxYear);
+    if (nolDetails.netOperatingLoss > 0) {
+        const form172Trace = trace.section('Net operating loss (Form 172)', { authority: 'netOperatingLoss' });
+        form172Trace.record('Taxable income (Line 1)', nolDetails.taxableIncome, { rule: 'AGI - deduction - QBI deduction' });
+        form172Trace.record('Capital loss deducted', nolDetails.capitalLossAddBack, { rule: 'Nonbusiness capital losses' });
+        form172Trace.record('Nonbusiness deductions over nonbusiness income (Line 9)', nolDetails.nonbusinessDeductionAddBack);
+        form172Trace.record('NOL deduction', nolDetails.nolDeductionAddBack);
+        form172Trace.record('QBI deduction', nolDetails.qbiAddBack);
+        form172Trace.total(nolDetails.netOperatingLoss);
+    }
+
+    // Capital loss carryover to next year (Schedule D Carryover Worksheet):
+    // a loss that couldn't reduce taxable income below zero isn't used up
+    if (scheduleDDetails && scheduleDDetails.netGainOrLoss < 0) {
+        scheduleDDetails = calculateScheduleD(scheduleDForm, agi - deduction - qbiDeduction);
+    }
 
 
     // ========================================================================
@@ -877,34 +1377,327 @@ export function calculateTotalTax(form) {
     // ========================================================================
 
     // Separate qualified income (taxed at preferential rates)
-    const longTermGains = form.hasScheduleD ? (parseFloat(form.scheduleD?.longTermGain) || 0) : 0;
-    const totalQualifiedIncome = qualifiedDividends + Math.max(0, longTermGains);
-
-    // Ordinary income = taxable income minus qualified income
-    const ordinaryTaxableIncome = Math.max(0, taxableIncome - totalQualifiedIncome);
+    const longTermGains = scheduleDDetails ? scheduleDDetails.netCapitalGain : 0;
+
+    // Foreign Earned Income Tax Worksheet (§911(f)): the excluded income is
+    // stacked under taxable income, so the rest is taxed at the rates it
+    // would have reached, and the tax on the excluded amount alone is
+    // subtracted from the ordinary tax
+    const stackedExclusion = taxableIncome > 0 ? foreignExclusion : 0;
+
+    // 28% rate gain or unrecaptured §1250 gain (Schedule D Lines 18-19):
+    // Schedule D Tax Worksheet instead of the Qualified Dividends and
+    // Capital Gain Tax Worksheet
+    const scheduleDTaxWorksheet = scheduleDDetails &&
+        scheduleDDetails.collectiblesGain + scheduleDDetails.unrecapturedSection1250Gain > 0
+        ? calculateScheduleDTaxWorksheet(taxableIncome + stackedExclusion, {
+            qualifiedDividends,
+            netCapitalGain: longTermGains,
+            collectiblesGain: scheduleDDetails.collectiblesGain,
+            unrecapturedSection1250Gain: scheduleDDetails.unrecapturedSection1250Gain,
+        }, filingStatus, params.taxYear)
+        : null;
+
+    // Qualified income taxed at 0/15/20% (the worksheet takes out the 25%/28% gains)
+    const totalQualifiedIncome = scheduleDTaxWorksheet
+        ? scheduleDTaxWorksheet.qualifiedIncome
+        : qualifiedDividends + longTermGains;
+
+    // Ordinary income = taxable income minus qualified income (plus any
+    // excluded foreign income stacked under it)
+    const ordinaryTaxableIncome = scheduleDTaxWorksheet
+        ? scheduleDTaxWorksheet.ordinaryIncome
+        : Math.max(0, taxableIncome - totalQualifiedIncome) + stackedExclusion;
 
     // Calculate tax on ordinary income using brackets
-    const brackets = TAX_BRACKETS_2025[filingStatus] || TAX_BRACKETS_2025.single;
-    const regularTax = calculateBracketTax(ordinaryTaxableIncome, brackets);
+    const brackets = params.brackets[filingStatus] || params.brackets.single;
+    const excludedIncomeTax = stackedExclusion > 0 ? calculateBracketTax(stackedExclusion, brackets) : 0;
+    const regularTax = (scheduleDTaxWorksheet
+        ? scheduleDTaxWorksheet.ordinaryTax
+        : calculateBracketTax(ordinaryTaxableIncome, brackets)) - excludedIncomeTax;
 
     // Calculate tax on qualified dividends and long-term gains
-    const capitalGainsTax = calculateCapitalGainsTax(ordinaryTaxableIncome, totalQualifiedIncome, filingStatus);
+    const capitalGainsTax = scheduleDTaxWorksheet
+        ? scheduleDTaxWorksheet.capitalGainsTax
+        : calculateCapitalGainsTax(ordinaryTaxableIncome, totalQualifiedIncome, filingStatus, params.taxYear);
+
+    if (trace.enabled) {
+        const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+        const taxTrace = trace.section('Tax (Form 1040 Line 16)');
+        const ordinaryTrace = taxTrace.section('Ordinary income tax', { authority: 'incomeTaxRates' });
+        ordinaryTrace.record('Ordinary taxable income', ordinaryTaxableIncome, {
+            rule: (scheduleDTaxWorksheet
+                ? 'Schedule D Tax Worksheet Line 21: ordinary income, plus 25%/28% gains below the 32% bracket'
+                : 'Taxable income - qualified dividends - net capital gain') +
+                (stackedExclusion ? `, plus $${Math.round(stackedExclusion).toLocaleString()} of excluded foreign income stacked first` : ''),
+        });
+        const slices = calculateBracketSlices(ordinaryTaxableIncome, brackets);
+        slices.forEach(slice => ordinaryTrace.record(`${percent(slice.rate)} bracket`, slice.tax, {
+            rule: `$${slice.amount.toLocaleString()} × ${percent(slice.rate)} ($${slice.from.toLocaleString()} to $${slice.to.toLocaleString()})`,
+        }));
+        if (excludedIncomeTax > 0) {
+            ordinaryTrace.record('Tax on the excluded foreign income', -excludedIncomeTax, {
+                rule: 'Foreign Earned Income Tax Worksheet Line 5', authority: 'foreignEarnedIncomeExclusion',
+            });
+        }
+        ordinaryTrace.record('Marginal ordinary rate', slices.length ? slices[slices.length - 1].rate : brackets[0][1], { format: 'rate' });
+        ordinaryTrace.total(regularTax);
+
+        if (scheduleDTaxWorksheet) {
+            const gainsTrace = taxTrace.section('Schedule D Tax Worksheet', { authority: 'capitalGains' });
+            gainsTrace.record('Qualified dividends', qualifiedDividends, { rule: 'Form 1099-DIV, Box 1b' });
+            gainsTrace.record('Net capital gain', longTermGains, { rule: 'Smaller of Schedule D Line 15 or 16' });
+            gainsTrace.record('28% rate gain (Line 18)', scheduleDDetails.collectiblesGain, {
+                rule: 'Collectibles, less long-term carryovers and a net short-term loss',
+            });
+            gainsTrace.record('Unrecaptured §1250 gain (Line 19)', scheduleDDetails.unrecapturedSection1250Gain, {
+                rule: 'Real property depreciation, less any loss left from Line 18',
+            });
+            [
+                ['0%', 0, scheduleDTaxWorksheet.zeroRateAmount],
+                ['15%', 0.15, scheduleDTaxWorksheet.fifteenRateAmount],
+                ['20%', 0.20, scheduleDTaxWorksheet.twentyRateAmount],
+                ['25%', 0.25, scheduleDTaxWorksheet.unrecapturedSection1250Amount],
+                ['28%', 0.28, scheduleDTaxWorksheet.collectiblesAmount],
+            ].forEach(([label, rate, amount]) => amount > 0 && gainsTrace.record(`${label} rate`, amount * rate, {
+                rule: `$${Math.round(amount).toLocaleString()} × ${label}`,
+            }));
+            gainsTrace.total(capitalGainsTax);
+        } else if (totalQualifiedIncome > 0) {
+            const gainsTrace = taxTrace.section('Qualified dividends and capital gain tax', { authority: 'capitalGains' });
+            gainsTrace.record('Qualified dividends', qualifiedDividends, { rule: 'Form 1099-DIV, Box 1b' });
+            gainsTrace.record('Net capital gain', longTermGains, { rule: 'Smaller of Schedule D Line 15 or 16' });
+            calculateCapitalGainsSlices(ordinaryTaxableIncome, totalQualifiedIncome, filingStatus, params.taxYear)
+                .forEach(slice => gainsTrace.record(`${percent(slice.rate)} rate`, slice.tax, {
+                    rule: `$${slice.amount.toLocaleString()} × ${percent(slice.rate)}, stacked on ordinary income`,
+                }));
+            gainsTrace.total(capitalGainsTax);
+        }
+        taxTrace.total(regularTax + capitalGainsTax);
+    }
+
+    // Form 8814 Line 15: 10% of each elected child's income between $1,350 and $2,700
+    const form8814Tax = form8814('tax');
+
+    // Kiddie tax (Form 8615): on a child's return, net unearned income over
+    // $2,700 is taxed at the parent's rate (form.form8615 has the parent's
+    // amounts; see calculateKiddieTax.js). Unearned income is AGI less
+    // earned income.
+    const kiddieTaxDetails = form.form8615 && isSubjectToKiddieTax(form, params.taxYear)
+        ? calculateForm8615({
+            unearnedIncome: Math.max(0, agi - Math.max(0, totalWages + foreignEarnedIncome + scheduleC + k1.selfEmploymentEarnings)),
+            taxableIncome,
+            qualifiedIncome: totalQualifiedIncome,
+            filingStatus,
+            itemized: itemizing,
+            directlyConnectedDeductions: form.form8615.directlyConnectedDeductions,
+        }, {
+            filingStatus: form.form8615.parentFilingStatus,
+            taxableIncome: form.form8615.parentTaxableIncome,
+            qualifiedIncome: form.form8615.parentQualifiedIncome,
+            tax: form.form8615.parentTax,
+            otherChildrenNetUnearnedIncome: form.form8615.otherChildrenNetUnearnedIncome,
+        }, params.taxYear)
+        : null;
+    const kiddieTax = kiddieTaxDetails ? kiddieTaxDetails.additionalTax : 0;
+
+    if (kiddieTax > 0) {
+        const kiddieTrace = trace.section('Kiddie tax (Form 8615)', {
+            authority: 'kiddieTax',
+            rule: 'Net unearned income taxed at the parent\'s rate, added to Form 1040 Line 16',
+        });
+        kiddieTrace.record('Net unearned income (Line 5)', kiddieTaxDetails.netUnearnedIncome, {
+            rule: `Unearned income of $${Math.round(kiddieTaxDetails.unearnedIncome).toLocaleString()} - $${kiddieTaxDetails.allowance.toLocaleString()}, up to taxable income`,
+        });
+        kiddieTrace.record('Parent\'s tax on it (Line 13)', kiddieTaxDetails.childShare, {
+            rule: `Tax on $${Math.round(kiddieTaxDetails.combinedIncome).toLocaleString()} - tax on the parent's $${Math.round(kiddieTaxDetails.parentTaxableIncome).toLocaleString()}` +
+                (kiddieTaxDetails.share < 1 ? `, × ${Math.round(kiddieTaxDetails.share * 1000) / 10}% share` : ''),
+        });
+        kiddieTrace.record('Tax on the rest at the child\'s rates (Line 15)', kiddieTaxDetails.otherIncomeTax);
+        kiddieTrace.record('Tax without Form 8615 (Line 17)', kiddieTaxDetails.childTax);
+        kiddieTrace.total(kiddieTax);
+    }
+    if (form8814Tax > 0) {
+        trace.record('Tax on children\'s interest and dividends (Form 8814 Line 15)', form8814Tax, {
+            rule: '10% of each child\'s income between the base amount and twice it, added to Form 1040 Line 16',
+            authority: 'kiddieTax',
+        });
+    }
 
 
     // ========================================================================
     // OTHER TAXES (Schedule 2)
     // ========================================================================
 
+    // Foreign tax credit (Form 1116 → Schedule 3 Line 1): limited per
+    // category to the US tax on foreign taxable income; figured here so the
+    // AMT compares against regular tax less the credit
+    const foreignTaxCreditDetails = calculateForeignTaxCredit(form, {
+        taxableIncome,
+        tax: regularTax + capitalGainsTax + form8814Tax + kiddieTax,
+        grossIncome: totalIncome,
+        deduction,
+        exclusion: foreignExclusionDetails,
+        filingStatus,
+        taxYear: params.taxYear,
+    });
+    const foreignTaxCredit = foreignTaxCreditDetails.credit;
+
+    // Alternative Minimum Tax (Form 6251 → Schedule 2 Line 2)
+    // Recomputes tax without the standard deduction / SALT and with AMT
+    // preferences (ISO spread, private activity bonds, ...) at 26%/28%
+    const amtDetails = calculateAMT(form, {
+        taxableIncome: agi - deduction - qbiDeduction,
+        itemized: itemizing,
+        itemizedLimitation: itemizing ? scheduleADetails.limitation : 0,
+        saltDeduction: actualSalt,
+        standardDeduction,
+        qualifiedIncome: totalQualifiedIncome,
+        unrecapturedSection1250Gain: scheduleDTaxWorksheet
+            ? Math.min(longTermGains, scheduleDDetails.unrecapturedSection1250Gain)
+            : 0,
+        ordinaryTaxableIncome,
+        foreignExclusion,
+        regularTax: regularTax + capitalGainsTax + form8814Tax + kiddieTax,
+        foreignTaxCredit,
+    });
+    const amt = amtDetails.amt;
+
     // Self-Employment Tax (Schedule SE)
-    const { tax: seTax } = calculateSelfEmploymentTax(scheduleC);
+    // Schedule C profit plus K-1 SE earnings (guaranteed payments, general partner share).
+    // The SE person's own W-2 Social Security wages use up the wage base first
+    const socialSecurityWages = getScheduleSEWages(form);
+    const seDetails = calculateSelfEmploymentTax(
+        scheduleC + k1.selfEmploymentEarnings,
+        params.taxYear,
+        socialSecurityWages
+    );
+    const seTax = seDetails.tax;
+
+    // Additional Medicare Tax (Form 8959)
+    // 0.9% of Medicare wages plus SE income over the filing status threshold
+    const additionalMedicareDetails = calculateAdditionalMedicareTax({
+        medicareWages: parseFloat(form.medicareWages ?? form.totalWages) || 0,
+        selfEmploymentIncome: seDetails.netEarnings || 0,
+        medicareTaxWithheld: parseFloat(form.medicareTaxWithheld) || 0,
+        filingStatus,
+    });
+    const additionalMedicareTax = additionalMedicareDetails.tax;
 
     // Net Investment Income Tax (Form 8960)
     // Investment income = Interest + Dividends + Capital Gains + Passive Rental
-    const investmentIncome = taxableInterest + ordinaryDividends + totalCapitalGains + scheduleE;
-    const niit = calculateNIIT(agi, investmentIncome, filingStatus);
+    // (+ children's interest and dividends reported on Schedule 1 from Form 8814)
+    const investmentIncome = taxableInterest + ordinaryDividends + totalCapitalGains + scheduleE + passiveK1Income +
+        form8814Income;
+    const niit = calculateNIIT(agi + foreignExclusion, investmentIncome, filingStatus);
+
+    if (amt > 0 || amtDetails.amti > 0) {
+        const amtTrace = trace.section('Alternative minimum tax (Schedule 2 Line 2)', { authority: 'amt' });
+        amtTrace.record('AMT adjustments', amtDetails.totalAdjustments, { rule: 'SALT / standard deduction add-back and preferences' });
+        amtTrace.record('Alternative minimum taxable income', amtDetails.amti, { rule: 'Form 6251 Line 4' });
+        amtTrace.record('Exemption after phase-out', amtDetails.exemption, { rule: 'Form 6251 Line 5' });
+        amtTrace.record('Tentative minimum tax', amtDetails.tentativeMinimumTax, { rule: '26%/28% on the AMT base, capital gains rates preserved' });
+        amtTrace.record('Regular tax', amtDetails.regularTaxForAMT);
+        amtTrace.total(amt);
+    }
+    if (seTax > 0) {
+        const seTrace = trace.section('Self-employment tax (Schedule SE)', { authority: 'selfEmploymentTax' });
+        seTrace.record('Net earnings from self-employment', seDetails.netEarnings, {
+            rule: k1.selfEmploymentEarnings
+                ? '92.35% × (Schedule C net profit + K-1 Box 14 Code A)'
+                : '92.35% × Schedule C net profit',
+        });
+        if (seDetails.socialSecurityWages > 0) {
+            seTrace.record('Social Security wages', seDetails.socialSecurityWages, { rule: 'Form W-2, Boxes 3 and 7 (Line 8a)' });
+        }
+        seTrace.record('Social Security portion', seDetails.socialSecurityTax, {
+            rule: `12.4% up to the $${params.socialSecurityWageBase.toLocaleString()} wage base, less Social Security wages`,
+        });
+        seTrace.record('Medicare portion', seDetails.medicareTax, { rule: '2.9% of net earnings' });
+        seTrace.total(seTax);
+    }
+    if (additionalMedicareTax > 0) {
+        const medicareTrace = trace.section('Additional Medicare Tax (Form 8959)', {
+            authority: 'additionalMedicareTax',
+            rule: `0.9% over the $${additionalMedicareDetails.threshold.toLocaleString()} threshold`,
+        });
+        medicareTrace.record('Tax on Medicare wages (Line 7)', additionalMedicareDetails.wageTax, {
+            rule: `0.9% × (Medicare wages $${additionalMedicareDetails.medicareWages.toLocaleString()} - threshold)`,
+        });
+        medicareTrace.record('Tax on self-employment income (Line 13)', additionalMedicareDetails.selfEmploymentTax, {
+            rule: `0.9% × (net SE earnings - $${additionalMedicareDetails.selfEmploymentThreshold.toLocaleString()} threshold left after wages)`,
+        });
+        medicareTrace.total(additionalMedicareTax);
+    }
+    if (niit > 0) {
+        const niitTrace = trace.section('Net investment income tax (Form 8960)', {
+            authority: 'niit',
+            rule: `3.8% × smaller of net investment income or ${foreignExclusion ? 'MAGI (AGI + foreign earned income exclusion)' : 'AGI'} over the threshold`,
+        });
+        niitTrace.record('Net investment income', investmentIncome, { rule: 'Interest + dividends + capital gains + Schedule E' });
+        niitTrace.total(niit);
+    }
+
+    // Additional 10% tax on taxable 529 earnings not due to an education credit (Form 5329)
+    const additional529Tax = educationStudents
+        .reduce((total, student) => total + student.distribution529.additionalTax, 0);
+    if (additional529Tax > 0) {
+        trace.record('Additional tax on 529 distributions (Form 5329)', additional529Tax, {
+            rule: '10% of taxable earnings, except earnings taxable only because expenses went to an education credit',
+        });
+    }
+
+    // Premium tax credit (Form 8962): MAGI adds back tax-exempt interest,
+    // nontaxable Social Security and excluded foreign income; a preparer's
+    // figures are used as entered
+    const premiumTaxCreditDetails = calculatePremiumTaxCredit(form, {
+        taxYear: params.taxYear,
+        filingStatus,
+        magi: agi + (parseFloat(form.taxExemptInterest) || 0) + foreignExclusion +
+            Math.max(0, (parseFloat(form.socialSecurityBenefits) || 0) - taxableSocialSecurity),
+    });
+    const enteredPremiumTaxCredit = [form.netPremiumTaxCredit, form.excessAdvancePremiumTaxCredit]
+        .some(value => value !== undefined && value !== '');
+    const netPremiumTaxCredit = enteredPremiumTaxCredit
+        ? parseFloat(form.netPremiumTaxCredit) || 0
+        : premiumTaxCreditDetails.netPremiumTaxCredit;                                                 // Schedule 3 Line 9
+    const excessAdvancePremiumTaxCredit = enteredPremiumTaxCredit
+        ? parseFloat(form.excessAdvancePremiumTaxCredit) || 0
+        : premiumTaxCreditDetails.excessRepayment;                                                     // Schedule 2 Line 1a
+    if (form.form1095A?.length || enteredPremiumTaxCredit) {
+        const ptc = premiumTaxCreditDetails;
+        const ptcTrace = trace.section('Premium tax credit (Form 8962)', {
+            authority: 'premiumTaxCredit',
+            rule: enteredPremiumTaxCredit
+                ? 'As entered'
+                : `Household income $${Math.round(ptc.householdIncome).toLocaleString()} = ${ptc.fplPercent}% of the ` +
+                    `$${ptc.povertyLine.toLocaleString()} poverty line for ${ptc.familySize}`,
+        });
+        if (!enteredPremiumTaxCredit) {
+            if (ptc.applicableFigure !== null) {
+                ptcTrace.record('Applicable figure (Line 7)', ptc.applicableFigure, { format: 'rate' });
+            }
+            ptcTrace.record('Annual contribution (Line 8a)', ptc.annualContribution, { rule: 'Household income × applicable figure' });
+            ptcTrace.record('Premium tax credit (Line 24)', ptc.premiumTaxCredit, {
+                rule: ptc.eligible ? 'Each month: min(enrollment premium, SLCSP - monthly contribution)' : ptc.reasons[0],
+            });
+            ptcTrace.record('Advance payments (Line 25)', -ptc.advancePayments, { rule: 'Form 1095-A Column C' });
+            if (ptc.excessAdvancePayments > 0) {
+                ptcTrace.record('Excess advance payments (Line 27)', ptc.excessAdvancePayments);
+                ptcTrace.record('Repayment (Line 29)', ptc.excessRepayment, {
+                    rule: ptc.repaymentLimit !== null
+                        ? `Limited to $${ptc.repaymentLimit.toLocaleString()} at ${ptc.fplPercent}% of FPL`
+                        : 'Repaid in full',
+                });
+            }
+        }
+        ptcTrace.total(netPremiumTaxCredit - excessAdvancePremiumTaxCredit);
+    }
 
     // Total tax before credits
-    const totalTaxBeforeCredits = regularTax + capitalGainsTax + seTax + niit;
+
+    const totalTaxBeforeCredits = regularTax + capitalGainsTax + form8814Tax + kiddieTax + amt + excessAdvancePremiumTaxCredit +
+        seTax + additionalMedicareTax + niit + additional529Tax;
 
 
     // ========================================================================
@@ -927,71 +1720,391 @@ export function calculateTotalTax(form) {
      * - Premium Tax Credit (ACA/Obamacare)
      */
 
-    // Calculate child-related credits from dependents
-    const qualifyingChildren = (form.dependents || []).filter(d => d.qualifyingChild && d.childTaxCredit).length;
-    const otherDependents = (form.dependents || []).filter(d => !d.qualifyingChild).length;
+    // Form 1040 Line 18: tax + AMT + excess advance premium tax credit repayment
+    const incomeTaxBeforeCredits = regularTax + capitalGainsTax + form8814Tax + kiddieTax + amt + excessAdvancePremiumTaxCredit;
 
-    const estimatedChildCredit = qualifyingChildren * 2000;
-    const estimatedOtherDependentsCredit = otherDependents * 500;
+    // Earned income: wages + net SE earnings less the deductible half of SE tax
+    const earnedIncome = totalWages + scheduleC + k1.selfEmploymentEarnings - seDetails.deduction;
+
+    // Child and dependent care credit (Form 2441); a preparer's figure is used as entered
+    const dependentCareDetails = calculateDependentCareCredit(form, {
+        taxYear: params.taxYear,
+        agi,
+        filingStatus,
+        earnedIncome,
+        taxLiability: incomeTaxBeforeCredits - foreignTaxCredit,
+    });
+    const enteredChildCareCredit = form.childCareCredit !== undefined && form.childCareCredit !== '';
+    const childCareCredit = enteredChildCareCredit
+        ? parseFloat(form.childCareCredit) || 0
+        : dependentCareDetails.credit;                                                                 // Schedule 3 Line 2
+
+    // Education credits (Form 8863); a preparer's figure is used as entered
+    const educationCreditDetails = calculateEducationCredits(form, {
+        magi: agi + foreignExclusion,
+        filingStatus,
+        taxLiability: incomeTaxBeforeCredits - foreignTaxCredit - childCareCredit,
+    });
+    const enteredEducationCredits = form.educationCredits !== undefined && form.educationCredits !== '';
+    const educationCredits = enteredEducationCredits
+        ? parseFloat(form.educationCredits) || 0
+        : educationCreditDetails.nonrefundableCredit;                                                  // Schedule 3 Line 3
+    const refundableEducationCredit = enteredEducationCredits ? 0 : educationCreditDetails.refundableCredit;  // Line 29
+
+    // Nonrefundable credits from Schedule 3 (the saver's credit as entered)
+    const otherNonRefundableCredits = foreignTaxCredit + childCareCredit + educationCredits +
+        (parseFloat(form.retirementSaversCredit) || 0);
+
+    // Earned income credit (Schedule EIC); a preparer's figure is used as entered
+    const earnedIncomeCreditDetails = calculateEarnedIncomeCredit(form, {
+        taxYear: params.taxYear,
+        earnedIncome,
+        agi,
+        // Pub 596 Worksheet 1: interest (incl. tax-exempt), dividends, capital gain net income, rents and passive income
+        investmentIncome: taxableInterest + (parseFloat(form.taxExemptInterest) || 0) + ordinaryDividends +
+            Math.max(0, totalCapitalGains) + Math.max(0, scheduleE) + Math.max(0, passiveK1Income),
+        filingStatus,
+    });
+    const enteredEarnedIncomeCredit = form.earnedIncomeCredit !== undefined && form.earnedIncomeCredit !== '';
+    const earnedIncomeCredit = enteredEarnedIncomeCredit
+        ? parseFloat(form.earnedIncomeCredit) || 0
+        : earnedIncomeCreditDetails.credit;                                                            // Line 27
+
+    // Child tax credit and credit for other dependents (Schedule 8812)
+    const medicareWages = additionalMedicareDetails.medicareWages;
+    const childTaxCreditDetails = calculateChildTaxCredit(form, {
+        taxYear: params.taxYear,
+        magi: agi + foreignExclusion,
+        filingStatus,
+        taxLiability: incomeTaxBeforeCredits - otherNonRefundableCredits,
+        earnedIncome,
+        // Part II-B: W-2 Boxes 4 and 6 + half of SE tax
+        socialSecurityTaxes: (parseFloat(form.socialSecurityTaxWithheld ??
+            Math.min(socialSecurityWages, params.socialSecurityWageBase) * 0.062) || 0) +
+            (parseFloat(form.medicareTaxWithheld ?? medicareWages * 0.0145) || 0) +
+            seDetails.deduction,
+        earnedIncomeCredit,
+    });
+
+    // A preparer's figures are used as entered
+    const enteredChildCredits = (parseFloat(form.childTaxCredit) || 0) + (parseFloat(form.creditOtherDependents) || 0);
+    const childTaxCredit = enteredChildCredits || childTaxCreditDetails.nonrefundableCredit;          // Line 19
+    const additionalChildTaxCredit = enteredChildCredits
+        ? parseFloat(form.additionalChildTaxCredit) || 0
+        : childTaxCreditDetails.additionalChildTaxCredit;                                              // Line 28
 
     const totalCredits =
-        (parseFloat(form.childTaxCredit) || estimatedChildCredit) +
-        (parseFloat(form.creditOtherDependents) || estimatedOtherDependentsCredit) +
-        (parseFloat(form.educationCredits) || 0) +
-        (parseFloat(form.retirementSaversCredit) || 0) +
-        (parseFloat(form.childCareCredit) || 0) +
-        (parseFloat(form.earnedIncomeCredit) || 0) +
+        childTaxCredit +
+        otherNonRefundableCredits +
+        additionalChildTaxCredit +
+        earnedIncomeCredit +
+        refundableEducationCredit +
+        netPremiumTaxCredit +
         (parseFloat(form.otherCredits) || 0);
 
     // Separate refundable and non-refundable credits
-    const nonRefundableCredits = (parseFloat(form.childTaxCredit) || estimatedChildCredit) +
-        (parseFloat(form.creditOtherDependents) || estimatedOtherDependentsCredit) +
-        (parseFloat(form.educationCredits) || 0) +
-        (parseFloat(form.retirementSaversCredit) || 0) +
-        (parseFloat(form.childCareCredit) || 0);
+    const nonRefundableCredits = childTaxCredit + otherNonRefundableCredits;
 
-    const refundableCredits = (parseFloat(form.earnedIncomeCredit) || 0) +
+    const refundableCredits = additionalChildTaxCredit +
+        earnedIncomeCredit +
+        refundableEducationCredit +
+        netPremiumTaxCredit +
         (parseFloat(form.otherCredits) || 0);
 
-    // Apply non-refundable credits (can't reduce below 0)
-    const taxAfterNonRefundable = Math.max(0, totalTaxBeforeCredits - nonRefundableCredits);
+    // Apply non-refundable credits (can't reduce below 0). They only offset
+    // income tax and AMT (Form 1040 Line 18), not SE tax, Additional Medicare Tax or NIIT (Schedule 2 Part II)
+    const otherTaxes = seTax + additionalMedicareTax + niit + additional529Tax;
+    const taxAfterNonRefundable = Math.max(0, incomeTaxBeforeCredits - nonRefundableCredits) + otherTaxes;
 
     // Apply refundable credits (can go negative = refund)
     const finalTax = taxAfterNonRefundable - refundableCredits;
 
+    const creditsTrace = trace.section('Credits');
+    const nonRefundableTrace = creditsTrace.section('Nonrefundable credits', {
+        rule: 'Offset income tax and AMT only (Form 1040 Line 22 not below zero)',
+    });
+    if (childTaxCredit) {
+        const ctcTrace = nonRefundableTrace.section('Child tax credit and credit for other dependents (Schedule 8812)', {
+            authority: 'childTaxCredit',
+            rule: enteredChildCredits ? 'As entered' : undefined,
+        });
+        if (!enteredChildCredits) {
+            const ctc = childTaxCreditDetails;
+            ctcTrace.record('Qualifying children', ctc.childCredit, {
+                rule: `${ctc.qualifyingChildren} children under 17 with an SSN × $${ctc.perChild.toLocaleString()}`,
+            });
+            ctcTrace.record('Other dependents', ctc.otherDependentsCredit, { rule: `${ctc.otherDependents} × $500` });
+            if (ctc.phaseOutReduction > 0) {
+                ctcTrace.record('Phase-out (Line 11)', -ctc.phaseOutReduction, {
+                    rule: `$50 per $1,000 of MAGI over $${ctc.threshold.toLocaleString()}`,
+                });
+            }
+            ctcTrace.record('Credit limit (Line 13)', ctc.creditLimit, { rule: 'Income tax + AMT - other nonrefundable credits' });
+        }
+        ctcTrace.total(childTaxCredit);
+    }
+    if (educationCredits) {
+        const educationTrace = nonRefundableTrace.section('Education credits (Form 8863)', {
+            authority: 'educationCredits',
+            rule: enteredEducationCredits ? 'As entered' : undefined,
+        });
+        if (!enteredEducationCredits) {
+            const edu = educationCreditDetails;
+            edu.students.filter(student => student.credit).forEach(student => educationTrace.record(
+                `${student.name}: ${student.credit === 'aotc' ? 'American opportunity' : 'Lifetime learning'} credit`,
+                student.tentativeCredit,
+                { rule: `$${student.creditExpenses.toLocaleString()} of qualified expenses` }
+            ));
+            if (edu.phaseOutFraction < 1) {
+                educationTrace.record('Phase-out fraction', edu.phaseOutFraction, {
+                    rule: edu.reasons[0] || `MAGI between $${edu.phaseOutStart.toLocaleString()} and $${edu.phaseOutEnd.toLocaleString()}`,
+                    format: 'rate',
+                });
+            }
+            if (edu.refundableCredit > 0) {
+                educationTrace.record('Refundable AOTC (Line 8)', -edu.refundableCredit, { rule: '40% of the AOTC, on Form 1040 Line 29' });
+            }
+        }
+        educationTrace.total(educationCredits);
+    }
+    if (foreignTaxCredit) {
+        const ftcTrace = nonRefundableTrace.section(
+            foreignTaxCreditDetails.deMinimis ? 'Foreign tax credit (no Form 1116, §904(j))' : 'Foreign tax credit (Form 1116)',
+            { authority: 'foreignTaxCredit' }
+        );
+        if (foreignTaxCreditDetails.disallowedTax > 0) {
+            ftcTrace.record('Tax on excluded income', foreignTaxCreditDetails.disallowedTax, { rule: 'Not creditable, §911(d)(6)' });
+        }
+        Object.entries(foreignTaxCreditDetails.categories).forEach(([category, basket]) => {
+            const basketTrace = ftcTrace.section(`${category[0].toUpperCase()}${category.slice(1)} category income`);
+            basketTrace.record('Foreign taxes available (Line 14)', basket.taxPaid + basket.carryover, {
+                rule: basket.carryover > 0 ? `Including $${Math.round(basket.carryover).toLocaleString()} carried over` : 'Paid or accrued this year',
+            });
+            basketTrace.record('Foreign taxable income (Line 17)', basket.foreignTaxableIncome, {
+                rule: `$${Math.round(basket.grossIncome).toLocaleString()} less $${Math.round(basket.apportionedDeduction).toLocaleString()} of apportioned deductions`,
+            });
+            basketTrace.record('Limit (Line 21)', basket.limit, {
+                rule: `US tax × ${Math.round(basket.fraction * 1000) / 10}% of taxable income from foreign sources`,
+            });
+            basketTrace.total(basket.credit);
+        });
+        ftcTrace.total(foreignTaxCredit);
+    }
+    if (childCareCredit) {
+        const dc = dependentCareDetails;
+        nonRefundableTrace.record('Child and dependent care credit (Form 2441)', childCareCredit, {
+            rule: enteredChildCareCredit
+                ? 'As entered'
+                : `${Math.round(dc.creditRate * 100)}% × $${Math.round(dc.allowedExpenses).toLocaleString()} of expenses ` +
+                    `(limit $${dc.expenseLimit.toLocaleString()} for ${dc.qualifyingPersons.length} qualifying persons` +
+                    `${dc.excludedBenefits > 0 ? `, less $${Math.round(dc.excludedBenefits).toLocaleString()} of excluded employer benefits` : ''})`,
+            authority: 'dependentCareCredit',
+        });
+    }
+    if (parseFloat(form.retirementSaversCredit)) {
+        nonRefundableTrace.record('Retirement savings contributions credit', parseFloat(form.retirementSaversCredit), {
+            rule: 'As entered', authority: 'saversCredit',
+        });
+    }
+    nonRefundableTrace.record('Used against tax', Math.min(nonRefundableCredits, incomeTaxBeforeCredits), {
+        rule: `min(credits, $${incomeTaxBeforeCredits.toLocaleString()} income tax + AMT)`,
+    });
+    nonRefundableTrace.total(nonRefundableCredits);
+    const refundableTrace = creditsTrace.section('Refundable credits');
+    if (additionalChildTaxCredit) refundableTrace.record('Additional child tax credit (Line 28)', additionalChildTaxCredit, {
+        rule: enteredChildCredits
+            ? 'As entered'
+            : `Unused child tax credit up to $${childTaxCreditDetails.refundableMax.toLocaleString()}, limited to 15% of earned income over $2,500${childTaxCreditDetails.socialSecurityCredit > 0 ? ' or Social Security taxes - EITC' : ''}`,
+        authority: 'childTaxCredit',
+    });
+    if (earnedIncomeCredit) {
+        const eic = earnedIncomeCreditDetails;
+        const eitcRule = eic.creditOnAgi !== null && eic.creditOnAgi < eic.creditOnEarnedIncome
+            ? `Figured on AGI of $${Math.round(agi).toLocaleString()}`
+            : `Figured on earned income of $${Math.round(eic.earnedIncome).toLocaleString()}`;
+        refundableTrace.record('Earned income credit (Line 27)', earnedIncomeCredit, {
+            rule: enteredEarnedIncomeCredit
+                ? 'As entered'
+                : `${eic.qualifyingChildren} qualifying children: up to $${eic.maxCredit.toLocaleString()}, phase-out from $${eic.phaseOutStart.toLocaleString()}. ${eitcRule}`,
+            authority: 'eitc',
+        });
+    }
+    if (refundableEducationCredit) refundableTrace.record('American opportunity credit (Line 29)', refundableEducationCredit, {
+        rule: '40% of the AOTC (Form 8863 Line 8)', authority: 'educationCredits',
+    });
+    if (netPremiumTaxCredit) refundableTrace.record('Net premium tax credit (Schedule 3 Line 9)', netPremiumTaxCredit, {
+        rule: enteredPremiumTaxCredit ? 'As entered' : 'Form 8962 Line 26', authority: 'premiumTaxCredit',
+    });
+    if (parseFloat(form.otherCredits)) refundableTrace.record('Other refundable credits', parseFloat(form.otherCredits), { rule: 'As entered' });
+    refundableTrace.total(refundableCredits);
+    creditsTrace.total(totalCredits);
+
+    trace.record('Total tax (Form 1040 Line 24)', taxAfterNonRefundable, {
+        rule: 'max(0, income tax + AMT - nonrefundable credits) + SE tax + Additional Medicare Tax + NIIT',
+    });
+    trace.record('Final tax', finalTax, { rule: 'Total tax - refundable credits' });
+
 
     // ========================================================================
     // PAYMENTS AND REFUND (Form 1040 Lines 25-34)
     // ========================================================================
 
     const totalWithholding = parseFloat(form.totalWithholding) || 0;
+    // Line 25c: Additional Medicare Tax withheld (Form 8959 Line 24)
+    const additionalMedicareWithholding = additionalMedicareDetails.additionalWithholding;
     const estimatedPayments = parseFloat(form.estimatedTaxPayments) || 0;
     const priorYearApplied = parseFloat(form.amountAppliedFromPriorYear) || 0;
-    const totalPayments = totalWithholding + estimatedPayments + priorYearApplied;
+    const totalPayments = totalWithholding + additionalMedicareWithholding + estimatedPayments + priorYearApplied;
 
     // Positive = refund, Negative = amount owed
     const refundOrOwed = totalPayments - finalTax;
 
+    const paymentsTrace = trace.section('Payments (Form 1040 Lines 25-26)');
+    paymentsTrace.record('Federal income tax withheld', totalWithholding, { rule: 'Forms W-2 and 1099' });
+    if (additionalMedicareWithholding > 0) {
+        paymentsTrace.record('Additional Medicare Tax withheld', additionalMedicareWithholding, {
+            rule: 'Form 8959 Line 24: W-2 Box 6 - 1.45% of Medicare wages',
+            authority: 'additionalMedicareTax',
+        });
+    }
+    paymentsTrace.record('Estimated tax payments', estimatedPayments);
+    paymentsTrace.record('Applied from prior year', priorYearApplied);
+    paymentsTrace.total(totalPayments);
+    trace.record(refundOrOwed >= 0 ? 'Refund' : 'Amount owed', Math.abs(refundOrOwed), {
+        rule: refundOrOwed >= 0 ? 'Payments - final tax' : 'Final tax - payments',
+    });
+
+    // Estimated tax penalty (Form 2210); Schedule AI figures the tax on each
+    // annualized return (those have no income entries, so this doesn't recurse)
+    const annualizedForms = getAnnualizedIncomeForms(form);
+    const underpaymentPenaltyDetails = calculateUnderpaymentPenalty(form, {
+        taxYear: params.taxYear,
+        filingStatus,
+        currentYearTax: finalTax,
+        withholding: totalWithholding + additionalMedicareWithholding,
+        annualizedTaxes: annualizedForms && annualizedForms.map(annualizedForm => calculateTotalTax(annualizedForm).finalTax),
+    });
+    const underpaymentPenalty = underpaymentPenaltyDetails.penalty;                                     // Line 38
+    if (underpaymentPenalty > 0) {
+        const penaltyTrace = trace.section('Estimated tax penalty (Form 2210)', {
+            authority: 'estimatedTaxPenalty',
+            rule: `Required annual payment $${Math.round(underpaymentPenaltyDetails.requiredAnnualPayment).toLocaleString()} ` +
+                `(${underpaymentPenaltyDetails.method} installments); not included in the amount owed above`,
+        });
+        underpaymentPenaltyDetails.installments.forEach(installment => penaltyTrace.record(
+            `Installment ${installment.number} (due ${installment.dueDate})`,
+            installment.penalty,
+            { rule: `$${Math.round(installment.underpayment).toLocaleString()} underpaid of $${Math.round(installment.required).toLocaleString()}` }
+        ));
+        penaltyTrace.total(underpaymentPenalty);
+    }
+    trace.total(finalTax);
+
+
+    // ========================================================================
+    // STATE RETURN (form.state)
+    // ========================================================================
+    // Starts from federal AGI; null when no state is given
+    const stateReturn = calculateStateReturn(form, {
+        taxYear: params.taxYear, agi, taxableSocialSecurity, scheduleDDetails, earnedIncomeCredit,
+    });
+
 
     // ========================================================================
     // RETURN RESULTS
     // ========================================================================
-    return {
+    const result = {
+        taxYear: params.taxYear,
         totalIncome,
+        taxableSocialSecurity,
+        socialSecurityDetails,
+        capitalGainOrLoss: totalCapitalGains,
+        scheduleDDetails,
+        scheduleDTaxWorksheet,
+        section1231Details,
+        excessBusinessLoss,
+        excessBusinessLossDetails,
+        foreignExclusion,
+        foreignExclusionDetails,
+        nolDeduction,
+        nolDeductionDetails,
+        nolDetails,
         totalAdjustments,
         agi,
         deduction,
+        deductionType: itemizing ? 'itemized' : 'standard',
+        scheduleADetails,
+        qbiDeduction,
+        qbiDetails,
         taxableIncome,
         regularTax,
         capitalGainsTax,
+        qualifiedIncome: totalQualifiedIncome,
+        form8814Tax,
+        form8814Details,
+        kiddieTax,
+        kiddieTaxDetails,
+        amt,
+        amtDetails,
         seTax,
+        additionalMedicareTax,
+        additionalMedicareDetails,
+        niit,
         totalTaxBeforeCredits,
         totalCredits,
+        foreignTaxCredit,
+        foreignTaxCreditDetails,
+        additionalChildTaxCredit,
+        childTaxCreditDetails,
+        earnedIncomeCredit,
+        earnedIncomeCreditDetails,
+        childCareCredit,
+        dependentCareDetails,
+        educationCredits,
+        refundableEducationCredit,
+        educationCreditDetails,
+        additional529Tax,
+        netPremiumTaxCredit,
+        excessAdvancePremiumTaxCredit,
+        premiumTaxCreditDetails,
         finalTax,
         totalPayments,
         refundOrOwed,
         isRefund: refundOrOwed >= 0,
+        underpaymentPenalty,
+        underpaymentPenaltyDetails,
+        scheduleK1Details: k1.k1s.length > 0 ? k1 : null,
+        passiveLossDetails,
+        stateReturn,
     };
+
+    // Line-by-line Form 1040 and schedules
+    if (options.forms) {
+        result.forms = buildForm1040(form, result, {
+            filingStatus,
+            standardDeduction,
+            scheduleEIncome: scheduleE + passThroughIncome,
+            obbbaDeductions: {
+                tips: tipsDeduction,
+                overtime: overtimeDeduction,
+                autoLoan: autoLoanDeduction,
+                seniorBonus,
+            },
+            seDetails,
+            socialSecurityWageBase: params.socialSecurityWageBase,
+            childTaxCredit,
+            additionalChildTaxCredit,
+            earnedIncomeCredit,
+            otherIncome,
+            taxAfterNonRefundable,
+        });
+    }
+
+    if (options.trace) {
+        result.trace = trace.node;
+    }
+
+    return result;
 }
 
 
@@ -0,0 +1,370 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 2210: UNDERPAYMENT OF ESTIMATED TAX
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §6654(a): Penalty at the §6621 underpayment rate on each required
+ *   installment from its due date until paid (or the return due date)
+ * - IRC §6654(c): Installments due April 15, June 15, September 15 and
+ *   January 15 of the following year
+ * - IRC §6654(d)(1): Each installment is 25% of the required annual payment -
+ *   the smaller of 90% of this year's tax or 100% of last year's tax (110%
+ *   if last year's AGI was over $150,000, $75,000 MFS); last year's tax only
+ *   counts for a 12-month return that was filed
+ * - IRC §6654(d)(2): Annualized income installment method (Schedule AI) -
+ *   22.5% / 45% / 67.5% / 90% of tax on income through March 31, May 31,
+ *   August 31 and December 31 annualized, with the regular installment
+ *   savings recaptured in later installments
+ * - IRC §6654(e)(1): No penalty if tax less withholding is under $1,000
+ * - IRC §6654(e)(2): No penalty with no tax liability for a full prior year
+ * - IRC §6654(g): Withholding is treated as paid evenly on the due dates
+ * - IRC §6621(a)(2): Federal short-term rate + 3%, set quarterly
+ *
+ * IRS REFERENCE:
+ * - Form 2210 and Instructions (Part I, Part IV Regular Method, Penalty
+ *   Worksheet, Schedule AI)
+ * - Publication 505 - Tax Withholding and Estimated Tax
+ *
+ * FORM 2210 FLOW:
+ * Part I   Lines 1-9:   Current year tax, 90%, withholding, prior year
+ *                       safe harbor → required annual payment
+ * Part IV  Lines 18-25: Installments vs. payments made by each due date
+ * Penalty Worksheet:    Days late × quarterly rate / days in year
+ *                       → Form 1040 Line 38
+ *
+ * FORM FIELDS:
+ * - form.priorYearTax / form.priorYearAgi: last year's tax (Form 2210 Line 8)
+ *   and AGI; without priorYearTax only the 90% safe harbor applies
+ * - form.estimatedPayments[]: { date, amount }; or form.estimatedTaxPayments
+ *   as a total paid evenly on the due dates
+ * - form.amountAppliedFromPriorYear: paid on the first due date
+ * - form.incomeEntries[]: { date, amount, type } for Schedule AI; type is a
+ *   key of INCOME_ENTRY_TYPES. Income without entries is taken as earned
+ *   evenly through the year. Deductions and credits aren't annualized
+ *   separately; the engine figures the tax on each annualized return.
+ *
+ * Due dates aren't moved for weekends or holidays. The penalty is reported
+ * on Form 1040 Line 38 and in `underpaymentPenalty`; it isn't included in
+ * `refundOrOwed`.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+
+
+/**
+ * Safe harbor percentages and thresholds (§6654(d)(1), (e)(1))
+ */
+export const SAFE_HARBOR = {
+    currentYear: 0.90,
+    priorYear: 1.00,
+    highIncomePriorYear: 1.10,
+    highIncomeAgi: { other: 150000, marriedSeparate: 75000 },
+    minimumUnderpayment: 1000,
+};
+
+/**
+ * IRS underpayment interest rates (§6621(a)(2)) from each date on;
+ * later quarters are assumed unchanged from the last published rate
+ */
+export const UNDERPAYMENT_INTEREST_RATES = [
+    { from: '2022-10-01', rate: 0.06 },
+    { from: '2023-01-01', rate: 0.07 },
+    { from: '2023-10-01', rate: 0.08 },
+    { from: '2025-01-01', rate: 0.07 },
+];
+
+/**
+ * Schedule AI periods: last month-day, annualization factor and applicable percentage
+ */
+export const ANNUALIZATION_PERIODS = [
+    { end: '03-31', factor: 4, percentage: 0.225 },
+    { end: '05-31', factor: 2.4, percentage: 0.45 },
+    { end: '08-31', factor: 1.5, percentage: 0.675 },
+    { end: '12-31', factor: 1, percentage: 0.90 },
+];
+
+/**
+ * Schedule AI income entry types and the form fields they replace
+ */
+export const INCOME_ENTRY_TYPES = {
+    wages: (form, amount) => ({ totalWages: amount }),
+    selfEmployment: (form, amount) => ({
+        hasScheduleC: true,
+        scheduleC: { ...form.scheduleC, netProfit: amount },
+    }),
+    interest: (form, amount) => ({ taxableInterest: amount }),
+    dividends: (form, amount) => ({ ordinaryDividends: amount }),
+    qualifiedDividends: (form, amount) => ({ qualifiedDividends: amount }),
+    longTermGain: (form, amount) => ({
+        hasScheduleD: true,
+        scheduleD: { ...form.scheduleD, longTermGain: amount },
+    }),
+    shortTermGain: (form, amount) => ({
+        hasScheduleD: true,
+        scheduleD: { ...form.scheduleD, shortTermGain: amount },
+    }),
+    ira: (form, amount) => ({ taxableIra: amount }),
+    other: (form, amount) => ({ otherIncome: amount }),
+};
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const toTime = (date) => Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`);
+
+
+/**
+ * Required installment due dates (§6654(c)(2))
+ *
+ * @param {number} [taxYear] - Tax year
+ * @returns {string[]} - Four ISO dates
+ */
+export function getInstallmentDueDates(taxYear) {
+    const year = getTaxParameters(taxYear).taxYear;
+    return [`${year}-04-15`, `${year}-06-15`, `${year}-09-15`, `${year + 1}-01-15`];
+}
+
+
+/**
+ * Penalty on an underpayment outstanding between two dates (Penalty Worksheet)
+ *
+ * Each day accrues the rate in effect / days in that calendar year.
+ *
+ * @param {number} amount - Underpayment
+ * @param {string} from - Installment due date
+ * @param {string} to - Payment date (or the penalty end date)
+ * @returns {number} - Penalty
+ */
+export function calculatePenaltyInterest(amount, from, to) {
+    const start = toTime(from);
+    const end = toTime(to);
+    if (!(amount > 0) || !(end > start)) return 0;
+
+    let penalty = 0;
+    const boundaries = UNDERPAYMENT_INTEREST_RATES.map(r => toTime(r.from));
+    for (let time = start; time < end;) {
+        const year = new Date(time).getUTCFullYear();
+        const nextYear = Date.UTC(year + 1, 0, 1);
+        const nextRate = boundaries.find(b => b > time) ?? Infinity;
+        const until = Math.min(end, nextYear, nextRate);
+
+        const period = UNDERPAYMENT_INTEREST_RATES.filter(r => toTime(r.from) <= time).pop() ||
+            UNDERPAYMENT_INTEREST_RATES[0];
+        const daysInYear = (nextYear - Date.UTC(year, 0, 1)) / DAY;
+        penalty += amount * period.rate * ((until - time) / DAY) / daysInYear;
+        time = until;
+    }
+    return penalty;
+}
+
+
+/**
+ * Annualized returns for Schedule AI from dated income entries
+ *
+ * @param {Object} form - Tax form data
+ * @returns {Array|null} - Four forms with income through each period end
+ *   annualized (null without form.incomeEntries)
+ */
+export function getAnnualizedIncomeForms(form) {
+    const entries = (form.incomeEntries || []).filter(entry => INCOME_ENTRY_TYPES[entry.type] && entry.date);
+    if (entries.length === 0) return null;
+
+    const year = getTaxParameters(form.taxYear).taxYear;
+    const types = [...new Set(entries.map(entry => entry.type))];
+
+    return ANNUALIZATION_PERIODS.map(({ end, factor }) => {
+        const periodEnd = toTime(`${year}-${end}`);
+        return types.reduce((annualized, type) => {
+            const income = entries
+                .filter(entry => entry.type === type && toTime(entry.date) <= periodEnd)
+                .reduce((total, entry) => total + (parseFloat(entry.amount) || 0), 0);
+            return { ...annualized, ...INCOME_ENTRY_TYPES[type](annualized, income * factor) };
+        }, { ...form, incomeEntries: undefined });
+    });
+}
+
+
+/**
+ * Payments by date: withholding evenly on the due dates (§6654(g)),
+ * the prior year overpayment on the first, estimated payments as dated
+ */
+function getPayments(form, dueDates, withholding) {
+    const amount = (value) => Math.max(0, parseFloat(value) || 0);
+    const payments = dueDates.map(date => ({ date, amount: withholding / 4, source: 'withholding' }));
+
+    if (amount(form.amountAppliedFromPriorYear) > 0) {
+        payments.push({ date: dueDates[0], amount: amount(form.amountAppliedFromPriorYear), source: 'prior year' });
+    }
+    if (Array.isArray(form.estimatedPayments) && form.estimatedPayments.length > 0) {
+        form.estimatedPayments.forEach(payment => payments.push({
+            date: String(payment.date).slice(0, 10),
+            amount: amount(payment.amount),
+            source: 'estimated',
+        }));
+    } else if (amount(form.estimatedTaxPayments) > 0) {
+        dueDates.forEach(date => payments.push({ date, amount: amount(form.estimatedTaxPayments) / 4, source: 'estimated' }));
+    }
+
+    return payments
+        .filter(payment => payment.amount > 0)
+        .sort((a, b) => toTime(a.date) - toTime(b.date));
+}
+
+
+/**
+ * Calculate the estimated tax underpayment penalty and the installments that
+ * avoid it (Form 2210)
+ *
+ * LEGAL AUTHORITY: IRC §6654, §6621
+ * IRS REFERENCE: Form 2210, Publication 505
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} context - Engine amounts
+ * @param {number} context.currentYearTax - Total tax less refundable credits (Lines 1-3)
+ * @param {number} context.withholding - Federal income tax withheld (Line 6)
+ * @param {string} context.filingStatus - Filing status
+ * @param {number[]} [context.annualizedTaxes] - Tax on each Schedule AI annualized return
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Form 2210 Part I, the installments with payments and
+ *   penalty, and `plan`: payments by due date that avoid a penalty
+ */
+export function calculateUnderpaymentPenalty(form, context) {
+    const params = getTaxParameters(context.taxYear ?? form.taxYear);
+    const dueDates = getInstallmentDueDates(params.taxYear);
+    const penaltyEnd = `${params.taxYear + 1}-04-15`;
+
+    // Part I: required annual payment
+    const currentYearTax = Math.max(0, context.currentYearTax);                                       // Line 4
+    const currentYearSafeHarbor = currentYearTax * SAFE_HARBOR.currentYear;                           // Line 5
+    const withholding = Math.max(0, context.withholding);                                             // Line 6
+    const underpaymentBeforePayments = currentYearTax - withholding;                                  // Line 7
+
+    const priorYearEntered = form.priorYearTax !== undefined && form.priorYearTax !== '';
+    const highIncomeAgi = context.filingStatus === 'marriedSeparate'
+        ? SAFE_HARBOR.highIncomeAgi.marriedSeparate
+        : SAFE_HARBOR.highIncomeAgi.other;
+    const priorYearRate = (parseFloat(form.priorYearAgi) || 0) > highIncomeAgi
+        ? SAFE_HARBOR.highIncomePriorYear
+        : SAFE_HARBOR.priorYear;
+    const priorYearSafeHarbor = priorYearEntered
+        ? Math.max(0, parseFloat(form.priorYearTax) || 0) * priorYearRate
+        : null;                                                                                        // Line 8
+    const requiredAnnualPayment = priorYearSafeHarbor !== null
+        ? Math.min(currentYearSafeHarbor, priorYearSafeHarbor)
+        : currentYearSafeHarbor;                                                                       // Line 9
+
+    const reasons = [];
+    if (underpaymentBeforePayments < SAFE_HARBOR.minimumUnderpayment) {
+        reasons.push(`Tax less withholding is under $${SAFE_HARBOR.minimumUnderpayment.toLocaleString()}`);
+    }
+    if (priorYearSafeHarbor === 0) reasons.push('No tax liability for the prior year');
+
+    // Required installments: regular (Part IV Line 18) and annualized (Schedule AI)
+    const regularInstallment = requiredAnnualPayment / 4;
+    let annualized = null;
+    if (Array.isArray(context.annualizedTaxes)) {
+        annualized = [];
+        let regularCarryover = 0;
+        ANNUALIZATION_PERIODS.forEach(({ percentage }, index) => {
+            const tax = Math.max(0, context.annualizedTaxes[index]) * percentage;                     // Line 19
+            const priorInstallments = annualized.reduce((total, p) => total + p.installment, 0);     // Line 20
+            const annualizedInstallment = Math.max(0, tax - priorInstallments);                       // Line 21
+            const regular = regularInstallment + regularCarryover;                                    // Line 24
+            const installment = Math.min(annualizedInstallment, regular);                             // Line 25
+            regularCarryover = regular - installment;
+            annualized.push({ annualizedTax: context.annualizedTaxes[index], annualizedInstallment, regular, installment });
+        });
+    }
+    const method = annualized ? 'annualized' : 'regular';
+    const requiredInstallments = annualized
+        ? annualized.map(p => p.installment)
+        : dueDates.map(() => regularInstallment);
+
+    // Part IV and the Penalty Worksheet: payments go to the earliest unpaid installment
+    const payments = getPayments(form, dueDates, withholding);
+    const installments = dueDates.map((dueDate, index) => ({
+        number: index + 1,
+        dueDate,
+        required: requiredInstallments[index],
+        paid: 0,
+        underpayment: 0,
+        penalty: 0,
+    }));
+    const outstanding = [];
+    let overpayment = 0;
+    let next = 0;
+
+    const applyPayment = (payment) => {
+        let left = payment.amount;
+        while (left > 0 && outstanding.length > 0) {
+            const due = outstanding[0];
+            const applied = Math.min(left, due.amount);
+            due.installment.penalty += calculatePenaltyInterest(applied, due.installment.dueDate, payment.date);
+            due.amount -= applied;
+            left -= applied;
+            if (due.amount <= 0) outstanding.shift();
+        }
+        overpayment += left;
+    };
+
+    installments.forEach(installment => {
+        while (next < payments.length && toTime(payments[next].date) <= toTime(installment.dueDate)) {
+            applyPayment(payments[next]);
+            next++;
+        }
+        const applied = Math.min(overpayment, installment.required);
+        installment.paid = applied;
+        overpayment -= applied;
+        installment.underpayment = installment.required - applied;
+        if (installment.underpayment > 0) outstanding.push({ installment, amount: installment.underpayment });
+    });
+    while (next < payments.length && toTime(payments[next].date) < toTime(penaltyEnd)) {
+        applyPayment(payments[next]);
+        next++;
+    }
+    outstanding.forEach(due => {
+        due.installment.penalty += calculatePenaltyInterest(due.amount, due.installment.dueDate, penaltyEnd);
+    });
+
+    const penaltyApplies = reasons.length === 0;
+    if (!penaltyApplies) installments.forEach(installment => { installment.penalty = 0; });
+    const penalty = installments.reduce((total, installment) => total + installment.penalty, 0);
+
+    // Planner: estimated payments by each due date that avoid a penalty,
+    // given withholding and the payments already made
+    let cumulativeRequired = 0;
+    let cumulativePaid = 0;
+    const plan = installments.map((installment, index) => {
+        cumulativeRequired += installment.required;
+        cumulativePaid += payments
+            .filter(p => toTime(p.date) <= toTime(installment.dueDate) &&
+                (index === 0 || toTime(p.date) > toTime(dueDates[index - 1])))
+            .reduce((total, p) => total + p.amount, 0);
+        const payment = Math.max(0, cumulativeRequired - cumulativePaid);
+        cumulativePaid += payment;
+        return { dueDate: installment.dueDate, required: installment.required, payment };
+    });
+
+    return {
+        form: 'Form 2210',
+        method,
+        currentYearTax,
+        currentYearSafeHarbor,
+        withholding,
+        underpaymentBeforePayments,
+        priorYearSafeHarbor,
+        priorYearRate: priorYearSafeHarbor !== null ? priorYearRate : null,
+        requiredAnnualPayment,
+        reasons,
+        annualized,
+        installments,
+        payments,
+        penaltyEnd,
+        penalty,
+        plan,
+        planTotal: plan.reduce((total, p) => total + p.payment, 0),
+    };
+}
+
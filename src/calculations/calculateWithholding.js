@@ -0,0 +1,436 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM W-4: WITHHOLDING PROJECTION AND PLANNER
+ * ============================================================================
+ *
+ * LEGAL AUTHORITY:
+ * - IRC §3402(a): Employers withhold income tax on wages using tables or
+ *   computational procedures prescribed by the Secretary
+ * - IRC §3402(f), Treas. Reg. §31.3402(f)(2)-1: Withholding follows the
+ *   employee's Form W-4; a new W-4 takes effect by the start of the first
+ *   payroll period ending 30 days after it is furnished
+ * - IRC §3402(m): Withholding allowances replaced (2020+ Form W-4) by the
+ *   Step 3 credits and Step 4 other income and deductions
+ * - IRC §3402(i): Additional withholding on request (Step 4(c))
+ *
+ * IRS REFERENCE:
+ * - Publication 15-T - Federal Income Tax Withholding Methods, Section 1:
+ *   Percentage Method Tables for Automated Payroll Systems (Worksheet 1A),
+ *   Standard and Form W-4 Step 2 Checkbox withholding rate schedules
+ * - Form W-4 (2020 or later) and Instructions
+ * - Publication 505 - Tax Withholding and Estimated Tax
+ *
+ * WORKSHEET 1A FLOW (per pay period):
+ * Step 1  Lines 1a-1i: Wages × pay periods + Step 4(a) - Step 4(b) - Line 1g
+ *                      ($12,900 MFJ / $8,600 other when Step 2 isn't
+ *                      checked) → adjusted annual wage
+ * Step 2  Lines 2a-2h: Annual table (Standard or Step 2 Checkbox schedule)
+ *                      → tentative withholding ÷ pay periods
+ * Step 3  Lines 3a-3c: Less Step 3 credits ÷ pay periods (not below zero)
+ * Step 4  Lines 4a-4b: Plus Step 4(c) extra withholding
+ *
+ * The annual tables are the tax rate schedules moved up by the standard
+ * deduction less Line 1g; the Step 2 Checkbox schedules use half of each
+ * bracket and half the standard deduction, so two jobs each withhold as if
+ * they were half of the household's wages.
+ *
+ * FORM FIELDS:
+ * - form.jobs[]: one entry per job
+ *   - payFrequency: a key of PAY_PERIODS
+ *   - payStubs[]: { date, wages, withholding } for each paycheck so far;
+ *     ytdWages / ytdWithholding on the latest stub are used instead of the
+ *     sum when given. Wages are federal taxable wages (after pre-tax 401(k),
+ *     cafeteria plan and similar deductions).
+ *   - wagesPerPeriod: wages for the rest of the year (defaults to the latest stub)
+ *   - firstPayDate: first paycheck for a job without stubs (defaults to a full year)
+ *   - w4: { filingStatus ('single', 'married' or 'head'), multipleJobs
+ *     (Step 2(c) checkbox), dependents (Step 3), otherIncome (Step 4(a)),
+ *     deductions (Step 4(b)), extraWithholding (Step 4(c) per pay period) }
+ *   - spouse: the spouse's job (its wages go in form.spouseWages)
+ *
+ * The planner projects each job's wages and withholding to December 31,
+ * replaces form.totalWages and form.totalWithholding with the projections
+ * and compares them with the calculateTotalTax liability. The W-4 change to
+ * reach the target refund goes on the job with the most wages left, as the
+ * W-4 instructions direct: more withholding through Step 4(c), less by
+ * removing Step 4(c) and then raising Step 4(b). Entries are sized for the
+ * rest of this year; a new W-4 is needed in January.
+ *
+ * ============================================================================
+ */
+
+import { getTaxParameters } from './taxYearParameters.js';
+import { calculateTotalTax } from './calculateTax.js';
+
+
+/**
+ * Pay periods per year (Pub 15-T Worksheet 1A Line 1b)
+ */
+export const PAY_PERIODS = {
+    daily: 260,
+    weekly: 52,
+    biweekly: 26,
+    semimonthly: 24,
+    monthly: 12,
+    quarterly: 4,
+    semiannual: 2,
+    annual: 1,
+};
+
+/**
+ * Form W-4 Step 1(c) filing status for each return filing status
+ */
+export const W4_FILING_STATUS = {
+    single: 'single',
+    marriedSeparate: 'single',
+    married: 'married',
+    widow: 'married',
+    head: 'head',
+};
+
+
+const DAY = 24 * 60 * 60 * 1000;
+const toTime = (date) => Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`);
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+const amount = (value) => Math.max(0, parseFloat(value) || 0);
+
+
+/**
+ * Annual percentage method table (Pub 15-T Section 1, Standard or Form W-4
+ * Step 2 Checkbox withholding rate schedule)
+ *
+ * @param {string} filingStatus - Form W-4 filing status ('single', 'married' or 'head')
+ * @param {boolean} multipleJobs - Step 2(c) checkbox
+ * @param {number} [taxYear] - Tax year
+ * @returns {Array} - Rows of { over, base, rate }: withholding is base +
+ *   rate × (adjusted annual wage - over)
+ */
+export function getWithholdingTable(filingStatus, multipleJobs, taxYear) {
+    const params = getTaxParameters(taxYear);
+    const status = ['married', 'head'].includes(filingStatus) ? filingStatus : 'single';
+    const { standardDeduction, step2Adjustment } = params.withholding;
+    const scale = multipleJobs ? 0.5 : 1;
+    const line1g = multipleJobs ? 0 : (status === 'married' ? step2Adjustment.married : step2Adjustment.other);
+    const zeroBracket = standardDeduction[status] * scale - line1g;
+
+    const rows = [{ over: 0, base: 0, rate: 0 }];
+    params.brackets[status].forEach(([threshold, rate]) => {
+        const previous = rows[rows.length - 1];
+        const over = zeroBracket + threshold * scale;
+        rows.push({ over, base: previous.base + previous.rate * (over - previous.over), rate });
+    });
+    return rows;
+}
+
+
+/**
+ * Tentative annual withholding for an adjusted annual wage (Worksheet 1A Lines 2a-2g)
+ */
+function tentativeAnnualWithholding(table, adjustedAnnualWage) {
+    const row = table.filter(r => r.over <= adjustedAnnualWage).pop();
+    return row.base + row.rate * (adjustedAnnualWage - row.over);
+}
+
+
+/**
+ * Adjusted annual wage that gives a tentative annual withholding (the
+ * inverse of Lines 2a-2g; the top of the zero bracket for zero)
+ */
+function adjustedWageFor(table, annualWithholding) {
+    if (annualWithholding <= 0) return table[1].over;
+    const row = table.filter(r => r.rate > 0 && r.base <= annualWithholding).pop();
+    return row.over + (annualWithholding - row.base) / row.rate;
+}
+
+
+function normalizeW4(w4 = {}, filingStatus) {
+    return {
+        filingStatus: w4.filingStatus || W4_FILING_STATUS[filingStatus] || 'single',
+        multipleJobs: Boolean(w4.multipleJobs),
+        dependents: amount(w4.dependents),
+        otherIncome: amount(w4.otherIncome),
+        deductions: amount(w4.deductions),
+        extraWithholding: amount(w4.extraWithholding),
+    };
+}
+
+
+function payPeriodsFor(payFrequency) {
+    const payPeriods = PAY_PERIODS[payFrequency];
+    if (!payPeriods) {
+        throw new RangeError(
+            `Unsupported pay frequency: ${payFrequency}. Supported: ${Object.keys(PAY_PERIODS).join(', ')}`
+        );
+    }
+    return payPeriods;
+}
+
+
+/**
+ * Federal income tax withheld from one paycheck for a 2020+ Form W-4
+ * (Pub 15-T Worksheet 1A)
+ *
+ * LEGAL AUTHORITY: IRC §3402(a), (f), (i)
+ * IRS REFERENCE: Publication 15-T, Worksheet 1A
+ *
+ * @param {number} wages - Taxable wages for the pay period (Line 1a)
+ * @param {string} payFrequency - A key of PAY_PERIODS
+ * @param {Object} w4 - Form W-4 entries
+ * @param {number} [taxYear] - Tax year
+ * @returns {Object} - Worksheet 1A lines; `withholding` is Line 4b
+ */
+export function calculatePercentageMethodWithholding(wages, payFrequency, w4, taxYear) {
+    const entries = normalizeW4(w4);
+    const params = getTaxParameters(taxYear);
+    const payPeriods = payPeriodsFor(payFrequency);                                                    // Line 1b
+    const { step2Adjustment } = params.withholding;
+
+    // Step 1: adjusted annual wage
+    const annualWages = amount(wages) * payPeriods;                                                    // Line 1c
+    const line1g = entries.multipleJobs
+        ? 0
+        : (entries.filingStatus === 'married' ? step2Adjustment.married : step2Adjustment.other);
+    const adjustedAnnualWage = Math.max(0,
+        annualWages + entries.otherIncome - entries.deductions - line1g);                              // Line 1i
+
+    // Step 2: tentative withholding
+    const table = getWithholdingTable(entries.filingStatus, entries.multipleJobs, params.taxYear);
+    const tentativeAnnual = tentativeAnnualWithholding(table, adjustedAnnualWage);                     // Line 2g
+    const tentativeWithholding = tentativeAnnual / payPeriods;                                         // Line 2h
+
+    // Step 3: credits
+    const creditPerPeriod = entries.dependents / payPeriods;                                           // Line 3b
+    const withholdingAfterCredits = Math.max(0, tentativeWithholding - creditPerPeriod);              // Line 3c
+
+    // Step 4: extra withholding
+    const withholding = withholdingAfterCredits + entries.extraWithholding;                            // Line 4b
+
+    return {
+        method: 'Pub 15-T Worksheet 1A',
+        w4: entries,
+        payPeriods,
+        annualWages,
+        step2Adjustment: line1g,
+        adjustedAnnualWage,
+        tentativeAnnualWithholding: tentativeAnnual,
+        tentativeWithholding,
+        creditPerPeriod,
+        withholdingAfterCredits,
+        extraWithholding: entries.extraWithholding,
+        withholding,
+    };
+}
+
+
+/**
+ * Pay dates after a paycheck through December 31
+ *
+ * Weekly and biweekly pay every 7 or 14 days, daily every weekday,
+ * semimonthly on the 15th and the last day of the month, and the monthly
+ * frequencies on the same day of the month.
+ *
+ * @param {string} lastPayDate - ISO date of the latest paycheck
+ * @param {string} payFrequency - A key of PAY_PERIODS
+ * @param {number} [taxYear] - Tax year
+ * @returns {string[]} - ISO dates
+ */
+export function getRemainingPayDates(lastPayDate, payFrequency, taxYear) {
+    payPeriodsFor(payFrequency);
+    const year = getTaxParameters(taxYear).taxYear;
+    const yearEnd = Date.UTC(year, 11, 31);
+    const last = toTime(lastPayDate);
+    const dates = [];
+
+    if (payFrequency === 'weekly' || payFrequency === 'biweekly' || payFrequency === 'daily') {
+        const step = payFrequency === 'biweekly' ? 14 : 7;
+        for (let time = last + (payFrequency === 'daily' ? DAY : step * DAY); time <= yearEnd;
+            time += payFrequency === 'daily' ? DAY : step * DAY) {
+            const weekday = new Date(time).getUTCDay();
+            if (payFrequency !== 'daily' || (weekday !== 0 && weekday !== 6)) dates.push(toDate(time));
+        }
+        return dates;
+    }
+
+    if (payFrequency === 'semimonthly') {
+        for (let month = 0; month < 12; month++) {
+            [Date.UTC(year, month, 15), Date.UTC(year, month + 1, 0)]
+                .filter(time => time > last)
+                .forEach(time => dates.push(toDate(time)));
+        }
+        return dates;
+    }
+
+    const months = { monthly: 1, quarterly: 3, semiannual: 6, annual: 12 }[payFrequency];
+    const start = new Date(last);
+    for (let step = months; ; step += months) {
+        const month = start.getUTCMonth() + step;
+        const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        const time = Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), daysInMonth));
+        if (time > yearEnd) break;
+        dates.push(toDate(time));
+    }
+    return dates;
+}
+
+
+/**
+ * Project one job's wages and withholding to December 31
+ *
+ * @param {Object} job - An entry of form.jobs
+ * @param {Object} [context]
+ * @param {string} [context.filingStatus] - Return filing status (the W-4 default)
+ * @param {number} [context.taxYear] - Tax year
+ * @returns {Object} - Year-to-date and projected amounts, with the
+ *   Worksheet 1A calculation for the remaining paychecks
+ */
+export function projectJobWithholding(job, context = {}) {
+    const year = getTaxParameters(context.taxYear).taxYear;
+    const payFrequency = job.payFrequency || 'biweekly';
+    const payPeriods = payPeriodsFor(payFrequency);
+    const w4 = normalizeW4(job.w4, context.filingStatus);
+
+    const stubs = (job.payStubs || [])
+        .filter(stub => stub && stub.date)
+        .sort((a, b) => toTime(a.date) - toTime(b.date));
+    const latest = stubs[stubs.length - 1];
+    const ytdWages = latest && latest.ytdWages !== undefined
+        ? amount(latest.ytdWages)
+        : stubs.reduce((total, stub) => total + amount(stub.wages), 0);
+    const ytdWithholding = latest && latest.ytdWithholding !== undefined
+        ? amount(latest.ytdWithholding)
+        : stubs.reduce((total, stub) => total + amount(stub.withholding), 0);
+
+    let remainingPayDates;
+    if (latest) {
+        remainingPayDates = getRemainingPayDates(latest.date, payFrequency, year);
+    } else if (job.firstPayDate) {
+        remainingPayDates = [String(job.firstPayDate).slice(0, 10), ...getRemainingPayDates(job.firstPayDate, payFrequency, year)];
+    } else {
+        remainingPayDates = null;
+    }
+    const remainingPeriods = remainingPayDates ? remainingPayDates.length : payPeriods;
+
+    const wagesPerPeriod = job.wagesPerPeriod !== undefined && job.wagesPerPeriod !== ''
+        ? amount(job.wagesPerPeriod)
+        : amount(latest && latest.wages);
+    const worksheet = calculatePercentageMethodWithholding(wagesPerPeriod, payFrequency, w4, year);
+
+    return {
+        payFrequency,
+        payPeriods,
+        spouse: Boolean(job.spouse),
+        w4,
+        lastPayDate: latest ? String(latest.date).slice(0, 10) : null,
+        ytdWages,
+        ytdWithholding,
+        remainingPayDates,
+        remainingPeriods,
+        wagesPerPeriod,
+        withholdingPerPeriod: worksheet.withholding,
+        worksheet,
+        projectedWages: ytdWages + wagesPerPeriod * remainingPeriods,
+        projectedWithholding: ytdWithholding + worksheet.withholding * remainingPeriods,
+    };
+}
+
+
+/**
+ * Form W-4 entries for one job that change its withholding per paycheck to
+ * a target (Step 4(c) up; Step 4(c) removed, then Step 4(b) raised, down)
+ */
+function solveW4(projection, targetPerPeriod, taxYear) {
+    const { w4, worksheet } = projection;
+    const withoutExtra = worksheet.withholdingAfterCredits;
+
+    if (targetPerPeriod >= withoutExtra) {
+        const extra = Math.ceil(Math.round((targetPerPeriod - withoutExtra) * 100) / 100);
+        return { ...w4, extraWithholding: extra };
+    }
+
+    const table = getWithholdingTable(w4.filingStatus, w4.multipleJobs, taxYear);
+    const annualTarget = Math.max(0, targetPerPeriod) * worksheet.payPeriods + w4.dependents;
+    const adjustedAnnualWage = adjustedWageFor(table, annualTarget);
+    // Rounded down, so the withholding stays at or just above the target
+    const deductions = Math.floor(worksheet.annualWages + w4.otherIncome - worksheet.step2Adjustment - adjustedAnnualWage);
+    return { ...w4, extraWithholding: 0, deductions: Math.max(w4.deductions, deductions) };
+}
+
+
+/**
+ * Project year-end withholding against the liability and recommend the
+ * Form W-4 entries that reach a target refund
+ *
+ * LEGAL AUTHORITY: IRC §3402
+ * IRS REFERENCE: Publication 15-T, Form W-4, Publication 505
+ *
+ * @param {Object} form - Tax form data with form.jobs
+ * @param {Object} [options]
+ * @param {number} [options.targetRefund=0] - Refund to aim for (negative for a balance due)
+ * @returns {Object} - Job projections, the projected refund, and
+ *   `recommendation`: the job and its full W-4 entries (null when no
+ *   paychecks are left)
+ */
+export function calculateWithholdingPlan(form, options = {}) {
+    const params = getTaxParameters(form.taxYear);
+    const filingStatus = form.filingStatus || 'single';
+    const targetRefund = parseFloat(options.targetRefund) || 0;
+
+    const jobs = (form.jobs || []).map(job => projectJobWithholding(job, { filingStatus, taxYear: params.taxYear }));
+    const projectedWages = jobs.reduce((total, job) => total + job.projectedWages, 0);
+    const projectedWithholding = jobs.reduce((total, job) => total + job.projectedWithholding, 0);
+    const spouseWages = jobs.filter(job => job.spouse).reduce((total, job) => total + job.projectedWages, 0);
+
+    const result = calculateTotalTax({
+        ...form,
+        totalWages: projectedWages,
+        totalWithholding: projectedWithholding,
+        ...(jobs.some(job => job.spouse) ? { spouseWages } : {}),
+    });
+    const projectedRefund = result.refundOrOwed;
+    const adjustment = targetRefund - projectedRefund;
+
+    // The W-4 change goes on the job with the most wages left
+    const reasons = [];
+    let recommendation = null;
+    const index = jobs.reduce((best, job, i) => (
+        job.remainingPeriods > 0 && (best < 0 ||
+            job.wagesPerPeriod * job.remainingPeriods > jobs[best].wagesPerPeriod * jobs[best].remainingPeriods)
+            ? i
+            : best
+    ), -1);
+    if (jobs.length === 0) reasons.push('No jobs (form.jobs)');
+    else if (index < 0) reasons.push('No paychecks left this year');
+
+    if (index >= 0) {
+        const job = jobs[index];
+        const targetPerPeriod = job.withholdingPerPeriod + adjustment / job.remainingPeriods;
+        const w4 = solveW4(job, targetPerPeriod, params.taxYear);
+        const worksheet = calculatePercentageMethodWithholding(job.wagesPerPeriod, job.payFrequency, w4, params.taxYear);
+        const change = (worksheet.withholding - job.withholdingPerPeriod) * job.remainingPeriods;
+        if (targetPerPeriod < 0) reasons.push('Withholding can\'t go below zero; the target refund isn\'t reachable');
+
+        recommendation = {
+            job: index,
+            w4,
+            withholdingPerPeriod: worksheet.withholding,
+            changePerPeriod: worksheet.withholding - job.withholdingPerPeriod,
+            remainingPeriods: job.remainingPeriods,
+            projectedWithholding: projectedWithholding + change,
+            projectedRefund: projectedRefund + change,
+        };
+    }
+
+    return {
+        taxYear: params.taxYear,
+        jobs,
+        projectedWages,
+        projectedWithholding,
+        finalTax: result.finalTax,
+        totalPayments: result.totalPayments,
+        projectedRefund,
+        targetRefund,
+        adjustment,
+        reasons,
+        recommendation,
+    };
+}
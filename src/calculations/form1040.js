@@ -0,0 +1,487 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - FORM 1040 LINE-BY-LINE OUTPUT
+ * ============================================================================
+ *
+ * Maps a calculateTotalTax() result onto the lines of Form 1040 and its
+ * schedules so it can be compared against a preparer's return.
+ *
+ * IRS REFERENCE:
+ * - Form 1040 (Lines 1a-38) and Instructions
+ * - Schedules 1, 2, 3, A, B, C, D and SE
+ * - Form 8959 (Additional Medicare Tax)
+ *
+ * OUTPUT SHAPE:
+ *   {
+ *     form1040: { form: 'Form 1040', lines: { '1a': { label, value, inputs }, ... } },
+ *     schedule1: {...}, schedule2: {...}, schedule3: {...},
+ *     scheduleA, scheduleB, scheduleC, scheduleD, scheduleSE, form8959  // null when not filed
+ *   }
+ *
+ * `inputs` lists the form fields (form.x) or other lines each value came
+ * from. Amounts are the engine's own numbers; where the engine simplifies
+ * (e.g. OBBBA deductions are taken as adjustments), the lines follow it so
+ * every total ties to calculateTotalTax().
+ *
+ * ============================================================================
+ */
+
+
+/**
+ * One form line: value plus what it was derived from
+ */
+function line(label, value, inputs = []) {
+    return { label, value, inputs };
+}
+
+function amount(value) {
+    return parseFloat(value) || 0;
+}
+
+function sumLines(lines, keys) {
+    return keys.reduce((sum, key) => sum + (lines[key]?.value || 0), 0);
+}
+
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Schedule C - Profit or Loss From Business
+ */
+function buildScheduleC(form) {
+    if (!form.hasScheduleC || !form.scheduleC) return null;
+
+    const lines = {};
+    if (form.scheduleC.netProfit !== undefined) {
+        lines['31'] = line('Net profit or (loss)', amount(form.scheduleC.netProfit), ['form.scheduleC.netProfit']);
+    } else {
+        lines['1'] = line('Gross receipts or sales', amount(form.scheduleC.grossReceipts), ['form.scheduleC.grossReceipts']);
+        lines['28'] = line('Total expenses', amount(form.scheduleC.expenses), ['form.scheduleC.expenses']);
+        lines['31'] = line('Net profit or (loss)', lines['1'].value - lines['28'].value, ['Line 1', 'Line 28']);
+    }
+
+    return { form: 'Schedule C', lines };
+}
+
+/**
+ * Schedule 1 - Additional Income and Adjustments to Income
+ */
+function buildSchedule1(form, result, scheduleC, worksheet) {
+    const k1 = result.scheduleK1Details;
+    const obbbaDeductions = worksheet.obbbaDeductions;
+    const lines = {};
+
+    // Part I: Additional Income
+    lines['3'] = line('Business income or (loss)', scheduleC ? scheduleC.lines['31'].value : 0, ['Schedule C, Line 31']);
+    lines['4'] = line('Other gains or (losses) (Form 4797)', result.section1231Details.ordinaryGain, ['Form 4797, Line 18']);
+    lines['5'] = line(
+        'Rental real estate, royalties, partnerships, S corporations, trusts',
+        worksheet.scheduleEIncome,
+        [
+            'form.scheduleE',
+            ...(k1 ? ['Schedule E, Part II (Schedule K-1)'] : []),
+            ...(result.passiveLossDetails ? ['Form 8582'] : []),
+        ]
+    );
+    lines['8a'] = line('Net operating loss', result.nolDeduction ? -result.nolDeduction : 0, ['form.nolCarryforwards']);
+    lines['8d'] = line('Foreign earned income exclusion', result.foreignExclusion ? -result.foreignExclusion : 0, ['Form 2555, Line 45']);
+    lines['8p'] = line('Excess business loss adjustment', result.excessBusinessLoss, ['Form 461, Line 16']);
+    lines['8z'] = line('Other income', worksheet.otherIncome, [
+        'form.otherIncome',
+        'Form 1099-Q',
+        ...(result.form8814Details.length ? ['Form 8814, Line 12'] : []),
+    ]);
+    lines['10'] = line('Total additional income', sumLines(lines, ['3', '4', '5', '8a', '8d', '8p', '8z']), ['Lines 3, 4, 5, 8a, 8d, 8p, 8z']);
+
+    // Part II: Adjustments to Income
+    lines['11'] = line('Educator expenses', amount(form.educatorExpenses), ['form.educatorExpenses']);
+    lines['13'] = line('Health savings account deduction', amount(form.hsaDeduction), ['form.hsaDeduction']);
+    lines['15'] = line('Deductible part of self-employment tax', amount(form.selfEmploymentTaxDeduction), ['form.selfEmploymentTaxDeduction']);
+    lines['16'] = line('Self-employed SEP, SIMPLE, and qualified plans', amount(form.selfEmployedSEPSimple), ['form.selfEmployedSEPSimple']);
+    lines['17'] = line('Self-employed health insurance deduction', amount(form.selfEmployedHealthInsurance), ['form.selfEmployedHealthInsurance']);
+    lines['18'] = line('Penalty on early withdrawal of savings', amount(form.penaltyEarlyWithdrawal), ['form.penaltyEarlyWithdrawal']);
+    lines['19a'] = line('Alimony paid', amount(form.alimonyPaid), ['form.alimonyPaid']);
+    lines['20'] = line('IRA deduction', amount(form.iraDeduction), ['form.iraDeduction']);
+    lines['21'] = line('Student loan interest deduction', amount(form.studentLoanInterest), ['form.studentLoanInterest']);
+    lines['24z'] = line(
+        'Other adjustments: OBBBA tips, overtime, car loan interest and senior deductions',
+        obbbaDeductions.tips + obbbaDeductions.overtime + obbbaDeductions.autoLoan + obbbaDeductions.seniorBonus,
+        ['form.tipIncome', 'form.overtimeIncome', 'form.autoLoanInterest', 'form.birthDate', 'OBBBA phase-out']
+    );
+    lines['25'] = line('Total other adjustments', lines['24z'].value, ['Line 24z']);
+    lines['26'] = line(
+        'Total adjustments to income',
+        sumLines(lines, ['11', '13', '15', '16', '17', '18', '19a', '20', '21', '25']),
+        ['Lines 11 through 23, 25']
+    );
+
+    return { form: 'Schedule 1', lines };
+}
+
+/**
+ * Schedule 2 - Additional Taxes
+ */
+function buildSchedule2(result, seDetails) {
+    const lines = {};
+
+    // Part I: Tax
+    lines['1a'] = line('Excess advance premium tax credit repayment', result.excessAdvancePremiumTaxCredit, ['Form 8962, Line 29']);
+    lines['1z'] = line('Add lines 1a through 1y', lines['1a'].value, ['Line 1a']);
+    lines['2'] = line('Alternative minimum tax', result.amt, ['Form 6251, Line 11']);
+    lines['3'] = line('Add lines 1z and 2', sumLines(lines, ['1z', '2']), ['Line 1z', 'Line 2']);
+
+    // Part II: Other Taxes
+    lines['4'] = line('Self-employment tax', seDetails.socialSecurityTax + seDetails.medicareTax, ['Schedule SE, Line 12']);
+    lines['8'] = line('Additional tax on IRAs or other tax-favored accounts', result.additional529Tax, ['Form 5329 (529 distributions)']);
+    lines['11'] = line('Additional Medicare Tax', result.additionalMedicareTax, ['Form 8959, Line 18']);
+    lines['12'] = line('Net investment income tax', result.niit, ['Form 8960']);
+    lines['21'] = line('Total other taxes', sumLines(lines, ['4', '8', '11', '12']), ['Lines 4 through 20']);
+
+    return { form: 'Schedule 2', lines };
+}
+
+/**
+ * Schedule 3 - Additional Credits and Payments
+ */
+function buildSchedule3(form, result) {
+    const lines = {};
+
+    // Part I: Nonrefundable Credits
+    lines['1'] = line('Foreign tax credit', result.foreignTaxCredit, [
+        result.foreignTaxCreditDetails.deMinimis ? 'Forms 1099-INT / 1099-DIV' : 'Form 1116, Line 35',
+    ]);
+    lines['2'] = line('Credit for child and dependent care expenses', result.childCareCredit, ['Form 2441, Line 11']);
+    lines['3'] = line('Education credits', result.educationCredits, ['Form 8863, Line 19']);
+    lines['4'] = line('Retirement savings contributions credit', amount(form.retirementSaversCredit), ['form.retirementSaversCredit']);
+    lines['8'] = line('Total nonrefundable credits', sumLines(lines, ['1', '2', '3', '4']), ['Lines 1 through 7']);
+
+    // Part II: Other Payments and Refundable Credits
+    lines['9'] = line('Net premium tax credit', result.netPremiumTaxCredit, ['Form 8962, Line 26']);
+    lines['13z'] = line('Other refundable credits', amount(form.otherCredits), ['form.otherCredits']);
+    lines['15'] = line('Total other payments and refundable credits', sumLines(lines, ['9', '13z']), ['Lines 9 through 14']);
+
+    return { form: 'Schedule 3', lines };
+}
+
+/**
+ * Schedule A - Itemized Deductions
+ */
+function buildScheduleA(form, result) {
+    if (result.deductionType !== 'itemized') return null;
+
+    const details = result.scheduleADetails;
+    const { mortgage, charity } = details;
+    const lines = {};
+    lines['1'] = line('Medical and dental expenses', details.medicalExpenses, ['form.medicalExpenses']);
+    lines['2'] = line('Amount from Form 1040, line 11', result.agi, ['Form 1040, Line 11']);
+    lines['3'] = line('Multiply line 2 by 7.5%', details.medicalFloor, ['Line 2']);
+    lines['4'] = line('Deductible medical and dental expenses', details.medicalDeduction, ['Line 1', 'Line 3']);
+    lines['5a'] = line('State and local income or sales taxes', amount(form.stateLocalTaxes), ['form.stateLocalTaxes']);
+    lines['5b'] = line('State and local real estate taxes', amount(form.realEstateTaxes), ['form.realEstateTaxes']);
+    lines['5d'] = line('Add lines 5a through 5c', sumLines(lines, ['5a', '5b']), ['Lines 5a, 5b']);
+    lines['5e'] = line('Smaller of line 5d or the SALT cap', details.saltDeduction, ['Line 5d', `SALT cap (${result.taxYear})`]);
+    lines['7'] = line('Total taxes', lines['5e'].value, ['Line 5e']);
+    lines['8a'] = line(
+        'Home mortgage interest (Form 1098)',
+        mortgage.deductible,
+        mortgage.loans ? ['form.mortgageLoans', 'Qualified loan limit (Pub 936 Table 1)'] : ['form.mortgageInterest']
+    );
+    lines['10'] = line('Total interest', lines['8a'].value, ['Line 8a']);
+    lines['11'] = line(
+        'Gifts by cash or check',
+        charity.categories.cash.contributions + charity.categories.privateFoundation.contributions,
+        ['form.charityCash', 'form.charityPrivateFoundation']
+    );
+    lines['12'] = line(
+        'Other than by cash or check',
+        charity.categories.nonCash.contributions + charity.categories.capitalGainProperty.contributions +
+            charity.categories.privateFoundationCapitalGain.contributions,
+        ['form.charityNonCash', 'form.charityCapitalGainProperty', 'form.charityPrivateFoundationCapitalGain']
+    );
+    lines['13'] = line('Carryover from prior year', charity.carryover, ['form.charityCarryovers']);
+    lines['14'] = line('Total gifts to charity', charity.deduction, ['Lines 11, 12, 13', 'AGI limits (Pub 526 Worksheet 2)']);
+    lines['15'] = line('Casualty and theft losses', details.casualtyLosses, ['form.casualtyLosses']);
+    lines['16'] = line('Other itemized deductions', details.otherItemized, ['form.otherItemized']);
+    lines['17'] = line(
+        'Total itemized deductions',
+        details.itemizedDeduction,
+        details.limitation ? ['Lines 4, 7, 10, 14, 15, 16', 'Itemized deduction limitation (§68)'] : ['Lines 4, 7, 10, 14, 15, 16']
+    );
+
+    return { form: 'Schedule A', lines };
+}
+
+/**
+ * Schedule B - Interest and Ordinary Dividends
+ */
+function buildScheduleB(form, k1, form8814Dividends) {
+    const interest = amount(form.taxableInterest) + (k1 ? k1.interest : 0);
+    const dividends = amount(form.ordinaryDividends) + (k1 ? k1.ordinaryDividends : 0) + form8814Dividends;
+    if (interest === 0 && dividends === 0) return null;
+
+    const lines = {};
+    lines['1'] = line('Interest', interest, k1 ? ['form.taxableInterest', 'Schedule K-1 interest'] : ['form.taxableInterest']);
+    lines['2'] = line('Add the amounts on line 1', interest, ['Line 1']);
+    lines['4'] = line('Taxable interest', interest, ['Line 2']);
+    lines['5'] = line('Ordinary dividends', dividends, [
+        'form.ordinaryDividends',
+        ...(k1 ? ['Schedule K-1 dividends'] : []),
+        ...(form8814Dividends ? ['Form 8814, Line 9'] : []),
+    ]);
+    lines['6'] = line('Total ordinary dividends', dividends, ['Line 5']);
+    lines['7a'] = line('Financial interest in or signature authority over a foreign account', !!form.hasForeignAccounts, ['form.hasForeignAccounts']);
+
+    return { form: 'Schedule B', lines };
+}
+
+/**
+ * Schedule D - Capital Gains and Losses
+ */
+function buildScheduleD(result) {
+    const details = result.scheduleDDetails;
+    if (!details) return null;
+
+    // K-1 and Form 4797 gains are part of the engine's Schedule D totals; show them on their own lines
+    const k1 = result.scheduleK1Details;
+    const k1ShortTerm = k1 ? k1.shortTermCapitalGain : 0;
+    const section1231Gain = result.section1231Details.capitalGain;
+    const k1LongTerm = k1 ? k1.longTermCapitalGain : 0;
+    const form8814Distributions = result.form8814Details
+        .reduce((total, election) => total + election.includedCapitalGainDistributions, 0);
+
+    const lines = {};
+    lines['1a'] = line('Short-term totals (Form 8949 / 1099-B)', details.shortTerm.gain - details.shortTerm.loss - k1ShortTerm, ['form.scheduleD.shortTermGain', 'form.scheduleD.shortTermLoss']);
+    lines['5'] = line('Net short-term gain or (loss) from partnerships, S corporations (Schedule K-1)', k1ShortTerm, ['Schedule K-1']);
+    lines['6'] = line('Short-term capital loss carryover', -details.shortTerm.carryover, ['form.scheduleD.shortTermLossCarryover']);
+    lines['7'] = line('Net short-term capital gain or (loss)', details.shortTerm.net, ['Lines 1a through 6']);
+    lines['8a'] = line('Long-term totals (Form 8949 / 1099-B)', details.longTerm.gain - details.longTerm.loss - k1LongTerm - section1231Gain - form8814Distributions, ['form.scheduleD.longTermGain', 'form.scheduleD.longTermLoss']);
+    lines['11'] = line('Gain from Form 4797, Part I (§1231)', section1231Gain, ['Form 4797, Line 9']);
+    lines['12'] = line('Net long-term gain or (loss) from partnerships, S corporations (Schedule K-1)', k1LongTerm, ['Schedule K-1']);
+    if (form8814Distributions) {
+        lines['13'] = line('Capital gain distributions', form8814Distributions, ['Form 8814, Line 10']);
+    }
+    lines['14'] = line('Long-term capital loss carryover', -details.longTerm.carryover, ['form.scheduleD.longTermLossCarryover']);
+    lines['15'] = line('Net long-term capital gain or (loss)', details.longTerm.net, ['Lines 8a through 14']);
+    lines['16'] = line('Combine lines 7 and 15', details.netGainOrLoss, ['Line 7', 'Line 15']);
+    if (details.netGainOrLoss < 0) {
+        lines['21'] = line('Loss allowed (smaller of the loss or the §1211(b) limit)', -details.allowedLoss, ['Line 16', `$${details.lossLimit.toLocaleString()} limit`]);
+    }
+    if (details.netCapitalGain > 0) {
+        lines['18'] = line('28% rate gain', details.collectiblesGain, ['28% Rate Gain Worksheet']);
+        lines['19'] = line('Unrecaptured section 1250 gain', details.unrecapturedSection1250Gain, ['Unrecaptured Section 1250 Gain Worksheet']);
+    }
+
+    return { form: 'Schedule D', lines };
+}
+
+/**
+ * Form 8959 - Additional Medicare Tax (Parts I, II, IV and V)
+ */
+function buildForm8959(details) {
+    if (details.tax <= 0 && details.additionalWithholding <= 0) return null;
+
+    const lines = {};
+
+    // Part I: Medicare wages
+    lines['1'] = line('Medicare wages and tips from Form W-2, box 5', details.medicareWages, ['form.medicareWages', 'form.totalWages']);
+    lines['4'] = line('Add lines 1 through 3', lines['1'].value, ['Line 1']);
+    lines['5'] = line('Threshold for your filing status', details.threshold, ['Filing status']);
+    lines['6'] = line('Subtract line 5 from line 4', Math.max(0, lines['4'].value - lines['5'].value), ['Line 4', 'Line 5']);
+    lines['7'] = line('Additional Medicare Tax on Medicare wages', details.wageTax, ['Line 6 × 0.9%']);
+
+    // Part II: Self-employment income
+    lines['8'] = line('Self-employment income from Schedule SE, line 6', details.selfEmploymentIncome, ['Schedule SE, Line 6']);
+    lines['9'] = line('Threshold for your filing status', details.threshold, ['Filing status']);
+    lines['10'] = line('Amount from line 4', lines['4'].value, ['Line 4']);
+    lines['11'] = line('Subtract line 10 from line 9', details.selfEmploymentThreshold, ['Line 9', 'Line 10']);
+    lines['12'] = line('Subtract line 11 from line 8', Math.max(0, lines['8'].value - lines['11'].value), ['Line 8', 'Line 11']);
+    lines['13'] = line('Additional Medicare Tax on self-employment income', details.selfEmploymentTax, ['Line 12 × 0.9%']);
+
+    // Part IV: Total
+    lines['18'] = line('Total Additional Medicare Tax', details.tax, ['Lines 7, 13 and 17']);
+
+    // Part V: Withholding reconciliation
+    lines['19'] = line('Medicare tax withheld from Form W-2, box 6', details.medicareTaxWithheld, ['form.medicareTaxWithheld']);
+    lines['20'] = line('Amount from line 1', lines['1'].value, ['Line 1']);
+    lines['21'] = line('Regular Medicare tax withholding on Medicare wages', details.regularMedicareWithholding, ['Line 20 × 1.45%']);
+    lines['22'] = line('Additional Medicare Tax withholding on Medicare wages', details.additionalWithholding, ['Line 19', 'Line 21']);
+    lines['24'] = line('Total Additional Medicare Tax withholding', lines['22'].value, ['Lines 22 and 23']);
+
+    return { form: 'Form 8959', lines };
+}
+
+/**
+ * Schedule SE - Self-Employment Tax
+ */
+function buildScheduleSE(scheduleC, k1, seDetails, socialSecurityWageBase) {
+    if (seDetails.tax <= 0) return null;
+
+    const lines = {};
+    lines['2'] = line(
+        'Net profit from Schedule C and Schedule K-1 (Form 1065), box 14, code A',
+        (scheduleC ? scheduleC.lines['31'].value : 0) + (k1 ? k1.selfEmploymentEarnings : 0),
+        ['Schedule C, Line 31', 'Schedule K-1, Box 14 Code A']
+    );
+    lines['3'] = line('Combine lines 1a, 1b, and 2', lines['2'].value, ['Line 2']);
+    lines['4a'] = line('Multiply line 3 by 92.35%', seDetails.netEarnings, ['Line 3']);
+    lines['6'] = line('Net earnings from self-employment', seDetails.netEarnings, ['Line 4a']);
+    lines['7'] = line('Maximum earnings subject to social security tax', socialSecurityWageBase, ['Social Security wage base']);
+    lines['8a'] = line('Total social security wages and tips', seDetails.socialSecurityWages, ['form.selfEmploymentSocialSecurityWages', 'form.socialSecurityWages', 'form.totalWages']);
+    lines['8d'] = line('Add lines 8a, 8b, and 8c', lines['8a'].value, ['Line 8a']);
+    lines['9'] = line('Subtract line 8d from line 7', seDetails.socialSecurityBase, ['Line 7', 'Line 8d']);
+    lines['10'] = line('Multiply the smaller of line 6 or line 9 by 12.4%', seDetails.socialSecurityTax, ['Line 6', 'Line 9']);
+    lines['11'] = line('Medicare portion (2.9%)', seDetails.medicareTax, ['Line 6']);
+    lines['12'] = line('Self-employment tax', seDetails.socialSecurityTax + seDetails.medicareTax, ['Line 10', 'Line 11']);
+    lines['13'] = line('Deduction for one-half of self-employment tax', lines['12'].value * 0.5, ['Line 12']);
+
+    return { form: 'Schedule SE', lines };
+}
+
+
+// ============================================================================
+// FORM 1040
+// ============================================================================
+
+/**
+ * Build Form 1040 and its schedules from a calculateTotalTax() result
+ *
+ * @param {Object} form - Tax form data
+ * @param {Object} result - calculateTotalTax() result
+ * @param {Object} worksheet - Engine intermediates not on the result:
+ *   filingStatus, standardDeduction,
+ *   scheduleEIncome (after Form 8582),
+ *   obbbaDeductions { tips, overtime, autoLoan, seniorBonus }, seDetails,
+ *   socialSecurityWageBase,
+ *   childTaxCredit (Schedule 8812 Line 14), additionalChildTaxCredit, earnedIncomeCredit,
+ *   otherIncome (Schedule 1 Line 8z),
+ *   taxAfterNonRefundable
+ * @returns {Object} - { form1040, schedule1, schedule2, schedule3, scheduleA,
+ *   scheduleB, scheduleC, scheduleD, scheduleSE, form8959 }
+ */
+export function buildForm1040(form, result, worksheet) {
+    const k1 = result.scheduleK1Details;
+    const scheduleC = buildScheduleC(form);
+    const schedule1 = buildSchedule1(form, result, scheduleC, worksheet);
+    const schedule2 = buildSchedule2(result, worksheet.seDetails);
+    const schedule3 = buildSchedule3(form, result);
+    const scheduleA = buildScheduleA(form, result);
+    const form8814Dividends = result.form8814Details
+        .reduce((total, election) => total + election.includedQualifiedDividends, 0);
+    const scheduleB = buildScheduleB(form, k1, form8814Dividends);
+    const scheduleD = buildScheduleD(result);
+    const scheduleSE = buildScheduleSE(scheduleC, k1, worksheet.seDetails, worksheet.socialSecurityWageBase);
+    const form8959 = buildForm8959(result.additionalMedicareDetails);
+
+    const lines = {};
+
+    // Income
+    lines['1a'] = line('Total amount from Form(s) W-2, box 1', amount(form.totalWages), ['form.totalWages']);
+    lines['1z'] = line('Add lines 1a through 1h', lines['1a'].value, ['Line 1a']);
+    lines['2a'] = line('Tax-exempt interest', amount(form.taxExemptInterest), ['form.taxExemptInterest']);
+    lines['2b'] = line('Taxable interest', scheduleB ? scheduleB.lines['4'].value : 0, scheduleB ? ['Schedule B, Line 4'] : ['form.taxableInterest']);
+    lines['3a'] = line(
+        'Qualified dividends',
+        amount(form.qualifiedDividends) + (k1 ? k1.qualifiedDividends : 0) + form8814Dividends,
+        [
+            'form.qualifiedDividends',
+            ...(k1 ? ['Schedule K-1 qualified dividends'] : []),
+            ...(form8814Dividends ? ['Form 8814, Line 9'] : []),
+        ]
+    );
+    lines['3b'] = line('Ordinary dividends', scheduleB ? scheduleB.lines['6'].value : 0, scheduleB ? ['Schedule B, Line 6'] : ['form.ordinaryDividends']);
+    lines['4a'] = line('IRA distributions', amount(form.iraDistributions) || amount(form.taxableIra), ['form.iraDistributions']);
+    lines['4b'] = line('IRA distributions - taxable amount', amount(form.taxableIra), ['form.taxableIra']);
+    lines['5a'] = line('Pensions and annuities', amount(form.pensionIncome) || amount(form.taxablePensions), ['form.pensionIncome']);
+    lines['5b'] = line('Pensions and annuities - taxable amount', amount(form.taxablePensions), ['form.taxablePensions']);
+    lines['6a'] = line('Social security benefits', amount(form.socialSecurityBenefits), ['form.socialSecurityBenefits']);
+    lines['6b'] = line(
+        'Social security benefits - taxable amount',
+        result.taxableSocialSecurity,
+        result.socialSecurityDetails
+            ? ['Line 6a', 'Line 2a', 'Social Security Benefits Worksheet (Pub 915)']
+            : ['form.taxableSocialSecurity']
+    );
+    lines['7'] = line('Capital gain or (loss)', result.capitalGainOrLoss, scheduleD ? ['Schedule D, Line 16 / 21'] : ['form.capitalGainLoss']);
+    lines['8'] = line('Additional income from Schedule 1, line 10', schedule1.lines['10'].value, ['Schedule 1, Line 10']);
+    lines['9'] = line('Total income', result.totalIncome, ['Lines 1z, 2b, 3b, 4b, 5b, 6b, 7, 8']);
+    lines['10'] = line('Adjustments to income from Schedule 1, line 26', schedule1.lines['26'].value, ['Schedule 1, Line 26']);
+    lines['11'] = line('Adjusted gross income', result.agi, ['Line 9', 'Line 10']);
+
+    // Deductions and taxable income
+    lines['12'] = line(
+        scheduleA ? 'Itemized deductions (Schedule A)' : 'Standard deduction',
+        result.deduction,
+        scheduleA ? ['Schedule A, Line 17'] : ['form.filingStatus', `Standard deduction (${result.taxYear})`]
+    );
+    lines['13'] = line('Qualified business income deduction', result.qbiDeduction, [result.qbiDetails.form]);
+    lines['14'] = line('Add lines 12 and 13', lines['12'].value + lines['13'].value, ['Line 12', 'Line 13']);
+    lines['15'] = line('Taxable income', result.taxableIncome, ['Line 11', 'Line 14']);
+
+    // Tax and credits
+    lines['16'] = line(
+        'Tax',
+        result.regularTax + result.capitalGainsTax + result.form8814Tax + result.kiddieTax,
+        [
+            'Line 15',
+            'Tax brackets',
+            result.scheduleDTaxWorksheet ? 'Schedule D Tax Worksheet' : 'Qualified Dividends and Capital Gain Tax Worksheet',
+            ...(result.form8814Tax ? ['Form 8814, Line 15'] : []),
+            ...(result.kiddieTax ? ['Form 8615, Line 18'] : []),
+        ]
+    );
+    lines['17'] = line('Amount from Schedule 2, line 3', schedule2.lines['3'].value, ['Schedule 2, Line 3']);
+    lines['18'] = line('Add lines 16 and 17', lines['16'].value + lines['17'].value, ['Line 16', 'Line 17']);
+    lines['19'] = line(
+        'Child tax credit or credit for other dependents',
+        worksheet.childTaxCredit,
+        ['Schedule 8812, Line 14']
+    );
+    lines['20'] = line('Amount from Schedule 3, line 8', schedule3.lines['8'].value, ['Schedule 3, Line 8']);
+    lines['21'] = line('Add lines 19 and 20', lines['19'].value + lines['20'].value, ['Line 19', 'Line 20']);
+    lines['22'] = line('Subtract line 21 from line 18', Math.max(0, lines['18'].value - lines['21'].value), ['Line 18', 'Line 21']);
+    lines['23'] = line('Other taxes from Schedule 2, line 21', schedule2.lines['21'].value, ['Schedule 2, Line 21']);
+    lines['24'] = line('Total tax', worksheet.taxAfterNonRefundable, ['Line 22', 'Line 23']);
+
+    // Payments
+    lines['25a'] = line('Federal income tax withheld from Form(s) W-2', amount(form.totalWithholding), ['form.totalWithholding']);
+    lines['25c'] = line('Federal income tax withheld from other forms', form8959 ? form8959.lines['24'].value : 0, ['Form 8959, Line 24']);
+    lines['25d'] = line('Total withholding', sumLines(lines, ['25a', '25c']), ['Lines 25a through 25c']);
+    lines['26'] = line(
+        'Estimated tax payments and amount applied from prior year',
+        amount(form.estimatedTaxPayments) + amount(form.amountAppliedFromPriorYear),
+        ['form.estimatedTaxPayments', 'form.amountAppliedFromPriorYear']
+    );
+    lines['27'] = line('Earned income credit (EIC)', worksheet.earnedIncomeCredit, ['Schedule EIC', 'form.earnedIncomeCredit']);
+    lines['28'] = line('Additional child tax credit', worksheet.additionalChildTaxCredit, ['Schedule 8812, Line 27']);
+    lines['29'] = line('American opportunity credit', result.refundableEducationCredit, ['Form 8863, Line 8']);
+    lines['31'] = line('Amount from Schedule 3, line 15', schedule3.lines['15'].value, ['Schedule 3, Line 15']);
+    lines['32'] = line('Total other payments and refundable credits', sumLines(lines, ['27', '28', '29', '31']), ['Lines 27 through 31']);
+    lines['33'] = line('Total payments', sumLines(lines, ['25d', '26', '32']), ['Line 25d', 'Line 26', 'Line 32']);
+
+    // Refund or amount owed
+    const balance = lines['33'].value - lines['24'].value;
+    lines['34'] = line('Amount overpaid', Math.max(0, balance), ['Line 33', 'Line 24']);
+    lines['35a'] = line('Amount refunded to you', Math.max(0, balance), ['Line 34']);
+    lines['37'] = line('Amount you owe', Math.max(0, -balance), ['Line 24', 'Line 33']);
+    lines['38'] = line('Estimated tax penalty', result.underpaymentPenalty, ['Form 2210']);
+
+    return {
+        form1040: {
+            form: 'Form 1040',
+            taxYear: result.taxYear,
+            filingStatus: worksheet.filingStatus,
+            lines,
+        },
+        schedule1,
+        schedule2,
+        schedule3,
+        scheduleA,
+        scheduleB,
+        scheduleC,
+        scheduleD,
+        scheduleSE,
+        form8959,
+    };
+}
@@ -7,8 +7,165 @@ export {
     calculateTotalTax,
     calculateTaxWithOverrides,
     calculateSelfEmploymentTax,
+    getScheduleSEWages,
     calculateCapitalGainsTax,
+    calculateScheduleDTaxWorksheet,
     TAX_BRACKETS_2025,
     STANDARD_DEDUCTIONS_2025,
     CAPITAL_GAINS_BRACKETS_2025,
 } from './calculateTax.js';
+
+export {
+    calculateAdditionalMedicareTax,
+    ADDITIONAL_MEDICARE_THRESHOLDS,
+    ADDITIONAL_MEDICARE_RATE,
+} from './calculateAdditionalMedicareTax.js';
+
+export {
+    calculateAMT,
+    calculateAMTExemption,
+    calculateAMTRateTax,
+} from './calculateAMT.js';
+
+export {
+    calculateChildTaxCredit,
+    getChildTaxCreditDependents,
+    CHILD_TAX_CREDIT,
+} from './calculateChildTaxCredit.js';
+
+export {
+    calculateDependentCareCredit,
+    getDependentCareCreditRate,
+    getDependentCareQualifyingPersons,
+    DEPENDENT_CARE,
+} from './calculateDependentCareCredit.js';
+
+export {
+    calculateEarnedIncomeCredit,
+    getEITCQualifyingChildren,
+    EITC_RATES,
+    EITC_AGE_LIMITS,
+} from './calculateEarnedIncomeCredit.js';
+
+export {
+    calculateEducationCredits,
+    getEducationStudents,
+    EDUCATION_CREDITS,
+} from './calculateEducationCredits.js';
+
+export {
+    calculateForm8615,
+    calculateForm8814,
+    calculateChildReturns,
+    getForm8814Elections,
+    getKiddieTaxAmounts,
+    isSubjectToKiddieTax,
+    KIDDIE_TAX,
+} from './calculateKiddieTax.js';
+
+export {
+    calculateForeignEarnedIncomeExclusion,
+    calculateForeignTaxCredit,
+    isQualifiedIndividual,
+    FOREIGN_INCOME,
+} from './calculateForeignIncome.js';
+
+export {
+    calculateExcessBusinessLoss,
+    calculateNetOperatingLoss,
+    calculateNOLDeduction,
+    NOL_LIMITS,
+} from './calculateNetOperatingLoss.js';
+
+export {
+    calculateMarginalRate,
+    getMarginalRate,
+    MARGINAL_RATE_STEP,
+} from './calculateMarginalRate.js';
+
+export {
+    calculateTaxableSocialSecurity,
+    SOCIAL_SECURITY_BASE_AMOUNTS,
+} from './calculateSocialSecurity.js';
+
+export {
+    calculateScheduleA,
+    calculateCharitableContributions,
+    calculateMortgageInterest,
+    SCHEDULE_A_LIMITS,
+    CHARITY_CATEGORIES,
+} from './calculateScheduleA.js';
+
+export {
+    calculateScheduleD,
+    calculateCapitalLossCarryover,
+    getCapitalLossLimit,
+    CAPITAL_LOSS_LIMIT,
+} from './calculateScheduleD.js';
+
+export {
+    calculateSection1231,
+    SECTION_1231_LOOKBACK_YEARS,
+} from './calculateSection1231.js';
+
+export {
+    calculateQBIDeduction,
+    getQBIBusinesses,
+    aggregateQBIBusinesses,
+    getQBIThresholds,
+} from './calculateQBI.js';
+
+export {
+    calculateScheduleK1,
+    getScheduleK1s,
+    applyK1LossLimits,
+} from './calculateScheduleK1.js';
+
+export {
+    calculatePassiveActivityLoss,
+    getPassiveActivities,
+    getRentalActivities,
+    calculateSpecialAllowance,
+    isRealEstateProfessional,
+    PASSIVE_LOSS_SPECIAL_ALLOWANCE,
+} from './calculatePassiveActivityLoss.js';
+
+export {
+    calculatePremiumTaxCredit,
+    getPovertyLine,
+    getApplicableFigure,
+} from './calculatePremiumTaxCredit.js';
+
+export { calculateStateReturn } from './calculateStateReturn.js';
+
+export {
+    calculateUnderpaymentPenalty,
+    calculatePenaltyInterest,
+    getAnnualizedIncomeForms,
+    getInstallmentDueDates,
+    SAFE_HARBOR,
+    UNDERPAYMENT_INTEREST_RATES,
+    ANNUALIZATION_PERIODS,
+    INCOME_ENTRY_TYPES,
+} from './calculateUnderpaymentPenalty.js';
+
+export {
+    calculateWithholdingPlan,
+    projectJobWithholding,
+    calculatePercentageMethodWithholding,
+    getWithholdingTable,
+    getRemainingPayDates,
+    PAY_PERIODS,
+    W4_FILING_STATUS,
+} from './calculateWithholding.js';
+
+export { buildForm1040 } from './form1040.js';
+
+export {
+    TAX_YEAR,
+    TAX_YEAR_PARAMETERS,
+    SUPPORTED_TAX_YEARS,
+    getTaxParameters,
+    getSaltCap,
+    getAgeAtYearEnd,
+} from './taxYearParameters.js';
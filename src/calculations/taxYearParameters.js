@@ -0,0 +1,819 @@
+/**
+ * ============================================================================
+ * TAX LOGIC CORE - TAX YEAR PARAMETERS
+ * ============================================================================
+ * 
+ * Year-keyed registry of every inflation-adjusted or law-dependent amount used
+ * by the calculation engine and the optimizers: brackets, standard deductions,
+ * capital gains breakpoints, the Social Security wage base, AMT exemptions,
+ * the SALT cap, QBI thresholds, the FEIE limit, credit amounts, premium tax
+ * credit tables, retirement contribution limits and the OBBBA deductions.
+ * 
+ * LEGAL AUTHORITY:
+ * - IRC §1(f): Annual inflation adjustments
+ * - Rev. Proc. 2022-38 (2023), Rev. Proc. 2023-34 (2024),
+ *   Rev. Proc. 2024-40 (2025), Rev. Proc. 2025-32 (2026)
+ * - One Big Beautiful Bill Act of 2025 (OBBBA)
+ * 
+ * HOW IT WORKS:
+ * A return selects its year with `form.taxYear`. Every calculation reads its
+ * numbers through getTaxParameters(form.taxYear), so amending a 2023 return
+ * or projecting 2026 uses that year's law without touching the math.
+ * 
+ * ANNUAL UPDATES:
+ * Add a new entry to TAX_YEAR_PARAMETERS, cite the Rev. Proc. it comes from,
+ * and move TAX_YEAR forward once the new year becomes the default.
+ * 
+ * ============================================================================
+ */
+
+/**
+ * Default tax year used when a form does not specify `taxYear`
+ */
+export const TAX_YEAR = 2025;
+
+// ============================================================================
+// SECTION 1: TAX BRACKETS (IRC §1)
+// ============================================================================
+/**
+ * 2025 Federal Income Tax Brackets
+ * 
+ * LEGAL AUTHORITY: IRC §1(a)-(d), IRC §1(i)
+ * IRS REFERENCE: Rev. Proc. 2024-40 (annual inflation adjustments)
+ * 
+ * HOW TAX BRACKETS WORK:
+ * The US uses a "progressive" or "marginal" tax system. This means:
+ * - You don't pay your highest rate on ALL your income
+ * - Each bracket only applies to income WITHIN that range
+ * 
+ * EXAMPLE (Single filer, $60,000 taxable income):
+ * - First $11,925 taxed at 10% = $1,192.50
+ * - Next $36,550 ($11,925 to $48,475) taxed at 12% = $4,386.00
+ * - Remaining $11,525 ($48,475 to $60,000) taxed at 22% = $2,535.50
+ * - TOTAL TAX = $8,114.00
+ * - EFFECTIVE RATE = 13.5% (NOT 22%!)
+ * 
+ * 2025 OBBBA UPDATES:
+ * - Tax rates were made PERMANENT (previously set to sunset in 2026)
+ * - Brackets adjusted for inflation per IRC §1(f)
+ * 
+ * FORMAT: [income_threshold, marginal_rate]
+ * The rate applies to income FROM this threshold UP TO the next threshold.
+ */
+export const TAX_BRACKETS_2025 = {
+    /**
+     * SINGLE FILERS (IRC §1(c))
+     * Unmarried individuals who don't qualify for Head of Household
+     */
+    single: [
+        [0, 0.10],       // $0 - $11,925: 10%
+        [11925, 0.12],   // $11,925 - $48,475: 12%
+        [48475, 0.22],   // $48,475 - $103,350: 22%
+        [103350, 0.24],  // $103,350 - $197,300: 24%
+        [197300, 0.32],  // $197,300 - $250,525: 32%
+        [250525, 0.35],  // $250,525 - $626,350: 35%
+        [626350, 0.37],  // $626,350+: 37%
+    ],
+
+    /**
+     * MARRIED FILING JOINTLY (IRC §1(a))
+     * Married couples who file a joint return
+     * Also applies to Qualifying Surviving Spouse (widow/widower)
+     * 
+     * NOTE: Brackets are approximately 2x single (no "marriage penalty" at most levels)
+     */
+    married: [
+        [0, 0.10],       // $0 - $23,850: 10%
+        [23850, 0.12],   // $23,850 - $96,950: 12%
+        [96950, 0.22],   // $96,950 - $206,700: 22%
+        [206700, 0.24],  // $206,700 - $394,600: 24%
+        [394600, 0.32],  // $394,600 - $501,050: 32%
+        [501050, 0.35],  // $501,050 - $751,600: 35%
+        [751600, 0.37],  // $751,600+: 37%
+    ],
+
+    /**
+     * MARRIED FILING SEPARATELY (IRC §1(d))
+     * Married couples who choose to file separate returns
+     * 
+     * WARNING: This status has DISADVANTAGES:
+     * - Lose many credits (EITC, education credits, etc.)
+     * - Lower phase-out thresholds
+     * - Cannot take standard deduction if spouse itemizes
+     * 
+     * USE CASES:
+     * - Liability protection (separate from spouse's tax issues)
+     * - Income-driven student loan repayment strategies
+     * - When one spouse owes back taxes/child support
+     */
+    marriedSeparate: [
+        [0, 0.10],       // $0 - $11,925: 10%
+        [11925, 0.12],   // $11,925 - $48,475: 12%
+        [48475, 0.22],   // $48,475 - $103,350: 22%
+        [103350, 0.24],  // $103,350 - $197,300: 24%
+        [197300, 0.32],  // $197,300 - $250,525: 32%
+        [250525, 0.35],  // $250,525 - $375,800: 35%
+        [375800, 0.37],  // $375,800+: 37% (NOTE: Lower threshold than single!)
+    ],
+
+    /**
+     * HEAD OF HOUSEHOLD (IRC §1(b))
+     * Unmarried taxpayers who maintain a home for a qualifying person
+     * 
+     * REQUIREMENTS (IRC §2(b)):
+     * 1. Unmarried (or "considered unmarried") on last day of year
+     * 2. Paid more than half the cost of keeping up a home
+     * 3. Qualifying person lived with you for more than half the year
+     * 
+     * BENEFITS:
+     * - Higher standard deduction than single ($23,500 vs $15,700)
+     * - Wider tax brackets than single
+     * - Higher income thresholds for credits
+     */
+    head: [
+        [0, 0.10],       // $0 - $17,000: 10%
+        [17000, 0.12],   // $17,000 - $64,850: 12%
+        [64850, 0.22],   // $64,850 - $103,350: 22%
+        [103350, 0.24],  // $103,350 - $197,300: 24%
+        [197300, 0.32],  // $197,300 - $250,500: 32%
+        [250500, 0.35],  // $250,500 - $626,350: 35%
+        [626350, 0.37],  // $626,350+: 37%
+    ],
+
+    /**
+     * QUALIFYING SURVIVING SPOUSE (formerly "Qualifying Widow(er)")
+     * IRC §2(a)
+     * 
+     * REQUIREMENTS:
+     * 1. Spouse died in one of the two preceding tax years
+     * 2. Did not remarry before end of current tax year
+     * 3. Have a dependent child
+     * 4. Paid more than half the cost of maintaining the home
+     * 
+     * BENEFIT: Use same brackets as Married Filing Jointly for 2 years after spouse's death
+     */
+    widow: [
+        [0, 0.10],
+        [23850, 0.12],
+        [96950, 0.22],
+        [206700, 0.24],
+        [394600, 0.32],
+        [501050, 0.35],
+        [751600, 0.37],
+    ],
+};
+
+
+// ============================================================================
+// SECTION 2: STANDARD DEDUCTIONS (IRC §63(c))
+// ============================================================================
+/**
+ * 2025 Standard Deduction Amounts
+ * 
+ * LEGAL AUTHORITY: IRC §63(c)
+ * IRS REFERENCE: Publication 17, Chapter 20
+ * 
+ * WHAT IS THE STANDARD DEDUCTION?
+ * A fixed dollar amount that reduces your taxable income. You choose EITHER:
+ * - Standard deduction (simple, fixed amount), OR
+ * - Itemized deductions (sum of specific expenses like mortgage interest, SALT, charity)
+ * 
+ * 2025 OBBBA UPDATES:
+ * - Standard deduction amounts made PERMANENT (were set to revert to lower 2017 amounts)
+ * - Amounts adjusted for inflation
+ * 
+ * WHO SHOULD ITEMIZE?
+ * Only itemize if your itemized deductions EXCEED the standard deduction.
+ * Common scenarios where itemizing makes sense:
+ * - High mortgage interest (especially first few years of mortgage)
+ * - High state/local taxes (though capped at $40k per OBBBA)
+ * - Significant charitable giving
+ * - Large unreimbursed medical expenses (>7.5% of AGI)
+ * 
+ * ADDITIONAL AMOUNTS (not included here):
+ * - Age 65+: Additional $1,950 (single) or $1,550 per spouse (married)
+ * - Blind: Additional $1,950 (single) or $1,550 (married)
+ */
+export const STANDARD_DEDUCTIONS_2025 = {
+    single: 15700,           // Single filers
+    married: 31400,          // Married Filing Jointly (exactly 2x single)
+    marriedSeparate: 15700,  // Married Filing Separately (same as single)
+    head: 23500,             // Head of Household (between single and married)
+    widow: 31400,            // Qualifying Surviving Spouse (same as MFJ)
+};
+
+
+// ============================================================================
+// SECTION 3: CAPITAL GAINS TAX BRACKETS (IRC §1(h))
+// ============================================================================
+/**
+ * 2025 Long-Term Capital Gains Tax Brackets
+ * 
+ * LEGAL AUTHORITY: IRC §1(h)
+ * IRS REFERENCE: Publication 550, Schedule D Instructions
+ * 
+ * WHAT ARE CAPITAL GAINS?
+ * Profit from selling a capital asset (stocks, bonds, real estate, crypto, etc.)
+ * 
+ * SHORT-TERM vs LONG-TERM:
+ * - SHORT-TERM (held ≤ 1 year): Taxed as ORDINARY INCOME (your regular rate)
+ * - LONG-TERM (held > 1 year): Taxed at preferential rates below
+ * 
+ * WHY PREFERENTIAL RATES?
+ * Congress chose to encourage long-term investment over short-term speculation.
+ * This also mitigates "inflation tax" - part of the gain may be due to inflation, not real profit.
+ * 
+ * QUALIFIED DIVIDENDS (IRC §1(h)(11)):
+ * Dividends from most US and some foreign corporations also qualify for these rates.
+ * Requirements: Stock held 60+ days in 121-day period around ex-dividend date.
+ * 
+ * NET INVESTMENT INCOME TAX (NIIT):
+ * High earners pay an ADDITIONAL 3.8% on investment income (see calculateNIIT in calculateTax.js).
+ * 
+ * FORMAT: [taxable_income_threshold, rate]
+ * The rate is based on your TOTAL taxable income, not just the gains.
+ */
+export const CAPITAL_GAINS_BRACKETS_2025 = {
+    single: [
+        [0, 0],          // $0 - $48,350: 0% (!!)
+        [48350, 0.15],   // $48,350 - $533,400: 15%
+        [533400, 0.20],  // $533,400+: 20%
+    ],
+    married: [
+        [0, 0],          // $0 - $96,700: 0%
+        [96700, 0.15],   // $96,700 - $600,050: 15%
+        [600050, 0.20],  // $600,050+: 20%
+    ],
+    marriedSeparate: [
+        [0, 0],          // $0 - $48,350: 0%
+        [48350, 0.15],   // $48,350 - $300,025: 15%
+        [300025, 0.20],  // $300,025+: 20%
+    ],
+    head: [
+        [0, 0],          // $0 - $64,750: 0%
+        [64750, 0.15],   // $64,750 - $566,700: 15%
+        [566700, 0.20],  // $566,700+: 20%
+    ],
+    widow: [
+        [0, 0],          // $0 - $96,700: 0%
+        [96700, 0.15],   // $96,700 - $600,050: 15%
+        [600050, 0.20],  // $600,050+: 20%
+    ],
+};
+
+
+
+// ============================================================================
+// SECTION 4: OTHER TAX YEARS
+// ============================================================================
+/**
+ * 2023 and 2024 amounts (TCJA law, used for amended returns) and 2026
+ * amounts (OBBBA permanent-law inflation adjustments, used for projections).
+ * Same formats as the 2025 tables above.
+ */
+const TAX_BRACKETS_2023 = {
+    single: [[0, 0.10], [11000, 0.12], [44725, 0.22], [95375, 0.24], [182100, 0.32], [231250, 0.35], [578125, 0.37]],
+    married: [[0, 0.10], [22000, 0.12], [89450, 0.22], [190750, 0.24], [364200, 0.32], [462500, 0.35], [693750, 0.37]],
+    marriedSeparate: [[0, 0.10], [11000, 0.12], [44725, 0.22], [95375, 0.24], [182100, 0.32], [231250, 0.35], [346875, 0.37]],
+    head: [[0, 0.10], [15700, 0.12], [59850, 0.22], [95350, 0.24], [182100, 0.32], [231250, 0.35], [578100, 0.37]],
+    widow: [[0, 0.10], [22000, 0.12], [89450, 0.22], [190750, 0.24], [364200, 0.32], [462500, 0.35], [693750, 0.37]],
+};
+
+const TAX_BRACKETS_2024 = {
+    single: [[0, 0.10], [11600, 0.12], [47150, 0.22], [100525, 0.24], [191950, 0.32], [243725, 0.35], [609350, 0.37]],
+    married: [[0, 0.10], [23200, 0.12], [94300, 0.22], [201050, 0.24], [383900, 0.32], [487450, 0.35], [731200, 0.37]],
+    marriedSeparate: [[0, 0.10], [11600, 0.12], [47150, 0.22], [100525, 0.24], [191950, 0.32], [243725, 0.35], [365600, 0.37]],
+    head: [[0, 0.10], [16550, 0.12], [63100, 0.22], [100500, 0.24], [191950, 0.32], [243700, 0.35], [609350, 0.37]],
+    widow: [[0, 0.10], [23200, 0.12], [94300, 0.22], [201050, 0.24], [383900, 0.32], [487450, 0.35], [731200, 0.37]],
+};
+
+const TAX_BRACKETS_2026 = {
+    single: [[0, 0.10], [12400, 0.12], [50400, 0.22], [105700, 0.24], [201775, 0.32], [256225, 0.35], [640600, 0.37]],
+    married: [[0, 0.10], [24800, 0.12], [100800, 0.22], [211400, 0.24], [403550, 0.32], [512450, 0.35], [768700, 0.37]],
+    marriedSeparate: [[0, 0.10], [12400, 0.12], [50400, 0.22], [105700, 0.24], [201775, 0.32], [256225, 0.35], [384350, 0.37]],
+    head: [[0, 0.10], [17700, 0.12], [67450, 0.22], [105700, 0.24], [201750, 0.32], [256200, 0.35], [640600, 0.37]],
+    widow: [[0, 0.10], [24800, 0.12], [100800, 0.22], [211400, 0.24], [403550, 0.32], [512450, 0.35], [768700, 0.37]],
+};
+
+const STANDARD_DEDUCTIONS_2023 = { single: 13850, married: 27700, marriedSeparate: 13850, head: 20800, widow: 27700 };
+const STANDARD_DEDUCTIONS_2024 = { single: 14600, married: 29200, marriedSeparate: 14600, head: 21900, widow: 29200 };
+const STANDARD_DEDUCTIONS_2026 = { single: 16100, married: 32200, marriedSeparate: 16100, head: 24150, widow: 32200 };
+
+const CAPITAL_GAINS_BRACKETS_2023 = {
+    single: [[0, 0], [44625, 0.15], [492300, 0.20]],
+    married: [[0, 0], [89250, 0.15], [553850, 0.20]],
+    marriedSeparate: [[0, 0], [44625, 0.15], [276900, 0.20]],
+    head: [[0, 0], [59750, 0.15], [523050, 0.20]],
+    widow: [[0, 0], [89250, 0.15], [553850, 0.20]],
+};
+
+const CAPITAL_GAINS_BRACKETS_2024 = {
+    single: [[0, 0], [47025, 0.15], [518900, 0.20]],
+    married: [[0, 0], [94050, 0.15], [583750, 0.20]],
+    marriedSeparate: [[0, 0], [47025, 0.15], [291850, 0.20]],
+    head: [[0, 0], [63000, 0.15], [551350, 0.20]],
+    widow: [[0, 0], [94050, 0.15], [583750, 0.20]],
+};
+
+const CAPITAL_GAINS_BRACKETS_2026 = {
+    single: [[0, 0], [49450, 0.15], [545500, 0.20]],
+    married: [[0, 0], [98900, 0.15], [613700, 0.20]],
+    marriedSeparate: [[0, 0], [49450, 0.15], [306850, 0.20]],
+    head: [[0, 0], [66200, 0.15], [579600, 0.20]],
+    widow: [[0, 0], [98900, 0.15], [613700, 0.20]],
+};
+
+
+// ============================================================================
+// SECTION 5: OBBBA DEDUCTIONS (Tax years 2025-2028)
+// ============================================================================
+/**
+ * New above-the-line deductions created by OBBBA
+ * 
+ * LEGAL AUTHORITY: IRC §224 (tips), §225 (overtime), §163(h)(4) (auto loan
+ * interest), §151(d)(5)(C) (senior bonus), all as added by OBBBA
+ * EFFECTIVE: Tax years 2025 through 2028
+ * PREVIOUS LAW: None of these deductions existed (null for 2023/2024)
+ * 
+ * PHASE-OUT: Tips and overtime phase out linearly between `start` and `end`
+ * modified AGI (married uses the married range, everyone else `other`).
+ */
+const OBBBA_DEDUCTIONS = {
+    tips: { max: 25000 },
+    overtime: { max: 12500 },
+    autoLoan: { max: 10000 },
+    seniorBonus: { max: 6000, ageRequirement: 65 },
+    phaseOut: {
+        married: { start: 300000, end: 550000 },
+        other: { start: 150000, end: 400000 },
+    },
+};
+
+
+// ============================================================================
+// SECTION 6: PREMIUM TAX CREDIT (IRC §36B)
+// ============================================================================
+/**
+ * Applicable percentage tables: [FPL % from, FPL % to, initial %, final %]
+ * 
+ * LEGAL AUTHORITY: IRC §36B(b)(3)(A)
+ * - ARPA / IRA (2021-2025): 0% up to 150% of FPL rising to 8.5%, with no
+ *   400% income cap (§36B(b)(3)(A)(iii), §36B(c)(1)(E))
+ * - 2026: enhanced amounts expired; Rev. Proc. 2025-25 indexed table and
+ *   the 400% cap returns
+ * 
+ * Within a band the figure rises linearly with the FPL percentage.
+ */
+const APPLICABLE_PERCENTAGES_ARPA = [
+    [0, 150, 0, 0],
+    [150, 200, 0, 0.02],
+    [200, 250, 0.02, 0.04],
+    [250, 300, 0.04, 0.06],
+    [300, 400, 0.06, 0.085],
+    [400, Infinity, 0.085, 0.085],
+];
+
+const APPLICABLE_PERCENTAGES_2026 = [
+    [0, 133, 0.021, 0.021],
+    [133, 150, 0.0314, 0.0419],
+    [150, 200, 0.0419, 0.066],
+    [200, 250, 0.066, 0.0844],
+    [250, 300, 0.0844, 0.0996],
+    [300, 400, 0.0996, 0.0996],
+];
+
+
+// ============================================================================
+// SECTION 7: TAX YEAR REGISTRY
+// ============================================================================
+/**
+ * All parameters, keyed by tax year
+ * 
+ * FIELDS:
+ * - brackets / standardDeduction / capitalGainsBrackets: IRC §1, §63(c), §1(h)
+ * - dependentStandardDeduction: IRC §63(c)(5) minimum, or earned income
+ *   plus the addition; the minimum also sets the kiddie tax threshold (twice
+ *   it, §1(g)(4)) and the Form 8814 limits (§1(g)(7))
+ * - socialSecurityWageBase: IRC §1402(b), §3121(x) (SSA annual announcement)
+ * - amt: IRC §55(d) exemption, phase-out start, phase-out rate and the
+ *   26%/28% breakpoint (half for MFS)
+ * - saltCap: IRC §164(b)(6)-(7) (OBBBA raised it from $10,000 for 2025+
+ *   and phases it back down toward $10,000 over a MAGI threshold)
+ * - itemizedDeductions: IRC §170(b)(1)(I) charitable floor and §68
+ *   overall limitation rate (OBBBA: both from 2026, none before)
+ * - qbi: IRC §199A(e)(2) threshold and phase-in range (OBBBA widened the
+ *   range to $75k/$150k for 2026+)
+ * - excessBusinessLoss: IRC §461(l)(3) threshold (joint returns double)
+ * - feieLimit: IRC §911(b)(2)(D)
+ * - childTaxCredit: IRC §24(h)(2) credit per child (OBBBA: $2,200 for 2025+)
+ *   and §24(h)(5) refundable maximum (inflation-adjusted)
+ * - eitc: IRC §32(b)(2) earned income amount, maximum credit and phase-out
+ *   start by number of children, §32(i) investment income limit
+ * - dependentCare: IRC §21(c) expense limits, §129(a)(2) employer benefit
+ *   exclusion (OBBBA: $7,500 for 2026+) and the §21(a)(2) credit rate
+ * - premiumTaxCredit: IRC §36B(d)(3) poverty line (prior year's HHS
+ *   guidelines: first person + each additional; Alaska and Hawaii), the
+ *   applicable percentage table, the 400% income cap (null under ARPA) and
+ *   §36B(f)(2)(B) repayment limits below 200% / 300% / 400% of FPL (OBBBA:
+ *   none for 2026+)
+ * - withholding: Pub 15-T percentage method for a 2020+ Form W-4 - the
+ *   standard deduction built into the annual tables (by W-4 filing status)
+ *   and the Worksheet 1A Line 1g amount subtracted when Step 2 isn't checked
+ * - contributionLimits: IRC §402(g), §414(v), §219(b)(5), §223(b), §415(c)
+ * - saversCredit: IRC §25B(b) AGI limits for the 50%, 20% and 10% credit
+ *   rates (head of household 3/4 and joint returns 2x the single amounts)
+ * - qcdLimit: IRC §408(d)(8)(A) qualified charitable distribution limit
+ *   (inflation-adjusted from 2024)
+ * - businessDeductions: IRC §179(b)(1) expensing limit (OBBBA: $2.5M for
+ *   2025+), §168(k) bonus depreciation rate (OBBBA: 100% again from 2025)
+ *   and the IRS standard mileage rate for business use
+ * - obbba: OBBBA deductions (null before 2025)
+ */
+export const TAX_YEAR_PARAMETERS = {
+    2023: {
+        taxYear: 2023,
+        brackets: TAX_BRACKETS_2023,
+        standardDeduction: STANDARD_DEDUCTIONS_2023,
+        dependentStandardDeduction: { minimum: 1250, earnedIncomeAddition: 400 },
+        capitalGainsBrackets: CAPITAL_GAINS_BRACKETS_2023,
+        socialSecurityWageBase: 160200,
+        amt: {
+            exemption: { single: 81300, married: 126500, marriedSeparate: 63250, head: 81300, widow: 126500 },
+            phaseOut: { single: 578150, married: 1156300, marriedSeparate: 578150, head: 578150, widow: 1156300 },
+            phaseOutRate: 0.25,
+            rates: { lower: 0.26, higher: 0.28, threshold: 220700 },
+        },
+        saltCap: { cap: 10000, marriedSeparate: 5000 },
+        itemizedDeductions: { charityFloor: 0, limitationRate: null },
+        qbi: {
+            threshold: { single: 182100, married: 364200 },
+            phaseInRange: { single: 50000, married: 100000 },
+        },
+        excessBusinessLoss: { single: 289000, married: 578000 },
+        feieLimit: 120000,
+        childTaxCredit: { perChild: 2000, refundablePerChild: 1600 },
+        eitc: {
+            // By number of qualifying children: 0, 1, 2, 3+
+            earnedIncomeAmount: [7840, 11750, 16510, 16510],
+            maxCredit: [600, 3995, 6604, 7430],
+            phaseOutStart: { other: [9800, 21560, 21560, 21560], married: [16370, 28120, 28120, 28120] },
+            investmentIncomeLimit: 11000,
+        },
+        dependentCare: {
+            expenseLimit: { one: 3000, twoOrMore: 6000 },
+            benefitExclusion: 5000,
+            // 35% less 1 point per $2,000 of AGI over $15,000, not below 20%
+            creditRate: { max: 0.35, min: 0.20, phaseDownStart: 15000, step: 2000 },
+        },
+        premiumTaxCredit: {
+            povertyLine: {
+                contiguous: { first: 13590, additional: 4720 },
+                AK: { first: 16990, additional: 5900 },
+                HI: { first: 15630, additional: 5430 },
+            },
+            applicablePercentages: APPLICABLE_PERCENTAGES_ARPA,
+            incomeCap: null,
+            repaymentLimit: {
+                single: [350, 900, 1500],
+                other: [700, 1800, 3000],
+            },
+        },
+        withholding: {
+            standardDeduction: { single: 13850, married: 27700, head: 20800 },
+            step2Adjustment: { married: 12900, other: 8600 },
+        },
+        contributionLimits: {
+            traditional401k: 22500,
+            catchUp401k50Plus: 7500,
+            catchUp401k60to63: 7500, // No super catch-up before 2025
+            traditionalIRA: 6500,
+            catchUpIRA: 1000,
+            hsa: { self: 3850, family: 7750, catchUp55Plus: 1000 },
+            sepIRA: 66000,
+        },
+        saversCredit: {
+            single: [21750, 23750, 36500],
+            head: [32625, 35625, 54750],
+            married: [43500, 47500, 73000],
+        },
+        qcdLimit: 100000,
+        businessDeductions: { section179: 1160000, bonusDepreciation: 0.8, mileageRate: 0.655 },
+        obbba: null,
+    },
+
+    2024: {
+        taxYear: 2024,
+        brackets: TAX_BRACKETS_2024,
+        standardDeduction: STANDARD_DEDUCTIONS_2024,
+        dependentStandardDeduction: { minimum: 1300, earnedIncomeAddition: 450 },
+        capitalGainsBrackets: CAPITAL_GAINS_BRACKETS_2024,
+        socialSecurityWageBase: 168600,
+        amt: {
+            exemption: { single: 85700, married: 133300, marriedSeparate: 66650, head: 85700, widow: 133300 },
+            phaseOut: { single: 609350, married: 1218700, marriedSeparate: 609350, head: 609350, widow: 1218700 },
+            phaseOutRate: 0.25,
+            rates: { lower: 0.26, higher: 0.28, threshold: 232600 },
+        },
+        saltCap: { cap: 10000, marriedSeparate: 5000 },
+        itemizedDeductions: { charityFloor: 0, limitationRate: null },
+        qbi: {
+            threshold: { single: 191950, married: 383900 },
+            phaseInRange: { single: 50000, married: 100000 },
+        },
+        excessBusinessLoss: { single: 305000, married: 610000 },
+        feieLimit: 126500,
+        childTaxCredit: { perChild: 2000, refundablePerChild: 1700 },
+        eitc: {
+            // By number of qualifying children: 0, 1, 2, 3+
+            earnedIncomeAmount: [8260, 12390, 17400, 17400],
+            maxCredit: [632, 4213, 6960, 7830],
+            phaseOutStart: { other: [10330, 22720, 22720, 22720], married: [17250, 29640, 29640, 29640] },
+            investmentIncomeLimit: 11600,
+        },
+        dependentCare: {
+            expenseLimit: { one: 3000, twoOrMore: 6000 },
+            benefitExclusion: 5000,
+            // 35% less 1 point per $2,000 of AGI over $15,000, not below 20%
+            creditRate: { max: 0.35, min: 0.20, phaseDownStart: 15000, step: 2000 },
+        },
+        premiumTaxCredit: {
+            povertyLine: {
+                contiguous: { first: 14580, additional: 5140 },
+                AK: { first: 18210, additional: 6430 },
+                HI: { first: 16770, additional: 5910 },
+            },
+            applicablePercentages: APPLICABLE_PERCENTAGES_ARPA,
+            incomeCap: null,
+            repaymentLimit: {
+                single: [375, 950, 1575],
+                other: [750, 1900, 3150],
+            },
+        },
+        withholding: {
+            standardDeduction: { single: 14600, married: 29200, head: 21900 },
+            step2Adjustment: { married: 12900, other: 8600 },
+        },
+        contributionLimits: {
+            traditional401k: 23000,
+            catchUp401k50Plus: 7500,
+            catchUp401k60to63: 7500,
+            traditionalIRA: 7000,
+            catchUpIRA: 1000,
+            hsa: { self: 4150, family: 8300, catchUp55Plus: 1000 },
+            sepIRA: 69000,
+        },
+        saversCredit: {
+            single: [23000, 25000, 38250],
+            head: [34500, 37500, 57375],
+            married: [46000, 50000, 76500],
+        },
+        qcdLimit: 105000,
+        businessDeductions: { section179: 1220000, bonusDepreciation: 0.6, mileageRate: 0.67 },
+        obbba: null,
+    },
+
+    2025: {
+        taxYear: 2025,
+        brackets: TAX_BRACKETS_2025,
+        standardDeduction: STANDARD_DEDUCTIONS_2025,
+        dependentStandardDeduction: { minimum: 1350, earnedIncomeAddition: 450 },
+        capitalGainsBrackets: CAPITAL_GAINS_BRACKETS_2025,
+        socialSecurityWageBase: 176100,
+        amt: {
+            exemption: { single: 88100, married: 137000, marriedSeparate: 68500, head: 88100, widow: 137000 },
+            phaseOut: { single: 626350, married: 1252700, marriedSeparate: 626350, head: 626350, widow: 1252700 },
+            phaseOutRate: 0.25,
+            rates: { lower: 0.26, higher: 0.28, threshold: 239100 },
+        },
+        // OBBBA: the cap drops by 30% of MAGI over the threshold, but not below $10,000
+        saltCap: {
+            cap: 40000,
+            marriedSeparate: 20000,
+            phaseOutStart: { other: 500000, marriedSeparate: 250000 },
+            phaseOutRate: 0.30,
+            minimum: { other: 10000, marriedSeparate: 5000 },
+        },
+        itemizedDeductions: { charityFloor: 0, limitationRate: null },
+        qbi: {
+            threshold: { single: 197300, married: 394600 },
+            phaseInRange: { single: 50000, married: 100000 },
+        },
+        excessBusinessLoss: { single: 313000, married: 626000 },
+        feieLimit: 130000,
+        childTaxCredit: { perChild: 2200, refundablePerChild: 1700 },
+        eitc: {
+            // By number of qualifying children: 0, 1, 2, 3+
+            earnedIncomeAmount: [8490, 12730, 17880, 17880],
+            maxCredit: [649, 4328, 7152, 8046],
+            phaseOutStart: { other: [10620, 23350, 23350, 23350], married: [17730, 30470, 30470, 30470] },
+            investmentIncomeLimit: 11950,
+        },
+        dependentCare: {
+            expenseLimit: { one: 3000, twoOrMore: 6000 },
+            benefitExclusion: 5000,
+            // 35% less 1 point per $2,000 of AGI over $15,000, not below 20%
+            creditRate: { max: 0.35, min: 0.20, phaseDownStart: 15000, step: 2000 },
+        },
+        premiumTaxCredit: {
+            povertyLine: {
+                contiguous: { first: 15060, additional: 5380 },
+                AK: { first: 18810, additional: 6730 },
+                HI: { first: 17310, additional: 6190 },
+            },
+            applicablePercentages: APPLICABLE_PERCENTAGES_ARPA,
+            incomeCap: null,
+            repaymentLimit: {
+                single: [375, 975, 1625],
+                other: [750, 1950, 3250],
+            },
+        },
+        withholding: {
+            // Pub 15-T 2025 was issued before OBBBA and kept the pre-OBBBA amounts
+            standardDeduction: { single: 15000, married: 30000, head: 22500 },
+            step2Adjustment: { married: 12900, other: 8600 },
+        },
+        contributionLimits: {
+            traditional401k: 23500,
+            catchUp401k50Plus: 7500,  // Age 50-59 and 64+
+            catchUp401k60to63: 11250, // Super catch-up for 60-63 (SECURE 2.0)
+            traditionalIRA: 7000,
+            catchUpIRA: 1000,
+            hsa: { self: 4300, family: 8550, catchUp55Plus: 1000 },
+            sepIRA: 69000,
+        },
+        saversCredit: {
+            single: [23750, 25500, 39500],
+            head: [35625, 38250, 59250],
+            married: [47500, 51000, 79000],
+        },
+        qcdLimit: 108000,
+        businessDeductions: { section179: 2500000, bonusDepreciation: 1, mileageRate: 0.70 },
+        obbba: OBBBA_DEDUCTIONS,
+    },
+
+    2026: {
+        taxYear: 2026,
+        brackets: TAX_BRACKETS_2026,
+        standardDeduction: STANDARD_DEDUCTIONS_2026,
+        dependentStandardDeduction: { minimum: 1350, earnedIncomeAddition: 450 },
+        capitalGainsBrackets: CAPITAL_GAINS_BRACKETS_2026,
+        socialSecurityWageBase: 184500,
+        amt: {
+            // OBBBA resets the phase-out start to $500k/$1M and doubles the phase-out rate
+            exemption: { single: 90100, married: 140200, marriedSeparate: 70100, head: 90100, widow: 140200 },
+            phaseOut: { single: 500000, married: 1000000, marriedSeparate: 500000, head: 500000, widow: 1000000 },
+            phaseOutRate: 0.50,
+            rates: { lower: 0.26, higher: 0.28, threshold: 244500 },
+        },
+        // Cap and threshold rise 1% a year through 2029; a flat $10,000 from 2030
+        saltCap: {
+            cap: 40400,
+            marriedSeparate: 20200,
+            phaseOutStart: { other: 505000, marriedSeparate: 252500 },
+            phaseOutRate: 0.30,
+            minimum: { other: 10000, marriedSeparate: 5000 },
+        },
+        // OBBBA: 0.5%-of-AGI floor on charitable gifts; itemized deductions reduced by
+        // 2/37 of the smaller of them or income over the 37% bracket (§68)
+        itemizedDeductions: { charityFloor: 0.005, limitationRate: 2 / 37 },
+        qbi: {
+            threshold: { single: 201750, married: 403500 },
+            phaseInRange: { single: 75000, married: 150000 },
+        },
+        // OBBBA made the limit permanent and re-based its inflation adjustment
+        excessBusinessLoss: { single: 256000, married: 512000 },
+        feieLimit: 132900,
+        childTaxCredit: { perChild: 2200, refundablePerChild: 1700 },
+        eitc: {
+            // By number of qualifying children: 0, 1, 2, 3+
+            earnedIncomeAmount: [8680, 13020, 18290, 18290],
+            maxCredit: [664, 4427, 7316, 8231],
+            phaseOutStart: { other: [10860, 23890, 23890, 23890], married: [18140, 31160, 31160, 31160] },
+            investmentIncomeLimit: 12200,
+        },
+        dependentCare: {
+            expenseLimit: { one: 3000, twoOrMore: 6000 },
+            benefitExclusion: 7500,
+            // OBBBA: 50% less 1 point per $2,000 over $15,000 down to 35%, then
+            // 1 point per $2,000 ($4,000 MFJ) over $75,000 ($150,000 MFJ) down to 20%
+            creditRate: {
+                max: 0.50, min: 0.35, phaseDownStart: 15000, step: 2000,
+                secondPhaseDown: {
+                    min: 0.20,
+                    start: { other: 75000, married: 150000 },
+                    step: { other: 2000, married: 4000 },
+                },
+            },
+        },
+        premiumTaxCredit: {
+            povertyLine: {
+                contiguous: { first: 15650, additional: 5500 },
+                AK: { first: 19550, additional: 6880 },
+                HI: { first: 17990, additional: 6330 },
+            },
+            applicablePercentages: APPLICABLE_PERCENTAGES_2026,
+            incomeCap: 400,
+            // OBBBA: excess advance payments are repaid in full
+            repaymentLimit: null,
+        },
+        withholding: {
+            standardDeduction: { single: 16100, married: 32200, head: 24150 },
+            step2Adjustment: { married: 12900, other: 8600 },
+        },
+        contributionLimits: {
+            traditional401k: 24500,
+            catchUp401k50Plus: 8000,
+            catchUp401k60to63: 11250,
+            traditionalIRA: 7500,
+            catchUpIRA: 1100,
+            hsa: { self: 4400, family: 8750, catchUp55Plus: 1000 },
+            sepIRA: 72000,
+        },
+        saversCredit: {
+            single: [24250, 26250, 40250],
+            head: [36375, 39375, 60375],
+            married: [48500, 52500, 80500],
+        },
+        qcdLimit: 111000,
+        businessDeductions: { section179: 2560000, bonusDepreciation: 1, mileageRate: 0.725 },
+        obbba: OBBBA_DEDUCTIONS,
+    },
+};
+
+/**
+ * Tax years with a complete parameter set
+ */
+export const SUPPORTED_TAX_YEARS = Object.keys(TAX_YEAR_PARAMETERS).map(Number);
+
+/**
+ * Get the parameter set for a tax year
+ * 
+ * @param {number|string} [taxYear] - Tax year (e.g. form.taxYear); defaults to TAX_YEAR
+ * @returns {Object} - Parameter set for that year
+ * @throws {RangeError} - If the year is not in TAX_YEAR_PARAMETERS
+ * 
+ * EXAMPLE:
+ * const { standardDeduction } = getTaxParameters(form.taxYear);
+ * standardDeduction.married // 29200 for 2024
+ */
+export function getTaxParameters(taxYear) {
+    const year = (taxYear === undefined || taxYear === null || taxYear === '')
+        ? TAX_YEAR
+        : parseInt(taxYear, 10);
+
+    const params = TAX_YEAR_PARAMETERS[year];
+    if (!params) {
+        throw new RangeError(
+            `Unsupported tax year: ${taxYear}. Supported years: ${SUPPORTED_TAX_YEARS.join(', ')}`
+        );
+    }
+    return params;
+}
+
+/**
+ * Get the SALT cap for a filing status in a tax year
+ * 
+ * LEGAL AUTHORITY: IRC §164(b)(6)-(7)
+ * 
+ * From 2025 the cap is reduced by 30% of modified AGI over the threshold
+ * ($500,000 for 2025, $505,000 for 2026; half for MFS), but not below
+ * $10,000 ($5,000 MFS). Modified AGI is AGI plus income excluded under
+ * §911, §931 and §933. Without `magi` the full cap is returned.
+ * 
+ * @param {string} filingStatus - Filing status
+ * @param {number|string} [taxYear] - Tax year; defaults to TAX_YEAR
+ * @param {number} [magi=0] - Modified adjusted gross income
+ * @returns {number} - Maximum deductible state and local taxes
+ */
+export function getSaltCap(filingStatus, taxYear, magi = 0) {
+    const { saltCap } = getTaxParameters(taxYear);
+    const key = filingStatus === 'marriedSeparate' ? 'marriedSeparate' : 'other';
+    const cap = key === 'marriedSeparate' ? saltCap.marriedSeparate : saltCap.cap;
+    if (!saltCap.phaseOutStart) return cap;
+
+    const reduction = saltCap.phaseOutRate * Math.max(0, magi - saltCap.phaseOutStart[key]);
+    return Math.max(saltCap.minimum[key], cap - reduction);
+}
+
+/**
+ * Get a person's age at the end of a tax year
+ * 
+ * The year is read from the 'YYYY-MM-DD' string: new Date('2008-01-01')
+ * is midnight UTC, which getFullYear() puts in 2007 in time zones west of
+ * Greenwich.
+ * 
+ * @param {string} [birthDate] - Birth date ('YYYY-MM-DD')
+ * @param {number|string} [age] - Age entered instead of a birth date
+ * @param {number} taxYear - Tax year
+ * @returns {number|null} - Age on December 31, or null if neither is given
+ */
+export function getAgeAtYearEnd(birthDate, age, taxYear) {
+    if (birthDate) {
+        const birthYear = /^\d{4}/.test(birthDate)
+            ? parseInt(birthDate, 10)
+            : new Date(birthDate).getUTCFullYear();
+        return taxYear - birthYear;
+    }
+    const value = parseFloat(age);
+    return Number.isFinite(value) ? value : null;
+}
@@ -4,32 +4,11 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
+import { getTaxParameters, getSaltCap } from '../calculations/taxYearParameters.js';
 import { formatAuthorityForDisplay, TAX_AUTHORITY } from '../utils/taxAuthority.js';
 
-// 2025 AMT Parameters
-const AMT_2025 = {
-    exemption: {
-        single: 88100,
-        married: 137000,
-        marriedSeparate: 68500,
-        head: 88100,
-    },
-    phaseOut: {
-        single: 609350,
-        married: 1218700,
-        marriedSeparate: 609350,
-        head: 609350,
-    },
-    rates: {
-        lower: 0.26,
-        higher: 0.28,
-        threshold: 232600, // married: 232600, single: 116300
-    },
-    // Exemption phases out at 25 cents per dollar over phase-out threshold
-    phaseOutRate: 0.25,
-};
-
 /**
  * Analyze AMT exposure and provide planning recommendations
  */
@@ -40,7 +19,7 @@ export function analyzeAMTOptimizations(form) {
     const filingStatus = form.filingStatus || 'single';
 
     // Calculate AMT
-    const amtResult = calculateAMT(form, currentTax, filingStatus);
+    const amtResult = summarizeAMT(form, currentTax);
 
     if (amtResult.amtExposure > 0) {
         // AMT applies - provide detailed analysis
@@ -55,107 +34,41 @@ export function analyzeAMTOptimizations(form) {
     optimizations.push(...triggerOpts);
 
     // AMT reduction strategies
-    const strategyOpts = analyzeAMTStrategies(form, amtResult, filingStatus);
+    const strategyOpts = analyzeAMTStrategies(form, amtResult, filingStatus, currentTax);
     optimizations.push(...strategyOpts);
 
     return optimizations.filter(opt => opt !== null);
 }
 
 /**
- * Calculate Alternative Minimum Tax
+ * Summarize the engine's Form 6251 result for the planning checks below
  */
-function calculateAMT(form, currentTax, filingStatus) {
-    const regularTaxableIncome = currentTax.taxableIncome;
-    const regularTax = currentTax.regularTax || currentTax.incomeTax;
-
-    // Start with taxable income and add back AMT preference items
-    let amti = regularTaxableIncome;
-
-    // 1. Add back SALT deduction (major AMT adjustment)
-    const saltDeduction = Math.min(
-        (parseFloat(form.stateLocalTaxes) || 0) + (parseFloat(form.realEstateTaxes) || 0),
-        40000 // OBBBA cap
-    );
-    if (form.itemizedDeductions && saltDeduction > 0) {
-        amti += saltDeduction;
-    }
-
-    // 2. Add back personal exemptions (N/A under current law)
-    // const personalExemptions = 0; // TCJA suspended through 2025
-
-    // 3. Add back miscellaneous itemized deductions (N/A under current law)
-    // Already suspended by TCJA
-
-    // 4. ISO (Incentive Stock Option) exercise spread
-    const isoSpread = parseFloat(form.isoExerciseSpread) || 0;
-    amti += isoSpread;
-
-    // 5. Private activity bond interest
-    const pabInterest = parseFloat(form.privateActivityBondInterest) || 0;
-    amti += pabInterest;
-
-    // 6. Depreciation adjustments (MACRS vs ADS)
-    const depreciationAdjustment = parseFloat(form.amtDepreciationAdjustment) || 0;
-    amti += depreciationAdjustment;
-
-    // 7. Net operating loss differences
-    // (Simplified - actual calculation more complex)
-
-    // Calculate AMT exemption
-    const exemption = calculateAMTExemption(amti, filingStatus);
-
-    // Calculate tentative minimum tax
-    const amtBase = Math.max(0, amti - exemption);
-    const amtThreshold = filingStatus === 'marriedSeparate'
-        ? AMT_2025.rates.threshold / 2
-        : AMT_2025.rates.threshold;
-
-    let tentativeMinimumTax;
-    if (amtBase <= amtThreshold) {
-        tentativeMinimumTax = amtBase * AMT_2025.rates.lower;
-    } else {
-        tentativeMinimumTax = (amtThreshold * AMT_2025.rates.lower) +
-            ((amtBase - amtThreshold) * AMT_2025.rates.higher);
-    }
-
-    // AMT = tentative minimum tax - regular tax (if positive)
-    const amtOwed = Math.max(0, tentativeMinimumTax - regularTax);
+function summarizeAMT(form, currentTax) {
+    const details = currentTax.amtDetails;
+    const regularTax = details.regularTaxForAMT;
+    const itemized = currentTax.deductionType === 'itemized';
 
     return {
-        amti,
-        regularTaxableIncome,
+        amti: details.amti,
+        regularTaxableIncome: currentTax.taxableIncome,
         regularTax,
-        exemption,
-        tentativeMinimumTax,
-        amtOwed,
-        amtExposure: amtOwed,
-        amtMargin: regularTax - tentativeMinimumTax, // Positive = safe from AMT
+        exemption: details.exemption,
+        tentativeMinimumTax: details.tentativeMinimumTax,
+        amtOwed: details.amt,
+        amtExposure: details.amt,
+        amtMargin: regularTax - details.tentativeMinimumTax, // Positive = safe from AMT
+        saltCap: currentTax.scheduleADetails.saltCap,
+        saltCapReduction: currentTax.scheduleADetails.saltCapReduction,
         adjustments: {
-            salt: saltDeduction,
-            isoSpread,
-            pabInterest,
-            depreciation: depreciationAdjustment,
-        }
+            salt: itemized ? details.adjustments.taxes : 0,
+            standardDeduction: itemized ? 0 : details.adjustments.taxes,
+            isoSpread: details.adjustments.isoExercise,
+            pabInterest: details.adjustments.privateActivityBondInterest,
+            depreciation: details.adjustments.depreciation,
+        },
     };
 }
 
-/**
- * Calculate AMT exemption with phase-out
- */
-function calculateAMTExemption(amti, filingStatus) {
-    const baseExemption = AMT_2025.exemption[filingStatus] || AMT_2025.exemption.single;
-    const phaseOutStart = AMT_2025.phaseOut[filingStatus] || AMT_2025.phaseOut.single;
-
-    if (amti <= phaseOutStart) {
-        return baseExemption;
-    }
-
-    const excessIncome = amti - phaseOutStart;
-    const reduction = excessIncome * AMT_2025.phaseOutRate;
-
-    return Math.max(0, baseExemption - reduction);
-}
-
 /**
  * Create AMT exposure warning
  */
@@ -251,8 +164,8 @@ function analyzeAMTTriggers(form, amtResult) {
         });
     }
 
-    // High SALT trigger
-    if (amtResult.adjustments.salt > 30000) {
+    // High SALT trigger: at least 75% of the year's full cap is added back
+    if (amtResult.adjustments.salt > 0 && amtResult.adjustments.salt >= 0.75 * getSaltCap(form.filingStatus, form.taxYear)) {
         triggers.push({
             id: 'amt-salt-trigger',
             name: 'High SALT Deduction Contributing to AMT',
@@ -262,6 +175,9 @@ function analyzeAMTTriggers(form, amtResult) {
             description: 'Your state/local tax deduction is a major factor in your AMT.',
             details: [
                 `SALT deduction: ${formatCurrency(amtResult.adjustments.salt)}`,
+                amtResult.saltCapReduction > 0
+                    ? `SALT cap: ${formatCurrency(amtResult.saltCap)} after a ${formatCurrency(amtResult.saltCapReduction)} MAGI phase-down`
+                    : `SALT cap: ${formatCurrency(amtResult.saltCap)}`,
                 'SALT is fully added back for AMT calculation',
                 'Consider PTET election for pass-through entities',
             ],
@@ -280,8 +196,11 @@ function analyzeAMTTriggers(form, amtResult) {
 /**
  * Analyze AMT reduction strategies
  */
-function analyzeAMTStrategies(form, amtResult, filingStatus) {
+function analyzeAMTStrategies(form, amtResult, filingStatus, currentTax) {
     const strategies = [];
+    const { taxYear, contributionLimits: limits } = getTaxParameters(form.taxYear);
+    // Measured through the return, so it is the AMT rate when AMT applies
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     // Only suggest if AMT is an issue
     if (amtResult.amtExposure <= 0 && amtResult.amtMargin > 50000) {
@@ -290,16 +209,16 @@ function analyzeAMTStrategies(form, amtResult, filingStatus) {
 
     // Strategy 1: Maximize retirement contributions
     const has401k = form.has401k || parseFloat(form.retirement401k) > 0;
-    if (!has401k || (parseFloat(form.retirement401k) || 0) < 23500) {
+    if (!has401k || (parseFloat(form.retirement401k) || 0) < limits.traditional401k) {
         strategies.push({
             id: 'amt-strategy-401k',
             name: 'Maximize 401(k) to Reduce AMT',
             category: CATEGORY.RETIREMENT,
-            potentialSavings: Math.round(23500 * 0.26), // AMT rate savings
+            potentialSavings: Math.round(limits.traditional401k * marginalRate),
             difficulty: DIFFICULTY.EASY,
             description: '401(k) contributions reduce both regular tax AND AMT income.',
             details: [
-                '2025 limit: $23,500 ($31,000 if 50+)',
+                `${taxYear} limit: $${limits.traditional401k.toLocaleString()} ($${(limits.traditional401k + limits.catchUp401k50Plus).toLocaleString()} if 50+)`,
                 'Pre-tax contributions reduce AGI',
                 'AGI reduction lowers AMTI directly',
             ],
@@ -314,11 +233,11 @@ function analyzeAMTStrategies(form, amtResult, filingStatus) {
             id: 'amt-strategy-hsa',
             name: 'Contribute to HSA to Reduce AMT',
             category: CATEGORY.RETIREMENT,
-            potentialSavings: Math.round(4300 * 0.26),
+            potentialSavings: Math.round(limits.hsa.self * marginalRate),
             difficulty: DIFFICULTY.EASY,
             description: 'HSA contributions reduce both regular and AMT income.',
             details: [
-                '2025 limit: $4,300 individual, $8,550 family',
+                `${taxYear} limit: $${limits.hsa.self.toLocaleString()} individual, $${limits.hsa.family.toLocaleString()} family`,
                 'Above-the-line deduction',
                 'Triple tax advantage: deductible, grows tax-free, tax-free withdrawals',
             ],
@@ -7,6 +7,7 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 import { formatAuthorityForDisplay } from '../utils/taxAuthority.js';
 
@@ -66,13 +67,16 @@ export function analyzeAugustaRuleOptimization(form) {
 
     // Get marginal tax rate for savings calculation
     const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     // Calculate benefits:
     // 1. Homeowner receives rent TAX-FREE (no income recognition)
     // 2. Business deducts the rental expense (reduces taxable income)
     const businessDeductionSavings = potentialRentalIncome * marginalRate;
-    const selfEmploymentSavings = hasScheduleC ? potentialRentalIncome * 0.0765 : 0; // SE tax if Schedule C
+    // 3. On Schedule C the deduction also reduces self-employment tax
+    const selfEmploymentSavings = hasScheduleC
+        ? potentialRentalIncome * (getMarginalRate(form, { baseline: currentTax, income: 'selfEmployment' }) - marginalRate)
+        : 0;
     const totalPotentialSavings = businessDeductionSavings + selfEmploymentSavings;
 
     // Get IRS authority citation
@@ -176,20 +180,6 @@ function getDailyRentalRate(form, state) {
     return REGIONAL_DAILY_RATES.default;
 }
 
-/**
- * Calculate marginal tax rate
- */
-function getMarginalRate(taxableIncome) {
-    // 2025 brackets (OBBBA permanent rates)
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
-
 /**
  * Analyze Augusta Rule for specific scenarios
  */
@@ -4,16 +4,12 @@
  */
 
 import { calculateTotalTax, calculateCapitalGainsTax, CAPITAL_GAINS_BRACKETS_2025 } from '../calculations/calculateTax.js';
+import { getTaxParameters } from '../calculations/taxYearParameters.js';
+import { calculateMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 Capital Gains Thresholds
-const CG_THRESHOLDS_2025 = {
-    zeroPercent: {
-        single: 48350,
-        married: 96700,
-        marriedSeparate: 48350,
-        head: 64750,
-    },
+// Statutory thresholds (not indexed; 0% bracket limits come from the tax year registry)
+const CG_THRESHOLDS = {
     niit: {
         single: 200000,
         married: 250000,
@@ -32,26 +28,30 @@ const CG_THRESHOLDS_2025 = {
 export function analyzeCapitalGainsOptimizations(form) {
     const optimizations = [];
 
+    // The return as filed, and the rates on its last dollars
+    const currentTax = calculateTotalTax(form);
+    const rates = calculateMarginalRate(form, { baseline: currentTax });
+
     // Tax-Loss Harvesting
-    const lossHarvestOpt = analyzeTaxLossHarvesting(form);
+    const lossHarvestOpt = analyzeTaxLossHarvesting(form, rates);
     if (lossHarvestOpt) {
         optimizations.push(lossHarvestOpt);
     }
 
     // Tax-Gain Harvesting (0% bracket)
-    const gainHarvestOpt = analyzeTaxGainHarvesting(form);
+    const gainHarvestOpt = analyzeTaxGainHarvesting(form, currentTax);
     if (gainHarvestOpt) {
         optimizations.push(gainHarvestOpt);
     }
 
     // Long-Term vs Short-Term
-    const holdingPeriodOpt = analyzeHoldingPeriod(form);
+    const holdingPeriodOpt = analyzeHoldingPeriod(form, rates);
     if (holdingPeriodOpt) {
         optimizations.push(holdingPeriodOpt);
     }
 
     // NIIT Planning
-    const niitOpt = analyzeNIITPlanning(form);
+    const niitOpt = analyzeNIITPlanning(form, currentTax);
     if (niitOpt) {
         optimizations.push(niitOpt);
     }
@@ -63,13 +63,13 @@ export function analyzeCapitalGainsOptimizations(form) {
     }
 
     // Qualified Dividend Optimization
-    const dividendOpt = analyzeQualifiedDividends(form);
+    const dividendOpt = analyzeQualifiedDividends(form, rates);
     if (dividendOpt) {
         optimizations.push(dividendOpt);
     }
 
     // Installment Sale consideration
-    const installmentOpt = analyzeInstallmentSale(form);
+    const installmentOpt = analyzeInstallmentSale(form, currentTax);
     if (installmentOpt) {
         optimizations.push(installmentOpt);
     }
@@ -86,7 +86,7 @@ export function analyzeCapitalGainsOptimizations(form) {
 /**
  * Analyze Tax-Loss Harvesting opportunity
  */
-function analyzeTaxLossHarvesting(form) {
+function analyzeTaxLossHarvesting(form, rates) {
     // Check if they have capital gains to offset
     const longTermGain = form.hasScheduleD ? (parseFloat(form.scheduleD?.longTermGain) || 0) : 0;
     const shortTermGain = form.hasScheduleD ? (parseFloat(form.scheduleD?.shortTermGain) || 0) : 0;
@@ -100,16 +100,11 @@ function analyzeTaxLossHarvesting(form) {
     const netCapitalGain = totalGains - totalLosses;
 
     if (netCapitalGain > 0) {
-        // They have gains that could be offset
-        const taxOnGains = longTermGain > 0
-            ? longTermGain * 0.15 + shortTermGain * getMarginalRate(form) // Rough estimate
-            : shortTermGain * getMarginalRate(form);
-
         return {
             id: 'cg-tax-loss-harvesting',
             name: 'Consider Tax-Loss Harvesting',
             category: CATEGORY.CAPITAL_GAINS,
-            potentialSavings: Math.round(Math.min(totalGains, 3000) * getMarginalRate(form)),
+            potentialSavings: Math.round(Math.min(totalGains, 3000) * rates.combined),
             difficulty: DIFFICULTY.MEDIUM,
             description: 'Sell investments at a loss to offset your capital gains.',
             details: [
@@ -135,7 +130,7 @@ function analyzeTaxLossHarvesting(form) {
             id: 'cg-tax-loss-3000',
             name: 'Harvest Losses for $3,000 Deduction',
             category: CATEGORY.CAPITAL_GAINS,
-            potentialSavings: Math.round(3000 * getMarginalRate(form)),
+            potentialSavings: Math.round(3000 * rates.combined),
             difficulty: DIFFICULTY.MEDIUM,
             description: 'Harvest investment losses to deduct up to $3,000 against ordinary income.',
             details: [
@@ -154,29 +149,43 @@ function analyzeTaxLossHarvesting(form) {
 /**
  * Analyze Tax-Gain Harvesting (0% bracket opportunity)
  */
-function analyzeTaxGainHarvesting(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeTaxGainHarvesting(form, currentTax) {
     const taxableIncome = currentTax.taxableIncome;
     const filingStatus = form.filingStatus || 'single';
 
-    const zeroPercentLimit = CG_THRESHOLDS_2025.zeroPercent[filingStatus] || CG_THRESHOLDS_2025.zeroPercent.single;
+    // Top of the 0% bracket is the start of the 15% bracket
+    const { capitalGainsBrackets } = getTaxParameters(form.taxYear);
+    const zeroPercentLimit = (capitalGainsBrackets[filingStatus] || capitalGainsBrackets.single)[1][0];
 
     // Check if they have room in 0% bracket
     const roomInZeroBracket = zeroPercentLimit - taxableIncome;
 
     if (roomInZeroBracket > 1000) {
+        const scheduleD = form.scheduleD || {};
+        const subsidy = premiumTaxCreditEffect(form, currentTax, {
+            ...form,
+            hasScheduleD: true,
+            scheduleD: { ...scheduleD, longTermGain: (parseFloat(scheduleD.longTermGain) || 0) + roomInZeroBracket },
+        }, roomInZeroBracket);
+
         return {
             id: 'cg-tax-gain-harvesting',
             name: 'Harvest Capital Gains at 0% Rate',
             category: CATEGORY.CAPITAL_GAINS,
             potentialSavings: 0, // Future tax savings, not immediate
             difficulty: DIFFICULTY.MEDIUM,
-            description: `You have room to realize up to $${roomInZeroBracket.toLocaleString()} in long-term gains at 0% tax.`,
+            description: subsidy
+                ? `You have room to realize up to $${roomInZeroBracket.toLocaleString()} in long-term gains at 0% tax, but lost marketplace subsidies make the effective marginal rate ${(subsidy.effectiveRate * 100).toFixed(1)}%.`
+                : `You have room to realize up to $${roomInZeroBracket.toLocaleString()} in long-term gains at 0% tax.`,
             details: [
                 `Current taxable income: $${taxableIncome.toLocaleString()}`,
                 `0% LTCG bracket limit: $${zeroPercentLimit.toLocaleString()}`,
                 `Room in 0% bracket: $${roomInZeroBracket.toLocaleString()}`,
-            ],
+                subsidy
+                    ? `Premium tax credit: the gains cost $${Math.round(subsidy.subsidyLoss).toLocaleString()} of marketplace subsidy ` +
+                        `(household income ${subsidy.fplPercentBefore}% → ${subsidy.fplPercentAfter}% of FPL)`
+                    : '',
+            ].filter(Boolean),
             strategy: [
                 'Sell appreciated investments to realize gains',
                 'Immediately rebuy to reset cost basis',
@@ -200,11 +209,12 @@ function analyzeTaxGainHarvesting(form) {
 /**
  * Analyze holding period optimization
  */
-function analyzeHoldingPeriod(form) {
+function analyzeHoldingPeriod(form, rates) {
     const shortTermGain = form.hasScheduleD ? (parseFloat(form.scheduleD?.shortTermGain) || 0) : 0;
 
     if (shortTermGain > 1000) {
-        const ordinaryRate = getMarginalRate(form);
+        // Federal only, like the long-term rate it's compared with
+        const ordinaryRate = rates.federal;
         const ltcgRate = 0.15; // Assume 15% for most taxpayers
 
         const excessTax = shortTermGain * (ordinaryRate - ltcgRate);
@@ -238,12 +248,11 @@ function analyzeHoldingPeriod(form) {
 /**
  * Analyze NIIT (Net Investment Income Tax) Planning
  */
-function analyzeNIITPlanning(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeNIITPlanning(form, currentTax) {
     const agi = currentTax.agi;
     const filingStatus = form.filingStatus || 'single';
 
-    const niitThreshold = CG_THRESHOLDS_2025.niit[filingStatus] || CG_THRESHOLDS_2025.niit.single;
+    const niitThreshold = CG_THRESHOLDS.niit[filingStatus] || CG_THRESHOLDS.niit.single;
 
     // Calculate investment income
     let scheduleEIncome = 0;
@@ -330,8 +339,8 @@ function analyzePrimaryResidenceExclusion(form) {
     if (homeGain > 0) {
         const filingStatus = form.filingStatus || 'single';
         const exclusion = filingStatus === 'married'
-            ? CG_THRESHOLDS_2025.primaryResidence.married
-            : CG_THRESHOLDS_2025.primaryResidence.single;
+            ? CG_THRESHOLDS.primaryResidence.married
+            : CG_THRESHOLDS.primaryResidence.single;
 
         if (homeGain <= exclusion) {
             return {
@@ -388,7 +397,7 @@ function analyzePrimaryResidenceExclusion(form) {
 /**
  * Analyze qualified dividend opportunity
  */
-function analyzeQualifiedDividends(form) {
+function analyzeQualifiedDividends(form, rates) {
     const qualifiedDividends = parseFloat(form.qualifiedDividends) || 0;
     const ordinaryDividends = parseFloat(form.ordinaryDividends) || 0;
 
@@ -396,7 +405,8 @@ function analyzeQualifiedDividends(form) {
     const nonQualified = ordinaryDividends - qualifiedDividends;
 
     if (nonQualified > 1000 && ordinaryDividends > 0) {
-        const ratesDiff = getMarginalRate(form) - 0.15;
+        // Federal only, like the qualified dividend rate it's compared with
+        const ratesDiff = rates.federal - 0.15;
         const potentialSavings = nonQualified * ratesDiff;
 
         return {
@@ -410,7 +420,7 @@ function analyzeQualifiedDividends(form) {
                 `Qualified dividends: $${qualifiedDividends.toLocaleString()}`,
                 `Non-qualified dividends: $${nonQualified.toLocaleString()}`,
                 `Qualified rate: 0%/15%/20%`,
-                `Your ordinary rate: ${(getMarginalRate(form) * 100).toFixed(0)}%`,
+                `Your ordinary rate: ${(rates.federal * 100).toFixed(0)}%`,
             ],
             strategy: [
                 'Hold dividend stocks > 60 days around ex-dividend date',
@@ -428,14 +438,13 @@ function analyzeQualifiedDividends(form) {
 /**
  * Analyze Installment Sale consideration
  */
-function analyzeInstallmentSale(form) {
+function analyzeInstallmentSale(form, currentTax) {
     const capitalGains = form.hasScheduleD
         ? (parseFloat(form.scheduleD?.longTermGain) || 0) + (parseFloat(form.scheduleD?.shortTermGain) || 0)
         : 0;
 
     // Suggest installment sale for large gains
     if (capitalGains > 100000) {
-        const currentTax = calculateTotalTax(form);
         const taxableIncome = currentTax.taxableIncome;
 
         // Check if they jumped into higher bracket
@@ -472,19 +481,26 @@ function analyzeInstallmentSale(form) {
 }
 
 /**
- * Helper: Estimate marginal rate
+ * Helper: Premium tax credit lost to extra income (Form 8962)
+ *
+ * Returns null without marketplace coverage or when the subsidy doesn't
+ * change; otherwise the subsidy loss and the effective marginal rate on the
+ * extra income (all federal tax, including the subsidy loss).
  */
-function getMarginalRate(form) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
+function premiumTaxCreditEffect(form, currentTax, trialForm, extraIncome) {
+    if (!form.form1095A?.length) return null;
+
+    const after = calculateTotalTax(trialForm);
+    const netSubsidy = (result) => result.netPremiumTaxCredit - result.excessAdvancePremiumTaxCredit;
+    const subsidyLoss = netSubsidy(currentTax) - netSubsidy(after);
+    if (subsidyLoss <= 0 || extraIncome <= 0) return null;
+
+    return {
+        subsidyLoss,
+        effectiveRate: (after.finalTax - currentTax.finalTax) / extraIncome,
+        fplPercentBefore: currentTax.premiumTaxCreditDetails.fplPercent,
+        fplPercentAfter: after.premiumTaxCreditDetails.fplPercent,
+    };
 }
 
 /**
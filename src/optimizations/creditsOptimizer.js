@@ -1,75 +1,42 @@
 /**
  * Credits Optimizer
- * Analyzes eligibility for CTC, EITC, education credits, and 2025 new deductions
+ * Analyzes eligibility for CTC, EITC, education and dependent care credits, and 2025 new deductions
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getTaxParameters, SUPPORTED_TAX_YEARS } from '../calculations/taxYearParameters.js';
+import { calculateEarnedIncomeCredit } from '../calculations/calculateEarnedIncomeCredit.js';
+import { CHILD_TAX_CREDIT } from '../calculations/calculateChildTaxCredit.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 Credit Limits and Thresholds
-const CREDITS_2025 = {
-    ctc: {
-        maxPerChild: 2200, // Increased by OBBBA
-        refundableMax: 1700,
-        phaseoutStart: { single: 200000, married: 400000 },
-        phaseoutRate: 50, // $50 reduction per $1,000 over threshold
-    },
-    otherDependents: 500,
-    eitc: {
-        maxCredit: { 0: 649, 1: 4328, 2: 7152, 3: 8046 },
-        incomeLimit: {
-            single: { 0: 18591, 1: 49084, 2: 55768, 3: 59899 },
-            married: { 0: 25511, 1: 56004, 2: 62688, 3: 66819 },
-        },
-        investmentIncomeLimit: 11950,
-    },
-    education: {
-        aotc: { max: 2500, refundable: 1000 },
-        llc: { max: 2000 },
-    },
-    childCare: {
-        maxExpenses: { one: 3000, twoPlus: 6000 },
-        maxCredit: 2100,
-    },
-    // New 2025 deductions from OBBBA
-    newDeductions2025: {
-        tips: { max: 25000 },
-        overtime: { max: 12500 },
-        autoLoan: { max: 10000 },
-        seniorBonus: { max: 6000, ageRequirement: 65 },
-    },
-};
-
 /**
  * Analyze all credit optimization opportunities
  */
 export function analyzeCreditsOptimizations(form) {
     const optimizations = [];
 
+    // The return as filed, shared by every analysis below
+    const currentTax = calculateTotalTax(form);
+
     // Child Tax Credit
-    const ctcOpt = analyzeChildTaxCredit(form);
-    if (ctcOpt) {
-        optimizations.push(ctcOpt);
-    }
+    const ctcOpts = analyzeChildTaxCredit(form, currentTax);
+    optimizations.push(...ctcOpts);
 
     // EITC analysis
-    const eitcOpt = analyzeEarnedIncomeCredit(form);
-    if (eitcOpt) {
-        optimizations.push(eitcOpt);
-    }
+    const eitcOpts = analyzeEarnedIncomeCredit(form, currentTax);
+    optimizations.push(...eitcOpts);
 
     // Education credits
-    const eduOpts = analyzeEducationCredits(form);
+    const eduOpts = analyzeEducationCredits(form, currentTax);
     optimizations.push(...eduOpts);
 
     // Child and Dependent Care Credit
-    const careOpt = analyzeChildCareCredit(form);
-    if (careOpt) {
-        optimizations.push(careOpt);
-    }
+    const careOpts = analyzeChildCareCredit(form, currentTax);
+    optimizations.push(...careOpts);
 
     // 2025 New Deductions (OBBBA)
-    const newOpts = analyzeNew2025Deductions(form);
+    const newOpts = analyzeNew2025Deductions(form, currentTax);
     optimizations.push(...newOpts);
 
     // Energy Credits (IRA)
@@ -144,19 +111,24 @@ function analyzeEnergyCredits(form) {
 /**
  * Analyze new 2025 deductions from OBBBA
  */
-function analyzeNew2025Deductions(form) {
+function analyzeNew2025Deductions(form, currentTax) {
     const optimizations = [];
-    const currentTax = calculateTotalTax(form);
+
+    // OBBBA deductions only exist for 2025 and later
+    const obbba = getTaxParameters(form.taxYear).obbba;
+    if (!obbba) return optimizations;
+
     const agi = currentTax.agi;
     const filingStatus = form.filingStatus || 'single';
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     // Calculate OBBBA Phase-out Percentage
     // Single: $150k - $400k
     // MFJ: $300k - $550k
     const getPhaseOutPct = (income) => {
         const limits = filingStatus === 'married'
-            ? { start: 300000, end: 550000 }
-            : { start: 150000, end: 400000 };
+            ? obbba.phaseOut.married
+            : obbba.phaseOut.other;
 
         if (income <= limits.start) return 1.0;
         if (income >= limits.end) return 0.0;
@@ -168,10 +140,10 @@ function analyzeNew2025Deductions(form) {
     // 1. Tips Deduction (up to $25,000)
     const tipIncome = parseFloat(form.tipIncome) || 0;
     if (tipIncome > 0 && phaseOutPct > 0) {
-        let tipsDeduction = Math.min(tipIncome, CREDITS_2025.newDeductions2025.tips.max);
+        let tipsDeduction = Math.min(tipIncome, obbba.tips.max);
         tipsDeduction = tipsDeduction * phaseOutPct;
 
-        const savings = tipsDeduction * getMarginalRate(form);
+        const savings = tipsDeduction * marginalRate;
 
         optimizations.push({
             id: 'credit-tips-deduction',
@@ -196,10 +168,10 @@ function analyzeNew2025Deductions(form) {
     // 2. Overtime Deduction (up to $12,500)
     const overtimeIncome = parseFloat(form.overtimeIncome) || 0;
     if (overtimeIncome > 0 && phaseOutPct > 0) {
-        let overtimeDeduction = Math.min(overtimeIncome, CREDITS_2025.newDeductions2025.overtime.max);
+        let overtimeDeduction = Math.min(overtimeIncome, obbba.overtime.max);
         overtimeDeduction = overtimeDeduction * phaseOutPct;
 
-        const savings = overtimeDeduction * getMarginalRate(form);
+        const savings = overtimeDeduction * marginalRate;
 
         optimizations.push({
             id: 'credit-overtime-deduction',
@@ -224,8 +196,8 @@ function analyzeNew2025Deductions(form) {
     // 3. Auto Loan Interest Deduction (up to $10,000)
     const autoLoanInterest = parseFloat(form.autoLoanInterest) || 0;
     if (autoLoanInterest > 0) {
-        const autoDeduction = Math.min(autoLoanInterest, CREDITS_2025.newDeductions2025.autoLoan.max);
-        const savings = autoDeduction * getMarginalRate(form);
+        const autoDeduction = Math.min(autoLoanInterest, obbba.autoLoan.max);
+        const savings = autoDeduction * marginalRate;
 
         optimizations.push({
             id: 'credit-auto-loan-deduction',
@@ -250,9 +222,9 @@ function analyzeNew2025Deductions(form) {
 
     // 4. Senior Bonus Deduction (up to $6,000 for 65+)
     const age = calculateAge(form.birthDate);
-    if (age >= 65) {
-        const seniorBonus = CREDITS_2025.newDeductions2025.seniorBonus.max;
-        const savings = seniorBonus * getMarginalRate(form);
+    if (age >= obbba.seniorBonus.ageRequirement) {
+        const seniorBonus = obbba.seniorBonus.max;
+        const savings = seniorBonus * marginalRate;
 
         // Check if already claimed
         if (!form.seniorBonusClaimed) {
@@ -277,41 +249,6 @@ function analyzeNew2025Deductions(form) {
     return optimizations;
 }
 
-/**
- * Estimate EITC (simplified calculation)
- */
-function estimateEITC(earnedIncome, children, status) {
-    const maxCredit = CREDITS_2025.eitc.maxCredit[children];
-    const incomeLimit = CREDITS_2025.eitc.incomeLimit[status][children];
-
-    // Phase-in and phase-out rates vary by number of children
-    const rates = {
-        0: { phaseIn: 0.0765, phaseOut: 0.0765 },
-        1: { phaseIn: 0.34, phaseOut: 0.1598 },
-        2: { phaseIn: 0.40, phaseOut: 0.2106 },
-        3: { phaseIn: 0.45, phaseOut: 0.2106 },
-    };
-
-    const rate = rates[children];
-
-    // Simplified: if income is moderate, assume near-max credit
-    if (earnedIncome < incomeLimit * 0.7) {
-        return Math.min(earnedIncome * rate.phaseIn, maxCredit);
-    }
-
-    // Phase-out calculation
-    const phaseOutStart = status === 'married'
-        ? { 0: 9800, 1: 21560, 2: 21560, 3: 21560 }[children]
-        : { 0: 9800, 1: 12880, 2: 12880, 3: 12880 }[children];
-
-    if (earnedIncome > phaseOutStart) {
-        const reduction = (earnedIncome - phaseOutStart) * rate.phaseOut;
-        return Math.max(0, maxCredit - reduction);
-    }
-
-    return maxCredit;
-}
-
 /**
  * Helper: Calculate age
  */
@@ -331,49 +268,420 @@ function calculateAge(birthDate) {
 }
 
 /**
- * Helper: Estimate marginal rate
+ * Analyze Child Tax Credit (Schedule 8812)
+ *
+ * Compares the credits entered on the return with the engine's Schedule 8812
+ * and lists qualifying children who don't get the $2,200 credit.
  */
-function getMarginalRate(form) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
+function analyzeChildTaxCredit(form, current) {
+    const optimizations = [];
+    if (!(form.dependents || []).length) return optimizations;
+
+    const ctc = current.childTaxCreditDetails;
+
+    // Entered credits vs. the computed Schedule 8812
+    const entered = (parseFloat(form.childTaxCredit) || 0) + (parseFloat(form.creditOtherDependents) || 0);
+    if (entered > 0) {
+        const computed = calculateTotalTax({
+            ...form,
+            childTaxCredit: undefined,
+            creditOtherDependents: undefined,
+            additionalChildTaxCredit: undefined,
+        });
+        const difference = current.finalTax - computed.finalTax;
+        const claimed = entered + (parseFloat(form.additionalChildTaxCredit) || 0);
+        const allowed = computed.childTaxCreditDetails.nonrefundableCredit + computed.childTaxCreditDetails.additionalChildTaxCredit;
+        const summary = [
+            `Claimed: $${Math.round(claimed).toLocaleString()} (Lines 19 and 28)`,
+            `Schedule 8812 allows: $${Math.round(allowed).toLocaleString()}`,
+            `${ctc.qualifyingChildren} qualifying children, ${ctc.otherDependents} other dependents`,
+        ];
+
+        if (difference > 1) {
+            optimizations.push({
+                id: 'credit-child-tax-credit',
+                name: 'Claim the Full Child Tax Credit',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(difference),
+                difficulty: DIFFICULTY.EASY,
+                description: 'The child tax credit on the return is less than Schedule 8812 allows.',
+                details: [
+                    ...summary,
+                    'Unused credit is refundable as the additional child tax credit (up to $1,700 per child)',
+                ],
+                timeline: 'This Return',
+            });
+        } else if (difference < -1) {
+            optimizations.push({
+                id: 'credit-child-tax-credit-overclaimed',
+                name: 'Child Tax Credit Exceeds Schedule 8812',
+                category: CATEGORY.CREDITS,
+                potentialSavings: 0,
+                difficulty: DIFFICULTY.EASY,
+                description: 'The child tax credit on the return is more than Schedule 8812 allows.',
+                details: [
+                    ...summary,
+                    `Tax understated by $${Math.round(-difference).toLocaleString()}`,
+                    ctc.phaseOutReduction > 0
+                        ? `Phase-out: $${ctc.phaseOutReduction.toLocaleString()} ($50 per $1,000 of MAGI over $${ctc.threshold.toLocaleString()})`
+                        : 'Check each child\'s age, SSN and residency',
+                    'An erroneous claim can bring a 20% penalty and a 2-10 year CTC ban (IRC §24(g))',
+                ],
+                timeline: 'This Return',
+            });
+        }
+    }
 
-/**
- * Analyze Child Tax Credit
- */
-function analyzeChildTaxCredit(form) {
-    // Placeholder implementation
-    return null;
+    // Qualifying children who only get the $500 credit for other dependents
+    const excluded = ctc.dependents.filter(d => d.credit === 'odc' && d.reasons.length > 0);
+    const fixable = excluded.filter(d => d.reasons.some(reason => reason.startsWith('No SSN') || reason === 'Not claimed'));
+    if (fixable.length > 0) {
+        optimizations.push({
+            id: 'credit-child-tax-credit-eligibility',
+            name: 'Children Not Getting the Child Tax Credit',
+            category: CATEGORY.CREDITS,
+            potentialSavings: Math.round(fixable.length * (ctc.perChild - CHILD_TAX_CREDIT.otherDependentCredit)),
+            difficulty: DIFFICULTY.MEDIUM,
+            description: 'Some qualifying children only get the $500 credit for other dependents.',
+            details: excluded.map(d => `${d.name}: ${d.reasons.join('; ')}`),
+            requirements: [
+                'Child must have an SSN valid for employment issued by the return due date',
+                'Child must be under 17 at the end of the year and live with you more than half the year',
+            ],
+            timeline: 'This Return',
+        });
+    }
+
+    return optimizations;
 }
 
 /**
- * Analyze Earned Income Tax Credit
+ * Analyze Earned Income Tax Credit (Schedule EIC)
+ *
+ * Compares an entered EITC with the computed one and looks for credits lost
+ * to the investment income limit or the married filing separately rule.
  */
-function analyzeEarnedIncomeCredit(form) {
-    // Placeholder implementation
-    return null;
+function analyzeEarnedIncomeCredit(form, current) {
+    const optimizations = [];
+    const eic = current.earnedIncomeCreditDetails;
+    if (eic.earnedIncome <= 0) return optimizations;
+
+    // Same return, with changed facts
+    const creditIf = (changes, contextChanges = {}) => calculateEarnedIncomeCredit({ ...form, ...changes }, {
+        taxYear: current.taxYear,
+        earnedIncome: eic.earnedIncome,
+        agi: eic.agi,
+        investmentIncome: eic.investmentIncome,
+        filingStatus: form.filingStatus || 'single',
+        ...contextChanges,
+    }).credit;
+
+    // 1. Entered credit vs. Schedule EIC
+    if (form.earnedIncomeCredit !== undefined && form.earnedIncomeCredit !== '') {
+        const entered = parseFloat(form.earnedIncomeCredit) || 0;
+        const difference = eic.credit - entered;
+        const summary = [
+            `Claimed: $${Math.round(entered).toLocaleString()} (Line 27)`,
+            `Schedule EIC: $${Math.round(eic.credit).toLocaleString()} with ${eic.qualifyingChildren} qualifying children`,
+            `Earned income: $${Math.round(eic.earnedIncome).toLocaleString()}, AGI: $${Math.round(eic.agi).toLocaleString()}`,
+        ];
+
+        if (difference > 1) {
+            optimizations.push({
+                id: 'credit-eitc',
+                name: 'Claim the Full Earned Income Credit',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(difference),
+                difficulty: DIFFICULTY.EASY,
+                description: 'The earned income credit on the return is less than Schedule EIC allows.',
+                details: [...summary, 'The EITC is fully refundable'],
+                timeline: 'This Return',
+            });
+        } else if (difference < -1) {
+            optimizations.push({
+                id: 'credit-eitc-overclaimed',
+                name: 'Earned Income Credit Exceeds Schedule EIC',
+                category: CATEGORY.CREDITS,
+                potentialSavings: 0,
+                difficulty: DIFFICULTY.EASY,
+                description: 'The earned income credit on the return is more than Schedule EIC allows.',
+                details: [
+                    ...summary,
+                    ...eic.reasons,
+                    'An erroneous claim can bring a 2-10 year EITC ban (IRC §32(k))',
+                ],
+                timeline: 'This Return',
+            });
+        }
+    }
+
+    // 2. Investment income just over the limit
+    if (eic.investmentIncome > eic.investmentIncomeLimit) {
+        const lost = creditIf({}, { investmentIncome: 0 });
+        if (lost > 0) {
+            const excess = eic.investmentIncome - eic.investmentIncomeLimit;
+            optimizations.push({
+                id: 'credit-eitc-investment-income',
+                name: 'Keep Investment Income Under the EITC Limit',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(lost),
+                difficulty: DIFFICULTY.MEDIUM,
+                description: `Investment income over $${eic.investmentIncomeLimit.toLocaleString()} disqualifies you from the EITC entirely.`,
+                details: [
+                    `Investment income: $${Math.round(eic.investmentIncome).toLocaleString()}`,
+                    `Over the limit by: $${Math.round(excess).toLocaleString()}`,
+                    `EITC lost: $${Math.round(lost).toLocaleString()}`,
+                    'Deferring capital gains or holding investments in an IRA keeps them out of investment income',
+                ],
+                requirements: ['Tax-exempt interest also counts toward the limit'],
+                timeline: 'Next Year',
+            });
+        }
+    }
+
+    // 3. Married filing separately: the separated spouse exception
+    if (form.filingStatus === 'marriedSeparate' && !form.separatedFromSpouse && eic.qualifyingChildren > 0) {
+        const separated = creditIf({ separatedFromSpouse: true });
+        if (separated > 0) {
+            optimizations.push({
+                id: 'credit-eitc-separated-spouse',
+                name: 'EITC for Separated Spouses',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(separated),
+                difficulty: DIFFICULTY.EASY,
+                description: 'Married filing separately can claim the EITC if you lived apart from your spouse for the last 6 months of the year.',
+                details: [
+                    `${eic.qualifyingChildren} qualifying children lived with you more than half the year`,
+                    `EITC if the exception applies: $${Math.round(separated).toLocaleString()}`,
+                    'A legal separation agreement also qualifies (IRC §32(d)(2))',
+                ],
+                requirements: [
+                    'No shared home with your spouse for the last 6 months of the year, or legally separated and not living together at year end',
+                    'Head of household status may also be available',
+                ],
+                timeline: 'This Return',
+            });
+        }
+    }
+
+    return optimizations;
 }
 
 /**
- * Analyze Education Credits
+ * Analyze Education Credits (Form 8863)
+ *
+ * Without students on the return, education expenses are checked for the
+ * lifetime learning credit. With students, tries other ways to split each
+ * student's expenses between the credit and a 529 distribution.
  */
-function analyzeEducationCredits(form) {
-    // Placeholder implementation
-    return [];
+function analyzeEducationCredits(form, current) {
+    const optimizations = [];
+    const creditName = (credit) => (credit === 'aotc' ? 'American opportunity credit' : 'lifetime learning credit');
+
+    // 1. Education expenses that aren't on Form 8863
+    const students = form.students || [];
+    const expenses = parseFloat(form.educationExpenses) || 0;
+    if (students.length === 0) {
+        if (expenses <= 0 || parseFloat(form.educationCredits) > 0) return optimizations;
+
+        const withCredit = calculateTotalTax({
+            ...form,
+            educationCredits: undefined,
+            students: [{ name: 'You', qualifiedExpenses: expenses, credit: 'llc' }],
+        });
+        const savings = current.finalTax - withCredit.finalTax;
+        if (savings > 0) {
+            const details = withCredit.educationCreditDetails;
+            optimizations.push({
+                id: 'credits-lifetime-learning',
+                name: 'Claim the Lifetime Learning Credit',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(savings),
+                difficulty: DIFFICULTY.EASY,
+                description: '20% of up to $10,000 of tuition and fees for any postsecondary or job-skills courses.',
+                details: [
+                    `Qualified expenses: $${expenses.toLocaleString()}`,
+                    `Credit: $${Math.round(details.llc).toLocaleString()}`,
+                    details.phaseOutFraction < 1
+                        ? `Reduced by the MAGI phase-out ($${details.phaseOutStart.toLocaleString()}-$${details.phaseOutEnd.toLocaleString()})`
+                        : 'No phase-out at your income',
+                    'Undergraduates in their first four years may get the larger American opportunity credit instead',
+                ],
+                requirements: ['Form 1098-T from an eligible institution'],
+                timeline: 'This Return',
+            });
+        }
+        return optimizations;
+    }
+
+    // 2. Entered credits vs. Form 8863
+    if (form.educationCredits !== undefined && form.educationCredits !== '') {
+        const computed = calculateTotalTax({ ...form, educationCredits: undefined });
+        const difference = current.finalTax - computed.finalTax;
+        if (difference > 1) {
+            optimizations.push({
+                id: 'credits-education-claimed',
+                name: 'Claim the Full Education Credits',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(difference),
+                difficulty: DIFFICULTY.EASY,
+                description: 'The education credits on the return are less than Form 8863 allows.',
+                details: computed.educationCreditDetails.students
+                    .filter(student => student.credit)
+                    .map(student => `${student.name}: ${creditName(student.credit)} of $${Math.round(student.tentativeCredit).toLocaleString()}`),
+                timeline: 'This Return',
+            });
+        }
+        return optimizations;
+    }
+
+    // 3. Split of each student's expenses between the credit and the 529 distribution
+    let best = { students, finalTax: current.finalTax };
+    students.forEach((student, index) => {
+        const adjusted = Math.max(0, (parseFloat(student.qualifiedExpenses) || 0) - (parseFloat(student.taxFreeAssistance) || 0));
+        const distribution = parseFloat(student.distribution529) || 0;
+        const options = [{ credit: 'none' }, { credit: undefined, creditExpenses: undefined }];
+        if (distribution > 0 && adjusted > distribution) {
+            options.push({ creditExpenses: adjusted - distribution });
+        }
+
+        options.forEach(option => {
+            const trial = best.students.map((s, i) => (i === index ? { ...s, ...option } : s));
+            const { finalTax } = calculateTotalTax({ ...form, students: trial });
+            if (finalTax < best.finalTax - 1) best = { students: trial, finalTax };
+        });
+    });
+
+    const savings = current.finalTax - best.finalTax;
+    if (savings > 1) {
+        const allocation = calculateTotalTax({ ...form, students: best.students }).educationCreditDetails;
+        optimizations.push({
+            id: 'credits-education-allocation',
+            name: 'Reallocate Education Expenses Between Credits and 529',
+            category: CATEGORY.CREDITS,
+            potentialSavings: Math.round(savings),
+            difficulty: DIFFICULTY.MEDIUM,
+            description: 'The same expenses can\'t be used for an education credit and a tax-free 529 distribution; a different split lowers your tax.',
+            details: allocation.students.map(student => {
+                const toCredit = student.credit
+                    ? `$${student.creditExpenses.toLocaleString()} to the ${creditName(student.credit)}`
+                    : 'no education credit';
+                const to529 = student.distribution529.distribution > 0
+                    ? `, $${Math.round(student.distribution529.qualifiedExpenses).toLocaleString()} to the 529 distribution`
+                    : '';
+                return `${student.name}: ${toCredit}${to529}`;
+            }),
+            requirements: ['Earnings taxable only because expenses went to a credit are exempt from the 10% additional tax'],
+            timeline: 'This Return',
+        });
+    }
+
+    return optimizations;
 }
 
 /**
- * Analyze Child and Dependent Care Credit
+ * Analyze Child and Dependent Care Credit (Form 2441)
+ *
+ * Flags an entered credit below Form 2441, then compares dependent care FSA
+ * elections for the next plan year: each dollar of excluded benefits saves
+ * income tax and employee FICA but comes off the credit's expense limit.
+ * The expenses, wages and dependents are assumed to carry over unchanged.
  */
-function analyzeChildCareCredit(form) {
-    // Placeholder implementation
-    return null;
+function analyzeChildCareCredit(form, current) {
+    const optimizations = [];
+    const expenses = parseFloat(form.childCareExpenses) || 0;
+    if (expenses <= 0) return optimizations;
+
+    if (current.dependentCareDetails.qualifyingPersons.length === 0) return optimizations;
+
+    // 1. Entered credit vs. Form 2441
+    if (form.childCareCredit !== undefined && form.childCareCredit !== '') {
+        const computed = calculateTotalTax({ ...form, childCareCredit: undefined });
+        const difference = current.finalTax - computed.finalTax;
+        if (difference > 1) {
+            const details = computed.dependentCareDetails;
+            optimizations.push({
+                id: 'credits-child-care-claimed',
+                name: 'Claim the Full Child and Dependent Care Credit',
+                category: CATEGORY.CREDITS,
+                potentialSavings: Math.round(difference),
+                difficulty: DIFFICULTY.EASY,
+                description: 'The child and dependent care credit on the return is less than Form 2441 allows.',
+                details: [
+                    `Allowed expenses: $${Math.round(details.allowedExpenses).toLocaleString()}`,
+                    `Credit rate: ${Math.round(details.creditRate * 100)}%`,
+                    `Credit: $${Math.round(details.credit).toLocaleString()}`,
+                ],
+                timeline: 'This Return',
+            });
+        }
+        return optimizations;
+    }
+
+    // 2. Dependent care FSA election for the next plan year
+    const taxYear = current.taxYear;
+    const planYear = SUPPORTED_TAX_YEARS.includes(taxYear + 1) ? taxYear + 1 : taxYear;
+    const nextParams = getTaxParameters(planYear);
+    const wages = parseFloat(form.totalWages) || 0;
+    const currentElection = Math.max(0, parseFloat(form.dependentCareBenefits) || 0);
+    const grossWages = wages + currentElection;
+    const exclusionLimit = form.filingStatus === 'marriedSeparate'
+        ? nextParams.dependentCare.benefitExclusion / 2
+        : nextParams.dependentCare.benefitExclusion;
+    const maxElection = Math.min(expenses, exclusionLimit, grossWages);
+    if (maxElection <= 0) return optimizations;
+
+    const scenario = (election) => {
+        const result = calculateTotalTax({
+            ...form,
+            taxYear: planYear,
+            totalWages: grossWages - election,
+            dependentCareBenefits: election,
+            dependentCareBenefitsForfeited: 0,
+        });
+        // Employee FICA on the salary reduction (social security only below the wage base)
+        const socialSecurityWages = Math.min(grossWages, nextParams.socialSecurityWageBase) -
+            Math.min(grossWages - election, nextParams.socialSecurityWageBase);
+        const ficaSavings = socialSecurityWages * 0.062 + election * 0.0145;
+        return { election, result, cost: result.finalTax - ficaSavings };
+    };
+
+    // The best election is no FSA, the expenses over the credit's limit, or the maximum
+    const expenseLimit = current.dependentCareDetails.expenseLimit;
+    const elections = [...new Set([0, Math.max(0, expenses - expenseLimit), maxElection, currentElection]
+        .map(election => Math.min(election, maxElection)))];
+    const scenarios = elections.map(scenario);
+    const baseline = scenarios.find(s => s.election === Math.min(currentElection, maxElection));
+    const best = scenarios.reduce((a, b) => (b.cost < a.cost - 1 ? b : a), baseline);
+
+    const savings = baseline.cost - best.cost;
+    if (savings > 1) {
+        const details = best.result.dependentCareDetails;
+        optimizations.push({
+            id: 'credits-child-care',
+            name: best.election > 0
+                ? 'Elect the Dependent Care FSA'
+                : 'Use the Child and Dependent Care Credit Instead of the FSA',
+            category: CATEGORY.CREDITS,
+            potentialSavings: Math.round(savings),
+            difficulty: DIFFICULTY.EASY,
+            description: 'Employer dependent care benefits are excluded from income and FICA but reduce the expenses ' +
+                'eligible for the credit; this election gives the lowest combined tax.',
+            details: [
+                `${planYear} FSA election: $${Math.round(best.election).toLocaleString()} ` +
+                    `(currently $${Math.round(currentElection).toLocaleString()}; limit $${exclusionLimit.toLocaleString()})`,
+                `Care expenses: $${expenses.toLocaleString()}`,
+                `Credit on the remaining expenses: $${Math.round(details.credit).toLocaleString()} ` +
+                    `at ${Math.round(details.creditRate * 100)}%`,
+                `Income tax and FICA savings vs. the current election: $${Math.round(savings).toLocaleString()}`,
+            ],
+            requirements: [
+                'Elect during open enrollment (or after a qualifying life event)',
+                'Unused FSA balances are forfeited unless the plan has a grace period or carryover',
+            ],
+            timeline: 'Next Plan Year',
+        });
+    }
+
+    return optimizations;
 }
@@ -9,6 +9,7 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { calculateMarginalRate, getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
 // Cost basis methods
@@ -140,7 +141,7 @@ function analyzeCryptoLossHarvesting(form, losses, gains) {
     if (losses <= 0) return null;
 
     const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     const netPosition = gains - losses;
     const additionalLossDeduction = netPosition < 0 ? Math.min(Math.abs(netPosition), 3000) : 0;
@@ -200,7 +201,7 @@ function analyzeStakingMiningIncome(form, stakingIncome, miningIncome) {
     if (totalCryptoIncome <= 0) return null;
 
     const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     return {
         id: 'crypto-staking-mining-income',
@@ -292,7 +293,8 @@ function analyzeCryptoHoldingPeriod(form, cryptoData) {
     if (shortTermGains <= 1000) return null;
 
     const currentTax = calculateTotalTax(form);
-    const ordinaryRate = getMarginalRate(currentTax.taxableIncome);
+    // Federal only, like the long-term rate it's compared with
+    const ordinaryRate = calculateMarginalRate(form, { baseline: currentTax }).federal;
     const ltcgRate = 0.15;
     const excessTax = shortTermGains * (ordinaryRate - ltcgRate);
 
@@ -411,16 +413,3 @@ function analyzeDeFiTaxes(form, cryptoData) {
         timeline: 'This Return & Ongoing',
     };
 }
-
-/**
- * Helper: Get marginal tax rate
- */
-function getMarginalRate(taxableIncome) {
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
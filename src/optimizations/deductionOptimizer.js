@@ -3,16 +3,13 @@
  * Analyzes itemized vs standard deduction, SALT cap, charitable bunching, and more
  */
 
-import { calculateTotalTax, calculateTaxWithOverrides, STANDARD_DEDUCTIONS_2025 } from '../calculations/calculateTax.js';
+import { calculateTotalTax, calculateTaxWithOverrides } from '../calculations/calculateTax.js';
+import { getTaxParameters, getSaltCap } from '../calculations/taxYearParameters.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 SALT cap (increased from $10K to $40K by OBBBA)
-const SALT_CAP_2025 = 40000;
-const SALT_CAP_MFS = 20000;
-
 // QCD age requirement
 const QCD_AGE_REQUIREMENT = 70.5;
-const QCD_MAX_2025 = 108000;
 
 /**
  * Analyze all deduction optimization opportunities
@@ -20,26 +17,30 @@ const QCD_MAX_2025 = 108000;
 export function analyzeDeductionOptimizations(form) {
     const optimizations = [];
 
+    // The return as filed, and the rate on its last dollars
+    const currentTax = calculateTotalTax(form);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
+
     // Itemized vs Standard comparison
-    const itemizedOpt = analyzeItemizedVsStandard(form);
+    const itemizedOpt = analyzeItemizedVsStandard(form, currentTax, marginalRate);
     if (itemizedOpt) {
         optimizations.push(itemizedOpt);
     }
 
-    // SALT optimization (new $40K cap)
-    const saltOpt = analyzeSALTOptimization(form);
+    // SALT optimization (OBBBA cap and MAGI phase-down)
+    const saltOpt = analyzeSALTOptimization(form, currentTax, marginalRate);
     if (saltOpt) {
         optimizations.push(saltOpt);
     }
 
     // Charitable bunching strategy
-    const charityOpt = analyzeCharitableBunching(form);
+    const charityOpt = analyzeCharitableBunching(form, currentTax, marginalRate);
     if (charityOpt) {
         optimizations.push(charityOpt);
     }
 
     // QCD for 70.5+ taxpayers
-    const qcdOpt = analyzeQCDOpportunity(form);
+    const qcdOpt = analyzeQCDOpportunity(form, marginalRate);
     if (qcdOpt) {
         optimizations.push(qcdOpt);
     }
@@ -51,13 +52,13 @@ export function analyzeDeductionOptimizations(form) {
     }
 
     // Medical expense timing
-    const medicalOpt = analyzeMedicalExpenseTiming(form);
+    const medicalOpt = analyzeMedicalExpenseTiming(form, currentTax, marginalRate);
     if (medicalOpt) {
         optimizations.push(medicalOpt);
     }
 
     // Above-the-line deductions
-    const atlOpts = analyzeAboveTheLineDeductions(form);
+    const atlOpts = analyzeAboveTheLineDeductions(form, marginalRate);
     optimizations.push(...atlOpts);
 
     return optimizations;
@@ -66,31 +67,17 @@ export function analyzeDeductionOptimizations(form) {
 /**
  * Analyze Itemized vs Standard deduction
  */
-function analyzeItemizedVsStandard(form) {
-    const filingStatus = form.filingStatus || 'single';
-    const standardDeduction = STANDARD_DEDUCTIONS_2025[filingStatus] || STANDARD_DEDUCTIONS_2025.single;
-
-    // Calculate current itemized total
-    const saltCap = filingStatus === 'marriedSeparate' ? SALT_CAP_MFS : SALT_CAP_2025;
-    const actualSalt = Math.min(
-        (parseFloat(form.stateLocalTaxes) || 0) + (parseFloat(form.realEstateTaxes) || 0),
-        saltCap
-    );
-
-    const itemizedTotal =
-        (parseFloat(form.medicalExpenses) || 0) +
-        actualSalt +
-        (parseFloat(form.mortgageInterest) || 0) +
-        (parseFloat(form.charityCash) || 0) +
-        (parseFloat(form.charityNonCash) || 0) +
-        (parseFloat(form.casualtyLosses) || 0) +
-        (parseFloat(form.otherItemized) || 0);
-
-    const currentDeductionType = form.deductionType || 'standard';
+function analyzeItemizedVsStandard(form, currentTax, marginalRate) {
+    const standardDeduction = getStandardDeduction(form);
+
+    // Schedule A after the AGI floors and limits; the engine takes the
+    // larger deduction unless form.deductionType elects one
+    const itemizedTotal = currentTax.scheduleADetails.itemizedDeduction;
+    const currentDeductionType = currentTax.deductionType;
 
     // If currently itemizing but standard is better
     if (currentDeductionType === 'itemized' && standardDeduction > itemizedTotal) {
-        const savings = (standardDeduction - itemizedTotal) * getMarginalRate(form);
+        const savings = (standardDeduction - itemizedTotal) * marginalRate;
 
         return {
             id: 'deduction-switch-to-standard',
@@ -111,7 +98,7 @@ function analyzeItemizedVsStandard(form) {
 
     // If currently taking standard but itemizing is better
     if (currentDeductionType !== 'itemized' && itemizedTotal > standardDeduction) {
-        const savings = (itemizedTotal - standardDeduction) * getMarginalRate(form);
+        const savings = (itemizedTotal - standardDeduction) * marginalRate;
 
         return {
             id: 'deduction-switch-to-itemized',
@@ -134,11 +121,12 @@ function analyzeItemizedVsStandard(form) {
 }
 
 /**
- * Analyze SALT optimization with new $40K cap
+ * Analyze SALT optimization with the OBBBA cap and its MAGI phase-down
  */
-function analyzeSALTOptimization(form) {
+function analyzeSALTOptimization(form, currentTax, marginalRate) {
     const filingStatus = form.filingStatus || 'single';
-    const saltCap = filingStatus === 'marriedSeparate' ? SALT_CAP_MFS : SALT_CAP_2025;
+    const { saltCap, saltCapReduction, saltMagi } = currentTax.scheduleADetails;
+    const fullCap = getSaltCap(filingStatus, form.taxYear);
 
     const stateLocalTaxes = parseFloat(form.stateLocalTaxes) || 0;
     const realEstateTaxes = parseFloat(form.realEstateTaxes) || 0;
@@ -147,7 +135,11 @@ function analyzeSALTOptimization(form) {
     // Check if they're hitting the cap
     if (totalSALT > saltCap) {
         const lostDeduction = totalSALT - saltCap;
-        const lostTaxBenefit = lostDeduction * getMarginalRate(form);
+        // Between the threshold and the floor each $1 of MAGI also cuts the cap by 30 cents
+        const inPhaseDown = saltCapReduction > 0 && getSaltCap(filingStatus, form.taxYear, saltMagi + 1) < saltCap;
+        const { phaseOutRate } = getTaxParameters(form.taxYear).saltCap;
+        // Measured with SALT at the cap, so the cap coming back isn't counted
+        const lostTaxBenefit = lostDeduction * getMarginalRate({ ...form, stateLocalTaxes: saltCap, realEstateTaxes: 0 });
 
         return {
             id: 'deduction-salt-cap-hit',
@@ -155,40 +147,45 @@ function analyzeSALTOptimization(form) {
             category: CATEGORY.DEDUCTIONS,
             potentialSavings: 0, // Informational
             difficulty: DIFFICULTY.HARD,
-            description: `Your SALT deduction is capped at $${saltCap.toLocaleString()} (2025 increased limit)`,
+            description: saltCapReduction > 0
+                ? `Your SALT deduction is capped at $${Math.round(saltCap).toLocaleString()} (reduced from $${fullCap.toLocaleString()} by your MAGI)`
+                : `Your SALT deduction is capped at $${saltCap.toLocaleString()}`,
             details: [
                 `Total SALT paid: $${totalSALT.toLocaleString()}`,
-                `Deduction allowed: $${saltCap.toLocaleString()}`,
-                `Lost deduction: $${lostDeduction.toLocaleString()}`,
-                `Approximate lost tax benefit: $${lostTaxBenefit.toLocaleString()}`,
-            ],
+                `Deduction allowed: $${Math.round(saltCap).toLocaleString()}`,
+                saltCapReduction > 0 ? `Cap reduction for MAGI of $${Math.round(saltMagi).toLocaleString()}: $${Math.round(saltCapReduction).toLocaleString()}` : null,
+                `Lost deduction: $${Math.round(lostDeduction).toLocaleString()}`,
+                `Approximate lost tax benefit: $${Math.round(lostTaxBenefit).toLocaleString()}`,
+                inPhaseDown ? `In the phase-down range each $1 of income also costs $${phaseOutRate.toFixed(2)} of SALT deduction: ${(marginalRate * 100).toFixed(1)}% effective rate` : null,
+            ].filter(Boolean),
             strategies: [
                 'Consider Pass-Through Entity Tax (PTET) election if you have business income',
+                inPhaseDown ? 'Lower MAGI (pre-tax retirement and HSA contributions, PTET, deferring income) to restore the cap' : null,
                 'Review property tax assessment for potential protest',
                 'Time major property purchases to spread tax payments',
                 'Consider Donor Advised Fund for charitable giving to maximize itemized deductions',
-            ],
+            ].filter(Boolean),
             isInformational: true,
             timeline: 'Future Planning',
         };
     }
 
     // Check if they're missing SALT deduction opportunity
-    if (totalSALT > 0 && form.deductionType !== 'itemized') {
-        const standardDeduction = STANDARD_DEDUCTIONS_2025[filingStatus] || STANDARD_DEDUCTIONS_2025.single;
-        const itemizedTotal = calculateItemizedTotal(form);
+    if (totalSALT > 0 && currentTax.deductionType !== 'itemized') {
+        const standardDeduction = getStandardDeduction(form);
+        const itemizedTotal = currentTax.scheduleADetails.itemizedDeduction;
 
-        if (itemizedTotal + totalSALT > standardDeduction) {
+        if (itemizedTotal > standardDeduction) {
             return {
                 id: 'deduction-maximize-salt',
                 name: 'SALT Deduction Opportunity',
                 category: CATEGORY.DEDUCTIONS,
-                potentialSavings: Math.round((itemizedTotal + totalSALT - standardDeduction) * getMarginalRate(form)),
+                potentialSavings: Math.round((itemizedTotal - standardDeduction) * marginalRate),
                 difficulty: DIFFICULTY.EASY,
                 description: 'Including SALT in your itemized deductions may benefit you.',
                 details: [
                     `SALT paid: $${totalSALT.toLocaleString()}`,
-                    `New 2025 SALT cap: $${saltCap.toLocaleString()}`,
+                    `SALT cap: $${Math.round(saltCap).toLocaleString()}`,
                     'Consider itemizing with SALT included',
                 ],
                 timeline: 'This Return',
@@ -202,32 +199,23 @@ function analyzeSALTOptimization(form) {
 /**
  * Analyze charitable bunching strategy
  */
-function analyzeCharitableBunching(form) {
-    const filingStatus = form.filingStatus || 'single';
-    const standardDeduction = STANDARD_DEDUCTIONS_2025[filingStatus] || STANDARD_DEDUCTIONS_2025.single;
+function analyzeCharitableBunching(form, currentTax, marginalRate) {
+    const standardDeduction = getStandardDeduction(form);
 
     const charityCash = parseFloat(form.charityCash) || 0;
     const charityNonCash = parseFloat(form.charityNonCash) || 0;
     const totalCharity = charityCash + charityNonCash;
 
-    // Calculate itemized total without charity
-    const saltCap = filingStatus === 'marriedSeparate' ? SALT_CAP_MFS : SALT_CAP_2025;
-    const actualSalt = Math.min(
-        (parseFloat(form.stateLocalTaxes) || 0) + (parseFloat(form.realEstateTaxes) || 0),
-        saltCap
-    );
-    const otherItemized = (parseFloat(form.medicalExpenses) || 0) +
-        actualSalt +
-        (parseFloat(form.mortgageInterest) || 0) +
-        (parseFloat(form.casualtyLosses) || 0) +
-        (parseFloat(form.otherItemized) || 0);
+    // Itemized total without charity (Schedule A after the AGI floors and limits)
+    const scheduleA = currentTax.scheduleADetails;
+    const otherItemized = scheduleA.totalItemized - scheduleA.charitableDeduction;
 
     // Check if they're near the itemization threshold
     const gap = standardDeduction - otherItemized;
 
     if (gap > 0 && gap < 10000 && totalCharity > 0) {
         const bunchedAmount = totalCharity * 2; // Two years of giving
-        const bunchedSavings = totalCharity * getMarginalRate(form);
+        const bunchedSavings = totalCharity * marginalRate;
 
         return {
             id: 'deduction-charitable-bunching',
@@ -258,7 +246,7 @@ function analyzeCharitableBunching(form) {
 /**
  * Analyze QCD opportunity for 70.5+ taxpayers
  */
-function analyzeQCDOpportunity(form) {
+function analyzeQCDOpportunity(form, marginalRate) {
     // Check if taxpayer is 70.5 or older
     const birthDate = form.birthDate;
     if (!birthDate) return null;
@@ -275,8 +263,9 @@ function analyzeQCDOpportunity(form) {
     if (charitableGiving <= 0) return null;
 
     // Calculate potential QCD benefit
-    const qcdAmount = Math.min(iraDistributions, charitableGiving, QCD_MAX_2025);
-    const savings = qcdAmount * getMarginalRate(form);
+    const { taxYear, qcdLimit } = getTaxParameters(form.taxYear);
+    const qcdAmount = Math.min(iraDistributions, charitableGiving, qcdLimit);
+    const savings = qcdAmount * marginalRate;
 
     return {
         id: 'deduction-qcd',
@@ -289,7 +278,7 @@ function analyzeQCDOpportunity(form) {
             `IRA distributions: $${iraDistributions.toLocaleString()}`,
             `Current charitable giving: $${charitableGiving.toLocaleString()}`,
             `Potential QCD amount: $${qcdAmount.toLocaleString()}`,
-            `Maximum QCD for 2025: $${QCD_MAX_2025.toLocaleString()}`,
+            `Maximum QCD for ${taxYear}: $${qcdLimit.toLocaleString()}`,
         ],
         benefits: [
             'Reduces taxable income (better than itemized deduction)',
@@ -358,8 +347,7 @@ function analyzeAppreciatedAssetDonation(form) {
 /**
  * Analyze medical expense timing
  */
-function analyzeMedicalExpenseTiming(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeMedicalExpenseTiming(form, currentTax, marginalRate) {
     const agi = currentTax.agi;
     const medicalExpenses = parseFloat(form.medicalExpenses) || 0;
 
@@ -374,7 +362,7 @@ function analyzeMedicalExpenseTiming(form) {
             id: 'deduction-medical-timing',
             name: 'Medical Expense Timing Strategy',
             category: CATEGORY.DEDUCTIONS,
-            potentialSavings: Math.round(gap * getMarginalRate(form)),
+            potentialSavings: Math.round(gap * marginalRate),
             difficulty: DIFFICULTY.MEDIUM,
             description: 'Your medical expenses are close to the 7.5% AGI deduction threshold.',
             details: [
@@ -398,7 +386,7 @@ function analyzeMedicalExpenseTiming(form) {
 /**
  * Analyze above-the-line deduction opportunities
  */
-function analyzeAboveTheLineDeductions(form) {
+function analyzeAboveTheLineDeductions(form, marginalRate) {
     const optimizations = [];
 
     // Educator expenses
@@ -411,7 +399,7 @@ function analyzeAboveTheLineDeductions(form) {
             id: 'deduction-educator-expense',
             name: 'Maximize Educator Expense Deduction',
             category: CATEGORY.DEDUCTIONS,
-            potentialSavings: Math.round((maxEducatorExpense - educatorExpenses) * getMarginalRate(form)),
+            potentialSavings: Math.round((maxEducatorExpense - educatorExpenses) * marginalRate),
             difficulty: DIFFICULTY.EASY,
             description: `Teachers can deduct up to $${maxEducatorExpense} in classroom expenses.`,
             details: [
@@ -441,41 +429,11 @@ function analyzeAboveTheLineDeductions(form) {
 }
 
 /**
- * Helper: Calculate itemized total
+ * Helper: Standard deduction for the form's filing status and tax year
  */
-function calculateItemizedTotal(form) {
-    const filingStatus = form.filingStatus || 'single';
-    const saltCap = filingStatus === 'marriedSeparate' ? SALT_CAP_MFS : SALT_CAP_2025;
-
-    const actualSalt = Math.min(
-        (parseFloat(form.stateLocalTaxes) || 0) + (parseFloat(form.realEstateTaxes) || 0),
-        saltCap
-    );
-
-    return (parseFloat(form.medicalExpenses) || 0) +
-        actualSalt +
-        (parseFloat(form.mortgageInterest) || 0) +
-        (parseFloat(form.charityCash) || 0) +
-        (parseFloat(form.charityNonCash) || 0) +
-        (parseFloat(form.casualtyLosses) || 0) +
-        (parseFloat(form.otherItemized) || 0);
-}
-
-/**
- * Helper: Estimate marginal tax rate
- */
-function getMarginalRate(form) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    // Rough brackets for estimation
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
+function getStandardDeduction(form) {
+    const { standardDeduction } = getTaxParameters(form.taxYear);
+    return standardDeduction[form.filingStatus] || standardDeduction.single;
 }
 
 /**
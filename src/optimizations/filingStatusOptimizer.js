@@ -1,9 +1,12 @@
 /**
  * Filing Status Optimizer
- * Analyzes MFJ vs MFS, Head of Household eligibility, and community property strategies
+ * Analyzes MFJ vs MFS, Head of Household eligibility, community property strategies,
+ * and whether children's investment income goes on their own returns or the parents'
  */
 
-import { calculateTotalTax, calculateTaxWithOverrides, STANDARD_DEDUCTIONS_2025 } from '../calculations/calculateTax.js';
+import { calculateTotalTax, calculateTaxWithOverrides } from '../calculations/calculateTax.js';
+import { getTaxParameters } from '../calculations/taxYearParameters.js';
+import { calculateChildReturns, calculateForm8814, getKiddieTaxAmounts } from '../calculations/calculateKiddieTax.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 import { isCommunityPropertyState, analyzeCaliforniaMentalHealthTax } from '../stateData/communityPropertyStates.js';
 
@@ -47,6 +50,99 @@ export function analyzeFilingStatusOptimizations(form) {
         }
     }
 
+    // Child's own return (Form 8615) vs parents' election (Form 8814)
+    optimizations.push(...analyzeKiddieTaxElection(form));
+
+    return optimizations;
+}
+
+/**
+ * Parents' federal tax plus the children's own returns
+ */
+function calculateFamilyTax(form) {
+    const parentResult = calculateTotalTax(form);
+    const children = calculateChildReturns(form, parentResult);
+    return {
+        parentResult,
+        children,
+        total: parentResult.finalTax + children.reduce((total, child) => total + child.tax, 0),
+    };
+}
+
+/**
+ * Analyze reporting each child's interest and dividends on the parents'
+ * return (Form 8814) vs the child filing with the kiddie tax (Form 8615)
+ */
+function analyzeKiddieTaxElection(form) {
+    const dependents = form.dependents || [];
+    const optimizations = [];
+    if (!dependents.some(dependent => dependent.childReturn)) return optimizations;
+
+    const current = calculateFamilyTax(form);
+    const { form8814Limit } = getKiddieTaxAmounts(form.taxYear);
+
+    dependents.forEach((dependent, index) => {
+        if (!dependent.childReturn || !calculateForm8814(dependent, form.taxYear).eligible) return;
+
+        const electing = !!dependent.form8814;
+        const overrides = {
+            dependents: dependents.map((other, otherIndex) => (otherIndex === index ? { ...other, form8814: !electing } : other)),
+        };
+        const alternative = calculateFamilyTax({ ...form, ...overrides });
+        const savings = Math.round(current.total - alternative.total);
+        if (savings <= 0) return;
+
+        const [childFiles, parentReports] = electing ? [alternative, current] : [current, alternative];
+        const name = dependent.name || dependent.firstName || `Dependent #${index + 1}`;
+        const child = childFiles.children.find(entry => entry.name === name);
+        const form8814Tax = parentReports.parentResult.form8814Tax;
+        const details = [
+            `Family tax with ${child.name} filing: $${Math.round(childFiles.total).toLocaleString()} ` +
+                `(${child.name}'s tax $${Math.round(child.tax).toLocaleString()}, of which kiddie tax $${Math.round(child.kiddieTax).toLocaleString()})`,
+            `Family tax with Form 8814: $${Math.round(parentReports.total).toLocaleString()} ` +
+                `(Form 8814 tax $${Math.round(form8814Tax).toLocaleString()}, AGI $${Math.round(parentReports.parentResult.agi).toLocaleString()})`,
+            `Potential savings: $${savings.toLocaleString()}`,
+        ];
+
+        optimizations.push(electing
+            ? {
+                id: 'filing-kiddie-tax-child-return',
+                name: `File a Separate Return for ${child.name}`,
+                category: CATEGORY.FILING_STATUS,
+                potentialSavings: savings,
+                difficulty: DIFFICULTY.MEDIUM,
+                description: `Reporting ${child.name}'s interest and dividends on your return (Form 8814) costs more than ${child.name} filing with Form 8615.`,
+                details,
+                considerations: [
+                    'On their own return the child keeps the 0% rate on qualified dividends and capital gain distributions',
+                    'Form 8814 income raises your AGI, which can reduce credits, deductions and raise state tax',
+                    'The child\'s return needs your taxable income for Form 8615',
+                ],
+                formOverrides: overrides,
+                timeline: 'This Return',
+            }
+            : {
+                id: 'filing-kiddie-tax-form-8814',
+                name: `Report ${child.name}'s Income on Your Return (Form 8814)`,
+                category: CATEGORY.FILING_STATUS,
+                potentialSavings: savings,
+                difficulty: DIFFICULTY.EASY,
+                description: `Electing to report ${child.name}'s interest and dividends on your return costs less than a separate return with the kiddie tax.`,
+                details,
+                requirements: [
+                    'Child under 19 (or a full-time student under 24) at year end',
+                    `Only interest, dividends and capital gain distributions, under $${form8814Limit.toLocaleString()}`,
+                    'No withholding or estimated tax payments in the child\'s name',
+                ],
+                considerations: [
+                    'Form 8814 income raises your AGI, which can reduce credits, deductions and raise state tax',
+                    'Saves preparing and filing the child\'s return',
+                ],
+                formOverrides: overrides,
+                timeline: 'This Return',
+            });
+    });
+
     return optimizations;
 }
 
@@ -179,6 +275,7 @@ function analyzeSingleToHOH(form) {
 
     const currentTax = calculateTotalTax(form);
     const hohTax = calculateTaxWithOverrides(form, { filingStatus: 'head' });
+    const { standardDeduction } = getTaxParameters(form.taxYear);
 
     const savings = currentTax.finalTax - hohTax.finalTax;
 
@@ -194,7 +291,7 @@ function analyzeSingleToHOH(form) {
                 `Current tax (Single): $${currentTax.finalTax.toLocaleString()}`,
                 `Estimated tax (HOH): $${hohTax.finalTax.toLocaleString()}`,
                 `Potential savings: $${savings.toLocaleString()}`,
-                `Standard deduction increases from $${STANDARD_DEDUCTIONS_2025.single.toLocaleString()} to $${STANDARD_DEDUCTIONS_2025.head.toLocaleString()}`,
+                `Standard deduction increases from $${standardDeduction.single.toLocaleString()} to $${standardDeduction.head.toLocaleString()}`,
             ],
             requirements: [
                 'Must be unmarried (or considered unmarried) on Dec 31',
@@ -10,11 +10,10 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { calculateForeignEarnedIncomeExclusion, isQualifiedIndividual } from '../calculations/calculateForeignIncome.js';
+import { getTaxParameters } from '../calculations/taxYearParameters.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 Foreign Earned Income Exclusion limit
-const FEIE_LIMIT_2025 = 130000; // Adjusted annually for inflation
-
 // Foreign account thresholds
 const FBAR_THRESHOLD = 10000;        // Aggregate value threshold
 const FATCA_THRESHOLD_US = 50000;    // End of year (unmarried, in US)
@@ -70,10 +69,17 @@ export function analyzeInternationalTaxOptimizations(form) {
     return optimizations;
 }
 
+// Form 1040 Line 16 tax, before the foreign tax credit
+const taxBeforeCredits = (result) => result.regularTax + result.capitalGainsTax;
+
 /**
  * Analyze Foreign Earned Income Exclusion eligibility
+ *
+ * Savings are the US tax the exclusion removes before the foreign tax
+ * credit; analyzeFEIEvsFTC compares the two after credits.
  */
 function analyzeForeignEarnedIncomeExclusion(form) {
+    const { taxYear, feieLimit } = getTaxParameters(form.taxYear);
     const foreignEarnedIncome = parseFloat(form.foreignEarnedIncome) || 0;
     const livesAbroad = form.livesAbroad || form.meetsBonaFideResidence || form.meetsPhysicalPresence;
 
@@ -84,12 +90,13 @@ function analyzeForeignEarnedIncomeExclusion(form) {
     const meetsPhysicalPresence = form.meetsPhysicalPresence;
     const daysAbroad = parseFloat(form.daysOutsideUS) || 0;
 
-    const qualifies = meetsBonaFide || meetsPhysicalPresence || daysAbroad >= 330;
-    const exclusionAmount = Math.min(foreignEarnedIncome, FEIE_LIMIT_2025);
+    const qualifies = isQualifiedIndividual(form);
+    const claimedForm = { ...form, claimForeignEarnedIncomeExclusion: true, ...(qualifies ? {} : { meetsPhysicalPresence: true }) };
+    const exclusionAmount = calculateForeignEarnedIncomeExclusion(claimedForm).earnedIncomeExclusion;
 
-    const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
-    const taxSavings = exclusionAmount * marginalRate;
+    const withExclusion = calculateTotalTax(claimedForm);
+    const withoutExclusion = calculateTotalTax({ ...form, claimForeignEarnedIncomeExclusion: false });
+    const taxSavings = Math.max(0, taxBeforeCredits(withoutExclusion) - taxBeforeCredits(withExclusion));
 
     if (qualifies && foreignEarnedIncome > 0) {
         return {
@@ -98,12 +105,12 @@ function analyzeForeignEarnedIncomeExclusion(form) {
             category: CATEGORY.INCOME_TIMING,
             potentialSavings: Math.round(taxSavings),
             difficulty: DIFFICULTY.MEDIUM,
-            description: `Exclude up to $${FEIE_LIMIT_2025.toLocaleString()} of foreign earned income from US tax.`,
+            description: `Exclude up to $${feieLimit.toLocaleString()} of foreign earned income from US tax.`,
             details: [
                 `Foreign earned income: $${foreignEarnedIncome.toLocaleString()}`,
-                `Exclusion limit (2025): $${FEIE_LIMIT_2025.toLocaleString()}`,
-                `Your exclusion: $${exclusionAmount.toLocaleString()}`,
-                `Tax savings: $${Math.round(taxSavings).toLocaleString()}`,
+                `Exclusion limit (${taxYear}): $${feieLimit.toLocaleString()}`,
+                `Your exclusion: $${Math.round(exclusionAmount).toLocaleString()}`,
+                `US tax on the excluded income (before the foreign tax credit): $${Math.round(taxSavings).toLocaleString()}`,
             ],
             qualificationTests: [
                 {
@@ -169,24 +176,33 @@ function analyzeForeignEarnedIncomeExclusion(form) {
  * Analyze Foreign Tax Credit opportunities
  */
 function analyzeForeignTaxCredit(form) {
-    const foreignTaxPaid = parseFloat(form.foreignTaxPaid) || 0;
+    const foreignTaxPaid = (parseFloat(form.foreignTaxPaid) || 0) + (parseFloat(form.foreignPassiveTaxPaid) || 0);
 
     if (foreignTaxPaid <= 0) return null;
 
-    const foreignIncome = parseFloat(form.foreignEarnedIncome) ||
-        parseFloat(form.totalForeignIncome) || 0;
+    const foreignIncome = (parseFloat(form.foreignEarnedIncome) || parseFloat(form.totalForeignIncome) || 0) +
+        (parseFloat(form.foreignPassiveIncome) || 0);
+
+    // Form 1116 as the return figures it, after any exclusion
+    const result = calculateTotalTax(form);
+    const ftc = result.foreignTaxCreditDetails;
+    const carryforward = ftc.carryforward.foreignTaxCarryovers
+        .filter(carryover => carryover.year === result.taxYear)
+        .reduce((total, carryover) => total + carryover.amount, 0);
 
     return {
         id: 'intl-foreign-tax-credit',
         name: 'Foreign Tax Credit (FTC)',
         category: CATEGORY.CREDITS,
-        potentialSavings: Math.round(foreignTaxPaid),
+        potentialSavings: Math.round(ftc.credit),
         difficulty: DIFFICULTY.MEDIUM,
         description: 'Credit for foreign taxes paid, reducing double taxation.',
         details: [
             `Foreign taxes paid: $${foreignTaxPaid.toLocaleString()}`,
             `Foreign income: $${foreignIncome.toLocaleString()}`,
-            'Dollar-for-dollar credit against US tax',
+            ...(ftc.disallowedTax > 0 ? [`Not creditable (tax on excluded income): $${Math.round(ftc.disallowedTax).toLocaleString()}`] : []),
+            `Credit this year: $${Math.round(ftc.credit).toLocaleString()}`,
+            `Carried forward to next year: $${Math.round(carryforward).toLocaleString()}`,
             'Excess credits can carry back 1 year or forward 10 years',
         ],
         creditLimitation: [
@@ -214,31 +230,30 @@ function analyzeForeignTaxCredit(form) {
 
 /**
  * Compare FEIE vs Foreign Tax Credit
+ *
+ * Each method's savings are against the return with neither: the FEIE
+ * (with the credit for tax on wages over the limit) or the credit alone.
+ * On a tie the credit wins - the excess carries forward and there's no
+ * 5-year wait to re-elect.
  */
 function analyzeFEIEvsFTC(form) {
     const foreignEarnedIncome = parseFloat(form.foreignEarnedIncome) || 0;
     const foreignTaxPaid = parseFloat(form.foreignTaxPaid) || 0;
 
-    if (foreignEarnedIncome <= 0 || foreignTaxPaid <= 0) return null;
+    if (foreignEarnedIncome <= 0 || foreignTaxPaid <= 0 || !isQualifiedIndividual(form)) return null;
 
-    const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const neither = calculateTotalTax({ ...form, claimForeignEarnedIncomeExclusion: false, foreignTaxPaid: 0 });
+    const withFEIE = calculateTotalTax({ ...form, claimForeignEarnedIncomeExclusion: true });
+    const withFTC = calculateTotalTax({ ...form, claimForeignEarnedIncomeExclusion: false });
 
-    // Estimate savings under each method
-    const exclusionAmount = Math.min(foreignEarnedIncome, FEIE_LIMIT_2025);
-    const feieSavings = exclusionAmount * marginalRate;
-    const ftcSavings = foreignTaxPaid; // Credit is dollar-for-dollar
+    const feieSavings = neither.finalTax - withFEIE.finalTax;
+    const ftcSavings = neither.finalTax - withFTC.finalTax;
+    const ftcCarryforward = withFTC.foreignTaxCreditDetails.carryforward.foreignTaxCarryovers
+        .filter(carryover => carryover.year === withFTC.taxYear)
+        .reduce((total, carryover) => total + carryover.amount, 0);
 
     const foreignTaxRate = foreignTaxPaid / foreignEarnedIncome;
-
-    let recommendation;
-    if (foreignTaxRate > marginalRate) {
-        recommendation = 'FTC';
-    } else if (feieSavings > ftcSavings) {
-        recommendation = 'FEIE';
-    } else {
-        recommendation = 'FTC';
-    }
+    const recommendation = feieSavings > ftcSavings ? 'FEIE' : 'FTC';
 
     return {
         id: 'intl-feie-vs-ftc',
@@ -251,13 +266,15 @@ function analyzeFEIEvsFTC(form) {
             `FEIE potential savings: $${Math.round(feieSavings).toLocaleString()}`,
             `FTC potential savings: $${Math.round(ftcSavings).toLocaleString()}`,
             `Foreign tax rate: ${(foreignTaxRate * 100).toFixed(1)}%`,
-            `Your US marginal rate: ${(marginalRate * 100).toFixed(0)}%`,
+            `FTC carried forward under the FTC method: $${Math.round(ftcCarryforward).toLocaleString()}`,
         ],
         recommendation: {
             choice: recommendation,
-            reason: recommendation === 'FTC'
-                ? 'Foreign tax rate exceeds US rate - FTC more valuable'
-                : 'FEIE produces larger overall tax reduction',
+            reason: recommendation === 'FEIE'
+                ? 'FEIE produces larger overall tax reduction'
+                : ftcSavings > feieSavings
+                    ? 'Foreign tax covers the US tax - FTC more valuable'
+                    : 'Same tax this year - FTC keeps the excess credit and avoids the 5-year FEIE lock-in',
         },
         considerations: [
             'FEIE: Cannot be revoked for 5 years',
@@ -276,6 +293,9 @@ function analyzeFEIEvsFTC(form) {
 
 /**
  * Analyze Foreign Housing Exclusion
+ *
+ * Savings are the US tax the housing exclusion removes before the foreign
+ * tax credit, with the earned income exclusion claimed either way.
  */
 function analyzeForeignHousingExclusion(form) {
     const livesAbroad = form.livesAbroad || form.meetsBonaFideResidence || form.meetsPhysicalPresence;
@@ -283,15 +303,15 @@ function analyzeForeignHousingExclusion(form) {
 
     if (!livesAbroad || housingExpenses <= 0) return null;
 
-    // Base housing amount (2025 - roughly 16% of FEIE limit)
-    const baseAmount = Math.round(FEIE_LIMIT_2025 * 0.16);
-    const maxHousingExclusion = Math.round(FEIE_LIMIT_2025 * 0.30);
-    const qualifyingExpenses = Math.max(0, housingExpenses - baseAmount);
-    const exclusionAmount = Math.min(qualifyingExpenses, maxHousingExclusion);
+    const claimedForm = { ...form, claimForeignEarnedIncomeExclusion: true };
+    const housing = calculateForeignEarnedIncomeExclusion(claimedForm);
+    const baseAmount = Math.round(housing.housingBase);
+    const qualifyingExpenses = Math.max(0, Math.min(housingExpenses, housing.housingLimit) - housing.housingBase);
+    const exclusionAmount = housing.housingExclusion;
 
-    const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
-    const taxSavings = exclusionAmount * marginalRate;
+    const withHousing = calculateTotalTax(claimedForm);
+    const withoutHousing = calculateTotalTax({ ...claimedForm, foreignHousingExpenses: 0 });
+    const taxSavings = Math.max(0, taxBeforeCredits(withoutHousing) - taxBeforeCredits(withHousing));
 
     return {
         id: 'intl-foreign-housing',
@@ -303,8 +323,9 @@ function analyzeForeignHousingExclusion(form) {
         details: [
             `Housing expenses: $${housingExpenses.toLocaleString()}`,
             `Base amount (not excluded): $${baseAmount.toLocaleString()}`,
-            `Qualifying expenses: $${qualifyingExpenses.toLocaleString()}`,
-            `Exclusion amount: $${exclusionAmount.toLocaleString()}`,
+            `Housing limit: $${Math.round(housing.housingLimit).toLocaleString()}`,
+            `Qualifying expenses: $${Math.round(qualifyingExpenses).toLocaleString()}`,
+            `Exclusion amount: $${Math.round(exclusionAmount).toLocaleString()}`,
         ],
         qualifyingExpenses: [
             'Rent or fair rental value of employer housing',
@@ -544,16 +565,3 @@ function analyzePFICIssues(form) {
         isWarning: true,
     };
 }
-
-/**
- * Helper: Get marginal rate
- */
-function getMarginalRate(taxableIncome) {
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
@@ -4,16 +4,11 @@
  * Covers partnerships (Form 1065) and S-Corporations (Form 1120-S)
  */
 
-import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { calculateTotalTax, calculateSelfEmploymentTax, getScheduleSEWages } from '../calculations/calculateTax.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 import { formatAuthorityForDisplay } from '../utils/taxAuthority.js';
 
-// 2025 QBI thresholds (OBBBA made permanent)
-const QBI_THRESHOLDS_2025 = {
-    single: { start: 197300, end: 247300 },
-    married: { start: 394600, end: 494600 },
-};
-
 // Specified Service Trades or Businesses (SSTBs) - limited QBI above thresholds
 const SSTB_CATEGORIES = [
     'health', 'law', 'accounting', 'actuarial', 'performing arts',
@@ -42,11 +37,9 @@ export function analyzeK1Optimizations(form) {
     const k1Section179 = parseFloat(k1Data.section179) || 0;
 
     const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-    const filingStatus = form.filingStatus || 'single';
 
     // 1. QBI Deduction Analysis for K-1 Income
-    const qbiOpt = analyzeK1QBI(form, partnershipIncome + sCorpIncome, guaranteedPayments, taxableIncome, filingStatus);
+    const qbiOpt = analyzeK1QBI(form, currentTax);
     if (qbiOpt) optimizations.push(qbiOpt);
 
     // 2. Guaranteed Payments Warning
@@ -62,7 +55,7 @@ export function analyzeK1Optimizations(form) {
     if (seTaxOpt) optimizations.push(seTaxOpt);
 
     // 5. K-1 Basis Tracking
-    const basisOpt = analyzeK1Basis(form, k1Data);
+    const basisOpt = analyzeK1Basis(form, k1Data, currentTax);
     if (basisOpt) optimizations.push(basisOpt);
 
     // 6. Section 199A Pass-Through
@@ -74,55 +67,50 @@ export function analyzeK1Optimizations(form) {
 
 /**
  * Analyze QBI Deduction eligibility for K-1 income
+ *
+ * Uses the K-1 businesses on the engine's Form 8995-A (qbiDetails), so Box 20
+ * Code Z wages/UBIA, SSTB status, aggregation groups and the basis / at-risk
+ * limits are all honored.
  */
-function analyzeK1QBI(form, qualifiedIncome, guaranteedPayments, taxableIncome, filingStatus) {
+function analyzeK1QBI(form, currentTax) {
+    const k1Details = currentTax.scheduleK1Details;
+    if (!k1Details) return null;
+
+    const qualifiedIncome = k1Details.k1s.reduce((sum, k1) => sum + k1.ordinaryIncome, 0);
+    const guaranteedPayments = k1Details.k1s.reduce((sum, k1) => sum + k1.guaranteedPayments, 0);
     if (qualifiedIncome <= 0) return null;
 
     const authority = formatAuthorityForDisplay('qbiDeduction');
-    const threshold = filingStatus === 'married' ? QBI_THRESHOLDS_2025.married : QBI_THRESHOLDS_2025.single;
 
-    // QBI = 20% of qualified business income (excluding guaranteed payments)
     // Guaranteed payments are NOT eligible for QBI deduction
-    const eligibleQBI = qualifiedIncome; // K-1 ordinary income is generally eligible
-    const potentialQBI = eligibleQBI * 0.20;
-
-    // Check for phase-out
-    let qbiDeduction = potentialQBI;
-    let phaseOutWarning = null;
-
-    if (taxableIncome > threshold.start) {
-        if (taxableIncome >= threshold.end) {
-            // Check for SSTB
-            const isSSTB = form.isSpecifiedServiceBusiness || form.isSSTB;
-            if (isSSTB) {
-                qbiDeduction = 0;
-                phaseOutWarning = 'SSTB income: QBI deduction fully phased out';
-            } else {
-                // W-2 wages/capital limitation applies
-                const w2Wages = parseFloat(form.k1W2Wages) || 0;
-                const ubia = parseFloat(form.k1UBIA) || 0; // Unadjusted Basis Immediately After Acquisition
-
-                const wageLimit = w2Wages * 0.50;
-                const wageCapitalLimit = (w2Wages * 0.25) + (ubia * 0.025);
-                const limitation = Math.max(wageLimit, wageCapitalLimit);
-
-                qbiDeduction = Math.min(potentialQBI, limitation);
-                phaseOutWarning = 'W-2 wages/UBIA limitations apply above threshold';
-            }
-        } else {
-            // Partial phase-out
-            const phaseOutPercent = (taxableIncome - threshold.start) / (threshold.end - threshold.start);
-            qbiDeduction = potentialQBI * (1 - phaseOutPercent);
-            phaseOutWarning = `Partial phase-out: ${Math.round(phaseOutPercent * 100)}% reduction`;
+    const qbi = currentTax.qbiDetails;
+    const businesses = qbi.businesses.filter(b => b.source === 'k1');
+    const k1Component = businesses.reduce((sum, b) => sum + b.component, 0);
+
+    // K-1 share of the deduction after the taxable income limit
+    const qbiDeduction = qbi.qbiComponent > 0 && qbi.beforeIncomeLimit > 0
+        ? qbi.deduction * (k1Component / qbi.beforeIncomeLimit)
+        : 0;
+
+    const limitNotes = businesses.map(business => {
+        if (business.isSSTB && business.applicablePercentage === 0) {
+            return `${business.name}: SSTB income, QBI deduction fully phased out`;
         }
-    }
+        if (business.limitApplied === 'wageLimit') {
+            return `${business.name}: limited to W-2 wages/UBIA amount $${Math.round(business.wageLimit).toLocaleString()}`;
+        }
+        if (business.limitApplied === 'phaseIn') {
+            return `${business.name}: partial phase-in of W-2 wages/UBIA limit (${Math.round(qbi.phaseInPercent * 100)}%)`;
+        }
+        return null;
+    });
 
     if (qbiDeduction > 0) {
         const currentQBI = parseFloat(form.qbiDeduction) || 0;
         const additionalQBI = qbiDeduction - currentQBI;
 
         if (additionalQBI > 100) {
-            const marginalRate = getMarginalRate(taxableIncome);
+            const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
             return {
                 id: 'k1-qbi-deduction',
@@ -134,9 +122,12 @@ function analyzeK1QBI(form, qualifiedIncome, guaranteedPayments, taxableIncome,
                 details: [
                     `K-1 ordinary income: $${qualifiedIncome.toLocaleString()}`,
                     guaranteedPayments > 0 ? `Guaranteed payments (NOT QBI eligible): $${guaranteedPayments.toLocaleString()}` : null,
-                    `Potential QBI deduction: $${Math.round(qbiDeduction).toLocaleString()}`,
+                    `Potential QBI deduction (${qbi.form}): $${Math.round(qbiDeduction).toLocaleString()}`,
                     `Currently claimed: $${currentQBI.toLocaleString()}`,
-                    phaseOutWarning,
+                    ...limitNotes,
+                    qbi.incomeLimited
+                        ? `Limited to 20% of taxable income less net capital gain: $${Math.round(qbi.incomeLimit).toLocaleString()}`
+                        : null,
                 ].filter(Boolean),
                 benefits: [
                     'Reduces taxable income by up to 20% of qualified business income',
@@ -151,7 +142,7 @@ function analyzeK1QBI(form, qualifiedIncome, guaranteedPayments, taxableIncome,
                 ],
                 authority: authority,
                 timeline: 'This Return',
-                formImpact: ['Form 8995 or Form 8995-A'],
+                formImpact: [qbi.form],
             };
         }
     }
@@ -256,10 +247,8 @@ function analyzeK1SETax(form, partnershipIncome, guaranteedPayments, k1Data) {
     const seIncome = partnershipIncome + guaranteedPayments;
     if (seIncome <= 0) return null;
 
-    // SE tax = 15.3% on 92.35% of net SE income (up to SS wage base)
-    const ssTaxableIncome = Math.min(seIncome * 0.9235, 176100);
-    const additionalMedicare = Math.max(0, (seIncome * 0.9235 - 176100)) * 0.029;
-    const estimatedSETax = (ssTaxableIncome * 0.153) + additionalMedicare;
+    // SE tax = 15.3% on 92.35% of net SE income; W-2 wages use up the SS wage base first
+    const { tax: estimatedSETax } = calculateSelfEmploymentTax(seIncome, form.taxYear, getScheduleSEWages(form));
 
     return {
         id: 'k1-se-tax-info',
@@ -287,7 +276,38 @@ function analyzeK1SETax(form, partnershipIncome, guaranteedPayments, k1Data) {
 /**
  * Analyze K-1 basis tracking
  */
-function analyzeK1Basis(form, k1Data) {
+function analyzeK1Basis(form, k1Data, currentTax) {
+    // Losses the engine suspended under the basis / at-risk limits
+    const limited = (currentTax.scheduleK1Details?.k1s || [])
+        .filter(k1 => k1.carryforward.priorYearSuspendedLoss > 0);
+
+    if (limited.length > 0) {
+        return {
+            id: 'k1-basis-limitation',
+            name: 'K-1 Loss Limitation - Insufficient Basis',
+            category: CATEGORY.SELF_EMPLOYMENT,
+            potentialSavings: 0,
+            difficulty: DIFFICULTY.MEDIUM,
+            description: 'Your K-1 loss is limited by your basis or amount at risk in the partnership/S-Corp.',
+            details: limited.flatMap(k1 => [
+                `${k1.name} losses and deductions: $${Math.round(k1.limits.total).toLocaleString()}`,
+                `Basis available: $${Math.round(k1.limits.basisAvailable).toLocaleString()}`,
+                `Suspended loss: $${Math.round(k1.carryforward.priorYearSuspendedLoss).toLocaleString()}` +
+                    (k1.limits.suspendedByAtRisk > 0 ? ` ($${Math.round(k1.limits.suspendedByAtRisk).toLocaleString()} by the at-risk rules)` : ''),
+            ]),
+            strategy: [
+                'Losses exceeding basis are suspended until you have sufficient basis',
+                'Consider contributing capital to increase basis',
+                'For S-Corps, shareholder loans can increase basis',
+                'Track basis annually to ensure proper loss deductions',
+            ],
+            authority: formatAuthorityForDisplay('k1LossLimitations'),
+            isInformational: true,
+            timeline: 'This Return',
+            formImpact: ['Form 7203', 'Form 6198'],
+        };
+    }
+
     // Basis tracking is critical for loss limitations
     const currentBasis = parseFloat(k1Data.basis) || parseFloat(form.k1Basis) || 0;
     const k1Loss = parseFloat(k1Data.ordinaryLoss) || 0;
@@ -349,16 +369,3 @@ function analyzeSection199ADetails(form, k1Data) {
         timeline: 'This Return',
     };
 }
-
-/**
- * Calculate marginal rate
- */
-function getMarginalRate(taxableIncome) {
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
@@ -9,6 +9,8 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { calculateSpecialAllowance } from '../calculations/calculatePassiveActivityLoss.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
 // REP status requirements
@@ -88,7 +90,7 @@ function analyzeREPStatus(form, realEstateHours, otherWorkHours, netRentalLoss)
 
     const lossAmount = Math.abs(netRentalLoss);
     const currentTax = calculateTotalTax(form);
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
     if (qualifiesForREP) {
         return {
@@ -175,46 +177,44 @@ function analyzeREPStatus(form, realEstateHours, otherWorkHours, netRentalLoss)
 }
 
 /**
- * Analyze passive loss limitation
+ * Analyze passive loss limitation (unallowed losses from the engine's Form 8582)
  */
 function analyzePassiveLossLimitation(form, netRentalIncome) {
-    if (netRentalIncome >= 0) return null; // No losses
-
-    const lossAmount = Math.abs(netRentalIncome);
     const currentTax = calculateTotalTax(form);
-    const agi = currentTax.agi;
+    const passive = currentTax.passiveLossDetails;
 
-    // Check if losses are being limited
+    // Prior-year losses still waiting, or this year's losses Form 8582 didn't allow
     const suspendedLosses = parseFloat(form.suspendedPassiveLosses) || 0;
+    const unallowedLosses = passive ? passive.unallowedLosses : 0;
+    if (suspendedLosses <= 0 && unallowedLosses <= 0) return null;
 
-    if (suspendedLosses > 0) {
-        return {
-            id: 'rep-suspended-losses',
-            name: 'Suspended Passive Losses Available',
-            category: CATEGORY.DEDUCTIONS,
-            potentialSavings: 0, // Info only
-            difficulty: DIFFICULTY.MEDIUM,
-            description: 'You have passive losses suspended from prior years.',
-            details: [
-                `Suspended losses: $${suspendedLosses.toLocaleString()}`,
-                `Current year loss: $${lossAmount.toLocaleString()}`,
-                'Losses released when property sold in taxable disposition',
-            ],
-            releaseOptions: [
-                'Qualify as Real Estate Professional (immediate release)',
-                'Sell property in fully taxable sale (losses released)',
-                'Generate passive income to offset (e.g., K-1)',
-                'Installment sale: Losses released proportionally',
-            ],
-            authority: {
-                citation: 'IRC §469(g) • Publication 925',
-            },
-            isInformational: true,
-            timeline: 'Future Planning',
-        };
-    }
-
-    return null;
+    return {
+        id: 'rep-suspended-losses',
+        name: 'Suspended Passive Losses Available',
+        category: CATEGORY.DEDUCTIONS,
+        potentialSavings: 0, // Info only
+        difficulty: DIFFICULTY.MEDIUM,
+        description: 'You have passive losses that can\'t be deducted this year.',
+        details: [
+            `Prior-year unallowed losses: $${suspendedLosses.toLocaleString()}`,
+            netRentalIncome < 0 ? `Current year loss: $${Math.abs(netRentalIncome).toLocaleString()}` : null,
+            passive ? `Losses allowed this year (Form 8582): $${Math.round(passive.allowedLosses).toLocaleString()}` : null,
+            `Carried forward to next year: $${Math.round(unallowedLosses).toLocaleString()}`,
+            'Losses released when property sold in taxable disposition',
+        ].filter(Boolean),
+        releaseOptions: [
+            'Qualify as Real Estate Professional (immediate release)',
+            'Sell property in fully taxable sale (losses released)',
+            'Generate passive income to offset (e.g., K-1)',
+            'Installment sale: Losses released proportionally',
+        ],
+        authority: {
+            citation: 'IRC §469(b), §469(g) • Form 8582 • Publication 925',
+        },
+        isInformational: true,
+        timeline: 'Future Planning',
+        formImpact: ['Form 8582'],
+    };
 }
 
 /**
@@ -317,24 +317,23 @@ function analyzeActiveParticipation(form, netRentalLoss) {
 
     const lossAmount = Math.abs(netRentalLoss);
     const currentTax = calculateTotalTax(form);
-    const agi = currentTax.agi;
-    const marginalRate = getMarginalRate(currentTax.taxableIncome);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
 
-    // $25k exception phases out from $100k to $150k AGI
-    const phaseOutStart = 100000;
-    const phaseOutEnd = 150000;
+    // $25k exception phases out from $100k to $150k of Form 8582 MAGI
+    const magi = currentTax.passiveLossDetails ? currentTax.passiveLossDetails.magi : currentTax.agi;
+    const special = calculateSpecialAllowance(magi, form.filingStatus, !!form.livedWithSpouse);
 
-    if (agi >= phaseOutEnd) {
+    if (special.available <= 0) {
         return {
             id: 'rep-active-participation-phased-out',
             name: '$25,000 Rental Loss Exception - Phased Out',
             category: CATEGORY.DEDUCTIONS,
             potentialSavings: 0,
             difficulty: DIFFICULTY.HARD,
-            description: 'Your AGI exceeds $150,000 - the $25k exception does not apply.',
+            description: `Your modified AGI exceeds $${special.phaseOutEnd.toLocaleString()} - the $25k exception does not apply.`,
             details: [
-                `Your AGI: $${agi.toLocaleString()}`,
-                `Phase-out complete at: $150,000`,
+                `Your modified AGI: $${Math.round(magi).toLocaleString()}`,
+                `Phase-out complete at: $${special.phaseOutEnd.toLocaleString()}`,
                 `Rental loss: $${lossAmount.toLocaleString()}`,
                 'Loss is suspended until property sold or you have passive income',
             ],
@@ -351,12 +350,7 @@ function analyzeActiveParticipation(form, netRentalLoss) {
         };
     }
 
-    let allowableDeduction = 25000;
-    if (agi > phaseOutStart) {
-        const reduction = (agi - phaseOutStart) * 0.5;
-        allowableDeduction = Math.max(0, 25000 - reduction);
-    }
-
+    const allowableDeduction = special.available;
     const actualDeduction = Math.min(lossAmount, allowableDeduction);
     const taxSavings = actualDeduction * marginalRate;
 
@@ -368,7 +362,7 @@ function analyzeActiveParticipation(form, netRentalLoss) {
         difficulty: DIFFICULTY.EASY,
         description: 'Deduct up to $25,000 in rental losses against non-passive income.',
         details: [
-            `Your AGI: $${agi.toLocaleString()}`,
+            `Your modified AGI: $${Math.round(magi).toLocaleString()}`,
             `Maximum exception: $${allowableDeduction.toLocaleString()}`,
             `Your rental loss: $${lossAmount.toLocaleString()}`,
             `Deductible amount: $${actualDeduction.toLocaleString()}`,
@@ -391,16 +385,3 @@ function analyzeActiveParticipation(form, netRentalLoss) {
         timeline: 'This Return',
     };
 }
-
-/**
- * Helper: Get marginal rate
- */
-function getMarginalRate(taxableIncome) {
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
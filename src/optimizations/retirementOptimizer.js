@@ -4,82 +4,64 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getTaxParameters } from '../calculations/taxYearParameters.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 Contribution Limits
-const LIMITS_2025 = {
-    traditional401k: 23500,
-    catchUp401k50Plus: 7500,  // Age 50-59 and 64+
-    catchUp401k60to63: 11250, // Super catch-up for 60-63
-    traditionalIRA: 7000,
-    catchUpIRA: 1000,
-    hsa: {
-        self: 4300,
-        family: 8550,
-        catchUp55Plus: 1000,
-    },
-    sepIRA: 69000,
-    solo401k: {
-        employeeMax: 23500,
-        totalMax: 69000, // Including employer contributions
-    },
-    saversCreditAGI: {
-        single: 38250,
-        married: 76500,
-        hoh: 57375,
-    },
-};
-
 /**
  * Analyze all retirement optimization opportunities
  */
 export function analyzeRetirementOptimizations(form) {
     const optimizations = [];
 
+    // The return as filed, and the rate on its last dollars
+    const currentTax = calculateTotalTax(form);
+    const marginalRate = getMarginalRate(form, { baseline: currentTax });
+
     // 401(k) contribution analysis
-    const k401Opt = analyze401kContribution(form);
+    const k401Opt = analyze401kContribution(form, marginalRate);
     if (k401Opt) {
         optimizations.push(k401Opt);
     }
 
     // Traditional IRA deduction
-    const iraOpt = analyzeTraditionalIRA(form);
+    const iraOpt = analyzeTraditionalIRA(form, currentTax, marginalRate);
     if (iraOpt) {
         optimizations.push(iraOpt);
     }
 
     // HSA contribution
-    const hsaOpt = analyzeHSAContribution(form);
+    const hsaOpt = analyzeHSAContribution(form, marginalRate);
     if (hsaOpt) {
         optimizations.push(hsaOpt);
     }
 
     // Spousal IRA
-    const spousalOpt = analyzeSpousalIRA(form);
+    const spousalOpt = analyzeSpousalIRA(form, marginalRate);
     if (spousalOpt) {
         optimizations.push(spousalOpt);
     }
 
     // Retirement Saver's Credit
-    const saversOpt = analyzeSaversCredit(form);
+    const saversOpt = analyzeSaversCredit(form, currentTax);
     if (saversOpt) {
         optimizations.push(saversOpt);
     }
 
     // SEP-IRA for self-employed
-    const sepOpt = analyzeSEPIRA(form);
+    const sepOpt = analyzeSEPIRA(form, marginalRate);
     if (sepOpt) {
         optimizations.push(sepOpt);
     }
 
     // Backdoor Roth opportunity
-    const backdoorOpt = analyzeBackdoorRoth(form);
+    const backdoorOpt = analyzeBackdoorRoth(form, currentTax);
     if (backdoorOpt) {
         optimizations.push(backdoorOpt);
     }
 
     // Roth conversion opportunity
-    const conversionOpt = analyzeRothConversion(form);
+    const conversionOpt = analyzeRothConversion(form, currentTax);
     if (conversionOpt) {
         optimizations.push(conversionOpt);
     }
@@ -90,7 +72,9 @@ export function analyzeRetirementOptimizations(form) {
 /**
  * Analyze 401(k) contribution opportunity
  */
-function analyze401kContribution(form) {
+function analyze401kContribution(form, marginalRate) {
+    const { taxYear, contributionLimits: limits } = getTaxParameters(form.taxYear);
+
     // Estimate current 401k from wages (assuming typical contribution rate)
     const wages = parseFloat(form.totalWages) || 0;
     const current401k = parseFloat(form.retirement401k) || 0;
@@ -100,12 +84,12 @@ function analyze401kContribution(form) {
 
     // Determine age and max contribution
     const age = calculateAge(form.birthDate);
-    let maxContribution = LIMITS_2025.traditional401k;
+    let maxContribution = limits.traditional401k;
 
     if (age >= 60 && age <= 63) {
-        maxContribution += LIMITS_2025.catchUp401k60to63;
+        maxContribution += limits.catchUp401k60to63;
     } else if (age >= 50) {
-        maxContribution += LIMITS_2025.catchUp401k50Plus;
+        maxContribution += limits.catchUp401k50Plus;
     }
 
     // If they haven't entered 401k contributions, estimate or prompt
@@ -113,7 +97,7 @@ function analyze401kContribution(form) {
 
     if (estimated401k < maxContribution) {
         const additionalContribution = maxContribution - estimated401k;
-        const savings = additionalContribution * getMarginalRate(form);
+        const savings = additionalContribution * marginalRate;
 
         // Check if they can afford more (rough check: contribution < 50% of wages)
         const maxAffordable = wages * 0.50;
@@ -124,7 +108,7 @@ function analyze401kContribution(form) {
             category: CATEGORY.RETIREMENT,
             potentialSavings: Math.round(savings),
             difficulty: DIFFICULTY.EASY,
-            description: `You can contribute up to $${maxContribution.toLocaleString()} to your 401(k) in 2025.`,
+            description: `You can contribute up to $${maxContribution.toLocaleString()} to your 401(k) in ${taxYear}.`,
             details: [
                 `Current/estimated contribution: $${estimated401k.toLocaleString()}`,
                 `Maximum allowed: $${maxContribution.toLocaleString()}`,
@@ -151,15 +135,16 @@ function analyze401kContribution(form) {
 /**
  * Analyze Traditional IRA deduction opportunity
  */
-function analyzeTraditionalIRA(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeTraditionalIRA(form, currentTax, marginalRate) {
+    const limits = getTaxParameters(form.taxYear).contributionLimits;
+
     const agi = currentTax.agi;
     const wages = parseFloat(form.totalWages) || 0;
     const filingStatus = form.filingStatus || 'single';
     const currentIRADeduction = parseFloat(form.iraDeduction) || 0;
 
     const age = calculateAge(form.birthDate);
-    const maxContribution = LIMITS_2025.traditionalIRA + (age >= 50 ? LIMITS_2025.catchUpIRA : 0);
+    const maxContribution = limits.traditionalIRA + (age >= 50 ? limits.catchUpIRA : 0);
 
     // Check if they have earned income
     if (wages <= 0 && !form.hasScheduleC) return null;
@@ -170,7 +155,7 @@ function analyzeTraditionalIRA(form) {
     // Phase-out limits depend on whether covered by workplace plan
     // For simplicity, assume not covered (full deduction available)
     const additionalContribution = maxContribution - currentIRADeduction;
-    const savings = additionalContribution * getMarginalRate(form);
+    const savings = additionalContribution * marginalRate;
 
     return {
         id: 'retirement-ira',
@@ -198,14 +183,16 @@ function analyzeTraditionalIRA(form) {
 /**
  * Analyze HSA contribution opportunity
  */
-function analyzeHSAContribution(form) {
+function analyzeHSAContribution(form, marginalRate) {
+    const limits = getTaxParameters(form.taxYear).contributionLimits;
+
     const currentHSA = parseFloat(form.hsaDeduction) || 0;
     const hsaCoverage = form.hsaCoverage || 'self'; // 'self' or 'family'
     const age = calculateAge(form.birthDate);
 
-    let maxHSA = hsaCoverage === 'family' ? LIMITS_2025.hsa.family : LIMITS_2025.hsa.self;
+    let maxHSA = hsaCoverage === 'family' ? limits.hsa.family : limits.hsa.self;
     if (age >= 55) {
-        maxHSA += LIMITS_2025.hsa.catchUp55Plus;
+        maxHSA += limits.hsa.catchUp55Plus;
     }
 
     // Check if they have HDHP (required for HSA)
@@ -213,7 +200,7 @@ function analyzeHSAContribution(form) {
 
     if (currentHSA < maxHSA && hasHDHP) {
         const additionalContribution = maxHSA - currentHSA;
-        const savings = additionalContribution * getMarginalRate(form);
+        const savings = additionalContribution * marginalRate;
 
         return {
             id: 'retirement-hsa',
@@ -250,7 +237,9 @@ function analyzeHSAContribution(form) {
 /**
  * Analyze Spousal IRA opportunity
  */
-function analyzeSpousalIRA(form) {
+function analyzeSpousalIRA(form, marginalRate) {
+    const limits = getTaxParameters(form.taxYear).contributionLimits;
+
     const filingStatus = form.filingStatus;
 
     // Only for married couples
@@ -263,8 +252,8 @@ function analyzeSpousalIRA(form) {
     // Assume spouse has no income (would need spouse income field)
     // For now, provide informational recommendation
     const age = calculateAge(form.spouseBirthDate || form.birthDate);
-    const maxContribution = LIMITS_2025.traditionalIRA + (age >= 50 ? LIMITS_2025.catchUpIRA : 0);
-    const savings = maxContribution * getMarginalRate(form);
+    const maxContribution = limits.traditionalIRA + (age >= 50 ? limits.catchUpIRA : 0);
+    const savings = maxContribution * marginalRate;
 
     return {
         id: 'retirement-spousal-ira',
@@ -290,23 +279,15 @@ function analyzeSpousalIRA(form) {
 /**
  * Analyze Retirement Saver's Credit opportunity
  */
-function analyzeSaversCredit(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeSaversCredit(form, currentTax) {
     const agi = currentTax.agi;
     const filingStatus = form.filingStatus || 'single';
 
-    let agiLimit;
-    switch (filingStatus) {
-        case 'married':
-        case 'widow':
-            agiLimit = LIMITS_2025.saversCreditAGI.married;
-            break;
-        case 'head':
-            agiLimit = LIMITS_2025.saversCreditAGI.hoh;
-            break;
-        default:
-            agiLimit = LIMITS_2025.saversCreditAGI.single;
-    }
+    // Form 8880 AGI limits for the 50%, 20% and 10% rates
+    const { saversCredit } = getTaxParameters(form.taxYear);
+    const [fiftyPercentLimit, twentyPercentLimit, agiLimit] = filingStatus === 'married'
+        ? saversCredit.married
+        : filingStatus === 'head' ? saversCredit.head : saversCredit.single;
 
     // Skip if AGI too high
     if (agi > agiLimit) return null;
@@ -322,15 +303,9 @@ function analyzeSaversCredit(form) {
 
     // Determine credit rate based on AGI
     let creditRate;
-    const thresholds = filingStatus === 'married'
-        ? { high: 46000, mid: 50000 }
-        : filingStatus === 'head'
-            ? { high: 34500, mid: 37500 }
-            : { high: 23000, mid: 25000 };
-
-    if (agi <= thresholds.high) {
+    if (agi <= fiftyPercentLimit) {
         creditRate = 0.50;
-    } else if (agi <= thresholds.mid) {
+    } else if (agi <= twentyPercentLimit) {
         creditRate = 0.20;
     } else {
         creditRate = 0.10;
@@ -367,7 +342,9 @@ function analyzeSaversCredit(form) {
 /**
  * Analyze SEP-IRA for self-employed
  */
-function analyzeSEPIRA(form) {
+function analyzeSEPIRA(form, marginalRate) {
+    const limits = getTaxParameters(form.taxYear).contributionLimits;
+
     if (!form.hasScheduleC) return null;
 
     const scheduleC = form.scheduleC || {};
@@ -387,13 +364,13 @@ function analyzeSEPIRA(form) {
     // SEP-IRA limit: 25% of net self-employment income (after SE tax deduction)
     const seDeduction = netProfit * 0.9235 * 0.153 * 0.5; // Rough SE tax deduction
     const netForSEP = netProfit - seDeduction;
-    const maxSEP = Math.min(netForSEP * 0.25, LIMITS_2025.sepIRA);
+    const maxSEP = Math.min(netForSEP * 0.25, limits.sepIRA);
 
     const currentSEP = parseFloat(form.selfEmployedSEPSimple) || 0;
 
     if (currentSEP < maxSEP) {
         const additionalContribution = maxSEP - currentSEP;
-        const savings = additionalContribution * getMarginalRate(form);
+        const savings = additionalContribution * marginalRate;
 
         return {
             id: 'retirement-sep-ira',
@@ -424,8 +401,9 @@ function analyzeSEPIRA(form) {
 /**
  * Analyze Backdoor Roth opportunity
  */
-function analyzeBackdoorRoth(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeBackdoorRoth(form, currentTax) {
+    const limits = getTaxParameters(form.taxYear).contributionLimits;
+
     const agi = currentTax.agi;
     const filingStatus = form.filingStatus || 'single';
 
@@ -437,12 +415,12 @@ function analyzeBackdoorRoth(form) {
         head: { start: 150000, end: 165000 },
     };
 
-    const limits = rothLimits[filingStatus] || rothLimits.single;
+    const rothLimit = rothLimits[filingStatus] || rothLimits.single;
 
     // Only suggest if income exceeds Roth limit
-    if (agi < limits.end) return null;
+    if (agi < rothLimit.end) return null;
 
-    const maxIRA = LIMITS_2025.traditionalIRA + (calculateAge(form.birthDate) >= 50 ? LIMITS_2025.catchUpIRA : 0);
+    const maxIRA = limits.traditionalIRA + (calculateAge(form.birthDate) >= 50 ? limits.catchUpIRA : 0);
 
     return {
         id: 'retirement-backdoor-roth',
@@ -453,7 +431,7 @@ function analyzeBackdoorRoth(form) {
         description: 'Your income exceeds Roth IRA limits. Consider the "Backdoor Roth" strategy.',
         details: [
             `Your AGI: $${agi.toLocaleString()}`,
-            `Roth IRA income limit: $${limits.end.toLocaleString()}`,
+            `Roth IRA income limit: $${rothLimit.end.toLocaleString()}`,
             `Maximum contribution: $${maxIRA.toLocaleString()}/year`,
         ],
         strategy: [
@@ -479,8 +457,7 @@ function analyzeBackdoorRoth(form) {
 /**
  * Analyze Roth conversion opportunity
  */
-function analyzeRothConversion(form) {
-    const currentTax = calculateTotalTax(form);
+function analyzeRothConversion(form, currentTax) {
     const taxableIncome = currentTax.taxableIncome;
     const filingStatus = form.filingStatus || 'single';
 
@@ -489,42 +466,54 @@ function analyzeRothConversion(form) {
 
     // Look for low-income years (opportunity to convert at lower rates)
     // Check if there's room in current bracket
-    const brackets = {
-        single: [
-            { limit: 11925, rate: 0.10 },
-            { limit: 48475, rate: 0.12 },
-            { limit: 103350, rate: 0.22 },
-            { limit: 197300, rate: 0.24 },
-        ],
-        married: [
-            { limit: 23850, rate: 0.10 },
-            { limit: 96950, rate: 0.12 },
-            { limit: 206700, rate: 0.22 },
-            { limit: 394600, rate: 0.24 },
-        ],
-    };
-
-    const bracketList = brackets[filingStatus] || brackets.single;
+    // Bracket tops through the 24% bracket for the return's tax year
+    const { brackets } = getTaxParameters(form.taxYear);
+    const statusBrackets = brackets[filingStatus] || brackets.single;
+    const bracketList = statusBrackets.slice(0, 4).map(([, rate], i) => ({
+        limit: statusBrackets[i + 1][0],
+        rate,
+    }));
+
+    // Social Security "tax torpedo": each converted dollar can also make
+    // $0.50-$0.85 of benefits taxable, filling the bracket faster
+    const ssInclusion = currentTax.socialSecurityDetails?.marginalInclusionRate || 0;
 
     // Find current bracket and room to top
-    for (let i = 0; i < bracketList.length - 1; i++) {
-        if (taxableIncome < bracketList[i + 1].limit) {
-            const roomInBracket = bracketList[i + 1].limit - taxableIncome;
+    for (let i = 0; i < bracketList.length; i++) {
+        if (taxableIncome < bracketList[i].limit) {
+            const roomInBracket = bracketList[i].limit - taxableIncome;
+            const conversionRoom = Math.round(roomInBracket / (1 + ssInclusion));
+
+            if (conversionRoom > 5000) {
+                const effectiveRate = bracketList[i].rate * (1 + ssInclusion);
+                const subsidy = premiumTaxCreditEffect(
+                    form, currentTax, { ...form, taxableIra: iraDistributions + conversionRoom }, conversionRoom
+                );
 
-            if (roomInBracket > 5000) {
                 return {
                     id: 'retirement-roth-conversion',
                     name: 'Roth Conversion Opportunity',
                     category: CATEGORY.RETIREMENT,
                     potentialSavings: 0, // Long-term benefit
                     difficulty: DIFFICULTY.MEDIUM,
-                    description: `You have room in the ${bracketList[i].rate * 100}% bracket for Roth conversion.`,
+                    description: subsidy
+                        ? `You have room in the ${bracketList[i].rate * 100}% bracket for Roth conversion, but lost marketplace subsidies raise the effective marginal rate to ${(subsidy.effectiveRate * 100).toFixed(1)}%.`
+                        : ssInclusion > 0
+                            ? `You have room in the ${bracketList[i].rate * 100}% bracket for Roth conversion, but Social Security taxation raises the effective rate to ${(effectiveRate * 100).toFixed(1)}%.`
+                            : `You have room in the ${bracketList[i].rate * 100}% bracket for Roth conversion.`,
                     details: [
                         `Current taxable income: $${taxableIncome.toLocaleString()}`,
                         `Current bracket: ${bracketList[i].rate * 100}%`,
                         `Room before next bracket: $${roomInBracket.toLocaleString()}`,
+                        ssInclusion > 0
+                            ? `Tax torpedo: each $1 converted makes $${ssInclusion.toFixed(2)} more of Social Security taxable (convert about $${conversionRoom.toLocaleString()} to fill the bracket)`
+                            : '',
+                        subsidy
+                            ? `Premium tax credit: converting $${conversionRoom.toLocaleString()} costs $${Math.round(subsidy.subsidyLoss).toLocaleString()} of marketplace subsidy ` +
+                                `(household income ${subsidy.fplPercentBefore}% → ${subsidy.fplPercentAfter}% of FPL)`
+                            : '',
                         'Convert Traditional IRA to Roth while in lower bracket',
-                    ],
+                    ].filter(Boolean),
                     benefits: [
                         'Lock in current (potentially lower) tax rate',
                         'Tax-free growth going forward',
@@ -542,6 +531,29 @@ function analyzeRothConversion(form) {
     return null;
 }
 
+/**
+ * Helper: Premium tax credit lost to extra income (Form 8962)
+ *
+ * Returns null without marketplace coverage or when the subsidy doesn't
+ * change; otherwise the subsidy loss and the effective marginal rate on the
+ * extra income (all federal tax, including the subsidy loss).
+ */
+function premiumTaxCreditEffect(form, currentTax, trialForm, extraIncome) {
+    if (!form.form1095A?.length) return null;
+
+    const after = calculateTotalTax(trialForm);
+    const netSubsidy = (result) => result.netPremiumTaxCredit - result.excessAdvancePremiumTaxCredit;
+    const subsidyLoss = netSubsidy(currentTax) - netSubsidy(after);
+    if (subsidyLoss <= 0 || extraIncome <= 0) return null;
+
+    return {
+        subsidyLoss,
+        effectiveRate: (after.finalTax - currentTax.finalTax) / extraIncome,
+        fplPercentBefore: currentTax.premiumTaxCreditDetails.fplPercent,
+        fplPercentAfter: after.premiumTaxCreditDetails.fplPercent,
+    };
+}
+
 /**
  * Helper: Calculate age from birth date
  */
@@ -559,19 +571,3 @@ function calculateAge(birthDate) {
 
     return age;
 }
-
-/**
- * Helper: Estimate marginal tax rate
- */
-function getMarginalRate(form) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
@@ -1,18 +1,18 @@
 /**
  * Self-Employment Optimizer
- * Analyzes QBI deduction, S-Corp election, home office, and SE tax strategies
+ * Analyzes QBI deduction, S-Corp election, home office, SE tax strategies and estimated tax payments
  */
 
-import { calculateTotalTax, calculateSelfEmploymentTax } from '../calculations/calculateTax.js';
+import { calculateTotalTax, calculateSelfEmploymentTax, getScheduleSEWages } from '../calculations/calculateTax.js';
+import { getTaxParameters } from '../calculations/taxYearParameters.js';
+import { getMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
-// 2025 Self-Employment Limits
-const SE_LIMITS_2025 = {
-    section179: 1220000,
-    bonusDepreciation: 1.0, // 100% restored in 2025
-    homeOfficeSafeHarbor: 1500, // $5/sq ft, max 300 sq ft
-    mileageRate: 0.70, // $0.70/mile for 2025
-};
+// Simplified home office deduction, Rev. Proc. 2013-13 ($5/sq ft, max 300 sq ft; not indexed)
+const HOME_OFFICE_SAFE_HARBOR = 1500;
+
+// Business expenses come off Schedule C, so they also reduce SE tax
+const SCHEDULE_C = { income: 'selfEmployment' };
 
 /**
  * Analyze all self-employment optimization opportunities
@@ -35,8 +35,15 @@ export function analyzeSelfEmploymentOptimizations(form) {
 
     if (netProfit <= 0) return [];
 
+    // The return as filed, and the rates on its last dollars
+    const currentTax = calculateTotalTax(form);
+    const rates = {
+        ordinary: getMarginalRate(form, { baseline: currentTax }),
+        scheduleC: getMarginalRate(form, { ...SCHEDULE_C, baseline: currentTax }),
+    };
+
     // QBI Deduction (20%)
-    const qbiOpt = analyzeQBIDeduction(form, netProfit);
+    const qbiOpt = analyzeQBIDeduction(form, netProfit, currentTax, rates);
     if (qbiOpt) {
         optimizations.push(qbiOpt);
     }
@@ -48,106 +55,101 @@ export function analyzeSelfEmploymentOptimizations(form) {
     }
 
     // Home Office Deduction
-    const homeOfficeOpt = analyzeHomeOffice(form, netProfit);
+    const homeOfficeOpt = analyzeHomeOffice(form, netProfit, rates);
     if (homeOfficeOpt) {
         optimizations.push(homeOfficeOpt);
     }
 
     // Self-Employed Health Insurance
-    const healthInsOpt = analyzeSEHealthInsurance(form);
+    const healthInsOpt = analyzeSEHealthInsurance(form, rates);
     if (healthInsOpt) {
         optimizations.push(healthInsOpt);
     }
 
     // Business Vehicle Deduction
-    const vehicleOpt = analyzeBusinessVehicle(form);
+    const vehicleOpt = analyzeBusinessVehicle(form, rates);
     if (vehicleOpt) {
         optimizations.push(vehicleOpt);
     }
 
     // Section 179 / Bonus Depreciation
-    const depreciationOpt = analyzeDepreciation(form);
+    const depreciationOpt = analyzeDepreciation(form, rates);
     if (depreciationOpt) {
         optimizations.push(depreciationOpt);
     }
 
     // SE Tax Deduction check
-    const seTaxOpt = analyzeSETaxDeduction(form, netProfit);
+    const seTaxOpt = analyzeSETaxDeduction(form, netProfit, rates);
     if (seTaxOpt) {
         optimizations.push(seTaxOpt);
     }
 
+    // Estimated tax payments (Form 2210)
+    const estimatedTaxOpt = analyzeEstimatedTaxPayments(form, currentTax);
+    if (estimatedTaxOpt) {
+        optimizations.push(estimatedTaxOpt);
+    }
+
     return optimizations;
 }
 
 /**
  * Analyze QBI (Qualified Business Income) Deduction
+ *
+ * Uses the Form 8995-A result from calculateTotalTax (qbiDetails), so wage /
+ * UBIA limits, the SSTB phase-in and the taxable income limit all apply.
  */
-function analyzeQBIDeduction(form, netProfit) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-    const filingStatus = form.filingStatus || 'single';
-
-    // QBI is generally 20% of qualified business income
-    // Limited to lesser of: 20% of QBI or 20% of (taxable income - net cap gains)
-    const potentialQBI = netProfit * 0.20;
-
-    // Phase-out thresholds for 2025
-    const thresholds = {
-        single: { start: 191950, end: 241950 },
-        married: { start: 383900, end: 483900 },
-    };
-
-    const threshold = filingStatus === 'married'
-        ? thresholds.married
-        : thresholds.single;
-
-    let qbiDeduction = potentialQBI;
-
-    // Check if QBI is being claimed
+function analyzeQBIDeduction(form, netProfit, currentTax, rates) {
+    const qbi = currentTax.qbiDetails;
+    const business = qbi.businesses.find(b => b.source === 'scheduleC');
+    if (!business) return null;
+
+    // Schedule C share of the deduction after the taxable income limit,
+    // compared with what was claimed
+    const qbiDeduction = qbi.qbiComponent > 0 && qbi.beforeIncomeLimit > 0
+        ? qbi.deduction * (business.component / qbi.beforeIncomeLimit)
+        : 0;
     const currentQBI = parseFloat(form.qbiDeduction) || 0;
-
-    if (currentQBI < qbiDeduction && taxableIncome < threshold.end) {
-        // Check if limited by taxable income
-        const taxableIncomeLimit = (taxableIncome - (currentTax.totalQualifiedIncome || 0)) * 0.20;
-        qbiDeduction = Math.min(qbiDeduction, taxableIncomeLimit);
-
-        const additionalQBI = qbiDeduction - currentQBI;
-
-        if (additionalQBI > 0) {
-            const savings = additionalQBI * getMarginalRate(form);
-
-            return {
-                id: 'se-qbi-deduction',
-                name: 'Claim Qualified Business Income (QBI) Deduction',
-                category: CATEGORY.SELF_EMPLOYMENT,
-                potentialSavings: Math.round(savings),
-                difficulty: DIFFICULTY.EASY,
-                description: 'Deduct up to 20% of your qualified business income.',
-                details: [
-                    `Net business income: $${netProfit.toLocaleString()}`,
-                    `Potential QBI deduction: $${qbiDeduction.toLocaleString()}`,
-                    `Currently claimed: $${currentQBI.toLocaleString()}`,
-                    taxableIncome > threshold.start
-                        ? `Note: Phase-out may apply (income > $${threshold.start.toLocaleString()})`
-                        : '',
-                ].filter(Boolean),
-                benefits: [
-                    'Reduces taxable income by up to 20% of business income',
-                    'Available for pass-through businesses (sole prop, S-corp, partnership)',
-                    'Not subject to self-employment tax',
-                ],
-                limitations: [
-                    'Cannot exceed 20% of taxable income (minus cap gains)',
-                    'Some specified service trades subject to limitations',
-                    'W-2 wage/capital limitations apply at higher incomes',
-                ],
-                timeline: 'This Return',
-            };
-        }
-    }
-
-    return null;
+    const additionalQBI = qbiDeduction - currentQBI;
+
+    if (additionalQBI <= 0) return null;
+
+    const savings = additionalQBI * rates.ordinary;
+
+    return {
+        id: 'se-qbi-deduction',
+        name: 'Claim Qualified Business Income (QBI) Deduction',
+        category: CATEGORY.SELF_EMPLOYMENT,
+        potentialSavings: Math.round(savings),
+        difficulty: DIFFICULTY.EASY,
+        description: 'Deduct up to 20% of your qualified business income.',
+        details: [
+            `Net business income: $${netProfit.toLocaleString()}`,
+            `Qualified business income: $${Math.round(business.netQBI).toLocaleString()} (after SE tax, health insurance and retirement deductions)`,
+            `Potential QBI deduction (${qbi.form}): $${Math.round(qbiDeduction).toLocaleString()}`,
+            `Currently claimed: $${currentQBI.toLocaleString()}`,
+            business.isSSTB && qbi.phaseInPercent > 0
+                ? `Specified service business: ${Math.round(business.applicablePercentage * 100)}% of QBI counts above $${qbi.threshold.toLocaleString()}`
+                : '',
+            business.limitApplied !== 'none'
+                ? `W-2 wage / UBIA limit: $${Math.round(business.wageLimit).toLocaleString()}`
+                : '',
+            qbi.incomeLimited
+                ? `Limited to 20% of taxable income less net capital gain: $${Math.round(qbi.incomeLimit).toLocaleString()}`
+                : '',
+        ].filter(Boolean),
+        benefits: [
+            'Reduces taxable income by up to 20% of business income',
+            'Available for pass-through businesses (sole prop, S-corp, partnership)',
+            'Not subject to self-employment tax',
+        ],
+        limitations: [
+            'Cannot exceed 20% of taxable income (minus cap gains)',
+            'Some specified service trades subject to limitations',
+            'W-2 wage/capital limitations apply at higher incomes',
+        ],
+        timeline: 'This Return',
+    };
 }
 
 /**
@@ -158,7 +160,10 @@ function analyzeSCorpElection(form, netProfit) {
     if (netProfit < 50000) return null;
 
     // Calculate current SE tax
-    const { tax: currentSETax } = calculateSelfEmploymentTax(netProfit);
+    // W-2 wages elsewhere use up the Social Security wage base first
+    const socialSecurityWages = getScheduleSEWages(form);
+    const { tax: currentSETax } = calculateSelfEmploymentTax(netProfit, form.taxYear, socialSecurityWages);
+    const ssWageBase = getTaxParameters(form.taxYear).socialSecurityWageBase;
 
     // Estimate S-Corp savings
     // Reasonable salary: ~60% of profit (for calculation purposes)
@@ -168,8 +173,8 @@ function analyzeSCorpElection(form, netProfit) {
     // S-Corp: SE tax only on salary, not distribution
     // Employee portion: 7.65% (SS + Medicare) on salary
     // Employer portion: 7.65% on salary (but employer portion is deductible)
-    const sCorpEmployeeTax = Math.min(reasonableSalary, 176100) * 0.0765 + reasonableSalary * 0.0145;
-    const sCorpEmployerTax = Math.min(reasonableSalary, 176100) * 0.0765 + reasonableSalary * 0.0145;
+    const sCorpEmployeeTax = Math.min(reasonableSalary, ssWageBase) * 0.0765 + reasonableSalary * 0.0145;
+    const sCorpEmployerTax = Math.min(reasonableSalary, ssWageBase) * 0.0765 + reasonableSalary * 0.0145;
 
     // Total S-Corp payroll tax (employee pays employee portion, company pays employer portion)
     // But we're comparing to SE tax which is both portions paid by individual
@@ -214,7 +219,7 @@ function analyzeSCorpElection(form, netProfit) {
 /**
  * Analyze Home Office Deduction
  */
-function analyzeHomeOffice(form, netProfit) {
+function analyzeHomeOffice(form, netProfit, rates) {
     const currentHomeOffice = parseFloat(form.homeOfficeDeduction) || 0;
 
     // Check if they work from home
@@ -225,12 +230,12 @@ function analyzeHomeOffice(form, netProfit) {
             id: 'se-home-office-prompt',
             name: 'Do You Have a Home Office?',
             category: CATEGORY.SELF_EMPLOYMENT,
-            potentialSavings: Math.round(SE_LIMITS_2025.homeOfficeSafeHarbor * getMarginalRate(form)),
+            potentialSavings: Math.round(HOME_OFFICE_SAFE_HARBOR * rates.scheduleC),
             difficulty: DIFFICULTY.MEDIUM,
             description: 'If you use part of your home regularly and exclusively for business, you may qualify.',
             details: [
                 'Simplified method: $5 per square foot (up to 300 sq ft)',
-                `Maximum simplified deduction: $${SE_LIMITS_2025.homeOfficeSafeHarbor}`,
+                `Maximum simplified deduction: $${HOME_OFFICE_SAFE_HARBOR}`,
                 'Regular method: Actual expenses prorated by space used',
             ],
             requirements: [
@@ -244,8 +249,8 @@ function analyzeHomeOffice(form, netProfit) {
     }
 
     if (worksFromHome && currentHomeOffice === 0) {
-        const estimatedDeduction = SE_LIMITS_2025.homeOfficeSafeHarbor;
-        const savings = estimatedDeduction * getMarginalRate(form);
+        const estimatedDeduction = HOME_OFFICE_SAFE_HARBOR;
+        const savings = estimatedDeduction * rates.scheduleC;
 
         return {
             id: 'se-home-office',
@@ -256,7 +261,7 @@ function analyzeHomeOffice(form, netProfit) {
             description: 'Deduct expenses for the business use of your home.',
             details: [
                 'Simplified method: $5 per square foot (up to 300 sq ft)',
-                `Maximum simplified deduction: $${SE_LIMITS_2025.homeOfficeSafeHarbor}`,
+                `Maximum simplified deduction: $${HOME_OFFICE_SAFE_HARBOR}`,
                 'Alternative: Calculate actual expenses (may be higher)',
             ],
             actualExpensesInclude: [
@@ -274,12 +279,12 @@ function analyzeHomeOffice(form, netProfit) {
 /**
  * Analyze Self-Employed Health Insurance Deduction
  */
-function analyzeSEHealthInsurance(form) {
+function analyzeSEHealthInsurance(form, rates) {
     const currentDeduction = parseFloat(form.selfEmployedHealthInsurance) || 0;
     const healthInsurancePremiums = parseFloat(form.healthInsurancePremiums) || 0;
 
     if (healthInsurancePremiums > 0 && currentDeduction === 0) {
-        const savings = healthInsurancePremiums * getMarginalRate(form);
+        const savings = healthInsurancePremiums * rates.ordinary;
 
         return {
             id: 'se-health-insurance',
@@ -308,29 +313,30 @@ function analyzeSEHealthInsurance(form) {
 /**
  * Analyze Business Vehicle Deduction
  */
-function analyzeBusinessVehicle(form) {
+function analyzeBusinessVehicle(form, rates) {
     const businessMiles = parseFloat(form.businessMiles) || 0;
     const actualVehicleExpenses = parseFloat(form.actualVehicleExpenses) || 0;
 
     if (businessMiles > 0 || actualVehicleExpenses > 0) {
-        const mileageDeduction = businessMiles * SE_LIMITS_2025.mileageRate;
+        const { taxYear, businessDeductions: { mileageRate } } = getTaxParameters(form.taxYear);
+        const mileageDeduction = businessMiles * mileageRate;
 
         // Compare methods
         if (businessMiles > 0 && actualVehicleExpenses > 0) {
             const betterMethod = mileageDeduction > actualVehicleExpenses ? 'mileage' : 'actual';
             const betterAmount = Math.max(mileageDeduction, actualVehicleExpenses);
-            const savings = betterAmount * getMarginalRate(form);
+            const savings = betterAmount * rates.scheduleC;
 
             return {
                 id: 'se-vehicle-comparison',
                 name: 'Optimize Vehicle Expense Method',
                 category: CATEGORY.SELF_EMPLOYMENT,
-                potentialSavings: Math.round(Math.abs(mileageDeduction - actualVehicleExpenses) * getMarginalRate(form)),
+                potentialSavings: Math.round(Math.abs(mileageDeduction - actualVehicleExpenses) * rates.scheduleC),
                 difficulty: DIFFICULTY.MEDIUM,
                 description: `The ${betterMethod} method provides a higher deduction for you.`,
                 details: [
                     `Business miles: ${businessMiles.toLocaleString()}`,
-                    `Mileage rate (2025): $${SE_LIMITS_2025.mileageRate}/mile`,
+                    `Mileage rate (${taxYear}): $${mileageRate}/mile`,
                     `Mileage deduction: $${mileageDeduction.toLocaleString()}`,
                     `Actual expenses: $${actualVehicleExpenses.toLocaleString()}`,
                     `Better method: ${betterMethod} ($${betterAmount.toLocaleString()})`,
@@ -341,7 +347,7 @@ function analyzeBusinessVehicle(form) {
 
         // Just report mileage deduction if that's all we have
         if (businessMiles > 0) {
-            const savings = mileageDeduction * getMarginalRate(form);
+            const savings = mileageDeduction * rates.scheduleC;
 
             return {
                 id: 'se-vehicle-mileage',
@@ -352,7 +358,7 @@ function analyzeBusinessVehicle(form) {
                 description: 'Deduct business-related vehicle expenses using standard mileage.',
                 details: [
                     `Business miles: ${businessMiles.toLocaleString()}`,
-                    `2025 rate: $${SE_LIMITS_2025.mileageRate}/mile`,
+                    `${taxYear} rate: $${mileageRate}/mile`,
                     `Deduction: $${mileageDeduction.toLocaleString()}`,
                     'Keep a mileage log for documentation',
                 ],
@@ -367,25 +373,30 @@ function analyzeBusinessVehicle(form) {
 /**
  * Analyze Section 179 / Bonus Depreciation
  */
-function analyzeDepreciation(form) {
+function analyzeDepreciation(form, rates) {
     const equipmentPurchases = parseFloat(form.equipmentPurchases) || 0;
 
     if (equipmentPurchases > 0) {
-        // 100% bonus depreciation restored for 2025
-        const immediateDeduction = equipmentPurchases;
-        const savings = immediateDeduction * getMarginalRate(form);
+        // Section 179 expenses the cost up to the limit; bonus depreciation covers the rest
+        const { taxYear, businessDeductions: { section179, bonusDepreciation } } = getTaxParameters(form.taxYear);
+        const immediateDeduction = Math.min(equipmentPurchases, section179) +
+            Math.max(0, equipmentPurchases - section179) * bonusDepreciation;
+        const savings = immediateDeduction * rates.scheduleC;
+        const bonusPercent = Math.round(bonusDepreciation * 100);
 
         return {
             id: 'se-depreciation',
-            name: '100% Bonus Depreciation (Restored 2025)',
+            name: bonusDepreciation === 1 ? '100% Bonus Depreciation (Restored 2025)' : 'Section 179 Expensing',
             category: CATEGORY.SELF_EMPLOYMENT,
             potentialSavings: Math.round(savings),
             difficulty: DIFFICULTY.MEDIUM,
-            description: 'Immediately expense business equipment purchases with restored 100% bonus depreciation.',
+            description: bonusDepreciation === 1
+                ? 'Immediately expense business equipment purchases with restored 100% bonus depreciation.'
+                : 'Immediately expense business equipment purchases with Section 179.',
             details: [
                 `Equipment purchases: $${equipmentPurchases.toLocaleString()}`,
-                `Section 179 limit (2025): $${SE_LIMITS_2025.section179.toLocaleString()}`,
-                '100% bonus depreciation restored by OBBBA',
+                `Section 179 limit (${taxYear}): $${section179.toLocaleString()}`,
+                bonusDepreciation === 1 ? '100% bonus depreciation restored by OBBBA' : `${bonusPercent}% bonus depreciation above the limit`,
                 'Deduct full cost in year of purchase',
             ],
             qualifyingProperty: [
@@ -404,14 +415,15 @@ function analyzeDepreciation(form) {
 /**
  * Analyze SE Tax Deduction check
  */
-function analyzeSETaxDeduction(form, netProfit) {
-    const { tax: seTax, deduction: seDeduction } = calculateSelfEmploymentTax(netProfit);
+function analyzeSETaxDeduction(form, netProfit, rates) {
+    const socialSecurityWages = getScheduleSEWages(form);
+    const { tax: seTax, deduction: seDeduction } = calculateSelfEmploymentTax(netProfit, form.taxYear, socialSecurityWages);
 
     const currentDeduction = parseFloat(form.selfEmploymentTaxDeduction) || 0;
 
     if (seDeduction > 0 && currentDeduction < seDeduction) {
         const additionalDeduction = seDeduction - currentDeduction;
-        const savings = additionalDeduction * getMarginalRate(form);
+        const savings = additionalDeduction * rates.ordinary;
 
         return {
             id: 'se-tax-deduction',
@@ -434,17 +446,41 @@ function analyzeSETaxDeduction(form, netProfit) {
 }
 
 /**
- * Helper: Estimate marginal rate
+ * Analyze estimated tax payments (Form 2210)
+ *
+ * Uses the Form 2210 result from calculateTotalTax: the required annual
+ * payment (90% of this year's tax or the 100%/110% prior-year safe harbor)
+ * and the payment by each due date that avoids the underpayment penalty.
  */
-function getMarginalRate(form) {
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
+function analyzeEstimatedTaxPayments(form, currentTax) {
+    const { underpaymentPenalty, underpaymentPenaltyDetails: details } = currentTax;
+    if (underpaymentPenalty <= 0) return null;
+
+    const safeHarbors = [`90% of this year's tax: $${Math.round(details.currentYearSafeHarbor).toLocaleString()}`];
+    if (details.priorYearSafeHarbor !== null) {
+        safeHarbors.push(`${Math.round(details.priorYearRate * 100)}% of last year's tax: $${Math.round(details.priorYearSafeHarbor).toLocaleString()}`);
+    }
+
+    return {
+        id: 'se-estimated-tax-payments',
+        name: 'Make Safe-Harbor Estimated Tax Payments',
+        category: CATEGORY.SELF_EMPLOYMENT,
+        potentialSavings: Math.round(underpaymentPenalty),
+        difficulty: DIFFICULTY.EASY,
+        description: 'Self-employment income has no withholding; paying each quarterly installment on time avoids the Form 2210 underpayment penalty.',
+        details: [
+            ...safeHarbors,
+            `Required annual payment: $${Math.round(details.requiredAnnualPayment).toLocaleString()}` +
+                (details.method === 'annualized' ? ' (annualized income installments, Schedule AI)' : ''),
+            ...details.plan
+                .filter(installment => installment.payment > 0)
+                .map(installment => `Pay $${Math.round(installment.payment).toLocaleString()} by ${installment.dueDate}`),
+            `Estimated penalty without them: $${Math.round(underpaymentPenalty).toLocaleString()}`,
+        ],
+        requirements: [
+            'Pay through IRS Direct Pay, EFTPS or Form 1040-ES',
+            'Or raise W-2 withholding (treated as paid evenly through the year)',
+        ],
+        timeline: 'Quarterly',
+    };
 }
@@ -4,14 +4,14 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getSaltCap } from '../calculations/taxYearParameters.js';
+import { calculateMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 import {
     NO_INCOME_TAX_STATES,
-    FLAT_TAX_STATES,
     MASSACHUSETTS_RATES,
     WASHINGTON_CAPITAL_GAINS,
     CALIFORNIA_MENTAL_HEALTH_TAX,
-    STATE_TAX_BRACKETS,
     calculateStateTax,
     calculateWashingtonCapitalGainsTax,
     getStateName,
@@ -352,7 +352,7 @@ function analyzeNewYorkOptimizations(form) {
     }
 
     // 2. NY EITC (30% of federal)
-    const federalEITC = parseFloat(form.earnedIncomeCredit) || 0;
+    const federalEITC = currentTax.earnedIncomeCredit;
     if (federalEITC > 0) {
         const nyEITC = federalEITC * 0.30;
 
@@ -364,8 +364,8 @@ function analyzeNewYorkOptimizations(form) {
             difficulty: DIFFICULTY.EASY,
             description: 'New York matches 30% of your federal EITC.',
             details: [
-                `Federal EITC: $${federalEITC.toLocaleString()}`,
-                `NY EITC (30%): $${nyEITC.toLocaleString()}`,
+                `Federal EITC: $${Math.round(federalEITC).toLocaleString()}`,
+                `NY EITC (30%): $${Math.round(nyEITC).toLocaleString()}`,
                 'Fully refundable',
             ],
             timeline: 'This Return',
@@ -382,7 +382,7 @@ function analyzeNewYorkOptimizations(form) {
             id: 'state-ny-529',
             name: 'New York 529 Deduction',
             category: CATEGORY.STATE,
-            potentialSavings: Math.round(deduction * getStateMarignalRate(agi, 'NY')),
+            potentialSavings: Math.round(deduction * calculateMarginalRate({ ...form, state: 'NY' }).state),
             difficulty: DIFFICULTY.EASY,
             description: 'Deduct 529 contributions from NY taxable income.',
             details: [
@@ -461,11 +461,10 @@ function analyzeStateEITC(form, state) {
     const stateEITC = STATE_EITC[state];
     if (!stateEITC) return null;
 
-    const federalEITC = parseFloat(form.earnedIncomeCredit) || 0;
+    const { earnedIncomeCredit: federalEITC, earnedIncomeCreditDetails } = calculateTotalTax(form);
     if (federalEITC <= 0) return null;
 
-    const dependents = form.dependents || [];
-    const numChildren = dependents.filter(d => d.qualifyingChild).length;
+    const numChildren = earnedIncomeCreditDetails.qualifyingChildren;
 
     const stateCredit = calculateStateEITC(state, federalEITC, numChildren);
 
@@ -478,10 +477,10 @@ function analyzeStateEITC(form, state) {
             difficulty: DIFFICULTY.EASY,
             description: stateEITC.description,
             details: [
-                `Federal EITC: $${federalEITC.toLocaleString()}`,
+                `Federal EITC: $${Math.round(federalEITC).toLocaleString()}`,
                 stateEITC.type === 'percentage'
-                    ? `State credit (${stateEITC.percentage * 100}%): $${stateCredit.toLocaleString()}`
-                    : `State credit: $${stateCredit.toLocaleString()}`,
+                    ? `State credit (${stateEITC.percentage * 100}%): $${Math.round(stateCredit).toLocaleString()}`
+                    : `State credit: $${Math.round(stateCredit).toLocaleString()}`,
                 stateEITC.refundable ? 'Fully refundable' : 'Non-refundable',
             ],
             timeline: 'This Return',
@@ -540,7 +539,7 @@ function analyze529PlanDeduction(form, state) {
             state,
             contributions529,
             form.filingStatus,
-            getStateMarignalRate(calculateTotalTax(form).taxableIncome, state)
+            calculateMarginalRate({ ...form, state }).state
         );
 
         if (benefit.type !== 'none') {
@@ -678,7 +677,8 @@ function analyzePassThroughEntityTax(form, state) {
     const stateLocalTaxes = parseFloat(form.stateLocalTaxes) || 0;
     const realEstateTaxes = parseFloat(form.realEstateTaxes) || 0;
     const totalSALT = stateLocalTaxes + realEstateTaxes;
-    const saltCap = form.filingStatus === 'marriedSeparate' ? 20000 : 40000;
+    const { saltMagi } = calculateTotalTax(form).scheduleADetails;
+    const saltCap = getSaltCap(form.filingStatus, form.taxYear, saltMagi);
 
     if (totalSALT <= saltCap) return null; // Not benefiting from PTET
 
@@ -691,8 +691,8 @@ function analyzePassThroughEntityTax(form, state) {
         description: 'PTET election can help work around SALT deduction cap.',
         details: [
             `Your total SALT: $${totalSALT.toLocaleString()}`,
-            `SALT cap: $${saltCap.toLocaleString()}`,
-            `Excess limited: $${(totalSALT - saltCap).toLocaleString()}`,
+            `SALT cap: $${Math.round(saltCap).toLocaleString()}`,
+            `Excess limited: $${Math.round(totalSALT - saltCap).toLocaleString()}`,
             'PTET shifts state tax to entity level (deductible for entity)',
         ],
         requirements: [
@@ -709,11 +709,7 @@ function analyzePassThroughEntityTax(form, state) {
  */
 function analyzeHighTaxStateStrategies(form, state) {
     const optimizations = [];
-    const currentTax = calculateTotalTax(form);
-    const taxableIncome = currentTax.taxableIncome;
-
-    // Get state marginal rate
-    const stateRate = getStateMarignalRate(taxableIncome, state);
+    const stateRate = calculateMarginalRate({ ...form, state }).state;
 
     if (stateRate > 0.06) { // 6% threshold for "high tax"
         optimizations.push({
@@ -749,32 +745,3 @@ function isHighTaxState(state) {
     const highTaxStates = ['CA', 'NY', 'NJ', 'OR', 'HI', 'MN', 'MA', 'DC', 'VT', 'IA', 'WI', 'ME', 'CT', 'NE', 'MD'];
     return highTaxStates.includes(state);
 }
-
-/**
- * Helper: Get state marginal rate (simplified)
- */
-function getStateMarignalRate(taxableIncome, state) {
-    if (NO_INCOME_TAX_STATES.includes(state)) return 0;
-
-    if (FLAT_TAX_STATES[state]) {
-        return FLAT_TAX_STATES[state].rate;
-    }
-
-    if (state === 'MA') {
-        return taxableIncome > MASSACHUSETTS_RATES.millionaireThreshold
-            ? MASSACHUSETTS_RATES.millionaireRate
-            : MASSACHUSETTS_RATES.regular;
-    }
-
-    const brackets = STATE_TAX_BRACKETS[state];
-    if (brackets && brackets.single) {
-        const bracketList = brackets.single;
-        for (let i = bracketList.length - 1; i >= 0; i--) {
-            if (taxableIncome >= bracketList[i][0]) {
-                return bracketList[i][1];
-            }
-        }
-    }
-
-    return 0.05; // Default assumption
-}
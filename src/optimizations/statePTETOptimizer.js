@@ -4,7 +4,8 @@
  * ============================================================================
  * 
  * This module analyzes state PTET elections, which provide a LEGAL workaround
- * to the federal $10,000 (now $40,000 after OBBBA) SALT deduction cap.
+ * to the federal $10,000 (now $40,000 after OBBBA, phased back down toward
+ * $10,000 over $500,000 of MAGI) SALT deduction cap.
  * 
  * ============================================================================
  * WHAT IS PTET?
@@ -17,6 +18,7 @@
  * - Entity-level taxes are deductible as BUSINESS expenses (no SALT cap!)
  * - Owners receive a state tax CREDIT for taxes paid by the entity
  * - Net effect: Bypass the federal SALT cap on pass-through income
+ * - The entity deduction also lowers MAGI, which can restore a phased-down cap
  * 
  * EXAMPLE:
  * - S-Corp has $500,000 of pass-through income
@@ -51,6 +53,8 @@
  */
 
 import { calculateTotalTax } from '../calculations/calculateTax.js';
+import { getSaltCap } from '../calculations/taxYearParameters.js';
+import { calculateMarginalRate } from '../calculations/calculateMarginalRate.js';
 import { DIFFICULTY, CATEGORY } from './taxOptimizer.js';
 
 
@@ -831,10 +835,10 @@ export function analyzeStatePTETOptimizations(form) {
  */
 function analyzePTETElection(form, program, passThroughIncome, state) {
     const currentTax = calculateTotalTax(form);
-    const federalRate = getMarginalRate(currentTax.taxableIncome);
 
-    // SALT cap is $40,000 after OBBBA 2025
-    const saltCap = 40000;
+    // SALT cap is $40,000 after OBBBA 2025 ($10,000 before), phased down by MAGI
+    const { saltMagi } = currentTax.scheduleADetails;
+    const saltCap = getSaltCap(form.filingStatus, form.taxYear, saltMagi);
     const stateLocalTaxPaid = parseFloat(form.stateLocalTaxes) || 0;
     const saltLimited = stateLocalTaxPaid > saltCap;
 
@@ -849,7 +853,7 @@ function analyzePTETElection(form, program, passThroughIncome, state) {
             description: 'Your SALT is under the cap - PTET election may not provide federal benefit.',
             details: [
                 `State/local taxes paid: $${stateLocalTaxPaid.toLocaleString()}`,
-                `SALT cap (2025): $${saltCap.toLocaleString()}`,
+                `SALT cap: $${Math.round(saltCap).toLocaleString()}`,
                 'PTET primarily benefits those limited by SALT cap',
                 'Still may be worth electing for other reasons',
             ],
@@ -878,9 +882,17 @@ function analyzePTETElection(form, program, passThroughIncome, state) {
     // Calculate PTET benefit
     const ptetAmount = passThroughIncome * ptetRate;
     const federalDeduction = ptetAmount;  // Entity-level deduction
-    const federalTaxSavings = federalDeduction * federalRate;
     const excessSalt = stateLocalTaxPaid - saltCap;
 
+    // The entity deduction lowers MAGI, so in the phase-down range it also
+    // raises the SALT cap for the state and local taxes still paid personally
+    const saltCapWithPtet = getSaltCap(form.filingStatus, form.taxYear, saltMagi - ptetAmount);
+    const restoredSalt = Math.min(saltCapWithPtet - saltCap, Math.max(0, stateLocalTaxPaid - ptetAmount - saltCap));
+
+    // Measured with SALT at the cap, so the restored SALT isn't counted twice
+    const federalRate = calculateMarginalRate({ ...form, stateLocalTaxes: saltCap }).federal;
+    const federalTaxSavings = (federalDeduction + restoredSalt) * federalRate;
+
     return {
         id: `ptet-${state.toLowerCase()}-opportunity`,
         name: program.name,
@@ -895,14 +907,15 @@ function analyzePTETElection(form, program, passThroughIncome, state) {
             `PTET tax amount: $${Math.round(ptetAmount).toLocaleString()}`,
             `Your federal marginal rate: ${(federalRate * 100).toFixed(0)}%`,
             `Federal tax savings: $${Math.round(federalTaxSavings).toLocaleString()}`,
-            `SALT currently being lost due to cap: $${excessSalt.toLocaleString()}`,
-        ],
+            `SALT currently being lost due to cap: $${Math.round(excessSalt).toLocaleString()}`,
+            restoredSalt > 0 ? `SALT cap raised by lower MAGI: $${Math.round(restoredSalt).toLocaleString()} more deductible` : null,
+        ].filter(Boolean),
 
         howItWorks: [
             '1. Entity elects to pay state income tax at entity level',
             '2. Entity-level tax is deductible as business expense (no SALT cap!)',
             '3. You receive state tax credit for your share of PTET paid',
-            '4. Net effect: Full deduction bypasses $40k SALT cap',
+            '4. Net effect: Full deduction bypasses the SALT cap (and its MAGI phase-down)',
             '5. Your federal tax goes down by entity tax × your federal rate',
         ],
 
@@ -1200,13 +1213,15 @@ function analyzeCaliforniaMentalHealthTax(form) {
  */
 function analyzeGeneralPTETOpportunity(form, state, passThroughIncome) {
     const stateLocalTaxPaid = parseFloat(form.stateLocalTaxes) || 0;
-    const saltCap = 40000;
+    const currentTax = calculateTotalTax(form);
+    const { saltMagi } = currentTax.scheduleADetails;
+    const saltCap = getSaltCap(form.filingStatus, form.taxYear, saltMagi);
 
     // Only beneficial if SALT is capped
     if (stateLocalTaxPaid <= saltCap) return null;
 
     const excessSalt = stateLocalTaxPaid - saltCap;
-    const federalRate = getMarginalRate(passThroughIncome);
+    const federalRate = calculateMarginalRate(form, { baseline: currentTax }).federal;
     const estimatedBenefit = excessSalt * federalRate;  // Rough estimate
 
     return {
@@ -1221,7 +1236,7 @@ function analyzeGeneralPTETOpportunity(form, state, passThroughIncome) {
             `Your state: ${state || 'Not specified'}`,
             `Pass-through income: $${passThroughIncome.toLocaleString()}`,
             `SALT paid: $${stateLocalTaxPaid.toLocaleString()}`,
-            `Excess SALT (over $40k cap): $${excessSalt.toLocaleString()}`,
+            `Excess SALT (over $${Math.round(saltCap).toLocaleString()} cap): $${Math.round(excessSalt).toLocaleString()}`,
             `Estimated federal benefit: $${Math.round(estimatedBenefit).toLocaleString()}`,
         ],
 
@@ -1265,25 +1280,6 @@ function analyzeGeneralPTETOpportunity(form, state, passThroughIncome) {
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Get federal marginal tax rate for given taxable income
- * 
- * Uses 2025 tax brackets (single filer - simplified)
- * 
- * @param {number} taxableIncome - Taxable income
- * @returns {number} - Marginal rate as decimal
- */
-function getMarginalRate(taxableIncome) {
-    // 2025 brackets for single filers (used as estimate)
-    if (taxableIncome > 626350) return 0.37;
-    if (taxableIncome > 250525) return 0.35;
-    if (taxableIncome > 197300) return 0.32;
-    if (taxableIncome > 103350) return 0.24;
-    if (taxableIncome > 48475) return 0.22;
-    if (taxableIncome > 11925) return 0.12;
-    return 0.10;
-}
-
 
 /**
  * Calculate PTET rate for graduated-rate states
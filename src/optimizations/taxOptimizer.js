@@ -42,6 +42,7 @@ import { analyzeStatePTETOptimizations } from './statePTETOptimizer';
 import { analyzeCryptoTaxOptimizations } from './cryptoTaxOptimizer';
 import { analyzeRealEstateProfessionalOptimizations } from './realEstateProfessionalOptimizer';
 import { analyzeInternationalTaxOptimizations } from './internationalTaxOptimizer';
+import { createTrace } from '../utils/calculationTrace.js';
 
 
 // ============================================================================
@@ -131,6 +132,9 @@ export const CATEGORY = {
  * - AMT: Alternative Minimum Tax planning
  * 
  * @param {Object} form - Tax form data with all income/deduction/credit fields
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Trace the current return (currentTax.trace)
+ *   and attach a `trace` tree to each optimization explaining potentialSavings
  * @returns {Object} - Optimization results:
  *   - currentTax: Current calculated tax liability
  *   - optimizations: Array of optimization objects
@@ -138,13 +142,13 @@ export const CATEGORY = {
  *   - optimizedTax: Tax after applying all optimizations
  *   - summary: Statistics and top recommendations
  */
-export function analyzeTaxOptimizations(form) {
+export function analyzeTaxOptimizations(form, options = {}) {
     // Get state for state-specific optimizations
     const state = form.state || form.stateOfResidence || '';
 
     // Step 1: Calculate current tax liability
     // This is the baseline we're trying to reduce
-    const currentTax = calculateTotalTax(form);
+    const currentTax = calculateTotalTax(form, { trace: options.trace });
 
     // Step 2: Gather all optimizations from each module
     // Each module is wrapped in try/catch so one failure doesn't break all
@@ -308,10 +312,17 @@ export function analyzeTaxOptimizations(form) {
 
     // Step 3: Filter and sort optimizations
     // Only show optimizations with positive savings potential
-    const beneficialOptimizations = allOptimizations
+    let beneficialOptimizations = allOptimizations
         .filter(opt => opt.potentialSavings > 0)
         .sort((a, b) => b.potentialSavings - a.potentialSavings);
 
+    if (options.trace) {
+        beneficialOptimizations = beneficialOptimizations.map(opt => ({
+            ...opt,
+            trace: traceOptimizationSavings(form, opt, currentTax),
+        }));
+    }
+
     // Step 4: Calculate total potential savings
     // Note: Savings may not be fully additive (some optimizations are mutually exclusive)
     const totalPotentialSavings = beneficialOptimizations.reduce(
@@ -330,6 +341,48 @@ export function analyzeTaxOptimizations(form) {
 }
 
 
+/**
+ * Explain an optimization's potentialSavings as a trace tree
+ *
+ * Optimizers estimate savings themselves (usually amount × marginal rate),
+ * so the tree records their inputs and authority. When the optimization
+ * carries formOverrides, the return is also recomputed with the change
+ * and the traced "after" return is attached, so the estimate can be
+ * checked against the engine.
+ *
+ * @param {Object} form - Original form data
+ * @param {Object} opt - Optimization object
+ * @param {Object} currentTax - Traced calculateTotalTax() result for `form`
+ * @returns {Object} - Trace node
+ */
+function traceOptimizationSavings(form, opt, currentTax) {
+    const trace = createTrace(`Potential savings: ${opt.name}`, { rule: opt.description });
+    trace.total(opt.potentialSavings);
+
+    if (opt.authority?.citation) {
+        trace.record('Authority', opt.authority.citation, { format: 'text' });
+    }
+
+    const estimate = trace.section('Optimizer estimate', { rule: `${opt.id} (${opt.category})` });
+    (opt.details || []).forEach(detail => estimate.record(detail, null, { format: 'text' }));
+    estimate.record('Current taxable income', currentTax.taxableIncome, { rule: 'Form 1040 Line 15 (see currentTax.trace)' });
+    estimate.total(opt.potentialSavings);
+
+    if (opt.formOverrides) {
+        const modifiedTax = calculateTotalTax({ ...form, ...opt.formOverrides }, { trace: true });
+        const recomputed = trace.section('Recomputed with formOverrides', {
+            rule: Object.entries(opt.formOverrides).map(([key, value]) => `${key} = ${JSON.stringify(value)}`).join(', '),
+        });
+        recomputed.record('Final tax before', currentTax.finalTax);
+        recomputed.record('Final tax after', modifiedTax.finalTax);
+        recomputed.attach(modifiedTax.trace);
+        recomputed.total(currentTax.finalTax - modifiedTax.finalTax);
+    }
+
+    return trace.node;
+}
+
+
 /**
  * Generate summary statistics for optimizations
  * 
@@ -4,6 +4,7 @@
  */
 
 export * from './stateTaxRates.js';
+export * from './stateDeductions.js';
 export * from './stateCredits.js';
 export * from './state529Plans.js';
 export * from './stateRetirementExclusions.js';
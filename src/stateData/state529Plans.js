@@ -310,3 +310,50 @@ export function has529Benefit(state) {
 export function get529Info(state) {
     return STATE_529_DEDUCTIONS[state] || null;
 }
+
+/**
+ * Federal treatment of a 529 distribution (Form 1099-Q)
+ *
+ * Earnings are tax-free to the extent the distribution is covered by
+ * adjusted qualified education expenses (AQEE) - tuition and fees less
+ * tax-free assistance and less the expenses used for the AOTC or Lifetime
+ * Learning Credit. The rest of the earnings are taxable (Schedule 1 Line 8z)
+ * and owe the 10% additional tax, except for the part that is only taxable
+ * because expenses went to an education credit (IRC §529(c)(3)(B), (c)(6),
+ * §530(d)(4)(B)(iv); Publication 970 Chapter 7).
+ *
+ * @param {Object} inputs
+ * @param {number} inputs.distribution - Gross distribution (1099-Q Box 1)
+ * @param {number} inputs.earnings - Earnings (1099-Q Box 2)
+ * @param {number} inputs.expenses - Qualified expenses less tax-free assistance
+ * @param {number} [inputs.creditExpenses] - Part of `expenses` used for an education credit
+ * @returns {Object} - { distribution, earnings, qualifiedExpenses, taxFreeEarnings,
+ *   taxableEarnings, additionalTaxEarnings, additionalTax }
+ */
+export function calculate529Distribution({ distribution, earnings, expenses, creditExpenses = 0 }) {
+    const gross = Math.max(0, distribution || 0);
+    const totalEarnings = Math.min(Math.max(0, earnings || 0), gross);
+    if (gross === 0) {
+        return {
+            distribution: 0, earnings: 0, qualifiedExpenses: 0, taxFreeEarnings: 0,
+            taxableEarnings: 0, additionalTaxEarnings: 0, additionalTax: 0,
+        };
+    }
+
+    const taxableShare = (qualified) => Math.max(0, 1 - Math.max(0, qualified) / gross);
+    const qualifiedExpenses = Math.max(0, expenses - creditExpenses);
+    const taxableEarnings = totalEarnings * taxableShare(qualifiedExpenses);
+
+    // The 10% additional tax only applies to earnings that would be taxable without the credit
+    const additionalTaxEarnings = totalEarnings * taxableShare(expenses);
+
+    return {
+        distribution: gross,
+        earnings: totalEarnings,
+        qualifiedExpenses: Math.min(qualifiedExpenses, gross),
+        taxFreeEarnings: totalEarnings - taxableEarnings,
+        taxableEarnings,
+        additionalTaxEarnings,
+        additionalTax: additionalTaxEarnings * 0.10,
+    };
+}
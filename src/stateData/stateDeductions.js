@@ -0,0 +1,363 @@
+/**
+ * State Standard Deductions and Personal Exemptions for 2025
+ * Amounts every income-tax state subtracts (or credits) before applying its rates
+ *
+ * standardDeduction:
+ *   { single, married, head } - state's own amounts (head only where the
+ *                          state has a head of household amount)
+ *   'federal'           - state conforms to the federal standard deduction
+ *   null                - no standard deduction
+ * personalExemption: { single, married, head } per return (married = both
+ *   spouses; head only where it differs from single)
+ * dependentExemption: per dependent
+ * exemptionCredit: true when the "exemption" is a credit against tax rather
+ *   than a deduction from income (CA, DE, NE, OR, ...)
+ */
+
+export const STATE_DEDUCTIONS = {
+    AL: {
+        name: 'Alabama',
+        standardDeduction: { single: 3000, married: 8500, head: 5200 },
+        personalExemption: { single: 1500, married: 3000, head: 3000 },
+        dependentExemption: 1000,
+        description: 'Standard deduction phases down with income; $1,000 dependent exemption shown at the top tier',
+    },
+    AZ: {
+        name: 'Arizona',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Conforms to the federal standard deduction; dependents get a credit instead',
+    },
+    AR: {
+        name: 'Arkansas',
+        standardDeduction: { single: 2410, married: 4820 },
+        personalExemption: { single: 29, married: 58 },
+        dependentExemption: 29,
+        exemptionCredit: true,
+        description: '$29 personal tax credit per taxpayer and dependent',
+    },
+    CA: {
+        name: 'California',
+        standardDeduction: { single: 5706, married: 11412, head: 11412 },
+        personalExemption: { single: 153, married: 306 },
+        dependentExemption: 475,
+        exemptionCredit: true,
+        description: 'Exemption credits of $153 per taxpayer and $475 per dependent',
+    },
+    CO: {
+        name: 'Colorado',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Starts from federal taxable income',
+    },
+    CT: {
+        name: 'Connecticut',
+        standardDeduction: null,
+        personalExemption: { single: 15000, married: 24000 },
+        dependentExemption: 0,
+        description: 'Personal exemption phases out above $30,000 (single) / $48,000 (joint) AGI',
+    },
+    DE: {
+        name: 'Delaware',
+        standardDeduction: { single: 3250, married: 6500 },
+        personalExemption: { single: 110, married: 220 },
+        dependentExemption: 110,
+        exemptionCredit: true,
+        description: '$110 personal credit per taxpayer and dependent',
+    },
+    DC: {
+        name: 'District of Columbia',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Conforms to the federal standard deduction',
+    },
+    GA: {
+        name: 'Georgia',
+        standardDeduction: { single: 12000, married: 24000 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 4000,
+        description: 'Personal exemption folded into the standard deduction from 2024',
+    },
+    HI: {
+        name: 'Hawaii',
+        standardDeduction: { single: 4400, married: 8800, head: 6424 },
+        personalExemption: { single: 1144, married: 2288 },
+        dependentExemption: 1144,
+        description: '$1,144 exemption per taxpayer and dependent',
+    },
+    ID: {
+        name: 'Idaho',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Conforms to the federal standard deduction',
+    },
+    IL: {
+        name: 'Illinois',
+        standardDeduction: null,
+        personalExemption: { single: 2850, married: 5700 },
+        dependentExemption: 2850,
+        description: '$2,850 exemption per taxpayer and dependent',
+    },
+    IN: {
+        name: 'Indiana',
+        standardDeduction: null,
+        personalExemption: { single: 1000, married: 2000 },
+        dependentExemption: 1000,
+        description: '$1,000 exemption per taxpayer and dependent',
+    },
+    IA: {
+        name: 'Iowa',
+        standardDeduction: 'federal',
+        personalExemption: { single: 40, married: 80 },
+        dependentExemption: 40,
+        exemptionCredit: true,
+        description: '$40 personal exemption credit per taxpayer and dependent',
+    },
+    KS: {
+        name: 'Kansas',
+        standardDeduction: { single: 3605, married: 8240, head: 6180 },
+        personalExemption: { single: 9160, married: 18320 },
+        dependentExemption: 2320,
+        description: 'Personal exemption raised in 2024 tax reform',
+    },
+    KY: {
+        name: 'Kentucky',
+        standardDeduction: { single: 3270, married: 3270 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Single standard deduction per return',
+    },
+    LA: {
+        name: 'Louisiana',
+        standardDeduction: { single: 12500, married: 25000, head: 25000 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Standard deduction replaced personal exemptions from 2025',
+    },
+    ME: {
+        name: 'Maine',
+        standardDeduction: 'federal',
+        personalExemption: { single: 5150, married: 10300 },
+        dependentExemption: 0,
+        description: '$5,150 exemption per taxpayer; dependents get a credit instead',
+    },
+    MD: {
+        name: 'Maryland',
+        standardDeduction: { single: 3350, married: 6700, head: 6700 },
+        personalExemption: { single: 3200, married: 6400 },
+        dependentExemption: 3200,
+        description: 'Flat standard deduction from 2025; exemption phases out at high income',
+    },
+    MA: {
+        name: 'Massachusetts',
+        standardDeduction: null,
+        personalExemption: { single: 4400, married: 8800 },
+        dependentExemption: 1000,
+        description: '$4,400 personal exemption; $1,000 per dependent',
+    },
+    MI: {
+        name: 'Michigan',
+        standardDeduction: null,
+        personalExemption: { single: 5800, married: 11600 },
+        dependentExemption: 5800,
+        description: '$5,800 exemption per taxpayer and dependent',
+    },
+    MN: {
+        name: 'Minnesota',
+        standardDeduction: { single: 14950, married: 29900, head: 22500 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 5200,
+        description: 'Own standard deduction; $5,200 per dependent',
+    },
+    MS: {
+        name: 'Mississippi',
+        standardDeduction: { single: 2300, married: 4600, head: 3400 },
+        personalExemption: { single: 6000, married: 12000, head: 9500 },
+        dependentExemption: 1500,
+        description: '$6,000 / $12,000 / $9,500 (head of household) personal exemption; $1,500 per dependent',
+    },
+    MO: {
+        name: 'Missouri',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Conforms to the federal standard deduction',
+    },
+    MT: {
+        name: 'Montana',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Starts from federal taxable income from 2024',
+    },
+    NE: {
+        name: 'Nebraska',
+        standardDeduction: { single: 8600, married: 17200 },
+        personalExemption: { single: 171, married: 342 },
+        dependentExemption: 171,
+        exemptionCredit: true,
+        description: '$171 personal exemption credit per taxpayer and dependent',
+    },
+    NJ: {
+        name: 'New Jersey',
+        standardDeduction: null,
+        personalExemption: { single: 1000, married: 2000 },
+        dependentExemption: 1500,
+        description: '$1,000 per taxpayer; $1,500 per dependent',
+    },
+    NM: {
+        name: 'New Mexico',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 4000,
+        description: 'Federal standard deduction; $4,000 dependent deduction',
+    },
+    NY: {
+        name: 'New York',
+        standardDeduction: { single: 8000, married: 16050, head: 11200 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 1000,
+        description: 'Own standard deduction; $1,000 per dependent',
+    },
+    NC: {
+        name: 'North Carolina',
+        standardDeduction: { single: 12750, married: 25500, head: 19125 },
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Own standard deduction; no personal exemptions',
+    },
+    ND: {
+        name: 'North Dakota',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Starts from federal taxable income',
+    },
+    OH: {
+        name: 'Ohio',
+        standardDeduction: null,
+        personalExemption: { single: 2400, married: 4800 },
+        dependentExemption: 2400,
+        description: 'Exemption of $2,400 at the lowest income tier (lower above $40,000)',
+    },
+    OK: {
+        name: 'Oklahoma',
+        standardDeduction: { single: 6350, married: 12700, head: 9350 },
+        personalExemption: { single: 1000, married: 2000 },
+        dependentExemption: 1000,
+        description: '$1,000 exemption per taxpayer and dependent',
+    },
+    OR: {
+        name: 'Oregon',
+        standardDeduction: { single: 2835, married: 5670, head: 4560 },
+        personalExemption: { single: 256, married: 512 },
+        dependentExemption: 256,
+        exemptionCredit: true,
+        description: '$256 exemption credit per taxpayer and dependent',
+    },
+    PA: {
+        name: 'Pennsylvania',
+        standardDeduction: null,
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'No standard deduction or personal exemptions',
+    },
+    RI: {
+        name: 'Rhode Island',
+        standardDeduction: { single: 10900, married: 21800, head: 16350 },
+        personalExemption: { single: 5100, married: 10200 },
+        dependentExemption: 5100,
+        description: '$5,100 exemption per taxpayer and dependent',
+    },
+    SC: {
+        name: 'South Carolina',
+        standardDeduction: 'federal',
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 4930,
+        description: 'Starts from federal taxable income; $4,930 per dependent',
+    },
+    UT: {
+        name: 'Utah',
+        standardDeduction: null,
+        personalExemption: { single: 0, married: 0 },
+        dependentExemption: 0,
+        description: 'Uses a taxpayer credit instead of deductions and exemptions',
+    },
+    VT: {
+        name: 'Vermont',
+        standardDeduction: { single: 7400, married: 14850, head: 11100 },
+        personalExemption: { single: 5100, married: 10200 },
+        dependentExemption: 5100,
+        description: '$5,100 exemption per taxpayer and dependent',
+    },
+    VA: {
+        name: 'Virginia',
+        standardDeduction: { single: 8750, married: 17500 },
+        personalExemption: { single: 930, married: 1860 },
+        dependentExemption: 930,
+        description: '$930 exemption per taxpayer and dependent',
+    },
+    WV: {
+        name: 'West Virginia',
+        standardDeduction: null,
+        personalExemption: { single: 2000, married: 4000 },
+        dependentExemption: 2000,
+        description: '$2,000 exemption per taxpayer and dependent',
+    },
+    WI: {
+        name: 'Wisconsin',
+        standardDeduction: { single: 13560, married: 25110 },
+        personalExemption: { single: 700, married: 1400 },
+        dependentExemption: 700,
+        description: 'Sliding-scale standard deduction (maximum shown); $700 exemptions',
+    },
+};
+
+/**
+ * Key into a state's { single, married, head } amounts
+ * Head of household falls back to single where the state has no amount of
+ * its own; a surviving spouse gets the joint amount only when `widowAsMarried`
+ */
+function stateStatus(amounts, filingStatus, widowAsMarried) {
+    if (filingStatus === 'married' || (widowAsMarried && filingStatus === 'widow')) return 'married';
+    if (filingStatus === 'head' && amounts.head !== undefined) return 'head';
+    return 'single';
+}
+
+/**
+ * Get a state's standard deduction
+ * Returns 0 for states without one; 'federal' conforming states use the
+ * federal amount passed in
+ */
+export function getStateStandardDeduction(state, filingStatus = 'single', federalStandardDeduction = 0) {
+    const rules = STATE_DEDUCTIONS[state];
+    if (!rules || !rules.standardDeduction) return 0;
+
+    if (rules.standardDeduction === 'federal') return federalStandardDeduction;
+
+    return rules.standardDeduction[stateStatus(rules.standardDeduction, filingStatus, true)];
+}
+
+/**
+ * Calculate state personal and dependent exemptions
+ */
+export function calculateStateExemptions(state, filingStatus = 'single', numDependents = 0) {
+    const rules = STATE_DEDUCTIONS[state];
+    if (!rules) {
+        return { personal: 0, dependents: 0, total: 0, isCredit: false };
+    }
+
+    const personal = rules.personalExemption[stateStatus(rules.personalExemption, filingStatus, false)];
+    const dependents = numDependents * rules.dependentExemption;
+
+    return {
+        personal,
+        dependents,
+        total: personal + dependents,
+        isCredit: rules.exemptionCredit || false,
+    };
+}
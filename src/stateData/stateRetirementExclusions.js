@@ -271,12 +271,18 @@ export function calculatePensionExclusion(state, pensionAmount, age, filingStatu
         return { exclusion: pensionAmount, taxable: 0 };
     }
 
+    // Age-restricted exclusions
+    const minimumAge = rules.age65Plus ? 65 : rules.age62Plus ? 62 : rules.age55Plus ? 55 : 0;
+    if (age < minimumAge) {
+        return { exclusion: 0, taxable: pensionAmount };
+    }
+
     // States with fixed exclusion amounts
     if (rules.exclusion) {
         const maxExclusion = typeof rules.exclusion === 'object'
             ? (age >= 65 && rules.exclusion.age65Plus
                 ? rules.exclusion.age65Plus
-                : (filingStatus === 'married' ? rules.exclusion.married : rules.exclusion.single))
+                : (rules.exclusion.under65 ?? (filingStatus === 'married' ? rules.exclusion.married : rules.exclusion.single)))
             : rules.exclusion;
 
         return {
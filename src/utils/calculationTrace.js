@@ -0,0 +1,150 @@
+/**
+ * Calculation Trace
+ * Records every intermediate amount with the rule and IRS authority behind it,
+ * as a tree that can be rendered for clients and auditors
+ *
+ * NODE SHAPE:
+ *   {
+ *     label: 'SALT deduction',
+ *     value: 10000,
+ *     format: 'currency' | 'rate' | 'text',
+ *     rule: 'min($14,200 paid, $10,000 cap)',
+ *     authority: { key: 'saltDeduction', name, citation } | null,
+ *     children: [...]
+ *   }
+ *
+ * USAGE:
+ *   const trace = options.trace ? createTrace('Federal income tax') : NO_TRACE;
+ *   const income = trace.section('Income', { authority: '...' });
+ *   income.record('Wages', wages, { rule: 'Form W-2, Box 1' });
+ *
+ * `record()` returns the value it was given, and NO_TRACE accepts the same
+ * calls and does nothing, so calculations don't branch on whether tracing
+ * is on.
+ */
+
+import { TAX_AUTHORITY, getCitation } from './taxAuthority.js';
+
+/**
+ * Build a trace node
+ */
+function createNode(label, value, { rule, authority, format } = {}) {
+    return {
+        label,
+        value: value ?? null,
+        format: format || (typeof value === 'number' || value == null ? 'currency' : 'text'),
+        rule: rule || null,
+        authority: authority && TAX_AUTHORITY[authority]
+            ? { key: authority, name: TAX_AUTHORITY[authority].name, citation: getCitation(authority) }
+            : null,
+        children: [],
+    };
+}
+
+/**
+ * Wrap a node with the recording API
+ */
+function createTracer(node) {
+    return {
+        node,
+        enabled: true,
+
+        /**
+         * Record an amount under this node
+         * @returns {*} The value, so record() can wrap an expression
+         */
+        record(label, value, meta) {
+            node.children.push(createNode(label, value, meta));
+            return value;
+        },
+
+        /**
+         * Start a nested section; its value is set later with total()
+         * @returns {Object} Tracer for the new section
+         */
+        section(label, meta) {
+            const child = createNode(label, null, meta);
+            node.children.push(child);
+            return createTracer(child);
+        },
+
+        /**
+         * Set this section's value
+         * @returns {number} The value
+         */
+        total(value) {
+            node.value = value;
+            if (node.format === 'currency' && typeof value !== 'number') node.format = 'text';
+            return value;
+        },
+
+        /**
+         * Add an existing tree (e.g. another return's trace) as a child
+         */
+        attach(subtree) {
+            if (subtree) node.children.push(subtree);
+        },
+    };
+}
+
+/**
+ * Start a new trace tree
+ *
+ * @param {string} label - Root label (e.g. 'Federal income tax')
+ * @param {Object} [meta] - { rule, authority, format }
+ * @returns {Object} Tracer; the tree is `tracer.node`
+ */
+export function createTrace(label, meta) {
+    return createTracer(createNode(label, null, meta));
+}
+
+/**
+ * Tracer used when tracing is off: same API, records nothing
+ */
+export const NO_TRACE = {
+    node: null,
+    enabled: false,
+    record: (label, value) => value,
+    section: () => NO_TRACE,
+    total: (value) => value,
+    attach: () => {},
+};
+
+/**
+ * Format a node's value for display
+ */
+function formatValue(node) {
+    if (node.value === null) return '';
+    if (node.format === 'rate') return `${(node.value * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+    if (node.format === 'currency') {
+        const sign = node.value < 0 ? '-' : '';
+        const digits = Number.isInteger(node.value) ? 0 : 2;
+        return `${sign}$${Math.abs(node.value).toLocaleString('en-US', {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+        })}`;
+    }
+    return String(node.value);
+}
+
+/**
+ * Render a trace tree as indented text
+ *
+ * EXAMPLE:
+ *   Taxable income: $71,950
+ *     Deduction: $14,600 — standard deduction for single [IRC §63(c) • ...]
+ *
+ * @param {Object} node - Trace node (tracer.node or result.trace)
+ * @param {number} [depth] - Indentation level
+ * @returns {string} Multi-line text
+ */
+export function formatTrace(node, depth = 0) {
+    if (!node) return '';
+
+    const value = formatValue(node);
+    let line = `${'  '.repeat(depth)}${node.label}${value ? `: ${value}` : ''}`;
+    if (node.rule) line += ` — ${node.rule}`;
+    if (node.authority) line += ` [${node.authority.citation}]`;
+
+    return [line, ...node.children.map(child => formatTrace(child, depth + 1))].join('\n');
+}
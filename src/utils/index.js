@@ -10,6 +10,12 @@ export {
     formatAuthorityForDisplay,
 } from './taxAuthority.js';
 
+export {
+    createTrace,
+    NO_TRACE,
+    formatTrace,
+} from './calculationTrace.js';
+
 export {
     ALL_TEST_PROFILES,
     HIGH_NET_WORTH_PROFILE,
@@ -8,6 +8,90 @@
  * IRS Authority citations for all tax optimization strategies
  */
 export const TAX_AUTHORITY = {
+    // ============================================
+    // CORE CALCULATIONS
+    // ============================================
+
+    incomeTaxRates: {
+        name: 'Individual Income Tax Rates',
+        irc: '§1(j)',
+        publication: 'Rev. Proc. 2024-40 (2025 inflation adjustments)',
+        form: 'Form 1040, Line 16',
+        regulation: 'Treas. Reg. §1.1-1',
+        description: 'Progressive 10% to 37% rates applied to ordinary taxable income',
+        url: 'https://www.irs.gov/filing/federal-income-tax-rates-and-brackets'
+    },
+
+    adjustmentsToIncome: {
+        name: 'Adjustments to Income',
+        irc: '§62',
+        publication: 'Publication 17 - Your Federal Income Tax',
+        form: 'Form 1040 Schedule 1, Part II',
+        regulation: 'Treas. Reg. §1.62-1T',
+        description: 'Above-the-line deductions subtracted from total income to arrive at AGI',
+        url: 'https://www.irs.gov/forms-pubs/about-schedule-1-form-1040'
+    },
+
+    standardDeduction: {
+        name: 'Standard Deduction',
+        irc: '§63(c)',
+        publication: 'Publication 501 - Dependents, Standard Deduction, and Filing Information',
+        form: 'Form 1040, Line 12',
+        regulation: 'Treas. Reg. §1.63-1',
+        description: 'Fixed deduction by filing status, taken instead of itemizing',
+        url: 'https://www.irs.gov/publications/p501'
+    },
+
+    itemizedDeductions: {
+        name: 'Itemized Deductions',
+        irc: '§63(d)',
+        publication: 'Publication 17, Itemized Deductions',
+        form: 'Schedule A',
+        regulation: 'Treas. Reg. §1.63-1',
+        description: 'Medical, taxes, interest, charitable and casualty deductions claimed on Schedule A',
+        url: 'https://www.irs.gov/forms-pubs/about-schedule-a-form-1040'
+    },
+
+    selfEmploymentTax: {
+        name: 'Self-Employment Tax',
+        irc: '§1401, §1402',
+        publication: 'Publication 334 - Tax Guide for Small Business',
+        form: 'Schedule SE',
+        regulation: 'Treas. Reg. §1.1401-1, §1.1402(a)-1',
+        description: 'Social Security (12.4%) and Medicare (2.9%) tax on 92.35% of net self-employment earnings',
+        url: 'https://www.irs.gov/forms-pubs/about-schedule-se-form-1040'
+    },
+
+    additionalMedicareTax: {
+        name: 'Additional Medicare Tax',
+        irc: '§3101(b)(2), §1401(b)(2)',
+        publication: 'Publication 15 - Employer\'s Tax Guide',
+        form: 'Form 8959',
+        regulation: 'Treas. Reg. §1.1401-1, §31.3102-4',
+        description: '0.9% on combined wages and self-employment income over $200,000 ($250,000 MFJ, $125,000 MFS); excess withholding is credited',
+        url: 'https://www.irs.gov/forms-pubs/about-form-8959'
+    },
+
+    socialSecurityBenefits: {
+        name: 'Taxation of Social Security Benefits',
+        irc: '§86',
+        publication: 'Publication 915 - Social Security and Equivalent Railroad Retirement Benefits',
+        form: 'Form 1040, Line 6b',
+        regulation: 'N/A',
+        description: 'Up to 85% of benefits are taxable based on provisional income',
+        url: 'https://www.irs.gov/publications/p915'
+    },
+
+    capitalLossLimit: {
+        name: 'Capital Loss Limitation and Carryover',
+        irc: '§1211(b), §1212(b)',
+        publication: 'Publication 550 - Investment Income and Expenses',
+        form: 'Schedule D, Line 21',
+        regulation: 'Treas. Reg. §1.1211-1, §1.1212-1(b)',
+        description: 'Net capital losses deductible up to $3,000 ($1,500 MFS) per year; the rest carries forward',
+        url: 'https://www.irs.gov/publications/p550'
+    },
+
     // ============================================
     // INCOME & DEDUCTIONS
     // ============================================
@@ -184,6 +268,56 @@ export const TAX_AUTHORITY = {
         url: 'https://www.irs.gov/publications/p523'
     },
 
+    kiddieTax: {
+        name: 'Tax on a Child\'s Unearned Income',
+        irc: '§1(g)',
+        publication: 'Publication 929 - Tax Rules for Children and Dependents',
+        form: 'Form 8615, Form 8814',
+        regulation: 'N/A',
+        description: 'A child\'s unearned income over $2,700 (2025) is taxed at the parent\'s rate; parents can elect to report interest and dividends under $13,500 on their own return',
+        url: 'https://www.irs.gov/forms-pubs/about-form-8615'
+    },
+
+    foreignEarnedIncomeExclusion: {
+        name: 'Foreign Earned Income and Housing Exclusion',
+        irc: '§911',
+        publication: 'Publication 54 - Tax Guide for U.S. Citizens and Resident Aliens Abroad',
+        form: 'Form 2555',
+        regulation: 'Treas. Reg. §1.911-3',
+        description: 'Excludes up to $130,000 (2025) of foreign wages plus housing costs over the base amount; the rest of the income is taxed at the rates it would have reached with the excluded income',
+        url: 'https://www.irs.gov/forms-pubs/about-form-2555'
+    },
+
+    foreignTaxCredit: {
+        name: 'Foreign Tax Credit',
+        irc: '§901, §904',
+        publication: 'Publication 514 - Foreign Tax Credit for Individuals',
+        form: 'Form 1116',
+        regulation: 'Treas. Reg. §1.904-4',
+        description: 'Credit for foreign income taxes, limited for each category of income to the US tax on it; unused taxes carry forward 10 years',
+        url: 'https://www.irs.gov/forms-pubs/about-form-1116'
+    },
+
+    netOperatingLoss: {
+        name: 'Net Operating Loss Deduction',
+        irc: '§172',
+        publication: 'Publication 536 - Net Operating Losses (NOLs) for Individuals, Estates, and Trusts',
+        form: 'Form 172',
+        regulation: 'Treas. Reg. §1.172-1',
+        description: 'A loss left after removing nonbusiness deductions and capital losses carries forward; losses from 2018 on offset only 80% of taxable income but never expire',
+        url: 'https://www.irs.gov/forms-pubs/about-form-172'
+    },
+
+    excessBusinessLoss: {
+        name: 'Excess Business Loss Limitation',
+        irc: '§461(l)',
+        publication: 'Publication 536 - Net Operating Losses (NOLs) for Individuals, Estates, and Trusts',
+        form: 'Form 461',
+        regulation: 'N/A',
+        description: 'Business losses over business income plus $313,000 ($626,000 joint, 2025) are added back to income and carried forward as a net operating loss',
+        url: 'https://www.irs.gov/forms-pubs/about-form-461'
+    },
+
     installmentSale: {
         name: 'Installment Sale Reporting',
         irc: '§453',
@@ -206,8 +340,8 @@ export const TAX_AUTHORITY = {
         regulation: 'Treas. Reg. §1.55-1 through §1.59-1',
         description: 'Parallel tax system to ensure minimum tax payment',
         exemption2025: { single: 88100, married: 137000 },
-        phaseOut2025: { single: 609350, married: 1218700 },
-        rates: { lower: 0.26, higher: 0.28, threshold: 232600 },
+        phaseOut2025: { single: 626350, married: 1252700 },
+        rates: { lower: 0.26, higher: 0.28, threshold: 239100 },
         url: 'https://www.irs.gov/forms-pubs/about-form-6251'
     },
 
@@ -246,6 +380,36 @@ export const TAX_AUTHORITY = {
         url: 'https://www.irs.gov/forms-pubs/about-form-8863'
     },
 
+    dependentCareCredit: {
+        name: 'Child and Dependent Care Credit',
+        irc: '§21, §129',
+        publication: 'Publication 503 - Child and Dependent Care Expenses',
+        form: 'Form 2441',
+        regulation: 'Treas. Reg. §1.21-1 through §1.21-4',
+        description: '20%-35% of up to $3,000 ($6,000 for two or more) of care expenses, less excluded employer benefits (50% maximum rate for 2026+)',
+        url: 'https://www.irs.gov/forms-pubs/about-form-2441'
+    },
+
+    estimatedTaxPenalty: {
+        name: 'Underpayment of Estimated Tax',
+        irc: '§6654, §6621',
+        publication: 'Publication 505 - Tax Withholding and Estimated Tax',
+        form: 'Form 2210',
+        regulation: 'Treas. Reg. §1.6654-1, §1.6654-2',
+        description: 'Interest-rate penalty on each quarterly installment paid late; installments are 25% of the smaller of 90% of this year\'s tax or 100%/110% of last year\'s, or the annualized income installment',
+        url: 'https://www.irs.gov/forms-pubs/about-form-2210'
+    },
+
+    premiumTaxCredit: {
+        name: 'Premium Tax Credit',
+        irc: '§36B',
+        publication: 'Publication 974 - Premium Tax Credit (PTC)',
+        form: 'Form 8962',
+        regulation: 'Treas. Reg. §1.36B-1 through §1.36B-4',
+        description: 'Marketplace premiums above an income-based contribution (applicable percentage of household income vs. the poverty line), reconciled with advance payments',
+        url: 'https://www.irs.gov/forms-pubs/about-form-8962'
+    },
+
     saversCredit: {
         name: 'Retirement Savings Contribution Credit',
         irc: '§25B',
@@ -337,7 +501,7 @@ export const TAX_AUTHORITY = {
         publication: 'Publication 17, Itemized Deductions',
         form: 'Schedule A',
         regulation: 'Treas. Reg. §1.164-1 through §1.164-9',
-        description: 'Deduction for state/local income, sales, and property taxes (capped at $40,000 by OBBBA)',
+        description: 'Deduction for state/local income, sales, and property taxes (capped at $40,000 by OBBBA, less 30% of MAGI over $500,000 but not below $10,000)',
         cap2025: 40000,
         capMarriedSeparate: 20000,
         phaseOutIncome: 500000,
@@ -377,6 +541,26 @@ export const TAX_AUTHORITY = {
         regulation: 'Treas. Reg. §1.707-1(c)',
         description: 'Payments to partners for services/capital - not eligible for QBI deduction',
         url: 'https://www.irs.gov/publications/p541'
+    },
+
+    k1LossLimitations: {
+        name: 'Basis and At-Risk Loss Limitations',
+        irc: '§704(d), §1366(d), §465',
+        publication: 'Publication 925 - Passive Activity and At-Risk Rules',
+        form: 'Form 7203 (S-Corp basis), Form 6198 (At-Risk)',
+        regulation: 'Treas. Reg. §1.704-1(d), §1.1366-2',
+        description: 'Pass-through losses are deductible only up to basis, then the amount at risk; the rest is suspended',
+        url: 'https://www.irs.gov/publications/p925'
+    },
+
+    passiveActivityLoss: {
+        name: 'Passive Activity Loss Limitations',
+        irc: '§469',
+        publication: 'Publication 925 - Passive Activity and At-Risk Rules',
+        form: 'Form 8582',
+        regulation: 'Treas. Reg. §1.469-1T, §1.469-2T, §1.469-9',
+        description: 'Passive losses only offset passive income, plus up to $25,000 of actively managed rental losses phased out between $100,000 and $150,000 MAGI; the rest carries forward',
+        url: 'https://www.irs.gov/forms-pubs/about-form-8582'
     }
 };
 
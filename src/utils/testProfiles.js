@@ -143,6 +143,7 @@ export const FREELANCER_PROFILE = {
         'se-health-insurance',
         'ret-hsa-maximize',
         'augusta-rule-14-day-rental',
+        'se-estimated-tax-payments',
     ],
 };
 
@@ -464,6 +465,10 @@ export const NY_PTET_PROFILE = {
         partnershipIncome: 0,
         scheduleK1: {
             ordinaryIncome: 400000,
+            // Box 17 Code V: the S-Corp's W-2 wages (the owner's salary above)
+            section199A: {
+                w2Wages: 150000,
+            },
         },
 
         // High SALT exposure
@@ -758,6 +763,11 @@ export const EARLY_RETIREE_PROFILE = {
 
         // No home (renting)
         ownsHome: false,
+
+        // Marketplace coverage (Form 1095-A, annual totals)
+        form1095A: [
+            { enrollmentPremium: 14400, slcsp: 15600, advancePayment: 8400 },
+        ],
     },
     expectedOptimizations: [
         'cg-zero-percent-bracket',
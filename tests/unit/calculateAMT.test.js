@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateAMT,
+    calculateAMTExemption,
+    calculateAMTRateTax,
+} from '../../src/calculations/calculateAMT.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { AMT_ISO_PROFILE } from '../../src/utils/testProfiles.js';
+
+describe('Alternative Minimum Tax (Form 6251)', () => {
+
+    describe('calculateAMTExemption', () => {
+        it('should return the full exemption below the phase-out start', () => {
+            expect(calculateAMTExemption(300000, 'single')).toBe(88100);
+        });
+
+        it('should phase out at 25 cents per dollar in 2025', () => {
+            // ($750,000 - $626,350) × 25% = $30,912.50
+            expect(calculateAMTExemption(750000, 'single')).toBeCloseTo(57187.5, 2);
+        });
+
+        it('should phase out at 50 cents per dollar from 2026', () => {
+            // ($600,000 - $500,000) × 50% = $50,000
+            expect(calculateAMTExemption(600000, 'single', 2026)).toBe(40100);
+        });
+    });
+
+    describe('calculateAMTRateTax', () => {
+        it('should apply 26% up to the breakpoint and 28% above', () => {
+            expect(calculateAMTRateTax(100000, 'single')).toBeCloseTo(26000, 2);
+            // $300,000 × 28% - $239,100 × 2% = $79,218
+            expect(calculateAMTRateTax(300000, 'single')).toBeCloseTo(79218, 2);
+        });
+
+        it('should halve the breakpoint for married filing separately', () => {
+            // $200,000 × 28% - $119,550 × 2% = $53,609
+            expect(calculateAMTRateTax(200000, 'marriedSeparate')).toBeCloseTo(53609, 2);
+        });
+    });
+
+    describe('calculateAMT', () => {
+        it('should add back the standard deduction and preferences', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', isoExerciseSpread: 100000, privateActivityBondInterest: 5000 },
+                { taxableIncome: 100000, itemized: false, standardDeduction: 15700, regularTax: 17000 }
+            );
+
+            expect(result.amti).toBe(220700);
+            expect(result.exemption).toBe(88100);
+            expect(result.amtBase).toBe(132600);
+            expect(result.tentativeMinimumTax).toBeCloseTo(34476, 2);
+            expect(result.amt).toBeCloseTo(17476, 2);
+        });
+
+        it('should owe no AMT when regular tax is higher', () => {
+            const result = calculateAMT(
+                { filingStatus: 'married' },
+                { taxableIncome: 150000, itemized: false, standardDeduction: 31400, regularTax: 24000 }
+            );
+            expect(result.amt).toBe(0);
+        });
+
+        it('should keep capital gains rates in Part III', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', isoExerciseSpread: 200000 },
+                { taxableIncome: 150000, itemized: false, standardDeduction: 15700, qualifiedIncome: 50000, regularTax: 25000 }
+            );
+
+            // Gains taxed at 15% instead of 26%/28%
+            expect(result.partIII.gainsTax).toBeCloseTo(7500, 2);
+            expect(result.taxBeforeCredit).toBeLessThan(result.flatRateTax);
+        });
+
+        it('should stack the Part III breakpoints on regular ordinary income, not the AMT base', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', isoExerciseSpread: 600000 },
+                { taxableIncome: 150000, itemized: false, standardDeduction: 15700, qualifiedIncome: 50000, regularTax: 25000 }
+            );
+
+            // $662,437.50 of AMT ordinary income is past the 20% breakpoint, but
+            // Lines 20 and 27 use the $100,000 of regular ordinary income
+            expect(result.partIII.ordinaryBase).toBeGreaterThan(533400);
+            expect(result.partIII.regularOrdinaryIncome).toBe(100000);
+            expect(result.partIII.gainsTax).toBeCloseTo(7500, 2);
+        });
+
+        it('should stack excluded foreign earned income under the AMT base (§911(f))', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', isoExerciseSpread: 200000 },
+                { taxableIncome: 54300, itemized: false, standardDeduction: 15700, foreignExclusion: 130000, regularTax: 10000 }
+            );
+
+            // $181,900 base + $130,000 exclusion at 26%/28%, less 26% of the exclusion
+            expect(result.amtBase).toBe(181900);
+            expect(result.flatRateTax).toBeCloseTo(311900 * 0.28 - 239100 * 0.02, 6);
+            expect(result.excludedIncomeTax).toBeCloseTo(33800, 6);
+            expect(result.taxBeforeCredit).toBeCloseTo(48750, 6);
+        });
+
+        it('should tax unrecaptured §1250 gain at 25% in Part III', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', isoExerciseSpread: 200000 },
+                { taxableIncome: 150000, itemized: false, standardDeduction: 15700, qualifiedIncome: 50000, unrecapturedSection1250Gain: 30000, regularTax: 25000 }
+            );
+
+            expect(result.partIII.gainsTax).toBeCloseTo(7500 + 7500, 2);
+            expect(result.partIII.ordinaryBase).toBe(result.amtBase - 80000);
+        });
+
+        it('should limit the AMT foreign tax credit by the foreign-source fraction', () => {
+            const result = calculateAMT(
+                { filingStatus: 'single', amtForeignTaxCredit: 50000, foreignSourceIncome: 100000 },
+                { taxableIncome: 400000, itemized: false, standardDeduction: 15700, regularTax: 0 }
+            );
+
+            const fraction = 100000 / result.amti;
+            expect(result.amtForeignTaxCredit).toBeCloseTo(result.taxBeforeCredit * fraction, 2);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should add AMT to the ISO profile liability', () => {
+            const result = calculateTotalTax(AMT_ISO_PROFILE.form);
+
+            expect(result.amt).toBeGreaterThan(100000);
+            expect(result.amtDetails.amti).toBe(750000);
+            // $50,000 of gains stacked on $184,300 of regular ordinary income: 15%
+            expect(result.amtDetails.partIII.regularOrdinaryIncome).toBe(184300);
+            expect(result.amtDetails.partIII.gainsTax).toBeCloseTo(7500, 2);
+            // Regular tax + AMT brings the liability up to the tentative minimum tax
+            expect(result.regularTax + result.capitalGainsTax + result.amt).toBeCloseTo(
+                result.amtDetails.tentativeMinimumTax, 2
+            );
+        });
+
+        it('should report zero AMT for a simple W-2 return', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', totalWages: 60000 });
+            expect(result.amt).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { calculateAdditionalMedicareTax } from '../../src/calculations/calculateAdditionalMedicareTax.js';
+import { calculateTotalTax, calculateSelfEmploymentTax } from '../../src/calculations/calculateTax.js';
+
+describe('Additional Medicare Tax (Form 8959)', () => {
+
+    describe('calculateAdditionalMedicareTax', () => {
+        it('should tax wages over the filing status threshold', () => {
+            const single = calculateAdditionalMedicareTax({ medicareWages: 260000, filingStatus: 'single' });
+            const joint = calculateAdditionalMedicareTax({ medicareWages: 260000, filingStatus: 'married' });
+            const separate = calculateAdditionalMedicareTax({ medicareWages: 160000, filingStatus: 'marriedSeparate' });
+
+            expect(single.tax).toBeCloseTo(540, 2);
+            expect(joint.tax).toBeCloseTo(90, 2);
+            expect(separate.tax).toBeCloseTo(315, 2);
+        });
+
+        it('should let wages use up the threshold before SE income', () => {
+            const result = calculateAdditionalMedicareTax({
+                medicareWages: 150000,
+                selfEmploymentIncome: 100000,
+                filingStatus: 'single',
+            });
+
+            // Part II threshold: 200,000 - 150,000 = 50,000; 0.9% × 50,000
+            expect(result.selfEmploymentThreshold).toBe(50000);
+            expect(result.wageTax).toBe(0);
+            expect(result.selfEmploymentTax).toBeCloseTo(450, 2);
+        });
+
+        it('should credit Medicare withholding beyond 1.45%', () => {
+            const result = calculateAdditionalMedicareTax({
+                medicareWages: 300000,
+                medicareTaxWithheld: 5250,
+                filingStatus: 'married',
+            });
+
+            // 5,250 - 1.45% × 300,000 = 900 withheld at 0.9% over $200,000
+            expect(result.additionalWithholding).toBeCloseTo(900, 2);
+            expect(result.tax).toBeCloseTo(450, 2);
+        });
+    });
+
+    describe('calculateSelfEmploymentTax', () => {
+        it('should reduce the Social Security base by W-2 wages', () => {
+            const result = calculateSelfEmploymentTax(100000, 2025, 150000);
+
+            // Line 9: 176,100 - 150,000 = 26,100
+            expect(result.socialSecurityBase).toBe(26100);
+            expect(result.socialSecurityTax).toBeCloseTo(26100 * 0.124, 2);
+            expect(result.medicareTax).toBeCloseTo(92350 * 0.029, 2);
+        });
+
+        it('should not charge SE tax under $400 of net earnings', () => {
+            expect(calculateSelfEmploymentTax(400).tax).toBe(0);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        const form = {
+            filingStatus: 'single',
+            totalWages: 190000,
+            hasScheduleC: true,
+            scheduleC: { netProfit: 60000 },
+        };
+
+        it('should coordinate wages and SE income on Schedule SE and Form 8959', () => {
+            const result = calculateTotalTax(form);
+            const netEarnings = 60000 * 0.9235;
+
+            // Wages are over the $176,100 wage base, so only the Medicare portion is left
+            expect(result.seTax).toBeCloseTo(netEarnings * 0.029, 2);
+            expect(result.additionalMedicareTax).toBeCloseTo((netEarnings - 10000) * 0.009, 2);
+        });
+
+        it('should not let the other spouse\'s W-2 use up the SE spouse\'s wage base on a joint return', () => {
+            const joint = { ...form, filingStatus: 'married' };
+            const netEarnings = 60000 * 0.9235;
+
+            // Only one spouse has SE income; the $190,000 of wages are the other spouse's
+            expect(calculateTotalTax(joint).seTax).toBeCloseTo(netEarnings * 0.153, 2);
+
+            // The SE spouse's own W-2 does
+            const ownWages = calculateTotalTax({ ...joint, selfEmploymentSocialSecurityWages: 150000 });
+            expect(ownWages.seTax).toBeCloseTo((176100 - 150000) * 0.124 + netEarnings * 0.029, 2);
+        });
+
+        it('should add Additional Medicare withholding to payments', () => {
+            const withheld = calculateTotalTax({ ...form, totalWages: 250000, medicareTaxWithheld: 250000 * 0.0145 + 450 });
+            const without = calculateTotalTax({ ...form, totalWages: 250000 });
+
+            expect(withheld.totalPayments - without.totalPayments).toBeCloseTo(450, 2);
+        });
+
+        it('should show Form 8959 and Line 25c', () => {
+            const { forms, additionalMedicareTax } = calculateTotalTax(
+                { ...form, totalWages: 250000, medicareTaxWithheld: 250000 * 0.0145 + 450 },
+                { forms: true }
+            );
+
+            expect(forms.form8959.lines['18'].value).toBe(additionalMedicareTax);
+            expect(forms.schedule2.lines['11'].value).toBe(additionalMedicareTax);
+            expect(forms.form1040.lines['25c'].value).toBeCloseTo(450, 2);
+            expect(forms.scheduleSE.lines['9'].value).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateChildTaxCredit,
+    getChildTaxCreditDependents,
+} from '../../src/calculations/calculateChildTaxCredit.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeCreditsOptimizations } from '../../src/optimizations/creditsOptimizer.js';
+
+const child = (age, extra = {}) => ({ qualifyingChild: true, age, ...extra });
+
+const context = (extra = {}) => ({
+    taxYear: 2025,
+    magi: 80000,
+    filingStatus: 'married',
+    taxLiability: 10000,
+    earnedIncome: 80000,
+    socialSecurityTaxes: 0,
+    ...extra,
+});
+
+describe('Child tax credit (Schedule 8812)', () => {
+
+    describe('getChildTaxCreditDependents', () => {
+        it('should give the CTC only to children under 17 with an SSN who lived with you', () => {
+            const dependents = getChildTaxCreditDependents({
+                dependents: [
+                    child(10, { name: 'A' }),
+                    child(17, { name: 'B' }),
+                    child(5, { name: 'C', ssn: '912-70-1234' }),
+                    child(8, { name: 'D', monthsLivedWithYou: 5 }),
+                    { name: 'E', qualifyingRelative: true, age: 70 },
+                    child(4, { name: 'F', citizenOrResident: false }),
+                ],
+            }, 2025);
+
+            expect(dependents.map(d => d.credit)).toEqual(['ctc', 'odc', 'odc', 'odc', 'odc', null]);
+            expect(dependents[1].reasons[0]).toContain('Age 17');
+            expect(dependents[2].reasons).toEqual(['No SSN valid for employment']);
+        });
+
+        it('should use the age at the end of the tax year from the birth date', () => {
+            const [dependent] = getChildTaxCreditDependents({ dependents: [child(undefined, { birthDate: '2008-12-31' })] }, 2025);
+
+            expect(dependent.age).toBe(17);
+            expect(dependent.credit).toBe('odc');
+        });
+
+        it('should read a January 1 birth year the same in every time zone', () => {
+            // new Date('2009-01-01') is still December 31, 2008 in Los Angeles
+            const timeZone = process.env.TZ;
+            process.env.TZ = 'America/Los_Angeles';
+            try {
+                const [dependent] = getChildTaxCreditDependents({ dependents: [child(undefined, { birthDate: '2009-01-01' })] }, 2025);
+
+                expect(dependent.age).toBe(16);
+                expect(dependent.credit).toBe('ctc');
+            } finally {
+                if (timeZone === undefined) delete process.env.TZ;
+                else process.env.TZ = timeZone;
+            }
+        });
+    });
+
+    describe('calculateChildTaxCredit', () => {
+        it('should use the per-child amount for the tax year', () => {
+            const form = { dependents: [child(3), child(6)] };
+
+            expect(calculateChildTaxCredit(form, context()).nonrefundableCredit).toBe(4400);
+            expect(calculateChildTaxCredit(form, context({ taxYear: 2024 })).nonrefundableCredit).toBe(4000);
+        });
+
+        it('should reduce the credit $50 per $1,000 (or part) over the threshold', () => {
+            const form = { dependents: [child(3), child(6)] };
+
+            // 412,001 - 400,000 rounds up to 13 × $50
+            const joint = calculateChildTaxCredit(form, context({ magi: 412001, taxLiability: 100000 }));
+            const single = calculateChildTaxCredit(form, context({ magi: 212001, taxLiability: 100000, filingStatus: 'single' }));
+
+            expect(joint.phaseOutReduction).toBe(650);
+            expect(joint.nonrefundableCredit).toBe(3750);
+            expect(single.nonrefundableCredit).toBe(3750);
+        });
+
+        it('should add $500 for other dependents, which is not refundable', () => {
+            const result = calculateChildTaxCredit(
+                { dependents: [child(20), { qualifyingRelative: true, age: 80 }] },
+                context({ taxLiability: 300 })
+            );
+
+            expect(result.tentativeCredit).toBe(1000);
+            expect(result.nonrefundableCredit).toBe(300);
+            expect(result.additionalChildTaxCredit).toBe(0);
+        });
+
+        it('should refund 15% of earned income over $2,500 up to $1,700 per child', () => {
+            const form = { dependents: [child(3), child(6)] };
+            const low = calculateChildTaxCredit(form, context({ taxLiability: 0, earnedIncome: 12500 }));
+            const high = calculateChildTaxCredit(form, context({ taxLiability: 500, earnedIncome: 60000 }));
+
+            expect(low.additionalChildTaxCredit).toBeCloseTo(1500, 2);
+            expect(high.additionalChildTaxCredit).toBe(3400);
+        });
+
+        it('should use Social Security taxes less EITC for three or more children', () => {
+            const form = { dependents: [child(3), child(6), child(9)] };
+            const result = calculateChildTaxCredit(form, context({
+                taxLiability: 0,
+                earnedIncome: 12500,
+                socialSecurityTaxes: 4000,
+                earnedIncomeCredit: 1000,
+            }));
+
+            expect(result.earnedIncomeAmount).toBeCloseTo(1500, 2);
+            expect(result.socialSecurityCredit).toBe(3000);
+            expect(result.additionalChildTaxCredit).toBe(3000);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        const family = {
+            filingStatus: 'married',
+            totalWages: 30000,
+            dependents: [child(4), child(7)],
+        };
+
+        it('should put the refundable part on Line 28', () => {
+            const result = calculateTotalTax(family, { forms: true });
+            const lines = result.forms.form1040.lines;
+
+            expect(lines['19'].value).toBe(result.childTaxCreditDetails.nonrefundableCredit);
+            expect(lines['28'].value).toBe(result.additionalChildTaxCredit);
+            // No income tax after the standard deduction: $1,700 per child is refundable
+            expect(lines['19'].value).toBe(0);
+            expect(lines['28'].value).toBe(3400);
+            expect(result.finalTax).toBeLessThan(0);
+        });
+
+        it('should use entered credits as entered', () => {
+            const result = calculateTotalTax({ ...family, childTaxCredit: 1000, additionalChildTaxCredit: 0 });
+
+            expect(result.additionalChildTaxCredit).toBe(0);
+            expect(result.totalCredits - result.earnedIncomeCredit).toBe(1000);
+        });
+    });
+
+    describe('analyzeCreditsOptimizations', () => {
+        it('should flag a credit claimed below Schedule 8812', () => {
+            const opts = analyzeCreditsOptimizations({
+                filingStatus: 'married',
+                totalWages: 90000,
+                dependents: [child(4), child(7)],
+                childTaxCredit: 2000,
+            });
+            const missed = opts.find(o => o.id === 'credit-child-tax-credit');
+
+            expect(missed.potentialSavings).toBe(2400);
+        });
+
+        it('should flag an over-claimed credit and children without an SSN', () => {
+            const opts = analyzeCreditsOptimizations({
+                filingStatus: 'single',
+                totalWages: 90000,
+                dependents: [child(4, { name: 'Sam', hasSSN: false })],
+                childTaxCredit: 2200,
+            });
+
+            expect(opts.find(o => o.id === 'credit-child-tax-credit-overclaimed')).toBeDefined();
+            expect(opts.find(o => o.id === 'credit-child-tax-credit-eligibility').details)
+                .toEqual(['Sam: No SSN valid for employment']);
+        });
+    });
+});
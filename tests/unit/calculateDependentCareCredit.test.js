@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateDependentCareCredit,
+    getDependentCareCreditRate,
+    getDependentCareQualifyingPersons,
+} from '../../src/calculations/calculateDependentCareCredit.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeCreditsOptimizations } from '../../src/optimizations/creditsOptimizer.js';
+
+const child = (age, extra = {}) => ({ qualifyingChild: true, age, ...extra });
+
+const context = (extra = {}) => ({
+    taxYear: 2025,
+    agi: 60000,
+    filingStatus: 'single',
+    earnedIncome: 60000,
+    taxLiability: 10000,
+    ...extra,
+});
+
+describe('Child and dependent care credit (Form 2441)', () => {
+
+    describe('getDependentCareCreditRate', () => {
+        it('should reduce 35% by one point per $2,000 over $15,000 to 20%', () => {
+            expect(getDependentCareCreditRate(15000, 'single', 2025)).toBe(0.35);
+            expect(getDependentCareCreditRate(15001, 'single', 2025)).toBe(0.34);
+            expect(getDependentCareCreditRate(30000, 'single', 2025)).toBe(0.27);
+            expect(getDependentCareCreditRate(43001, 'single', 2025)).toBe(0.20);
+        });
+
+        it('should start at 50% for 2026 with a second phase-down to 20%', () => {
+            expect(getDependentCareCreditRate(15000, 'single', 2026)).toBe(0.50);
+            expect(getDependentCareCreditRate(60000, 'single', 2026)).toBe(0.35);
+            expect(getDependentCareCreditRate(81000, 'single', 2026)).toBe(0.32);
+            expect(getDependentCareCreditRate(162000, 'married', 2026)).toBe(0.32);
+            expect(getDependentCareCreditRate(300000, 'married', 2026)).toBe(0.20);
+        });
+    });
+
+    describe('getDependentCareQualifyingPersons', () => {
+        it('should count children under 13 and disabled dependents and spouses', () => {
+            const persons = getDependentCareQualifyingPersons({
+                dependents: [child(12), child(13), { name: 'Parent', age: 80, disabled: true }, child(4, { monthsLivedWithYou: 5 })],
+                spouseDisabled: true,
+            }, 2025);
+
+            expect(persons.map(p => p.age)).toEqual([12, 80, null]);
+        });
+    });
+
+    describe('calculateDependentCareCredit', () => {
+        it('should cap expenses at $3,000 for one person and $6,000 for two', () => {
+            const one = calculateDependentCareCredit({ dependents: [child(3)], childCareExpenses: 9000 }, context());
+            const two = calculateDependentCareCredit({ dependents: [child(3), child(6)], childCareExpenses: 9000 }, context());
+
+            expect(one.allowedExpenses).toBe(3000);
+            expect(one.credit).toBe(600);
+            expect(two.allowedExpenses).toBe(6000);
+            expect(two.credit).toBe(1200);
+        });
+
+        it('should exclude FSA benefits and take them off the expense limit', () => {
+            const result = calculateDependentCareCredit({
+                dependents: [child(3), child(6)],
+                childCareExpenses: 9000,
+                dependentCareBenefits: 5000,
+            }, context());
+
+            expect(result.excludedBenefits).toBe(5000);
+            expect(result.taxableBenefits).toBe(0);
+            expect(result.creditExpenseLimit).toBe(1000);
+            expect(result.credit).toBe(200);
+        });
+
+        it('should tax benefits over the expenses and halve the exclusion for married filing separately', () => {
+            const form = { dependents: [child(3)], childCareExpenses: 4000, dependentCareBenefits: 5000, separatedFromSpouse: true };
+
+            expect(calculateDependentCareCredit(form, context()).taxableBenefits).toBe(1000);
+            expect(calculateDependentCareCredit(form, context({ filingStatus: 'marriedSeparate' })).excludedBenefits).toBe(2500);
+            expect(calculateDependentCareCredit({ ...form, separatedFromSpouse: false }, context({ filingStatus: 'marriedSeparate' })).credit).toBe(0);
+        });
+
+        it('should limit expenses to the lower-earning spouse, with deemed income for a student', () => {
+            const form = { dependents: [child(3), child(6)], childCareExpenses: 6000 };
+            const joint = context({ filingStatus: 'married', agi: 100000, earnedIncome: 100000 });
+
+            expect(calculateDependentCareCredit({ ...form, spouseEarnedIncome: 2000 }, joint).allowedExpenses).toBe(2000);
+            expect(calculateDependentCareCredit({ ...form, spouseEarnedIncome: 0 }, joint).credit).toBe(0);
+            // 9 months × $500 for two qualifying persons
+            expect(calculateDependentCareCredit({ ...form, spouseStudentOrDisabledMonths: 9 }, joint).allowedExpenses).toBe(4500);
+        });
+
+        it('should limit the credit to tax', () => {
+            const result = calculateDependentCareCredit({ dependents: [child(3)], childCareExpenses: 3000 }, context({ taxLiability: 250 }));
+
+            expect(result.tentativeCredit).toBe(600);
+            expect(result.credit).toBe(250);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should put the computed credit on Schedule 3 Line 2', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025,
+                filingStatus: 'married',
+                totalWages: 150000,
+                spouseWages: 50000,
+                dependents: [child(3), child(6)],
+                childCareExpenses: 8000,
+            }, { forms: true });
+
+            expect(result.childCareCredit).toBe(1200);
+            expect(result.forms.schedule3.lines['2'].value).toBe(1200);
+        });
+    });
+
+    describe('analyzeCreditsOptimizations', () => {
+        it('should recommend the FSA election that lowers tax for the next plan year', () => {
+            const opt = analyzeCreditsOptimizations({
+                taxYear: 2025,
+                filingStatus: 'head',
+                totalWages: 40000,
+                dependents: [child(4)],
+                childCareExpenses: 4000,
+                dependentCareBenefits: 3000,
+            }).find(o => o.id === 'credits-child-care');
+
+            expect(opt.details[0]).toContain('2026 FSA election: $4,000');
+            expect(opt.potentialSavings).toBeGreaterThan(0);
+        });
+
+        it('should flag an entered credit below Form 2441', () => {
+            const opt = analyzeCreditsOptimizations({
+                taxYear: 2025,
+                filingStatus: 'single',
+                totalWages: 60000,
+                dependents: [child(4)],
+                childCareExpenses: 3000,
+                childCareCredit: 200,
+            }).find(o => o.id === 'credits-child-care-claimed');
+
+            expect(opt.potentialSavings).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateEarnedIncomeCredit,
+    getEITCQualifyingChildren,
+} from '../../src/calculations/calculateEarnedIncomeCredit.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeCreditsOptimizations } from '../../src/optimizations/creditsOptimizer.js';
+
+const child = (age, extra = {}) => ({ qualifyingChild: true, age, ...extra });
+
+const context = (extra = {}) => ({
+    taxYear: 2025,
+    earnedIncome: 20000,
+    agi: 20000,
+    investmentIncome: 0,
+    filingStatus: 'single',
+    ...extra,
+});
+
+describe('Earned income credit (Schedule EIC)', () => {
+
+    describe('getEITCQualifyingChildren', () => {
+        it('should apply the under-19, student and disabled age tests', () => {
+            const children = getEITCQualifyingChildren({
+                dependents: [
+                    child(18),
+                    child(19),
+                    child(22, { student: true }),
+                    child(30, { disabled: true }),
+                    child(10, { monthsLivedWithYou: 4 }),
+                ],
+            }, 2025);
+
+            expect(children.map(c => c.qualifies)).toEqual([true, false, true, true, false]);
+            expect(children[1].reasons[0]).toContain('must be under 19');
+        });
+    });
+
+    describe('calculateEarnedIncomeCredit', () => {
+        it('should pay the maximum credit on the plateau', () => {
+            const result = calculateEarnedIncomeCredit({ dependents: [child(5), child(8)] }, context());
+
+            expect(result.qualifyingChildren).toBe(2);
+            expect(result.credit).toBe(7152);
+        });
+
+        it('should phase in with earned income', () => {
+            const result = calculateEarnedIncomeCredit({ dependents: [child(5)] }, context({ earnedIncome: 10000, agi: 10000 }));
+
+            expect(result.credit).toBeCloseTo(3400, 2);
+        });
+
+        it('should phase out from a higher start for married filing jointly', () => {
+            const form = { dependents: [child(5)] };
+            const single = calculateEarnedIncomeCredit(form, context({ earnedIncome: 33350, agi: 33350 }));
+            const joint = calculateEarnedIncomeCredit(form, context({ earnedIncome: 33350, agi: 33350, filingStatus: 'married' }));
+
+            // 4,328 - 15.98% × (33,350 - 23,350)
+            expect(single.credit).toBeCloseTo(2730, 2);
+            expect(joint.credit).toBeCloseTo(4328 - (33350 - 30470) * 0.1598, 2);
+        });
+
+        it('should use AGI when it is larger than earned income', () => {
+            const result = calculateEarnedIncomeCredit(
+                { dependents: [child(5)] },
+                context({ earnedIncome: 20000, agi: 33350, investmentIncome: 5000 })
+            );
+
+            expect(result.creditOnEarnedIncome).toBe(4328);
+            expect(result.credit).toBeCloseTo(2730, 2);
+        });
+
+        it('should deny the credit over the investment income limit', () => {
+            const result = calculateEarnedIncomeCredit(
+                { dependents: [child(5)] },
+                context({ investmentIncome: 12000 })
+            );
+
+            expect(result.eligible).toBe(false);
+            expect(result.credit).toBe(0);
+        });
+
+        it('should require age 25-64 with no qualifying child', () => {
+            const young = calculateEarnedIncomeCredit({ birthDate: '2002-06-01' }, context({ earnedIncome: 9000, agi: 9000 }));
+            const eligible = calculateEarnedIncomeCredit({ birthDate: '1990-06-01' }, context({ earnedIncome: 9000, agi: 9000 }));
+            const jointSpouse = calculateEarnedIncomeCredit(
+                { birthDate: '2002-06-01', spouseBirthDate: '1995-01-01' },
+                context({ earnedIncome: 9000, agi: 9000, filingStatus: 'married' })
+            );
+
+            expect(young.credit).toBe(0);
+            expect(eligible.credit).toBe(649);
+            expect(jointSpouse.credit).toBe(649);
+        });
+
+        it('should read a January 1 birth year the same in every time zone', () => {
+            // Born January 1, 2001: 24 at the end of 2025, not 25 as a local-time year would make it
+            const timeZone = process.env.TZ;
+            process.env.TZ = 'America/Los_Angeles';
+            try {
+                const result = calculateEarnedIncomeCredit({ birthDate: '2001-01-01' }, context({ earnedIncome: 9000, agi: 9000 }));
+
+                expect(result.credit).toBe(0);
+            } finally {
+                if (timeZone === undefined) delete process.env.TZ;
+                else process.env.TZ = timeZone;
+            }
+        });
+
+        it('should only allow married filing separately for separated spouses with a child', () => {
+            const form = { dependents: [child(5)] };
+
+            expect(calculateEarnedIncomeCredit(form, context({ filingStatus: 'marriedSeparate' })).credit).toBe(0);
+            expect(calculateEarnedIncomeCredit({ ...form, separatedFromSpouse: true }, context({ filingStatus: 'marriedSeparate' })).credit).toBe(4328);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        const gigWorker = {
+            filingStatus: 'head',
+            totalWages: 8000,
+            hasScheduleC: true,
+            scheduleC: { netProfit: 14000 },
+            dependents: [child(6)],
+            state: 'NY',
+        };
+
+        it('should put the computed credit on Line 27 and feed the state EITC', () => {
+            const result = calculateTotalTax(gigWorker, { forms: true });
+
+            expect(result.earnedIncomeCredit).toBe(4328);
+            expect(result.forms.form1040.lines['27'].value).toBe(4328);
+            expect(result.stateReturn.credits.eitc).toBeCloseTo(4328 * 0.30, 2);
+        });
+
+        it('should flag an entered credit below Schedule EIC', () => {
+            const opts = analyzeCreditsOptimizations({ ...gigWorker, earnedIncomeCredit: 3000 });
+
+            expect(opts.find(o => o.id === 'credit-eitc').potentialSavings).toBe(1328);
+        });
+
+        it('should flag the separated spouse exception for married filing separately', () => {
+            const opts = analyzeCreditsOptimizations({ ...gigWorker, filingStatus: 'marriedSeparate' });
+
+            expect(opts.find(o => o.id === 'credit-eitc-separated-spouse').potentialSavings).toBe(4328);
+        });
+    });
+});
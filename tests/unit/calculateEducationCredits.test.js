@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateEducationCredits,
+    getEducationStudents,
+} from '../../src/calculations/calculateEducationCredits.js';
+import { calculate529Distribution } from '../../src/stateData/state529Plans.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeCreditsOptimizations } from '../../src/optimizations/creditsOptimizer.js';
+import { TEACHER_PROFILE } from '../../src/utils/testProfiles.js';
+
+const context = (extra = {}) => ({ magi: 60000, filingStatus: 'single', taxLiability: 10000, ...extra });
+
+describe('Education credits (Form 8863)', () => {
+
+    describe('calculateEducationCredits', () => {
+        it('should give 100% of the first $2,000 and 25% of the next $2,000, 40% refundable', () => {
+            const result = calculateEducationCredits({ students: [{ qualifiedExpenses: 5000 }] }, context());
+
+            expect(result.aotc).toBe(2500);
+            expect(result.refundableCredit).toBe(1000);
+            expect(result.nonrefundableCredit).toBe(1500);
+        });
+
+        it('should limit the LLC to $10,000 of expenses per return', () => {
+            const result = calculateEducationCredits({
+                students: [
+                    { name: 'A', qualifiedExpenses: 6000, graduate: true },
+                    { name: 'B', qualifiedExpenses: 8000, graduate: true },
+                ],
+            }, context());
+
+            expect(result.students.map(s => s.creditExpenses)).toEqual([6000, 4000]);
+            expect(result.llc).toBe(2000);
+            expect(result.refundableCredit).toBe(0);
+        });
+
+        it('should switch to the LLC after four years of AOTC', () => {
+            const [student] = getEducationStudents({ students: [{ qualifiedExpenses: 3000, aotcYearsClaimed: 4 }] });
+
+            expect(student.credit).toBe('llc');
+            expect(student.aotcReasons[0]).toContain('4 years');
+            expect(student.tentativeCredit).toBe(600);
+        });
+
+        it('should subtract tax-free assistance from expenses', () => {
+            const [student] = getEducationStudents({ students: [{ qualifiedExpenses: 5000, taxFreeAssistance: 3500 }] });
+
+            expect(student.adjustedExpenses).toBe(1500);
+            expect(student.tentativeCredit).toBe(1500);
+        });
+
+        it('should phase out between $80,000 and $90,000 of MAGI', () => {
+            const form = { students: [{ qualifiedExpenses: 4000 }] };
+
+            expect(calculateEducationCredits(form, context({ magi: 85000 })).aotc).toBe(1250);
+            expect(calculateEducationCredits(form, context({ magi: 170000, filingStatus: 'married' })).aotc).toBe(1250);
+            expect(calculateEducationCredits(form, context({ magi: 50000, filingStatus: 'marriedSeparate' })).aotc).toBe(0);
+        });
+
+        it('should limit the nonrefundable part to tax', () => {
+            const result = calculateEducationCredits({ students: [{ qualifiedExpenses: 4000 }] }, context({ taxLiability: 400 }));
+
+            expect(result.nonrefundableCredit).toBe(400);
+            expect(result.refundableCredit).toBe(1000);
+        });
+    });
+
+    describe('529 coordination', () => {
+        it('should tax 529 earnings for expenses used by the credit, without the 10% tax', () => {
+            const [student] = getEducationStudents({
+                students: [{ qualifiedExpenses: 10000, distribution529: 8000, earnings529: 2000 }],
+            });
+
+            // 4,000 to the AOTC leaves 6,000 for the 8,000 distribution: 25% of earnings taxable
+            expect(student.distribution529.taxableEarnings).toBe(500);
+            expect(student.distribution529.additionalTax).toBe(0);
+        });
+
+        it('should charge the 10% tax on earnings over total expenses', () => {
+            const result = calculate529Distribution({ distribution: 10000, earnings: 4000, expenses: 5000 });
+
+            expect(result.taxableEarnings).toBe(2000);
+            expect(result.additionalTax).toBe(200);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should put the credit on Schedule 3 Line 3 and Form 1040 Line 29', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'married',
+                totalWages: 120000,
+                students: [{ name: 'Alex', qualifiedExpenses: 12000, distribution529: 8000, earnings529: 2000 }],
+            }, { forms: true });
+
+            expect(result.forms.schedule3.lines['3'].value).toBe(1500);
+            expect(result.forms.form1040.lines['29'].value).toBe(1000);
+            expect(result.forms.schedule1.lines['8z'].value).toBe(0);
+        });
+    });
+
+    describe('analyzeCreditsOptimizations', () => {
+        it('should recommend the lifetime learning credit for education expenses', () => {
+            const opt = analyzeCreditsOptimizations(TEACHER_PROFILE.form).find(o => o.id === 'credits-lifetime-learning');
+
+            expect(opt.potentialSavings).toBe(800);
+        });
+
+        it('should keep expenses with the 529 when the credit is phased out', () => {
+            const opts = analyzeCreditsOptimizations({
+                filingStatus: 'single',
+                totalWages: 100000,
+                students: [{ name: 'Alex', qualifiedExpenses: 10000, distribution529: 10000, earnings529: 3000 }],
+            });
+            const allocation = opts.find(o => o.id === 'credits-education-allocation');
+
+            // 4,000 / 10,000 of the 3,000 earnings would be taxed at 22% for no credit
+            expect(allocation.potentialSavings).toBe(264);
+            expect(allocation.details).toEqual(['Alex: no education credit, $10,000 to the 529 distribution']);
+        });
+    });
+});
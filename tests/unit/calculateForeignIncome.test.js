@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateForeignEarnedIncomeExclusion,
+    calculateForeignTaxCredit,
+} from '../../src/calculations/calculateForeignIncome.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { US_EXPAT_PROFILE } from '../../src/utils/testProfiles.js';
+
+const expat = { taxYear: 2025, ...US_EXPAT_PROFILE.form };
+
+describe('Foreign income (Forms 2555 / 1116)', () => {
+
+    describe('calculateForeignEarnedIncomeExclusion', () => {
+        it('should exclude housing over the base amount first, then wages up to the limit', () => {
+            const result = calculateForeignEarnedIncomeExclusion(expat);
+
+            // $48,000 of housing limited to 30% of $130,000, less 16% of it
+            expect(result.housingLimit).toBe(39000);
+            expect(result.housingBase).toBe(20800);
+            expect(result.housingExclusion).toBe(18200);
+            expect(result.earnedIncomeExclusion).toBe(130000);
+            expect(result.totalExclusion).toBe(148200);
+        });
+
+        it('should prorate the limit by qualifying days and require a qualifying test', () => {
+            const partYear = calculateForeignEarnedIncomeExclusion({
+                taxYear: 2024, foreignEarnedIncome: 100000, meetsPhysicalPresence: true, foreignQualifyingDays: 183,
+            });
+
+            expect(partYear.exclusionLimit).toBe(63250);
+            expect(partYear.earnedIncomeExclusion).toBe(63250);
+            expect(calculateForeignEarnedIncomeExclusion({ taxYear: 2025, foreignEarnedIncome: 100000, daysOutsideUS: 300 }).totalExclusion).toBe(0);
+            expect(calculateForeignEarnedIncomeExclusion({ ...expat, claimForeignEarnedIncomeExclusion: false }).totalExclusion).toBe(0);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should tax the rest of the income at the rates it would reach with the exclusion (§911(f))', () => {
+            const result = calculateTotalTax({ taxYear: 2025, filingStatus: 'single', foreignEarnedIncome: 200000, meetsBonaFideResidence: true });
+            const brackets = [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24]];
+            const bracketTax = (income) => brackets.reduce((tax, [top, rate], i) => {
+                const bottom = i ? brackets[i - 1][0] : 0;
+                return tax + Math.max(0, Math.min(income, top) - bottom) * rate;
+            }, 0);
+
+            expect(result.taxableIncome).toBe(54300);
+            expect(result.regularTax).toBeCloseTo(bracketTax(184300) - bracketTax(130000), 6);
+        });
+
+        it('should report the exclusion on Schedule 1 Line 8d and add it back to MAGI', () => {
+            const result = calculateTotalTax(expat, { forms: true });
+
+            expect(result.forms.schedule1.lines['8d'].value).toBe(-148200);
+            expect(result.forms.form1040.lines['9'].value).toBe(31800);
+
+            // AGI of $120,000 is under the NIIT threshold, MAGI of $250,000 isn't
+            const investor = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', foreignEarnedIncome: 200000, meetsBonaFideResidence: true, taxableInterest: 50000,
+            });
+            expect(investor.agi).toBe(120000);
+            expect(investor.niit).toBeCloseTo(1900, 6);
+        });
+
+        it('should add foreign earned income to income without treating it as W-2 wages', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', totalWages: 250000, foreignEarnedIncome: 100000, daysOutsideUS: 100,
+            });
+
+            // No exclusion without a qualifying test; Additional Medicare Tax
+            // is on the $250,000 of W-2 wages only
+            expect(result.foreignExclusion).toBe(0);
+            expect(result.totalIncome).toBe(350000);
+            expect(result.additionalMedicareTax).toBeCloseTo(450, 6);
+        });
+
+        it('should stack the exclusion under the AMT base too', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', foreignEarnedIncome: 200000, meetsBonaFideResidence: true, isoExerciseSpread: 200000,
+            });
+
+            expect(result.amtDetails.foreignExclusion).toBe(130000);
+            expect(result.amtDetails.taxBeforeCredit).toBeCloseTo(48750, 6);
+        });
+    });
+
+    describe('calculateForeignTaxCredit', () => {
+        it('should disallow tax on excluded wages and limit the rest to the US tax on them', () => {
+            const result = calculateTotalTax(expat, { forms: true });
+            const ftc = result.foreignTaxCreditDetails;
+
+            expect(ftc.disallowedTax).toBeCloseTo(35000 * 148200 / 180000, 6);
+            expect(ftc.categories.general.limit).toBeCloseTo(result.regularTax, 6);
+            expect(result.foreignTaxCredit).toBeCloseTo(result.regularTax, 6);
+            expect(result.forms.schedule3.lines['1'].value).toBeCloseTo(result.regularTax, 6);
+            expect(ftc.carryforward.foreignTaxCarryovers).toEqual([
+                { year: 2025, category: 'general', amount: expect.closeTo(35000 - ftc.disallowedTax - result.regularTax, 6) },
+            ]);
+        });
+
+        it('should apportion the deduction to the passive category and use carryovers oldest first', () => {
+            const result = calculateForeignTaxCredit({
+                foreignPassiveIncome: 10000,
+                foreignPassiveTaxPaid: 1000,
+                foreignTaxCarryovers: [
+                    { year: 2020, category: 'passive', amount: 400 },
+                    { year: 2014, category: 'passive', amount: 500 },
+                    { year: 2019, category: 'passive', amount: 300 },
+                ],
+            }, { taxableIncome: 94300, tax: 15660, grossIncome: 110000, deduction: 15700, taxYear: 2025 });
+            const passive = result.categories.passive;
+
+            expect(passive.apportionedDeduction).toBeCloseTo(15700 / 11, 6);
+            expect(passive.limit).toBeCloseTo(15660 * (10000 - 15700 / 11) / 94300, 6);
+            // The 2014 carryover has expired; $1,000 of this year's tax, then 2019's, then part of 2020's
+            expect(passive.expired).toBe(500);
+            expect(result.credit).toBeCloseTo(passive.limit, 6);
+            expect(result.carryforward.foreignTaxCarryovers).toEqual([
+                { year: 2020, category: 'passive', amount: expect.closeTo(1700 - passive.limit, 6) },
+            ]);
+        });
+
+        it('should allow up to $300 of passive foreign tax without Form 1116 unless declined', () => {
+            const form = {
+                taxYear: 2025, filingStatus: 'single', totalWages: 80000, ordinaryDividends: 1000,
+                foreignPassiveIncome: 1000, foreignPassiveTaxPaid: 300,
+            };
+            const result = calculateTotalTax(form);
+
+            expect(result.foreignTaxCreditDetails.deMinimis).toBe(true);
+            expect(result.foreignTaxCredit).toBe(300);
+            expect(result.foreignTaxCreditDetails.carryforward.foreignTaxCarryovers).toEqual([]);
+
+            const declined = calculateTotalTax({ ...form, foreignTaxDeMinimisElection: false });
+            expect(declined.foreignTaxCreditDetails.form).toBe('Form 1116');
+            // Limited to the US tax on the dividends, with the rest carried forward
+            expect(declined.foreignTaxCredit).toBeLessThan(300);
+            expect(declined.foreignTaxCreditDetails.carryforward.foreignTaxCarryovers[0].amount).toBeCloseTo(300 - declined.foreignTaxCredit, 6);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateChildReturns,
+    calculateForm8615,
+    calculateForm8814,
+    getKiddieTaxAmounts,
+    isSubjectToKiddieTax,
+} from '../../src/calculations/calculateKiddieTax.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+// Married parents with $200,000 of taxable income after the $31,400 standard deduction
+const parentForm = (dependents) => ({ taxYear: 2025, filingStatus: 'married', totalWages: 231400, dependents });
+const ana = { name: 'Ana', age: 12, qualifyingChild: true, childReturn: { ordinaryDividends: 10000, qualifiedDividends: 5000 } };
+const ben = { name: 'Ben', age: 10, qualifyingChild: true, childReturn: { taxableInterest: 6000 } };
+
+describe('Kiddie tax (Forms 8615 / 8814)', () => {
+
+    describe('thresholds and age test', () => {
+        it('should derive the thresholds from the dependent standard deduction', () => {
+            expect(getKiddieTaxAmounts(2025)).toEqual({ baseAmount: 1350, threshold: 2700, form8814Limit: 13500, form8814MaxTax: 135 });
+            expect(getKiddieTaxAmounts(2024).threshold).toBe(2600);
+        });
+
+        it('should apply to children under 18, 18-year-olds and students under 24 who don\'t support themselves', () => {
+            expect(isSubjectToKiddieTax({ age: 17 }, 2025)).toBe(true);
+            expect(isSubjectToKiddieTax({ age: 18 }, 2025)).toBe(true);
+            expect(isSubjectToKiddieTax({ age: 18, earnedIncomeOverHalfSupport: true }, 2025)).toBe(false);
+            expect(isSubjectToKiddieTax({ age: 21, student: true }, 2025)).toBe(true);
+            expect(isSubjectToKiddieTax({ age: 21 }, 2025)).toBe(false);
+            expect(isSubjectToKiddieTax({ birthDate: '2001-05-01', student: true }, 2025)).toBe(false);
+        });
+    });
+
+    describe('calculateForm8615', () => {
+        it('should tax nothing extra when unearned income is under the threshold', () => {
+            const result = calculateForm8615(
+                { unearnedIncome: 2500, taxableIncome: 1150 },
+                { filingStatus: 'married', taxableIncome: 200000 },
+                2025
+            );
+
+            expect(result.netUnearnedIncome).toBe(0);
+            expect(result.tax).toBeCloseTo(115, 6);
+            expect(result.additionalTax).toBe(0);
+        });
+    });
+
+    describe('calculateChildReturns', () => {
+        it('should tax net unearned income over $2,700 at the parent\'s rate', () => {
+            const [child] = calculateChildReturns(parentForm([ana]));
+            const details = child.result.kiddieTaxDetails;
+
+            // $10,000 - $1,350 dependent standard deduction
+            expect(child.result.taxableIncome).toBe(8650);
+            expect(details.netUnearnedIncome).toBe(7300);
+            // Child's own rates: $3,650 at 10%, qualified dividends at 0%
+            expect(details.childTax).toBeCloseTo(365, 6);
+            // $3,650 more ordinary income at 22% and $3,650 of qualified dividends at 15%
+            expect(details.childShare).toBeCloseTo(3650 * 0.22 + 3650 * 0.15, 6);
+            expect(child.kiddieTax).toBeCloseTo(details.childShare - 365, 6);
+            expect(child.tax).toBeCloseTo(1350.5, 6);
+        });
+
+        it('should share the parent\'s tax among children in proportion to net unearned income', () => {
+            const [first, second] = calculateChildReturns(parentForm([ana, ben]));
+
+            expect(first.result.kiddieTaxDetails.otherChildrenNetUnearnedIncome).toBe(3300);
+            expect(first.result.kiddieTaxDetails.share).toBeCloseTo(7300 / 10600, 10);
+            expect(second.result.kiddieTaxDetails.otherChildrenNetUnearnedIncome).toBe(7300);
+            expect(second.result.kiddieTaxDetails.share).toBeCloseTo(3300 / 10600, 10);
+        });
+
+        it('should give a working child the earned income standard deduction', () => {
+            const result = calculateTotalTax({ taxYear: 2025, filingStatus: 'single', canBeClaimedAsDependent: true, totalWages: 4000, taxableInterest: 500 });
+
+            expect(result.deduction).toBe(4450);
+            expect(calculateTotalTax({ taxYear: 2025, canBeClaimedAsDependent: true, totalWages: 20000 }).deduction).toBe(15700);
+        });
+    });
+
+    describe('calculateForm8814', () => {
+        it('should split the income over $2,700 and tax $1,350 to $2,700 at 10%', () => {
+            const result = calculateForm8814(ana, 2025);
+
+            expect(result.eligible).toBe(true);
+            expect(result.includedIncome).toBe(7300);
+            expect(result.includedQualifiedDividends).toBe(3650);
+            expect(result.includedOtherIncome).toBe(3650);
+            expect(result.tax).toBeCloseTo(135, 6);
+            expect(calculateForm8814({ childReturn: { taxableInterest: 2000 } }, 2025).tax).toBeCloseTo(65, 6);
+        });
+
+        it('should not allow the election for wages, withholding or income of $13,500 or more', () => {
+            const { reasons } = calculateForm8814({
+                age: 20,
+                childReturn: { taxableInterest: 14000, totalWages: 3000, totalWithholding: 100 },
+            }, 2025);
+
+            expect(reasons).toHaveLength(4);
+            expect(calculateForm8814({ age: 20, student: true, childReturn: { taxableInterest: 5000 } }, 2025).eligible).toBe(true);
+        });
+
+        it('should add the elected child\'s income and tax to the parent\'s return', () => {
+            const form = parentForm([{ ...ana, form8814: true }]);
+            const result = calculateTotalTax(form, { forms: true });
+            const { form1040, schedule1 } = result.forms;
+
+            expect(result.agi).toBe(238700);
+            expect(result.form8814Tax).toBeCloseTo(135, 6);
+            expect(form1040.lines['3a'].value).toBe(3650);
+            expect(schedule1.lines['8z'].value).toBe(3650);
+            expect(form1040.lines['16'].value).toBeCloseTo(result.regularTax + result.capitalGainsTax + 135, 6);
+            expect(calculateChildReturns(form, result)[0]).toMatchObject({ reportedOnParentReturn: true, result: null, tax: 0 });
+        });
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateMarginalRate,
+    getMarginalRate,
+} from '../../src/calculations/calculateMarginalRate.js';
+import { calculateTotalTax, calculateSelfEmploymentTax } from '../../src/calculations/calculateTax.js';
+import { analyzeDeductionOptimizations } from '../../src/optimizations/deductionOptimizer.js';
+
+const wages = (totalWages, extra = {}) => ({ taxYear: 2025, filingStatus: 'single', totalWages, ...extra });
+
+describe('Marginal tax rate', () => {
+
+    describe('calculateMarginalRate', () => {
+        it('should use the brackets for the filing status', () => {
+            // $125,000 less the standard deduction: $93,600 MFJ, $101,375 HOH, $109,300 single
+            expect(getMarginalRate(wages(125000, { filingStatus: 'married' }))).toBeCloseTo(0.12, 6);
+            expect(getMarginalRate(wages(125000, { filingStatus: 'head' }))).toBeCloseTo(0.22, 6);
+            expect(getMarginalRate(wages(125000))).toBeCloseTo(0.24, 6);
+        });
+
+        it('should add the state rate from the state return', () => {
+            const result = calculateMarginalRate(wages(150000, { state: 'CA' }));
+
+            expect(result.federal).toBeCloseTo(0.24, 6);
+            expect(result.state).toBeCloseTo(0.093, 6);
+            expect(result.combined).toBeCloseTo(0.333, 6);
+            expect(calculateMarginalRate(wages(150000, { state: 'TX' })).state).toBe(0);
+        });
+
+        it('should include the Social Security tax torpedo', () => {
+            // Each $1 of pension income also makes $0.85 of benefits taxable
+            const retiree = { taxYear: 2025, filingStatus: 'single', socialSecurityBenefits: 30000, taxablePensions: 30000 };
+
+            expect(getMarginalRate(retiree)).toBeCloseTo(0.12 * 1.85, 6);
+        });
+
+        it('should include NIIT and the child tax credit phase-out', () => {
+            // MAGI $250,000: $50,000 over the threshold, less than the $100,000 of interest
+            expect(getMarginalRate(wages(150000, { taxableInterest: 100000 }))).toBeCloseTo(0.32 + 0.038, 6);
+
+            // $5 of credit lost per $100 over $400,000 MFJ
+            const family = wages(450000, {
+                filingStatus: 'married',
+                dependents: [{ qualifyingChild: true, age: 8 }, { qualifyingChild: true, age: 11 }],
+            });
+            expect(getMarginalRate(family)).toBeCloseTo(0.32 + 0.05, 6);
+        });
+
+        it('should include self-employment tax on Schedule C income', () => {
+            const form = { taxYear: 2025, filingStatus: 'single', hasScheduleC: true, scheduleC: { netProfit: 80000 } };
+            const ordinary = calculateMarginalRate(form);
+            const selfEmployment = calculateMarginalRate(form, { income: 'selfEmployment' });
+
+            expect(selfEmployment.income).toBe('selfEmployment');
+            const seTaxChange = calculateSelfEmploymentTax(80000).tax - calculateSelfEmploymentTax(79000).tax;
+            expect(selfEmployment.federal - ordinary.federal).toBeCloseTo(seTaxChange / 1000, 6);
+        });
+
+        it('should measure income added as well as taken away, from a given baseline', () => {
+            const form = wages(80000);
+            const baseline = calculateTotalTax(form);
+            const result = calculateMarginalRate(form, { change: 1000, baseline });
+
+            expect(result.federalTaxBefore).toBe(baseline.finalTax);
+            expect(result.federalTaxAfter - result.federalTaxBefore).toBeCloseTo(220, 6);
+            expect(getMarginalRate(wages(10000))).toBe(0);
+        });
+    });
+
+    describe('optimizer savings', () => {
+        it('should value a married couple\'s deduction at the MFJ rate', () => {
+            const opt = analyzeDeductionOptimizations({
+                taxYear: 2025, filingStatus: 'married', totalWages: 150000,
+                deductionType: 'itemized', stateLocalTaxes: 8000, mortgageInterest: 4000,
+            }).find(o => o.id === 'deduction-switch-to-standard');
+
+            // Single brackets would have put $118,600 of taxable income in the 24% bracket
+            expect(opt.potentialSavings).toBe(Math.round((31400 - 12000) * 0.22));
+        });
+    });
+});
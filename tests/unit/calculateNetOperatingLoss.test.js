@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateExcessBusinessLoss,
+    calculateNetOperatingLoss,
+    calculateNOLDeduction,
+} from '../../src/calculations/calculateNetOperatingLoss.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+const founder = (netProfit, extra = {}) => ({
+    taxYear: 2025, filingStatus: 'single', hasScheduleC: true, scheduleC: { netProfit }, ...extra,
+});
+
+describe('Net operating losses (Forms 172 / 461)', () => {
+
+    describe('calculateExcessBusinessLoss', () => {
+        it('should disallow business losses over the threshold', () => {
+            expect(calculateExcessBusinessLoss(-400000, { filingStatus: 'single', taxYear: 2025 }).excessBusinessLoss).toBe(87000);
+            expect(calculateExcessBusinessLoss(-700000, { filingStatus: 'married', taxYear: 2025 }).excessBusinessLoss).toBe(74000);
+            expect(calculateExcessBusinessLoss(-500000, { filingStatus: 'married', taxYear: 2025 }).excessBusinessLoss).toBe(0);
+            expect(calculateExcessBusinessLoss(-300000, { filingStatus: 'marriedSeparate', taxYear: 2026 }).threshold).toBe(256000);
+        });
+    });
+
+    describe('calculateNOLDeduction', () => {
+        it('should use pre-2018 losses in full, then post-2017 losses up to 80% of what\'s left', () => {
+            const result = calculateNOLDeduction([
+                { year: 2020, amount: 100000 },
+                { year: 2019, amount: 50000 },
+                { year: 2016, amount: 10000 },
+            ], { taxableIncome: 60000, taxYear: 2025 });
+
+            expect(result.limit).toBe(40000);
+            expect(result.deduction).toBe(50000);
+            expect(result.used).toEqual([{ year: 2016, amount: 10000 }, { year: 2019, amount: 40000 }]);
+            expect(result.remaining).toEqual([{ year: 2019, amount: 10000 }, { year: 2020, amount: 100000 }]);
+        });
+
+        it('should expire pre-2018 losses after 20 years', () => {
+            const result = calculateNOLDeduction([
+                { year: 2004, amount: 5000 },
+                { year: 2005, amount: 7000 },
+            ], { taxableIncome: 100000, taxYear: 2025 });
+
+            expect(result.expired).toBe(5000);
+            expect(result.deduction).toBe(7000);
+            expect(result.remaining).toEqual([]);
+        });
+    });
+
+    describe('calculateNetOperatingLoss', () => {
+        it('should add back nonbusiness deductions over nonbusiness income and capital losses', () => {
+            const result = calculateNetOperatingLoss({
+                agi: -48000, deduction: 15700, capitalGainOrLoss: -3000, nonbusinessIncome: 5000,
+            }, 2025);
+
+            expect(result.taxableIncome).toBe(-63700);
+            expect(result.nonbusinessDeductionAddBack).toBe(10700);
+            expect(result.netOperatingLoss).toBe(50000);
+            expect(calculateNetOperatingLoss({ agi: 10000, deduction: 15700 }, 2025).netOperatingLoss).toBe(0);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should carry a Schedule C loss forward as this year\'s NOL', () => {
+            const result = calculateTotalTax(founder(-50000, { taxableInterest: 5000, capitalGainLoss: -3000 }));
+
+            expect(result.agi).toBe(-48000);
+            expect(result.nolDetails.netOperatingLoss).toBe(50000);
+            expect(result.nolDetails.carryforward).toEqual({ nolCarryforwards: [{ year: 2025, amount: 50000 }] });
+        });
+
+        it('should limit the NOL deduction to 80% of taxable income on Schedule 1 Line 8a', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', totalWages: 100000, nolCarryforwards: [{ year: 2024, amount: 200000 }],
+            }, { forms: true });
+
+            // 80% of $100,000 - $15,700
+            expect(result.nolDeduction).toBe(67440);
+            expect(result.forms.schedule1.lines['8a'].value).toBe(-67440);
+            expect(result.forms.form1040.lines['9'].value).toBe(32560);
+            expect(result.taxableIncome).toBe(16860);
+            expect(result.nolDetails.carryforward.nolCarryforwards).toEqual([{ year: 2024, amount: 132560 }]);
+        });
+
+        it('should add an excess business loss back to income and carry it forward', () => {
+            const result = calculateTotalTax({
+                ...founder(-800000), filingStatus: 'married', totalWages: 1000000,
+            }, { forms: true });
+
+            expect(result.excessBusinessLoss).toBe(174000);
+            expect(result.totalIncome).toBe(374000);
+            expect(result.forms.schedule1.lines['8p'].value).toBe(174000);
+            expect(result.nolDetails.carryforward.nolCarryforwards).toEqual([{ year: 2025, amount: 174000 }]);
+        });
+
+        it('should pass the ledger from one year to the next', () => {
+            const firstYear = calculateTotalTax(founder(-50000, { taxableInterest: 5000, capitalGainLoss: -3000 }));
+            const secondYear = calculateTotalTax({
+                taxYear: 2026, filingStatus: 'single', totalWages: 60000, ...firstYear.nolDetails.carryforward,
+            });
+
+            expect(secondYear.nolDeduction).toBe((60000 - secondYear.deduction) * 0.8);
+            expect(secondYear.nolDetails.carryforward.nolCarryforwards).toEqual([
+                { year: 2025, amount: 50000 - secondYear.nolDeduction },
+            ]);
+        });
+    });
+});
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculatePassiveActivityLoss,
+    calculateSpecialAllowance,
+    getPassiveActivities,
+    isRealEstateProfessional,
+} from '../../src/calculations/calculatePassiveActivityLoss.js';
+import { calculateScheduleK1 } from '../../src/calculations/calculateScheduleK1.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeRealEstateProfessionalOptimizations } from '../../src/optimizations/realEstateProfessionalOptimizer.js';
+
+const rental = (name, net, extra = {}) => ({
+    name,
+    type: 'rental',
+    passive: true,
+    net,
+    priorYearUnallowedLoss: 0,
+    activeParticipation: true,
+    disposedOf: false,
+    ...extra,
+});
+
+describe('Passive activity losses (Form 8582)', () => {
+
+    describe('calculateSpecialAllowance', () => {
+        it('should phase out $25,000 between $100,000 and $150,000 of MAGI', () => {
+            expect(calculateSpecialAllowance(90000, 'single').available).toBe(25000);
+            expect(calculateSpecialAllowance(120000, 'marriedJoint').available).toBe(15000);
+            expect(calculateSpecialAllowance(150000, 'single').available).toBe(0);
+        });
+
+        it('should halve the allowance for married filing separately living apart', () => {
+            expect(calculateSpecialAllowance(60000, 'marriedSeparate', false).available).toBe(7500);
+            expect(calculateSpecialAllowance(40000, 'marriedSeparate', true).available).toBe(0);
+        });
+    });
+
+    describe('isRealEstateProfessional', () => {
+        it('should require 750 hours, more than other work, and material participation', () => {
+            expect(isRealEstateProfessional({ realEstateHours: 1200, otherWorkHours: 400, rentalPropertyHours: 600 })).toBe(true);
+            expect(isRealEstateProfessional({ realEstateHours: 800, otherWorkHours: 1800, rentalPropertyHours: 600 })).toBe(false);
+            expect(isRealEstateProfessional({ realEstateHours: 1200, otherWorkHours: 400 })).toBe(false);
+        });
+    });
+
+    describe('calculatePassiveActivityLoss', () => {
+        it('should let passive income absorb passive losses', () => {
+            const result = calculatePassiveActivityLoss(
+                [rental('Duplex', -30000, { activeParticipation: false }), rental('Condo', 10000)],
+                { magi: 200000, filingStatus: 'single' }
+            );
+
+            expect(result.allowedLosses).toBe(10000);
+            expect(result.activities[0].allowedNet).toBe(-10000);
+            expect(result.activities[0].carryforward.priorYearUnallowedLoss).toBe(20000);
+        });
+
+        it('should allow the special allowance on top of passive income', () => {
+            const result = calculatePassiveActivityLoss(
+                [rental('Duplex', -40000), rental('Condo', 5000)],
+                { magi: 120000, filingStatus: 'marriedJoint' }
+            );
+
+            // Line 4: -35,000; special allowance 15,000 + 5,000 passive income
+            expect(result.specialAllowance.allowed).toBe(15000);
+            expect(result.allowedLosses).toBe(20000);
+            expect(result.unallowedLosses).toBe(20000);
+        });
+
+        it('should allow everything when the combined result is income', () => {
+            const result = calculatePassiveActivityLoss(
+                [rental('Duplex', -8000, { priorYearUnallowedLoss: 4000 }), rental('Condo', 15000)],
+                { magi: 300000, filingStatus: 'single' }
+            );
+
+            expect(result.isLimited).toBe(false);
+            expect(result.activities[0].allowedNet).toBe(-12000);
+        });
+
+        it('should spread the allowed loss across activities in proportion', () => {
+            const result = calculatePassiveActivityLoss(
+                [
+                    rental('A', -30000, { activeParticipation: false }),
+                    rental('B', -10000, { activeParticipation: false }),
+                    rental('C', 20000),
+                ],
+                { magi: 300000, filingStatus: 'single' }
+            );
+
+            expect(result.activities.map(a => a.unallowedLoss)).toEqual([15000, 5000, 0]);
+        });
+
+        it('should release all losses of an activity disposed of this year', () => {
+            const result = calculatePassiveActivityLoss(
+                [rental('Sold', 5000, { priorYearUnallowedLoss: 30000, disposedOf: true }), rental('Kept', -10000)],
+                { magi: 300000, filingStatus: 'single' }
+            );
+
+            expect(result.released).toBe(30000);
+            expect(result.activities[0].allowedNet).toBe(-25000);
+            expect(result.activities[1].unallowedLoss).toBe(10000);
+        });
+
+        it('should only use a nonpassive activity\'s prior losses against its own income', () => {
+            const result = calculatePassiveActivityLoss(
+                [rental('Former passive', 6000, { passive: false, priorYearUnallowedLoss: 10000 })],
+                { magi: 300000, filingStatus: 'single' }
+            );
+
+            expect(result.activities[0].allowedNet).toBe(0);
+            expect(result.activities[0].carryforward.priorYearUnallowedLoss).toBe(4000);
+        });
+    });
+
+    describe('getPassiveActivities', () => {
+        it('should include passive K-1s and skip material participation K-1s', () => {
+            const form = {
+                scheduleK1: [
+                    { entityName: 'Fund LP', ordinaryLoss: 12000, isLimitedPartner: true },
+                    { entityName: 'Ops LLC', ordinaryIncome: 50000 },
+                ],
+            };
+            const activities = getPassiveActivities(form, calculateScheduleK1(form));
+
+            expect(activities.map(a => [a.name, a.net])).toEqual([['Fund LP', -12000]]);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should suspend a rental loss above $150,000 of MAGI', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 200000,
+                hasScheduleE: true,
+                scheduleE: { netIncome: -40000 },
+            });
+
+            expect(result.totalIncome).toBe(200000);
+            expect(result.passiveLossDetails.activities[0].carryforward.priorYearUnallowedLoss).toBe(40000);
+        });
+
+        it('should allow a partial loss in the phase-out range', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 130000,
+                hasScheduleE: true,
+                scheduleE: { netIncome: -20000 },
+            }, { forms: true });
+
+            // 25,000 - 50% × (130,000 - 100,000) = 10,000
+            expect(result.totalIncome).toBe(120000);
+            expect(result.forms.schedule1.lines['5'].value).toBe(-10000);
+        });
+
+        it('should figure the phase-out MAGI without the deductible part of SE tax', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                hasScheduleC: true,
+                scheduleC: { netProfit: 120000 },
+                selfEmploymentTaxDeduction: 8478,
+                hasScheduleE: true,
+                scheduleE: { netIncome: -20000 },
+            }, { forms: true });
+
+            // MAGI $120,000, not $111,522: 25,000 - 50% × (120,000 - 100,000) = 15,000
+            expect(result.forms.schedule1.lines['5'].value).toBe(-15000);
+        });
+
+        it('should deduct a real estate professional\'s loss in full', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 200000,
+                isRealEstateProfessional: true,
+                rentalActivities: [{ name: 'Fourplex', rentalIncome: 30000, rentalExpenses: 70000 }],
+            });
+
+            expect(result.totalIncome).toBe(160000);
+        });
+
+        it('should hold back a passive K-1 loss from income and QBI', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 200000,
+                scheduleK1: [
+                    { entityName: 'Fund LP', ordinaryLoss: 15000, isPassive: true },
+                    { entityName: 'Ops LLC', ordinaryIncome: 40000 },
+                ],
+            });
+
+            expect(result.totalIncome).toBe(240000);
+            expect(result.qbiDetails.businesses.map(b => b.qbi)).toEqual([0, 40000]);
+        });
+
+        it('should report the carryforward in the real estate optimizer', () => {
+            const opts = analyzeRealEstateProfessionalOptimizations({
+                filingStatus: 'single',
+                totalWages: 200000,
+                hasScheduleE: true,
+                scheduleE: { rentalIncome: 20000, rentalExpenses: 35000 },
+            });
+            const suspended = opts.find(o => o.id === 'rep-suspended-losses');
+
+            expect(suspended.details).toContain('Carried forward to next year: $15,000');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculatePremiumTaxCredit,
+    getApplicableFigure,
+    getPovertyLine,
+} from '../../src/calculations/calculatePremiumTaxCredit.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeRetirementOptimizations } from '../../src/optimizations/retirementOptimizer.js';
+import { analyzeCapitalGainsOptimizations } from '../../src/optimizations/capitalGainsOptimizer.js';
+import { EARLY_RETIREE_PROFILE } from '../../src/utils/testProfiles.js';
+
+const policy = (extra = {}) => ({ enrollmentPremium: 7200, slcsp: 6000, advancePayment: 5000, ...extra });
+
+const context = (extra = {}) => ({ taxYear: 2025, magi: 30000, filingStatus: 'single', ...extra });
+
+describe('Premium tax credit (Form 8962)', () => {
+
+    describe('getPovertyLine / getApplicableFigure', () => {
+        it('should use the prior year poverty guidelines, with Alaska and Hawaii', () => {
+            expect(getPovertyLine(4, 'TX', 2025)).toBe(31200);
+            expect(getPovertyLine(1, 'AK', 2025)).toBe(18810);
+            expect(getPovertyLine(2, undefined, 2026)).toBe(21150);
+        });
+
+        it('should interpolate the ARPA table with no 400% cap through 2025', () => {
+            expect(getApplicableFigure(140, 2025)).toBe(0);
+            expect(getApplicableFigure(175, 2025)).toBe(0.01);
+            expect(getApplicableFigure(350, 2025)).toBe(0.0725);
+            expect(getApplicableFigure(600, 2025)).toBe(0.085);
+        });
+
+        it('should use the 2026 table and income cap', () => {
+            expect(getApplicableFigure(120, 2026)).toBe(0.021);
+            expect(getApplicableFigure(255, 2026)).toBe(0.0859);
+            expect(getApplicableFigure(400, 2026)).toBe(0.0996);
+            expect(getApplicableFigure(401, 2026)).toBeNull();
+        });
+    });
+
+    describe('calculatePremiumTaxCredit', () => {
+        it('should give the SLCSP less the contribution, reconciled with advance payments', () => {
+            const result = calculatePremiumTaxCredit({ form1095A: [policy()] }, context());
+
+            // $30,000 = 199% of $15,060: 1.96% figure, $588 contribution
+            expect(result.fplPercent).toBe(199);
+            expect(result.applicableFigure).toBe(0.0196);
+            expect(result.premiumTaxCredit).toBeCloseTo(5412, 2);
+            expect(result.netPremiumTaxCredit).toBeCloseTo(412, 2);
+            expect(result.excessRepayment).toBe(0);
+        });
+
+        it('should figure the credit for covered months only', () => {
+            const result = calculatePremiumTaxCredit({
+                form1095A: [{ enrollmentPremium: 3600, slcsp: 3000, advancePayment: 0, coverageMonths: 6 }],
+            }, context());
+
+            expect(result.months[5].credit).toBeCloseTo(451, 2);
+            expect(result.months[6].credit).toBe(0);
+            expect(result.premiumTaxCredit).toBeCloseTo(2706, 2);
+        });
+
+        it('should limit the repayment of excess advance payments below 400% of FPL', () => {
+            const result = calculatePremiumTaxCredit({ form1095A: [policy({ advancePayment: 6000 })] }, context({ magi: 40000 }));
+
+            expect(result.fplPercent).toBe(265);
+            expect(result.excessAdvancePayments).toBeCloseTo(1840, 2);
+            expect(result.repaymentLimit).toBe(975);
+            expect(result.excessRepayment).toBe(975);
+        });
+
+        it('should repay all advance payments over the 2026 cliff', () => {
+            const result = calculatePremiumTaxCredit({ form1095A: [policy({ advancePayment: 3000 })] }, context({ magi: 70000, taxYear: 2026 }));
+
+            expect(result.eligible).toBe(false);
+            expect(result.reasons[0]).toContain('over 400%');
+            expect(result.excessRepayment).toBe(3000);
+        });
+
+        it('should allow income under 100% of FPL only with advance payments', () => {
+            const withAdvance = calculatePremiumTaxCredit({ form1095A: [policy()] }, context({ magi: 12000 }));
+            const without = calculatePremiumTaxCredit({ form1095A: [policy({ advancePayment: 0 })] }, context({ magi: 12000 }));
+
+            expect(withAdvance.premiumTaxCredit).toBe(6000);
+            expect(without.premiumTaxCredit).toBe(0);
+        });
+
+        it('should deny the credit for married filing separately without the exception', () => {
+            const form = { form1095A: [policy()] };
+
+            expect(calculatePremiumTaxCredit(form, context({ filingStatus: 'marriedSeparate' })).premiumTaxCredit).toBe(0);
+            expect(calculatePremiumTaxCredit({ ...form, ptcSpouseException: true }, context({ filingStatus: 'marriedSeparate' })).premiumTaxCredit)
+                .toBeCloseTo(5412, 2);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should put the net credit on Schedule 3 Line 9 and the repayment on Schedule 2 Line 1a', () => {
+            const credit = calculateTotalTax({ taxYear: 2025, filingStatus: 'single', totalWages: 30000, form1095A: [policy()] }, { forms: true });
+            const repayment = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', totalWages: 40000, form1095A: [policy({ advancePayment: 6000 })],
+            }, { forms: true });
+
+            expect(credit.forms.schedule3.lines['9'].value).toBeCloseTo(412, 2);
+            expect(credit.forms.form1040.lines['31'].value).toBeCloseTo(412, 2);
+            expect(repayment.forms.schedule2.lines['1a'].value).toBe(975);
+            expect(repayment.forms.form1040.lines['17'].value).toBe(975);
+        });
+    });
+
+    describe('optimizer effective marginal rates', () => {
+        it('should include the subsidy lost to a Roth conversion', () => {
+            const opt = analyzeRetirementOptimizations(EARLY_RETIREE_PROFILE.form).find(o => o.id === 'retirement-roth-conversion');
+
+            expect(opt.description).toContain('lost marketplace subsidies');
+            expect(opt.details.some(d => d.startsWith('Premium tax credit:'))).toBe(true);
+        });
+
+        it('should include the subsidy lost to harvesting gains at 0%', () => {
+            const opt = analyzeCapitalGainsOptimizations(EARLY_RETIREE_PROFILE.form).find(o => o.id === 'cg-tax-gain-harvesting');
+
+            expect(opt.description).toContain('effective marginal rate');
+            expect(opt.details.some(d => d.includes('% of FPL'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateQBIDeduction,
+    getQBIBusinesses,
+    aggregateQBIBusinesses,
+    getQBIThresholds,
+} from '../../src/calculations/calculateQBI.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeK1Optimizations } from '../../src/optimizations/k1Optimizer.js';
+
+/**
+ * Single qualified business with the given QBI, wages and UBIA
+ */
+function business(qbi, extra = {}) {
+    return { name: 'Business', source: 'k1', qbi, w2Wages: 0, ubia: 0, isSSTB: false, aggregationGroup: null, ...extra };
+}
+
+describe('QBI Deduction (Form 8995 / 8995-A)', () => {
+
+    describe('getQBIThresholds', () => {
+        it('should return the 2025 thresholds', () => {
+            expect(getQBIThresholds('single', 2025)).toEqual({ threshold: 197300, phaseInRange: 50000, phaseInEnd: 247300 });
+            expect(getQBIThresholds('married', 2025)).toEqual({ threshold: 394600, phaseInRange: 100000, phaseInEnd: 494600 });
+        });
+
+        it('should use the single amounts for head of household', () => {
+            expect(getQBIThresholds('head', 2025).threshold).toBe(197300);
+        });
+    });
+
+    describe('calculateQBIDeduction', () => {
+        it('should allow 20% of QBI below the threshold', () => {
+            const result = calculateQBIDeduction(
+                { businesses: [business(100000)] },
+                { taxableIncome: 150000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(result.form).toBe('Form 8995');
+            expect(result.deduction).toBe(20000);
+            expect(result.businesses[0].limitApplied).toBe('none');
+        });
+
+        it('should apply the W-2 wage / UBIA limit above the phase-in range', () => {
+            // 20% × 300,000 = 60,000; limit = max(50% × 40,000, 25% × 40,000 + 2.5% × 1,000,000) = 35,000
+            const result = calculateQBIDeduction(
+                { businesses: [business(300000, { w2Wages: 40000, ubia: 1000000 })] },
+                { taxableIncome: 400000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(result.form).toBe('Form 8995-A');
+            expect(result.businesses[0].limitApplied).toBe('wageLimit');
+            expect(result.deduction).toBe(35000);
+        });
+
+        it('should phase in the wage limit inside the range', () => {
+            // 40% into the range: 60,000 - (60,000 - 20,000) × 40% = 44,000
+            const result = calculateQBIDeduction(
+                { businesses: [business(300000, { w2Wages: 40000 })] },
+                { taxableIncome: 217300, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(result.phaseInPercent).toBeCloseTo(0.4, 6);
+            expect(result.businesses[0].limitApplied).toBe('phaseIn');
+            expect(result.deduction).toBeCloseTo(43460, 2); // Income limit: 20% × 217,300
+            expect(result.businesses[0].component).toBeCloseTo(44000, 2);
+        });
+
+        it('should reduce SSTB income by the applicable percentage', () => {
+            const sstb = business(100000, { isSSTB: true, w2Wages: 100000 });
+            const partial = calculateQBIDeduction(
+                { businesses: [sstb] },
+                { taxableIncome: 222300, filingStatus: 'single', taxYear: 2025 }
+            );
+            const phasedOut = calculateQBIDeduction(
+                { businesses: [sstb] },
+                { taxableIncome: 250000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(partial.businesses[0].applicablePercentage).toBeCloseTo(0.5, 6);
+            expect(partial.deduction).toBeCloseTo(10000, 2);
+            expect(phasedOut.deduction).toBe(0);
+        });
+
+        it('should net a loss business against profitable ones and carry the rest forward', () => {
+            const profit = calculateQBIDeduction(
+                { businesses: [business(90000, { name: 'A' }), business(30000, { name: 'B' }), business(-40000, { name: 'C' })] },
+                { taxableIncome: 150000, filingStatus: 'single', taxYear: 2025 }
+            );
+            const loss = calculateQBIDeduction(
+                { businesses: [business(10000)], qbiLossCarryforward: 25000 },
+                { taxableIncome: 150000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(profit.businesses.map(b => b.netQBI)).toEqual([60000, 20000, 0]);
+            expect(profit.deduction).toBe(16000);
+            expect(loss.deduction).toBe(0);
+            expect(loss.carryforward.qbiLossCarryforward).toBe(15000);
+        });
+
+        it('should add 20% of REIT dividends and PTP income', () => {
+            const result = calculateQBIDeduction(
+                { businesses: [], reitDividends: 8000, ptpIncome: 2000, reitPtpLossCarryforward: 5000 },
+                { taxableIncome: 100000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(result.reitPtp.component).toBe(1000);
+            expect(result.deduction).toBe(1000);
+        });
+
+        it('should limit the deduction to 20% of taxable income less net capital gain', () => {
+            const result = calculateQBIDeduction(
+                { businesses: [business(100000)] },
+                { taxableIncome: 80000, netCapitalGain: 30000, filingStatus: 'single', taxYear: 2025 }
+            );
+
+            expect(result.incomeLimited).toBe(true);
+            expect(result.deduction).toBe(10000);
+        });
+    });
+
+    describe('aggregation', () => {
+        it('should combine businesses in the same group but never SSTBs', () => {
+            const aggregated = aggregateQBIBusinesses([
+                business(100000, { name: 'A', w2Wages: 60000, aggregationGroup: 'rentals' }),
+                business(100000, { name: 'B', w2Wages: 0, aggregationGroup: 'rentals' }),
+                business(50000, { name: 'C', isSSTB: true, aggregationGroup: 'rentals' }),
+            ]);
+
+            expect(aggregated).toHaveLength(2);
+            expect(aggregated[0]).toMatchObject({ qbi: 200000, w2Wages: 60000, members: ['A', 'B'] });
+        });
+
+        it('should let a group share W-2 wages above the phase-in range', () => {
+            const separate = [business(100000, { w2Wages: 60000 }), business(100000)];
+            const grouped = separate.map(b => ({ ...b, aggregationGroup: 'group' }));
+            const context = { taxableIncome: 500000, filingStatus: 'single', taxYear: 2025 };
+
+            expect(calculateQBIDeduction({ businesses: separate }, context).deduction).toBe(20000);
+            expect(calculateQBIDeduction({ businesses: grouped }, context).deduction).toBe(30000);
+        });
+    });
+
+    describe('getQBIBusinesses', () => {
+        it('should read Schedule C and each K-1', () => {
+            const businesses = getQBIBusinesses({
+                hasScheduleC: true,
+                scheduleC: { netProfit: 50000, w2Wages: 10000 },
+                selfEmploymentTaxDeduction: 3500,
+                scheduleK1: [
+                    { entityName: 'Fund LP', ordinaryIncome: 80000, section179: 5000 },
+                    { entityName: 'Ops Inc', ordinaryIncome: 40000, section199A: { qbi: 35000, w2Wages: 20000 } },
+                ],
+            });
+
+            expect(businesses.map(b => [b.source, b.qbi])).toEqual([
+                ['scheduleC', 46500],
+                ['k1', 75000],
+                ['k1', 35000],
+            ]);
+            expect(businesses[2].w2Wages).toBe(20000);
+        });
+    });
+
+    describe('integration', () => {
+        it('should report qbiDetails from calculateTotalTax', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                hasScheduleC: true,
+                scheduleC: { netProfit: 80000 },
+                qualifiedREITDividends: 5000,
+            });
+
+            expect(result.qbiDetails.businesses[0].source).toBe('scheduleC');
+            expect(result.qbiDetails.reitPtp.component).toBe(1000);
+            expect(result.qbiDeduction).toBe(result.qbiDetails.deduction);
+        });
+
+        it('should apply the wage limit to K-1 income in the K-1 optimizer', () => {
+            const opts = analyzeK1Optimizations({
+                filingStatus: 'single',
+                totalWages: 450000,
+                hasScheduleK1: true,
+                partnershipIncome: 200000,
+                scheduleK1: {
+                    ordinaryIncome: 200000,
+                    section199A: { w2Wages: 30000, ubia: 0 },
+                },
+            });
+            const qbi = opts.find(o => o.id === 'k1-qbi-deduction');
+
+            // 50% × 30,000 W-2 wages instead of 20% × 200,000
+            expect(qbi.details).toContain('Potential QBI deduction (Form 8995-A): $15,000');
+            expect(qbi.formImpact).toEqual(['Form 8995-A']);
+        });
+    });
+});
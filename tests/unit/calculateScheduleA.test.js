@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateCharitableContributions,
+    calculateMortgageInterest,
+    calculateScheduleA,
+} from '../../src/calculations/calculateScheduleA.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+const context = (extra = {}) => ({ taxYear: 2025, agi: 100000, filingStatus: 'single', ...extra });
+
+describe('Itemized deductions (Schedule A)', () => {
+
+    describe('medical expenses', () => {
+        it('should deduct only expenses over 7.5% of AGI', () => {
+            const result = calculateScheduleA({ medicalExpenses: 10000 }, context());
+
+            expect(result.medicalFloor).toBe(7500);
+            expect(result.medicalDeduction).toBe(2500);
+            expect(calculateScheduleA({ medicalExpenses: 5000 }, context()).medicalDeduction).toBe(0);
+        });
+    });
+
+    describe('calculateMortgageInterest', () => {
+        it('should use the interest as entered without loan balances', () => {
+            expect(calculateMortgageInterest({ mortgageInterest: 30000 }, 'single').deductible).toBe(30000);
+        });
+
+        it('should prorate interest over $750,000 of post-2017 acquisition debt', () => {
+            const result = calculateMortgageInterest({
+                mortgageLoans: [{ interest: 60000, averageBalance: 1000000, originated: '2021-06-01' }],
+            }, 'married');
+
+            expect(result.qualifiedLoanLimit).toBe(750000);
+            expect(result.deductible).toBe(45000);
+            expect(calculateMortgageInterest({
+                mortgageLoans: [{ interest: 30000, averageBalance: 500000, originated: '2021-06-01' }],
+            }, 'marriedSeparate').deductible).toBe(22500);
+        });
+
+        it('should keep the $1,000,000 limit for grandfathered debt and exclude home equity debt', () => {
+            const result = calculateMortgageInterest({
+                mortgageLoans: [
+                    { interest: 50000, averageBalance: 900000, originated: '2015-03-01' },
+                    { interest: 10000, averageBalance: 200000, originated: '2019-01-01' },
+                    { interest: 4000, averageBalance: 80000, originated: '2019-01-01', use: 'other' },
+                ],
+            }, 'married');
+
+            // Limit: larger of $900,000 grandfathered or $750,000 = $900,000 of $1,100,000
+            expect(result.qualifiedLoanLimit).toBe(900000);
+            expect(result.deductible).toBeCloseTo(60000 * 900000 / 1100000, 6);
+            expect(result.nonDeductible).toBeCloseTo(64000 - result.deductible, 6);
+        });
+    });
+
+    describe('calculateCharitableContributions', () => {
+        it('should limit cash to 60% of AGI and carry the excess forward', () => {
+            const result = calculateCharitableContributions({ charityCash: 70000 }, { agi: 100000, taxYear: 2025 });
+
+            expect(result.deduction).toBe(60000);
+            expect(result.carryoverToNextYear).toEqual([{ year: 2025, category: 'cash', amount: 10000 }]);
+        });
+
+        it('should limit appreciated property to 30% and private foundations to 30% / 20%', () => {
+            const result = calculateCharitableContributions({
+                charityCapitalGainProperty: 40000,
+                charityPrivateFoundation: 10000,
+                charityPrivateFoundationCapitalGain: 10000,
+            }, { agi: 100000, taxYear: 2025 });
+            const { categories } = result;
+
+            expect(categories.capitalGainProperty.allowed).toBe(30000);
+            // 50% of AGI less $40,000 to public charities
+            expect(categories.privateFoundation.allowed).toBe(10000);
+            // 30% of AGI less the $30,000 of capital gain property
+            expect(categories.privateFoundationCapitalGain.allowed).toBe(0);
+            expect(result.deduction).toBe(40000);
+        });
+
+        it('should use this year\'s gifts before carryovers, oldest first, and expire them after 5 years', () => {
+            const result = calculateCharitableContributions({
+                charityCash: 50000,
+                charityCarryovers: [
+                    { year: 2021, category: 'cash', amount: 4000 },
+                    { year: 2020, category: 'cash', amount: 8000 },
+                    { year: 2019, category: 'cash', amount: 5000 },
+                ],
+            }, { agi: 100000, taxYear: 2025 });
+
+            expect(result.carryover).toBe(12000);
+            expect(result.deduction).toBe(60000);
+            // 2019's carryover has expired; 2020's is used in full and $2,000 of 2021's carries to 2026
+            expect(result.carryoverToNextYear).toEqual([{ year: 2021, category: 'cash', amount: 2000 }]);
+            expect(result.expired).toBe(0);
+        });
+
+        it('should apply the 0.5% floor from 2026', () => {
+            expect(calculateCharitableContributions({ charityCash: 5000 }, { agi: 100000, taxYear: 2026 }).deduction).toBe(4500);
+            expect(calculateCharitableContributions({ charityCash: 5000 }, { agi: 100000, taxYear: 2025 }).deduction).toBe(5000);
+        });
+    });
+
+    describe('OBBBA itemized deduction limitation', () => {
+        it('should reduce itemized deductions by 2/37 of income in the 37% bracket from 2026', () => {
+            const form = { stateLocalTaxes: 40000, mortgageInterest: 60000 };
+            const result = calculateScheduleA(form, context({ taxYear: 2026, agi: 700000 }));
+            const topBracketStart = 640600;
+
+            expect(result.limitation).toBeCloseTo(2 / 37 * Math.min(result.totalItemized, 700000 - topBracketStart), 6);
+            expect(calculateScheduleA(form, context({ agi: 700000 })).limitation).toBe(0);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should itemize automatically when Schedule A is larger', () => {
+            const form = { taxYear: 2025, filingStatus: 'single', totalWages: 120000, mortgageInterest: 15000, stateLocalTaxes: 9000 };
+            const result = calculateTotalTax(form, { forms: true });
+
+            expect(result.deductionType).toBe('itemized');
+            expect(result.deduction).toBe(24000);
+            expect(result.forms.scheduleA.lines['17'].value).toBe(24000);
+            expect(calculateTotalTax({ ...form, deductionType: 'standard' }).deduction).toBe(15700);
+            expect(calculateTotalTax({ ...form, mortgageInterest: 0 }).deductionType).toBe('standard');
+        });
+
+        it('should phase the SALT cap down by MAGI', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'single', totalWages: 560000, stateLocalTaxes: 45000, mortgageInterest: 20000,
+            }, { trace: true });
+            const { scheduleADetails } = result;
+
+            expect(scheduleADetails.saltCap).toBe(22000);
+            expect(scheduleADetails.saltCapReduction).toBe(18000);
+            expect(result.deduction).toBe(42000);
+            expect(JSON.stringify(result.trace)).toContain('cap reduced $18,000 for MAGI of $560,000');
+        });
+
+        it('should require itemizing when a separately filing spouse itemizes', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025, filingStatus: 'marriedSeparate', totalWages: 80000, stateLocalTaxes: 3000, spouseItemizes: true,
+            });
+
+            expect(result.deductionType).toBe('itemized');
+            expect(result.deduction).toBe(3000);
+        });
+    });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateScheduleD,
+    calculateCapitalLossCarryover,
+} from '../../src/calculations/calculateScheduleD.js';
+import { calculateTotalTax, calculateScheduleDTaxWorksheet, calculateBracketTax } from '../../src/calculations/calculateTax.js';
+import { getTaxParameters } from '../../src/calculations/taxYearParameters.js';
+import { HIGH_NET_WORTH_PROFILE } from '../../src/utils/testProfiles.js';
+
+describe('Schedule D', () => {
+
+    describe('calculateScheduleD', () => {
+        it('should net losses within each holding period', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: { shortTermGain: 5000, longTermGain: 20000, longTermLoss: 10000 },
+            });
+
+            expect(result.shortTerm.net).toBe(5000);
+            expect(result.longTerm.net).toBe(10000);
+            expect(result.netGainOrLoss).toBe(15000);
+            expect(result.netCapitalGain).toBe(10000);
+            expect(result.capitalGainOrLoss).toBe(15000);
+        });
+
+        it('should limit a net loss to $3,000 and carry the rest forward', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: { longTermGain: -50000 },
+            });
+
+            expect(result.allowedLoss).toBe(3000);
+            expect(result.capitalGainOrLoss).toBe(-3000);
+            expect(result.carryover).toEqual({ shortTermLossCarryover: 0, longTermLossCarryover: 47000 });
+        });
+
+        it('should limit married filing separately to $1,500', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'marriedSeparate',
+                scheduleD: { shortTermLoss: 10000 },
+            });
+
+            expect(result.capitalGainOrLoss).toBe(-1500);
+            expect(result.carryover.shortTermLossCarryover).toBe(8500);
+        });
+
+        it('should use short-term losses first when splitting the carryover', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: { shortTermLoss: 5000, longTermLoss: 10000 },
+            });
+
+            expect(result.carryover).toEqual({ shortTermLossCarryover: 2000, longTermLossCarryover: 10000 });
+        });
+
+        it('should apply prior-year carryovers before the current year\'s gains', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: { longTermGain: 10000, shortTermLossCarryover: 4000 },
+            });
+
+            expect(result.shortTerm.net).toBe(-4000);
+            expect(result.netGainOrLoss).toBe(6000);
+            expect(result.netCapitalGain).toBe(6000);
+        });
+    });
+
+    describe('28% rate gain and unrecaptured §1250 gain (Lines 18-19)', () => {
+        it('should offset a net short-term loss and LT carryover against the 28% gain first', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: {
+                    shortTermLoss: 10000, longTermGain: 100000, longTermLossCarryover: 5000,
+                    collectiblesGain: 12000, unrecapturedSection1250Gain: 30000,
+                },
+            });
+
+            expect(result.collectiblesGain).toBe(0);
+            // $3,000 of loss left after the 28% gain reduces the 25% gain
+            expect(result.unrecapturedSection1250Gain).toBe(27000);
+        });
+
+        it('should not report rate gains without a net capital gain', () => {
+            const result = calculateScheduleD({
+                filingStatus: 'single',
+                scheduleD: { shortTermLoss: 50000, longTermGain: 20000, collectiblesGain: 20000 },
+            });
+
+            expect(result.collectiblesGain).toBe(0);
+            expect(result.unrecapturedSection1250Gain).toBe(0);
+        });
+    });
+
+    describe('calculateScheduleDTaxWorksheet', () => {
+        const brackets = getTaxParameters(2025).brackets.single;
+
+        it('should tax unrecaptured §1250 gain at regular rates below the 32% bracket and 25% above', () => {
+            const worksheet = calculateScheduleDTaxWorksheet(334300, {
+                netCapitalGain: 200000, unrecapturedSection1250Gain: 80000,
+            }, 'single', 2025);
+
+            // Regular rates up to $197,300; $120,000 at 15%; $17,000 at 25%
+            expect(worksheet.ordinaryIncome).toBe(197300);
+            expect(worksheet.fifteenRateAmount).toBe(120000);
+            expect(worksheet.unrecapturedSection1250Amount).toBe(17000);
+            expect(worksheet.tax).toBeCloseTo(calculateBracketTax(197300, brackets) + 18000 + 4250, 2);
+        });
+
+        it('should tax collectibles at 28% on top of the 20% gains', () => {
+            const worksheet = calculateScheduleDTaxWorksheet(674300, {
+                qualifiedDividends: 10000, netCapitalGain: 90000, collectiblesGain: 40000,
+            }, 'single', 2025);
+
+            expect(worksheet.qualifiedIncome).toBe(60000);
+            expect(worksheet.twentyRateAmount).toBe(60000);
+            expect(worksheet.collectiblesAmount).toBe(40000);
+            expect(worksheet.tax).toBeCloseTo(calculateBracketTax(574300, brackets) + 12000 + 11200, 2);
+        });
+
+        it('should never exceed the tax on all income at regular rates', () => {
+            const worksheet = calculateScheduleDTaxWorksheet(20000, { netCapitalGain: 20000, collectiblesGain: 20000 }, 'single', 2025);
+
+            expect(worksheet.tax).toBeCloseTo(calculateBracketTax(20000, brackets), 2);
+            expect(worksheet.capitalGainsTax).toBe(0);
+        });
+    });
+
+    describe('calculateCapitalLossCarryover', () => {
+        it('should not use up losses that only create negative taxable income', () => {
+            // Taxable income of -$1,000 after the $3,000 loss: only $2,000 was absorbed
+            const carryover = calculateCapitalLossCarryover(-5000, 0, 3000, -1000);
+            expect(carryover.shortTermLossCarryover).toBe(3000);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should only deduct $3,000 of a $50,000 loss against wages', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 100000,
+                hasScheduleD: true,
+                scheduleD: { longTermGain: -50000 },
+            });
+
+            expect(result.capitalGainOrLoss).toBe(-3000);
+            expect(result.totalIncome).toBe(97000);
+            expect(result.scheduleDDetails.carryover.longTermLossCarryover).toBe(47000);
+        });
+
+        it('should also limit a loss entered directly on Line 7', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', totalWages: 100000, capitalGainLoss: -20000 });
+            expect(result.totalIncome).toBe(97000);
+        });
+
+        it('should honor the long-term loss in the high net worth profile', () => {
+            // $25,000 ST + ($150,000 - $10,000 + $25,000 K-1) LT
+            const result = calculateTotalTax(HIGH_NET_WORTH_PROFILE.form);
+
+            expect(result.capitalGainOrLoss).toBe(190000);
+            expect(result.scheduleDDetails.netCapitalGain).toBe(165000);
+        });
+
+        it('should use the Schedule D Tax Worksheet for collectibles', () => {
+            const form = {
+                taxYear: 2025,
+                filingStatus: 'single',
+                totalWages: 600000,
+                hasScheduleD: true,
+                scheduleD: { longTermGain: 100000, collectiblesGain: 50000 },
+            };
+            const result = calculateTotalTax(form, { forms: true });
+            const withoutCollectibles = calculateTotalTax({ ...form, scheduleD: { longTermGain: 100000 } });
+
+            expect(result.scheduleDTaxWorksheet.collectiblesAmount).toBe(50000);
+            expect(result.regularTax + result.capitalGainsTax - withoutCollectibles.regularTax - withoutCollectibles.capitalGainsTax)
+                .toBeCloseTo(50000 * 0.08, 2);
+            expect(result.forms.scheduleD.lines['18'].value).toBe(50000);
+            expect(result.forms.form1040.lines['16'].inputs).toContain('Schedule D Tax Worksheet');
+        });
+
+        it('should chain this year\'s carryover into next year\'s return', () => {
+            const year1 = calculateTotalTax({
+                taxYear: 2024,
+                filingStatus: 'single',
+                totalWages: 80000,
+                hasScheduleD: true,
+                scheduleD: { shortTermLoss: 10000 },
+            });
+
+            const year2 = calculateTotalTax({
+                taxYear: 2025,
+                filingStatus: 'single',
+                totalWages: 80000,
+                hasScheduleD: true,
+                scheduleD: { longTermGain: 5000, ...year1.scheduleDDetails.carryover },
+            });
+
+            // $7,000 ST carryover offsets $5,000 LT gain, $2,000 deducted
+            expect(year2.capitalGainOrLoss).toBe(-2000);
+            expect(year2.scheduleDDetails.carryover.shortTermLossCarryover).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateScheduleK1,
+    getScheduleK1s,
+    applyK1LossLimits,
+} from '../../src/calculations/calculateScheduleK1.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeK1Optimizations } from '../../src/optimizations/k1Optimizer.js';
+
+describe('Schedule K-1', () => {
+
+    describe('getScheduleK1s', () => {
+        it('should treat a lone S-Corp amount as a Form 1120-S K-1', () => {
+            const k1s = getScheduleK1s({ sCorpIncome: 250000, scheduleK1: { ordinaryIncome: 250000 } });
+            expect(k1s[0].entityType).toBe('sCorp');
+        });
+
+        it('should fall back to partnershipIncome and sCorpIncome', () => {
+            const k1s = getScheduleK1s({ partnershipIncome: 80000, sCorpIncome: 40000 });
+            expect(k1s.map(k1 => [k1.entityType, k1.ordinaryIncome])).toEqual([
+                ['partnership', 80000],
+                ['sCorp', 40000],
+            ]);
+        });
+    });
+
+    describe('applyK1LossLimits', () => {
+        it('should allow losses up to basis, then the amount at risk', () => {
+            const limits = applyK1LossLimits(
+                { ordinary: -50000, shortTerm: 0, longTerm: 0, section1231: 0, section179: 0 },
+                { basis: 20000, atRisk: 12000, increases: 0, distributions: 0, suspendedLoss: 0 }
+            );
+
+            expect(limits.allowedByBasis).toBe(20000);
+            expect(limits.allowed).toBe(12000);
+            expect(limits.suspendedByBasis).toBe(30000);
+            expect(limits.suspendedByAtRisk).toBe(8000);
+        });
+
+        it('should treat distributions in excess of basis as gain', () => {
+            const limits = applyK1LossLimits(
+                { ordinary: 0, shortTerm: 0, longTerm: 0, section1231: 0, section179: 0 },
+                { basis: 10000, atRisk: null, increases: 5000, distributions: 25000, suspendedLoss: 0 }
+            );
+
+            expect(limits.excessDistribution).toBe(10000);
+            expect(limits.basisAvailable).toBe(0);
+        });
+    });
+
+    describe('calculateScheduleK1', () => {
+        it('should split a loss and §179 in proportion to what basis allows', () => {
+            const result = calculateScheduleK1({
+                scheduleK1: { ordinaryLoss: 30000, section179: 10000, basis: 20000 },
+            });
+            const [k1] = result.k1s;
+
+            expect(k1.ordinaryIncome).toBe(-15000);
+            expect(k1.section179).toBe(5000);
+            expect(result.scheduleE).toBe(-20000);
+            expect(k1.carryforward.priorYearSuspendedLoss).toBe(20000);
+        });
+
+        it('should release a suspended loss once there is basis', () => {
+            const result = calculateScheduleK1({
+                scheduleK1: { ordinaryIncome: 40000, priorYearSuspendedLoss: 25000, basis: 0 },
+            });
+
+            expect(result.scheduleE).toBe(15000);
+            expect(result.suspendedLosses).toBe(0);
+        });
+
+        it('should not limit losses when basis is unknown', () => {
+            const result = calculateScheduleK1({ scheduleK1: { ordinaryLoss: 30000 } });
+            expect(result.scheduleE).toBe(-30000);
+        });
+
+        it('should only treat a general partner\'s share as SE income', () => {
+            const k1s = [
+                { entityType: 'partnership', ordinaryIncome: 60000, guaranteedPayments: 40000 },
+                { entityType: 'partnership', ordinaryIncome: 30000, isGeneralPartner: true },
+                { entityType: 'sCorp', ordinaryIncome: 100000 },
+            ];
+
+            expect(calculateScheduleK1({ scheduleK1: k1s }).k1s.map(k1 => k1.selfEmploymentEarnings))
+                .toEqual([40000, 30000, 0]);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        const form = {
+            filingStatus: 'single',
+            totalWages: 50000,
+            hasScheduleK1: true,
+            scheduleK1: [
+                {
+                    entityType: 'partnership',
+                    entityName: 'Fund LP',
+                    ordinaryIncome: 100000,
+                    guaranteedPayments: 20000,
+                    interestIncome: 3000,
+                    ordinaryDividends: 4000,
+                    qualifiedDividends: 2500,
+                    capitalGains: 10000,
+                    section1231Gain: 5000,
+                },
+                { entityType: 'sCorp', entityName: 'Ops Inc', ordinaryIncome: 50000 },
+            ],
+        };
+
+        it('should include K-1 income in total income', () => {
+            const result = calculateTotalTax(form);
+
+            // 50,000 wages + 3,000 interest + 4,000 dividends + 170,000 Schedule E + 15,000 Schedule D
+            expect(result.totalIncome).toBe(242000);
+            expect(result.scheduleDDetails.netCapitalGain).toBe(15000);
+        });
+
+        it('should charge SE tax on guaranteed payments', () => {
+            const result = calculateTotalTax(form);
+            expect(result.seTax).toBeCloseTo(20000 * 0.9235 * 0.153, 2);
+        });
+
+        it('should treat a net §1231 loss as ordinary', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 50000,
+                scheduleK1: { ordinaryIncome: 0, section1231Gain: -8000 },
+            }, { forms: true });
+
+            expect(result.totalIncome).toBe(42000);
+            expect(result.forms.schedule1.lines['4'].value).toBe(-8000);
+        });
+
+        it('should put each K-1 on the Form 8995-A', () => {
+            const result = calculateTotalTax(form);
+            expect(result.qbiDetails.businesses.map(b => [b.name, b.qbi])).toEqual([
+                ['Fund LP', 100000],
+                ['Ops Inc', 50000],
+            ]);
+        });
+
+        it('should show K-1 amounts on their own Form 1040 lines', () => {
+            const { forms } = calculateTotalTax(form, { forms: true });
+
+            expect(forms.schedule1.lines['5'].value).toBe(170000);
+            expect(forms.scheduleD.lines['11'].value).toBe(5000);
+            expect(forms.scheduleD.lines['12'].value).toBe(10000);
+            expect(forms.scheduleSE.lines['2'].value).toBe(20000);
+            expect(forms.form1040.lines['3a'].value).toBe(2500);
+        });
+
+        it('should flag losses suspended by basis in the K-1 optimizer', () => {
+            const opts = analyzeK1Optimizations({
+                filingStatus: 'single',
+                totalWages: 90000,
+                hasScheduleK1: true,
+                scheduleK1: { entityName: 'Startup LLC', ordinaryLoss: 40000, basis: 15000 },
+            });
+            const basis = opts.find(o => o.id === 'k1-basis-limitation');
+
+            expect(basis.details).toContain('Suspended loss: $25,000');
+        });
+    });
+});
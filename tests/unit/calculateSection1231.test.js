@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { calculateSection1231 } from '../../src/calculations/calculateSection1231.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+describe('Section 1231 netting (Form 4797)', () => {
+
+    describe('calculateSection1231', () => {
+        it('should treat a net §1231 gain as long-term capital gain', () => {
+            const result = calculateSection1231({ taxYear: 2025, form4797: { section1231Gain: 40000 } }, { k1Section1231: -10000 });
+
+            expect(result.netSection1231).toBe(30000);
+            expect(result.capitalGain).toBe(30000);
+            expect(result.ordinaryGain).toBe(0);
+        });
+
+        it('should treat a net §1231 loss as ordinary and carry it into the lookback', () => {
+            const result = calculateSection1231({ taxYear: 2025, form4797: { section1231Gain: -25000, ordinaryGain: 8000 } });
+
+            expect(result.capitalGain).toBe(0);
+            expect(result.ordinaryGain).toBe(-17000);
+            expect(result.carryforward.nonrecapturedLosses).toEqual([{ year: 2025, amount: 25000 }]);
+        });
+
+        it('should recapture losses of the 5 prior years as ordinary, oldest first', () => {
+            const result = calculateSection1231({
+                taxYear: 2025,
+                form4797: {
+                    section1231Gain: 25000,
+                    nonrecapturedLosses: [
+                        { year: 2023, amount: 15000 },
+                        { year: 2019, amount: 50000 },
+                        { year: 2021, amount: 20000 },
+                    ],
+                },
+            });
+
+            // 2019 is outside the lookback; 2021 is recaptured in full and $5,000 of 2023
+            expect(result.nonrecapturedLosses).toBe(35000);
+            expect(result.recaptured).toBe(25000);
+            expect(result.capitalGain).toBe(0);
+            expect(result.ordinaryGain).toBe(25000);
+            expect(result.carryforward.nonrecapturedLosses).toEqual([{ year: 2023, amount: 10000 }]);
+        });
+
+        it('should limit unrecaptured §1250 gain to the gain left as capital gain', () => {
+            const result = calculateSection1231({
+                taxYear: 2025,
+                form4797: { section1231Gain: 100000, unrecapturedSection1250Gain: 60000, nonrecapturedLosses: [{ year: 2024, amount: 70000 }] },
+            });
+
+            expect(result.capitalGain).toBe(30000);
+            expect(result.unrecapturedSection1250Gain).toBe(30000);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should report recaptured gain on Schedule 1 Line 4 and the rest on Schedule D Line 11', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025,
+                filingStatus: 'married',
+                totalWages: 150000,
+                form4797: { section1231Gain: 300000, unrecapturedSection1250Gain: 90000, nonrecapturedLosses: [{ year: 2022, amount: 40000 }] },
+            }, { forms: true });
+            const { schedule1, scheduleD } = result.forms;
+
+            expect(result.totalIncome).toBe(450000);
+            expect(schedule1.lines['4'].value).toBe(40000);
+            expect(scheduleD.lines['11'].value).toBe(260000);
+            expect(scheduleD.lines['19'].value).toBe(90000);
+            // The $90,000 falls below the 32% bracket, so it's taxed at regular rates
+            expect(result.scheduleDTaxWorksheet.ordinaryIncome).toBe(158600 + 90000);
+            expect(result.scheduleDTaxWorksheet.unrecapturedSection1250Amount).toBe(0);
+        });
+
+        it('should keep a K-1 §1231 loss ordinary', () => {
+            const result = calculateTotalTax({
+                taxYear: 2025,
+                filingStatus: 'single',
+                totalWages: 100000,
+                scheduleK1: { entityType: 'partnership', section1231Gain: -8000 },
+            });
+
+            expect(result.section1231Details.ordinaryGain).toBe(-8000);
+            expect(result.totalIncome).toBe(92000);
+        });
+    });
+});
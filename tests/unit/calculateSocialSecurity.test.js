@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { calculateTaxableSocialSecurity } from '../../src/calculations/calculateSocialSecurity.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeRetirementOptimizations } from '../../src/optimizations/retirementOptimizer.js';
+
+describe('Taxable Social Security', () => {
+
+    describe('calculateTaxableSocialSecurity', () => {
+        it('should not tax benefits below the base amount', () => {
+            // Provisional: $10,000 + $10,000 = $20,000 < $25,000
+            const result = calculateTaxableSocialSecurity(
+                { filingStatus: 'single', socialSecurityBenefits: 20000 },
+                { otherIncome: 10000 }
+            );
+
+            expect(result.provisionalIncome).toBe(20000);
+            expect(result.taxableBenefits).toBe(0);
+            expect(result.marginalInclusionRate).toBe(0);
+        });
+
+        it('should tax 50% of the excess in the first tier', () => {
+            // Provisional $30,000 - $25,000 base = $5,000 × 50%
+            const result = calculateTaxableSocialSecurity(
+                { filingStatus: 'single', socialSecurityBenefits: 20000 },
+                { otherIncome: 20000 }
+            );
+
+            expect(result.taxableBenefits).toBe(2500);
+            expect(result.marginalInclusionRate).toBe(0.5);
+        });
+
+        it('should add 85% of the excess over the adjusted base', () => {
+            // MFJ provisional: $15,000 + $40,000 = $55,000
+            // 50% tier: min($15,000, $12,000 × 50%) = $6,000
+            // 85% tier: ($55,000 - $44,000) × 85% = $9,350
+            const result = calculateTaxableSocialSecurity(
+                { filingStatus: 'married', socialSecurityBenefits: 30000 },
+                { otherIncome: 40000 }
+            );
+
+            expect(result.fiftyPercentTier).toBe(6000);
+            expect(result.taxableBenefits).toBeCloseTo(15350, 2);
+            expect(result.marginalInclusionRate).toBe(0.85);
+        });
+
+        it('should cap the taxable portion at 85% of benefits', () => {
+            const result = calculateTaxableSocialSecurity(
+                { filingStatus: 'single', socialSecurityBenefits: 30000 },
+                { otherIncome: 200000 }
+            );
+
+            expect(result.taxableBenefits).toBe(25500);
+            expect(result.taxablePercent).toBeCloseTo(0.85, 4);
+            expect(result.marginalInclusionRate).toBe(0);
+        });
+
+        it('should use zero base amounts for MFS filers who lived with their spouse', () => {
+            const form = { filingStatus: 'marriedSeparate', socialSecurityBenefits: 10000 };
+
+            // Provisional $5,000 + $2,000 = $7,000 × 85%
+            const together = calculateTaxableSocialSecurity({ ...form, livedWithSpouse: true }, { otherIncome: 2000 });
+            const apart = calculateTaxableSocialSecurity(form, { otherIncome: 2000 });
+
+            expect(together.livedTogetherMFS).toBe(true);
+            expect(together.taxableBenefits).toBeCloseTo(5950, 2);
+            expect(apart.taxableBenefits).toBe(0);
+        });
+
+        it('should include tax-exempt interest and subtract adjustments', () => {
+            const result = calculateTaxableSocialSecurity(
+                { filingStatus: 'single', socialSecurityBenefits: 20000, taxExemptInterest: 8000 },
+                { otherIncome: 20000, adjustments: 3000 }
+            );
+
+            // $10,000 + $20,000 + $8,000 - $3,000
+            expect(result.provisionalIncome).toBe(35000);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should compute Line 6b from gross benefits', () => {
+            const result = calculateTotalTax({
+                filingStatus: 'married',
+                socialSecurityBenefits: 30000,
+                taxablePensions: 40000,
+            });
+
+            expect(result.taxableSocialSecurity).toBeCloseTo(15350, 2);
+            expect(result.totalIncome).toBeCloseTo(55350, 2);
+            expect(result.socialSecurityDetails.marginalInclusionRate).toBe(0.85);
+        });
+
+        it('should still accept a precomputed taxable amount', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', taxableSocialSecurity: 12000 });
+
+            expect(result.taxableSocialSecurity).toBe(12000);
+            expect(result.socialSecurityDetails).toBeNull();
+        });
+    });
+
+    describe('tax torpedo in the retirement optimizer', () => {
+        it('should raise the effective Roth conversion rate in the 85% zone', () => {
+            // Provisional $15,000 + $30,000 = $45,000 → 85% zone; taxable income $28,100 (12%)
+            const form = {
+                filingStatus: 'single',
+                socialSecurityBenefits: 30000,
+                taxableIra: 30000,
+            };
+
+            const opt = analyzeRetirementOptimizations(form).find(o => o.id === 'retirement-roth-conversion');
+            expect(opt.description).toContain('22.2%');
+            expect(opt.details.some(d => d.includes('Tax torpedo'))).toBe(true);
+        });
+    });
+});
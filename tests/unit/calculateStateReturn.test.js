@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import { calculateStateReturn } from '../../src/calculations/calculateStateReturn.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+describe('State Return', () => {
+
+    describe('calculateTotalTax integration', () => {
+        it('should return no state return without a state', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', totalWages: 60000 });
+            expect(result.stateReturn).toBeNull();
+        });
+
+        it('should compute the state return from federal AGI', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', totalWages: 100000, state: 'IL' });
+
+            // $100,000 AGI - $2,850 exemption = $97,150 × 4.95% = $4,808.925
+            expect(result.stateReturn.federalAGI).toBe(result.agi);
+            expect(result.stateReturn.exemptions.total).toBe(2850);
+            expect(result.stateReturn.taxableIncome).toBe(97150);
+            expect(result.stateReturn.finalTax).toBeCloseTo(4808.925, 2);
+        });
+
+        it('should use the federal standard deduction for the form\'s year in conforming states', () => {
+            const result = calculateTotalTax({
+                taxYear: 2024,
+                filingStatus: 'single',
+                totalWages: 60000,
+                stateOfResidence: 'CO',
+            });
+
+            // $60,000 - $14,600 (2024 federal) = $45,400 × 4.4% = $1,997.60
+            expect(result.stateReturn.standardDeduction).toBe(14600);
+            expect(result.stateReturn.finalTax).toBeCloseTo(1997.60, 2);
+        });
+    });
+
+    describe('subtractions', () => {
+        it('should exclude Social Security and retirement income in Pennsylvania', () => {
+            const form = {
+                filingStatus: 'single',
+                state: 'PA',
+                birthDate: '1955-06-01',
+                taxablePensions: 40000,
+                taxableSocialSecurity: 20000,
+            };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            expect(stateReturn.subtractions.socialSecurity).toBe(20000);
+            expect(stateReturn.subtractions.retirement).toBe(40000);
+            expect(stateReturn.stateAGI).toBe(0);
+            expect(stateReturn.finalTax).toBe(0);
+        });
+
+        it('should apply age-restricted pension exclusions only at the required age', () => {
+            const form = { filingStatus: 'single', state: 'MD', taxablePensions: 30000 };
+
+            const under65 = calculateStateReturn({ ...form, birthDate: '1980-01-01' }, calculateTotalTax(form));
+            const over65 = calculateStateReturn({ ...form, birthDate: '1955-01-01' }, calculateTotalTax(form));
+
+            expect(under65.subtractions.retirement).toBe(0);
+            expect(over65.subtractions.retirement).toBe(30000);
+        });
+
+        it('should subtract 529 contributions up to the state limit', () => {
+            const form = { filingStatus: 'single', state: 'NY', totalWages: 80000, contributions529: 8000 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            expect(stateReturn.subtractions.plan529).toBe(5000);
+            expect(stateReturn.stateAGI).toBe(75000);
+            expect(stateReturn.taxableIncome).toBe(75000 - 8000);
+        });
+    });
+
+    describe('credits', () => {
+        it('should apply a refundable state EITC', () => {
+            const form = { filingStatus: 'single', state: 'IL', totalWages: 20000, earnedIncomeCredit: 600 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            // ($20,000 - $2,850) × 4.95% = $848.925, less 20% of $600 federal EITC
+            expect(stateReturn.credits.eitc).toBe(120);
+            expect(stateReturn.refundableCredits).toBe(120);
+            expect(stateReturn.finalTax).toBeCloseTo(728.925, 2);
+        });
+
+        it('should apply a non-refundable 529 credit', () => {
+            const form = { filingStatus: 'single', state: 'IN', totalWages: 50000, contributions529: 5000 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            // ($50,000 - $1,000) × 3.05% = $1,494.50, less 20% × $5,000
+            expect(stateReturn.subtractions.plan529).toBe(0);
+            expect(stateReturn.credits.plan529).toBe(1000);
+            expect(stateReturn.finalTax).toBeCloseTo(494.50, 2);
+        });
+
+        it('should treat California exemptions as credits', () => {
+            const form = { filingStatus: 'single', state: 'CA', totalWages: 60000 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            expect(stateReturn.taxableIncome).toBe(60000 - 5706);
+            expect(stateReturn.credits.exemption).toBe(153);
+            expect(stateReturn.finalTax).toBeCloseTo(stateReturn.incomeTax - 153, 2);
+        });
+
+        it('should give a California head of household the joint standard deduction', () => {
+            const form = { filingStatus: 'head', state: 'CA', totalWages: 60000 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            expect(stateReturn.standardDeduction).toBe(11412);
+            expect(stateReturn.taxableIncome).toBe(60000 - 11412);
+        });
+    });
+
+    describe('no-income-tax states', () => {
+        it('should only levy Washington\'s capital gains tax', () => {
+            const form = {
+                filingStatus: 'single',
+                state: 'WA',
+                totalWages: 200000,
+                hasScheduleD: true,
+                scheduleD: { longTermGain: 300000 },
+            };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            // ($300,000 - $270,000) × 7%
+            expect(stateReturn.hasIncomeTax).toBe(false);
+            expect(stateReturn.incomeTax).toBe(0);
+            expect(stateReturn.capitalGainsTax).toBeCloseTo(2100, 2);
+            expect(stateReturn.finalTax).toBeCloseTo(2100, 2);
+        });
+
+        it('should report withholding as a refund', () => {
+            const form = { filingStatus: 'single', state: 'TX', totalWages: 80000, stateWithholding: 500 };
+            const stateReturn = calculateStateReturn(form, calculateTotalTax(form));
+
+            expect(stateReturn.finalTax).toBe(0);
+            expect(stateReturn.refundOrOwed).toBe(500);
+            expect(stateReturn.isRefund).toBe(true);
+        });
+    });
+});
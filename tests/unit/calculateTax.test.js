@@ -8,6 +8,7 @@ import {
     TAX_BRACKETS_2025,
     CAPITAL_GAINS_BRACKETS_2025
 } from '../../src/calculations/calculateTax.js';
+import { REP_QUALIFIED_PROFILE } from '../../src/utils/testProfiles.js';
 
 describe('Tax Logic Core - Calculations', () => {
 
@@ -96,6 +97,14 @@ describe('Tax Logic Core - Calculations', () => {
             // Tax: $30,000 * 0.038 = $1,140
             expect(calculateNIIT(250000, 30000, 'single')).toBe(1140);
         });
+
+        it('should not go negative when a rental loss exceeds other investment income', () => {
+            expect(calculateNIIT(300000, -60000, 'married')).toBe(0);
+
+            const result = calculateTotalTax({ ...REP_QUALIFIED_PROFILE.form, taxYear: 2025 });
+            expect(result.niit).toBe(0);
+            expect(result.finalTax).toBeGreaterThanOrEqual(0);
+        });
     });
 
     describe('calculateTotalTax (Integration)', () => {
@@ -119,5 +128,13 @@ describe('Tax Logic Core - Calculations', () => {
             expect(result.regularTax).toBe(5077.50);
             expect(result.finalTax).toBe(5077.50);
         });
+
+        it('should give the senior deduction by age at the end of the tax year', () => {
+            const form = { taxYear: 2025, filingStatus: 'single', totalWages: 60000 };
+
+            // 65 on December 31, 2025, whenever the return is figured
+            expect(calculateTotalTax({ ...form, birthDate: '1960-12-31' }).agi).toBe(54000);
+            expect(calculateTotalTax({ ...form, birthDate: '1961-01-01' }).agi).toBe(60000);
+        });
     });
 });
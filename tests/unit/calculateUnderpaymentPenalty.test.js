@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateUnderpaymentPenalty,
+    calculatePenaltyInterest,
+    getAnnualizedIncomeForms,
+    getInstallmentDueDates,
+} from '../../src/calculations/calculateUnderpaymentPenalty.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeSelfEmploymentOptimizations } from '../../src/optimizations/selfEmploymentOptimizer.js';
+import { FREELANCER_PROFILE } from '../../src/utils/testProfiles.js';
+
+const context = (extra = {}) => ({
+    taxYear: 2024,
+    filingStatus: 'single',
+    currentYearTax: 20000,
+    withholding: 0,
+    ...extra,
+});
+
+const freelancer = { taxYear: 2024, filingStatus: 'single', hasScheduleC: true, scheduleC: { netProfit: 100000 } };
+
+describe('Underpayment of estimated tax (Form 2210)', () => {
+
+    describe('required annual payment', () => {
+        it('should use the smaller of 90% of this year or 100% of last year', () => {
+            expect(calculateUnderpaymentPenalty({}, context()).requiredAnnualPayment).toBe(18000);
+            expect(calculateUnderpaymentPenalty({ priorYearTax: 12000 }, context()).requiredAnnualPayment).toBe(12000);
+        });
+
+        it('should use 110% of last year over $150,000 of prior AGI ($75,000 MFS)', () => {
+            const form = { priorYearTax: 12000, priorYearAgi: 100000 };
+
+            expect(calculateUnderpaymentPenalty(form, context()).requiredAnnualPayment).toBe(12000);
+            expect(calculateUnderpaymentPenalty(form, context({ filingStatus: 'marriedSeparate' })).requiredAnnualPayment).toBeCloseTo(13200, 2);
+        });
+
+        it('should not charge a penalty under $1,000 or with no prior year tax', () => {
+            expect(calculateUnderpaymentPenalty({}, context({ withholding: 19500 })).penalty).toBe(0);
+            expect(calculateUnderpaymentPenalty({ priorYearTax: 0 }, context()).penalty).toBe(0);
+        });
+    });
+
+    describe('penalty', () => {
+        it('should accrue each quarter\'s rate per day over the days in the year', () => {
+            // 2024: 261 days at 8% / 366; 2025: 104 days at 7% / 365
+            expect(calculatePenaltyInterest(1000, '2024-04-15', '2025-04-15')).toBeCloseTo(1000 * (0.08 * 261 / 366 + 0.07 * 104 / 365), 6);
+            expect(getInstallmentDueDates(2025)).toEqual(['2025-04-15', '2025-06-15', '2025-09-15', '2026-01-15']);
+        });
+
+        it('should apply late payments to the earliest underpaid installment', () => {
+            const result = calculateUnderpaymentPenalty({
+                priorYearTax: 10000,
+                estimatedPayments: [{ date: '2024-04-15', amount: 2500 }, { date: '2024-07-01', amount: 5000 }],
+            }, context());
+
+            expect(result.installments.map(i => i.underpayment)).toEqual([0, 2500, 0, 2500]);
+            // 16 days late on the second; the fourth is never paid
+            expect(result.installments[1].penalty).toBeCloseTo(2500 * 0.08 * 16 / 366, 6);
+            expect(result.installments[3].penalty).toBeCloseTo(2500 * 0.07 * 90 / 365, 6);
+        });
+
+        it('should treat withholding as paid evenly on the due dates', () => {
+            const result = calculateUnderpaymentPenalty({ priorYearTax: 10000 }, context({ withholding: 10000 }));
+
+            expect(result.installments.every(i => i.underpayment === 0)).toBe(true);
+            expect(result.plan.every(p => p.payment === 0)).toBe(true);
+        });
+    });
+
+    describe('annualized income installment method (Schedule AI)', () => {
+        it('should annualize income through each period end', () => {
+            const forms = getAnnualizedIncomeForms({
+                taxYear: 2024,
+                incomeEntries: [
+                    { date: '2024-02-15', type: 'selfEmployment', amount: 10000 },
+                    { date: '2024-07-15', type: 'wages', amount: 30000 },
+                ],
+            });
+
+            expect(forms.map(f => f.scheduleC.netProfit)).toEqual([40000, 24000, 15000, 10000]);
+            expect(forms.map(f => f.totalWages)).toEqual([0, 0, 45000, 30000]);
+        });
+
+        it('should lower early installments for income earned late in the year', () => {
+            const result = calculateTotalTax({
+                ...freelancer,
+                incomeEntries: [
+                    { date: '2024-02-15', type: 'selfEmployment', amount: 10000 },
+                    { date: '2024-07-15', type: 'selfEmployment', amount: 20000 },
+                    { date: '2024-11-15', type: 'selfEmployment', amount: 70000 },
+                ],
+            });
+            const details = result.underpaymentPenaltyDetails;
+            const regular = calculateTotalTax(freelancer);
+
+            expect(details.method).toBe('annualized');
+            expect(details.installments[0].required).toBeLessThan(details.requiredAnnualPayment / 4);
+            expect(details.installments.reduce((total, i) => total + i.required, 0)).toBeCloseTo(details.requiredAnnualPayment, 2);
+            expect(result.underpaymentPenalty).toBeLessThan(regular.underpaymentPenalty);
+        });
+    });
+
+    describe('calculateTotalTax integration', () => {
+        it('should report the penalty on Form 1040 Line 38 without changing the amount owed', () => {
+            const result = calculateTotalTax(freelancer, { forms: true });
+
+            expect(result.underpaymentPenalty).toBeGreaterThan(0);
+            expect(result.forms.form1040.lines['38'].value).toBe(result.underpaymentPenalty);
+            expect(result.refundOrOwed).toBeCloseTo(-result.finalTax, 2);
+        });
+
+        it('should plan the safe-harbor payments for a freelancer', () => {
+            const opt = analyzeSelfEmploymentOptimizations(FREELANCER_PROFILE.form).find(o => o.id === 'se-estimated-tax-payments');
+            const { underpaymentPenaltyDetails } = calculateTotalTax(FREELANCER_PROFILE.form);
+
+            expect(opt.potentialSavings).toBeGreaterThan(0);
+            expect(opt.details).toContain(`Pay $${Math.round(underpaymentPenaltyDetails.requiredAnnualPayment / 4).toLocaleString()} by 2025-04-15`);
+        });
+    });
+});
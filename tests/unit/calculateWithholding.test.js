@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculatePercentageMethodWithholding,
+    calculateWithholdingPlan,
+    getRemainingPayDates,
+    getWithholdingTable,
+    projectJobWithholding,
+} from '../../src/calculations/calculateWithholding.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+
+// Biweekly paychecks from January 3 through September 26 (20 stubs)
+const stubs = (wages, withholding) => Array.from({ length: 20 }, (_, index) => ({
+    date: new Date(Date.UTC(2025, 0, 3 + 14 * index)).toISOString().slice(0, 10),
+    wages,
+    withholding,
+}));
+
+describe('Withholding (Pub 15-T / Form W-4)', () => {
+
+    describe('getWithholdingTable', () => {
+        it('should build the 2025 Standard schedule from the pre-OBBBA tables', () => {
+            expect(getWithholdingTable('married', false, 2025).slice(1, 4)).toEqual([
+                { over: 17100, base: 0, rate: 0.10 },
+                { over: 40950, base: 2385, rate: 0.12 },
+                { over: 114050, base: 11157, rate: 0.22 },
+            ]);
+            expect(getWithholdingTable('head', false, 2025)[1].over).toBe(13900);
+        });
+
+        it('should halve the brackets and standard deduction for the Step 2 checkbox', () => {
+            const table = getWithholdingTable('single', true, 2025);
+
+            expect(table[1]).toEqual({ over: 7500, base: 0, rate: 0.10 });
+            expect(table[2]).toEqual({ over: 13462.5, base: 596.25, rate: 0.12 });
+        });
+    });
+
+    describe('calculatePercentageMethodWithholding', () => {
+        it('should follow Worksheet 1A for a biweekly single W-4', () => {
+            const result = calculatePercentageMethodWithholding(3000, 'biweekly', { filingStatus: 'single' }, 2025);
+
+            // $78,000 - $8,600 = $69,400: $5,578.50 + 22% over $54,875
+            expect(result.adjustedAnnualWage).toBe(69400);
+            expect(result.tentativeAnnualWithholding).toBeCloseTo(8774, 2);
+            expect(result.withholding).toBeCloseTo(8774 / 26, 6);
+        });
+
+        it('should apply Steps 3, 4(a), 4(b) and 4(c)', () => {
+            const result = calculatePercentageMethodWithholding(3000, 'biweekly', {
+                filingStatus: 'single', dependents: 2600, otherIncome: 5000, deductions: 10000, extraWithholding: 25,
+            }, 2025);
+
+            expect(result.adjustedAnnualWage).toBe(64400);
+            expect(result.withholding).toBeCloseTo((5578.5 + 0.22 * 9525 - 2600) / 26 + 25, 6);
+        });
+
+        it('should reject an unknown pay frequency', () => {
+            expect(() => calculatePercentageMethodWithholding(3000, 'fortnightly', {}, 2025)).toThrow(RangeError);
+        });
+    });
+
+    describe('projectJobWithholding', () => {
+        it('should count the pay dates left in the year', () => {
+            expect(getRemainingPayDates('2025-10-31', 'semimonthly', 2025)).toEqual(['2025-11-15', '2025-11-30', '2025-12-15', '2025-12-31']);
+            expect(getRemainingPayDates('2025-01-31', 'monthly', 2025)[0]).toBe('2025-02-28');
+            expect(getRemainingPayDates('2025-12-26', 'daily', 2025)).toEqual(['2025-12-29', '2025-12-30', '2025-12-31']);
+        });
+
+        it('should add the remaining paychecks to the year-to-date stubs', () => {
+            const job = projectJobWithholding({ payFrequency: 'biweekly', payStubs: stubs(3000, 300) }, { filingStatus: 'single', taxYear: 2025 });
+
+            expect(job.ytdWages).toBe(60000);
+            expect(job.remainingPeriods).toBe(6);
+            expect(job.projectedWages).toBe(78000);
+            expect(job.projectedWithholding).toBeCloseTo(6000 + 6 * 8774 / 26, 6);
+        });
+    });
+
+    describe('calculateWithholdingPlan', () => {
+        it('should recommend Step 4(c) on the higher paying job to reach the target refund', () => {
+            const form = {
+                taxYear: 2025,
+                filingStatus: 'married',
+                jobs: [
+                    { payFrequency: 'biweekly', payStubs: stubs(4000, 320) },
+                    { payFrequency: 'monthly', spouse: true, payStubs: [{ date: '2025-09-30', wages: 6000, ytdWages: 54000, ytdWithholding: 3400 }] },
+                ],
+            };
+            const plan = calculateWithholdingPlan(form, { targetRefund: 500 });
+            const { recommendation } = plan;
+
+            expect(plan.projectedWages).toBe(176000);
+            expect(plan.finalTax).toBe(calculateTotalTax({ ...form, totalWages: 176000, spouseWages: 72000 }).finalTax);
+            expect(plan.projectedRefund).toBeLessThan(0);
+            expect(recommendation.job).toBe(0);
+            expect(recommendation.w4.extraWithholding).toBeGreaterThan(0);
+            expect(recommendation.projectedRefund).toBeGreaterThanOrEqual(500);
+            expect(recommendation.projectedRefund).toBeLessThan(500 + recommendation.remainingPeriods);
+        });
+
+        it('should remove Step 4(c) and raise Step 4(b) to cut over-withholding', () => {
+            const plan = calculateWithholdingPlan({
+                taxYear: 2025,
+                filingStatus: 'single',
+                jobs: [{ payFrequency: 'biweekly', payStubs: stubs(3000, 400), w4: { extraWithholding: 100 } }],
+            });
+            const { w4, projectedRefund } = plan.recommendation;
+
+            expect(plan.projectedRefund).toBeGreaterThan(0);
+            expect(w4.extraWithholding).toBe(0);
+            expect(w4.deductions).toBeGreaterThan(0);
+            expect(projectedRefund).toBeGreaterThanOrEqual(0);
+            expect(projectedRefund).toBeLessThan(5);
+        });
+
+        it('should not recommend a change with no paychecks left', () => {
+            const plan = calculateWithholdingPlan({
+                taxYear: 2025,
+                filingStatus: 'single',
+                jobs: [{ payFrequency: 'monthly', payStubs: [{ date: '2025-12-31', wages: 5000, ytdWages: 60000, ytdWithholding: 6000 }] }],
+            });
+
+            expect(plan.recommendation).toBeNull();
+            expect(plan.reasons).toContain('No paychecks left this year');
+        });
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { createTrace, NO_TRACE, formatTrace } from '../../src/utils/calculationTrace.js';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import { analyzeTaxOptimizations } from '../../src/optimizations/taxOptimizer.js';
+import { FREELANCER_PROFILE } from '../../src/utils/testProfiles.js';
+
+/**
+ * Depth-first search for a node by label prefix
+ */
+function findNode(node, label) {
+    if (node.label.startsWith(label)) return node;
+    for (const child of node.children) {
+        const found = findNode(child, label);
+        if (found) return found;
+    }
+    return null;
+}
+
+describe('Calculation Trace', () => {
+
+    describe('createTrace', () => {
+        it('should build a tree of sections and recorded values', () => {
+            const trace = createTrace('Root');
+            const section = trace.section('Section', { authority: 'saltDeduction' });
+            expect(section.record('Amount', 500, { rule: 'As entered' })).toBe(500);
+            section.total(500);
+            trace.total(500);
+
+            expect(trace.node.value).toBe(500);
+            expect(trace.node.children[0].authority.key).toBe('saltDeduction');
+            expect(trace.node.children[0].authority.citation).toContain('§164');
+            expect(trace.node.children[0].children[0]).toMatchObject({ label: 'Amount', value: 500, rule: 'As entered' });
+        });
+
+        it('should pass values through NO_TRACE without recording', () => {
+            expect(NO_TRACE.record('Amount', 42)).toBe(42);
+            expect(NO_TRACE.section('Section')).toBe(NO_TRACE);
+            expect(NO_TRACE.node).toBeNull();
+        });
+
+        it('should render indented text with rules and citations', () => {
+            const trace = createTrace('Root');
+            trace.record('Rate', 0.22, { format: 'rate' });
+            trace.record('Tax', 1234.5, { rule: '22% bracket', authority: 'incomeTaxRates' });
+
+            const text = formatTrace(trace.node).split('\n');
+            expect(text[1]).toBe('  Rate: 22%');
+            expect(text[2]).toContain('  Tax: $1,234.50 — 22% bracket [IRC §1(j)');
+        });
+    });
+
+    describe('calculateTotalTax trace', () => {
+        it('should only trace when requested', () => {
+            expect(calculateTotalTax({ filingStatus: 'single', totalWages: 50000 }).trace).toBeUndefined();
+        });
+
+        it('should show bracket slices that add up to the regular tax', () => {
+            const result = calculateTotalTax({ filingStatus: 'single', totalWages: 100000 }, { trace: true });
+            const ordinary = findNode(result.trace, 'Ordinary income tax');
+            const slices = ordinary.children.filter(node => node.label.endsWith('bracket'));
+
+            expect(slices.map(node => node.label)).toEqual(['10% bracket', '12% bracket', '22% bracket']);
+            expect(slices.reduce((sum, node) => sum + node.value, 0)).toBeCloseTo(result.regularTax, 2);
+            expect(ordinary.authority.key).toBe('incomeTaxRates');
+            expect(result.trace.value).toBe(result.finalTax);
+        });
+
+        it('should record the SALT cap applied', () => {
+            const result = calculateTotalTax({
+                taxYear: 2024,
+                filingStatus: 'single',
+                totalWages: 150000,
+                deductionType: 'itemized',
+                stateLocalTaxes: 12000,
+                realEstateTaxes: 4000,
+            }, { trace: true });
+            const salt = findNode(result.trace, 'State and local taxes');
+
+            expect(salt.value).toBe(10000);
+            expect(salt.rule).toBe('min($16,000 paid, $10,000 cap)');
+            expect(salt.authority.key).toBe('saltDeduction');
+        });
+
+        it('should record which QBI limit was chosen', () => {
+            const result = calculateTotalTax(FREELANCER_PROFILE.form, { trace: true });
+            const qbi = findNode(result.trace, 'QBI deduction');
+
+            expect(qbi.value).toBe(result.qbiDeduction);
+            expect(qbi.rule).toBe('Limited to 20% of taxable income');
+            expect(findNode(qbi, 'Taxable income limit').value).toBeCloseTo(result.qbiDeduction, 2);
+        });
+
+        it('should record the OBBBA phase-out percentage', () => {
+            // MAGI $200,000: (200,000 - 150,000) / 250,000 = 20% phased out
+            const result = calculateTotalTax({
+                filingStatus: 'single',
+                totalWages: 200000,
+                overtimeIncome: 10000,
+            }, { trace: true });
+
+            expect(findNode(result.trace, 'Phase-out percentage allowed').value).toBeCloseTo(0.8, 4);
+            expect(findNode(result.trace, 'Overtime deduction').value).toBeCloseTo(8000, 2);
+        });
+    });
+
+    describe('optimizer trace', () => {
+        it('should explain potentialSavings and recompute formOverrides', () => {
+            const form = {
+                filingStatus: 'single',
+                totalWages: 120000,
+                deductionType: 'standard',
+                stateLocalTaxes: 9000,
+                mortgageInterest: 15000,
+            };
+            const { currentTax, optimizations } = analyzeTaxOptimizations(form, { trace: true });
+            const itemize = optimizations.find(o => o.id === 'deduction-switch-to-itemized');
+            const recomputed = findNode(itemize.trace, 'Recomputed with formOverrides');
+            const after = calculateTotalTax({ ...form, deductionType: 'itemized' });
+
+            expect(currentTax.trace).toBeDefined();
+            expect(itemize.trace.value).toBe(itemize.potentialSavings);
+            expect(recomputed.value).toBeCloseTo(currentTax.finalTax - after.finalTax, 2);
+            expect(optimizations.every(o => o.trace)).toBe(true);
+        });
+    });
+});
@@ -97,4 +97,21 @@ describe('Deduction Optimizer', () => {
         });
     });
 
+    describe('SALT cap', () => {
+        it('should show the MAGI phase-down and its effective rate', () => {
+            const data = {
+                filingStatus: 'single',
+                totalWages: 560000,
+                stateLocalTaxes: 45000,
+                mortgageInterest: 20000,
+            };
+
+            const opt = analyzeDeductionOptimizations(data).find(o => o.id === 'deduction-salt-cap-hit');
+
+            expect(opt.description).toContain('$22,000 (reduced from $40,000 by your MAGI)');
+            expect(opt.details).toContain('Cap reduction for MAGI of $560,000: $18,000');
+            expect(opt.details.some(d => d.includes('effective rate'))).toBe(true);
+        });
+    });
+
 });
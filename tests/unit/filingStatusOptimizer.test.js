@@ -62,6 +62,37 @@ describe('Filing Status Optimizer', () => {
         // logic that calculates savings.
     });
 
+    describe('analyzeKiddieTaxElection', () => {
+        const parent = (child) => ({ taxYear: 2025, filingStatus: 'married', totalWages: 231400, dependents: [child] });
+
+        it('should recommend the child\'s own return when Form 8814 costs more', () => {
+            const child = { name: 'Ana', age: 12, form8814: true, childReturn: { ordinaryDividends: 10000, qualifiedDividends: 5000 } };
+            const opt = analyzeFilingStatusOptimizations(parent(child)).find(o => o.id === 'filing-kiddie-tax-child-return');
+
+            // Qualified dividends between $1,350 and $2,700 are taxed at 0% on the child's return, 10% on Form 8814
+            expect(opt.potentialSavings).toBe(135);
+            expect(opt.formOverrides.dependents[0].form8814).toBe(false);
+        });
+
+        it('should recommend the Form 8814 election when the higher AGI frees up a limited deduction', () => {
+            const child = { name: 'Ben', age: 10, childReturn: { taxableInterest: 6000 } };
+            const form = { taxYear: 2025, filingStatus: 'married', totalWages: 100000, charityCash: 80000, dependents: [child] };
+            const opt = analyzeFilingStatusOptimizations(form).find(o => o.id === 'filing-kiddie-tax-form-8814');
+
+            // Ben's return: $3,300 at the parents' 12% + $1,350 at 10% = $531. Form 8814: $135 plus 12% on
+            // the $3,300 less the $1,980 more charity allowed under the 60% of AGI limit = $293.40
+            expect(opt.potentialSavings).toBe(238);
+            expect(opt.formOverrides.dependents[0].form8814).toBe(true);
+        });
+
+        it('should not recommend either when the tax is the same or the election isn\'t allowed', () => {
+            const child = { name: 'Ben', age: 10, childReturn: { taxableInterest: 6000 } };
+
+            expect(analyzeFilingStatusOptimizations(parent(child)).some(o => o.id.startsWith('filing-kiddie-tax'))).toBe(false);
+            expect(analyzeFilingStatusOptimizations(parent({ ...child, age: 20, form8814: true })).some(o => o.id.startsWith('filing-kiddie-tax'))).toBe(false);
+        });
+    });
+
     describe('checkHOHEligibility Helper', () => {
         it('should return eligible for single with child', () => {
             const form = {
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { calculateTotalTax } from '../../src/calculations/calculateTax.js';
+import {
+    ALL_TEST_PROFILES,
+    FREELANCER_PROFILE,
+    HIGH_NET_WORTH_PROFILE,
+} from '../../src/utils/testProfiles.js';
+
+describe('Form 1040 output', () => {
+
+    it('should only build forms when requested', () => {
+        const result = calculateTotalTax({ filingStatus: 'single', totalWages: 50000 });
+        expect(result.forms).toBeUndefined();
+    });
+
+    it('should tie the key lines to the engine result for every profile', () => {
+        for (const profile of ALL_TEST_PROFILES) {
+            const result = calculateTotalTax(profile.form, { forms: true });
+            const lines = result.forms.form1040.lines;
+
+            expect(lines['9'].value).toBeCloseTo(result.totalIncome, 2);
+            expect(lines['10'].value).toBeCloseTo(result.totalAdjustments, 2);
+            expect(lines['11'].value).toBeCloseTo(result.agi, 2);
+            expect(lines['15'].value).toBeCloseTo(result.taxableIncome, 2);
+            expect(lines['24'].value - lines['32'].value).toBeCloseTo(result.finalTax, 2);
+            expect(lines['35a'].value - lines['37'].value).toBeCloseTo(result.refundOrOwed, 2);
+        }
+    });
+
+    it('should list the inputs behind each line', () => {
+        const { forms } = calculateTotalTax({ filingStatus: 'single', totalWages: 80000 }, { forms: true });
+
+        expect(forms.form1040.lines['1a']).toEqual({
+            label: 'Total amount from Form(s) W-2, box 1',
+            value: 80000,
+            inputs: ['form.totalWages'],
+        });
+        expect(forms.form1040.lines['8'].inputs).toEqual(['Schedule 1, Line 10']);
+        expect(forms.form1040.filingStatus).toBe('single');
+    });
+
+    it('should only include schedules that are filed', () => {
+        const { forms } = calculateTotalTax({ filingStatus: 'single', totalWages: 80000 }, { forms: true });
+
+        expect(forms.schedule1).not.toBeNull();
+        expect(forms.scheduleA).toBeNull();
+        expect(forms.scheduleC).toBeNull();
+        expect(forms.scheduleD).toBeNull();
+        expect(forms.scheduleSE).toBeNull();
+    });
+
+    it('should carry Schedule C through Schedule SE and Schedule 2', () => {
+        const { forms, seTax, additionalMedicareTax } = calculateTotalTax(FREELANCER_PROFILE.form, { forms: true });
+
+        expect(forms.schedule1.lines['3'].value).toBe(forms.scheduleC.lines['31'].value);
+        expect(forms.scheduleSE.lines['2'].value).toBe(forms.scheduleC.lines['31'].value);
+        expect(forms.schedule2.lines['4'].value).toBeCloseTo(seTax, 2);
+        expect(forms.schedule2.lines['11'].value).toBe(additionalMedicareTax);
+    });
+
+    it('should report Schedule D for the high net worth profile', () => {
+        const result = calculateTotalTax(HIGH_NET_WORTH_PROFILE.form, { forms: true });
+        const { scheduleD, form1040 } = result.forms;
+
+        expect(scheduleD.lines['16'].value).toBe(result.scheduleDDetails.netGainOrLoss);
+        expect(form1040.lines['7'].value).toBe(result.capitalGainOrLoss);
+    });
+
+    it('should cap SALT on Schedule A and carry the total to Line 12', () => {
+        const { forms } = calculateTotalTax({
+            taxYear: 2024,
+            filingStatus: 'married',
+            totalWages: 300000,
+            deductionType: 'itemized',
+            stateLocalTaxes: 18000,
+            realEstateTaxes: 9000,
+            mortgageInterest: 20000,
+            charityCash: 5000,
+        }, { forms: true });
+        const lines = forms.scheduleA.lines;
+
+        expect(lines['5d'].value).toBe(27000);
+        expect(lines['5e'].value).toBe(10000);
+        expect(lines['17'].value).toBe(35000);
+        expect(forms.form1040.lines['12'].value).toBe(35000);
+    });
+
+    it('should show the allowed loss on Schedule D Line 21', () => {
+        const { forms } = calculateTotalTax({
+            filingStatus: 'single',
+            totalWages: 100000,
+            hasScheduleD: true,
+            scheduleD: { longTermGain: -50000 },
+        }, { forms: true });
+
+        expect(forms.scheduleD.lines['21'].value).toBe(-3000);
+        expect(forms.form1040.lines['7'].value).toBe(-3000);
+    });
+
+    it('should not let nonrefundable credits offset self-employment tax', () => {
+        // Low income, two kids: CTC wipes out income tax but not SE tax
+        const result = calculateTotalTax({
+            filingStatus: 'head',
+            hasScheduleC: true,
+            scheduleC: { netProfit: 30000 },
+            dependents: [
+                { qualifyingChild: true, childTaxCredit: true, age: 5 },
+                { qualifyingChild: true, childTaxCredit: true, age: 8 },
+            ],
+        }, { forms: true });
+        const lines = result.forms.form1040.lines;
+
+        expect(lines['22'].value).toBe(0);
+        expect(lines['23'].value).toBeCloseTo(result.seTax, 2);
+        expect(lines['24'].value).toBeCloseTo(result.seTax, 2);
+        // The unused credit comes back as the refundable ACTC (Line 28), next to the EIC (Line 27)
+        expect(lines['28'].value).toBeGreaterThan(0);
+        expect(lines['27'].value).toBe(result.earnedIncomeCredit);
+        expect(result.finalTax).toBeCloseTo(result.seTax - lines['27'].value - lines['28'].value, 2);
+    });
+});
@@ -49,6 +49,23 @@ describe('State PTET Optimizer', () => {
         expect(nyOpt.details.some(d => d.includes('PTET rate'))).toBe(true);
     });
 
+    it('should count the SALT cap restored by lowering MAGI in the phase-down range', () => {
+        const data = {
+            state: 'CA',
+            hasPartnership: true,
+            partnershipIncome: 560000,
+            filingStatus: 'married',
+            stateLocalTaxes: 100000,
+            mortgageInterest: 20000,
+        };
+
+        const caOpt = analyzeStatePTETOptimizations(data).find(o => o.id === 'ptet-ca-opportunity');
+
+        // $52,080 of PTET lowers MAGI to $507,920: cap rises from $22,000 to $37,624
+        expect(caOpt.details).toContain('SALT cap raised by lower MAGI: $15,624 more deductible');
+        expect(caOpt.potentialSavings).toBe(Math.round((52080 + 15624) * 0.35));
+    });
+
     it('should NOT recommend PTET if no pass-through income', () => {
         const data = {
             state: 'CA',
@@ -19,6 +19,24 @@ describe('Tax Logic Core - Optimizer Orchestration', () => {
 
         const result = analyzeTaxOptimizations(taxData);
 
+        // With no income there is no tax to save, so the $0 recommendation is dropped
+        const switchRec = result.optimizations.find(o => o.id === 'deduction-switch-to-standard');
+
+        expect(switchRec).toBeUndefined();
+    });
+
+    it('should value the Standard Deduction switch at the tax actually saved', () => {
+        const taxData = {
+            filingStatus: 'single',
+            totalWages: 60000,
+            deductionType: 'itemized',
+            stateLocalTaxes: 2000,
+            mortgageInterest: 0,
+            charityCash: 500
+        };
+
+        const result = analyzeTaxOptimizations(taxData);
+
         // Should recommend switching to Standard
         const switchRec = result.optimizations.find(o => o.id === 'deduction-switch-to-standard');
 
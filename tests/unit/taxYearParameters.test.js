@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+    TAX_YEAR,
+    SUPPORTED_TAX_YEARS,
+    getTaxParameters,
+    getSaltCap,
+    TAX_BRACKETS_2025,
+} from '../../src/calculations/taxYearParameters.js';
+import {
+    calculateTotalTax,
+    calculateSelfEmploymentTax,
+    calculateCapitalGainsTax,
+} from '../../src/calculations/calculateTax.js';
+import { analyzeRetirementOptimizations } from '../../src/optimizations/retirementOptimizer.js';
+import { analyzeDeductionOptimizations } from '../../src/optimizations/deductionOptimizer.js';
+
+describe('Tax Year Parameters', () => {
+
+    describe('getTaxParameters', () => {
+        it('should default to 2025 when no year is given', () => {
+            expect(TAX_YEAR).toBe(2025);
+            expect(getTaxParameters().taxYear).toBe(2025);
+            expect(getTaxParameters(undefined).brackets).toBe(TAX_BRACKETS_2025);
+        });
+
+        it('should accept numeric and string years', () => {
+            expect(getTaxParameters(2024).standardDeduction.married).toBe(29200);
+            expect(getTaxParameters('2023').standardDeduction.single).toBe(13850);
+        });
+
+        it('should cover 2023 through 2026', () => {
+            expect(SUPPORTED_TAX_YEARS).toEqual([2023, 2024, 2025, 2026]);
+        });
+
+        it('should throw for unsupported years', () => {
+            expect(() => getTaxParameters(2019)).toThrow(RangeError);
+        });
+
+        it('should use each year\'s own AMT amounts (Rev. Proc. 2023-34, 2024-40)', () => {
+            const amt2024 = getTaxParameters(2024).amt;
+            const amt2025 = getTaxParameters(2025).amt;
+
+            expect(amt2025).not.toEqual(amt2024);
+            expect(amt2025.phaseOut).toMatchObject({ single: 626350, married: 1252700, marriedSeparate: 626350 });
+            expect(amt2025.rates.threshold).toBe(239100);
+            expect(amt2024.rates.threshold).toBe(232600);
+        });
+
+        it('should only include OBBBA deductions from 2025', () => {
+            expect(getTaxParameters(2024).obbba).toBeNull();
+            expect(getTaxParameters(2026).obbba.tips.max).toBe(25000);
+        });
+    });
+
+    describe('getSaltCap', () => {
+        it('should use the $10,000 TCJA cap before 2025', () => {
+            expect(getSaltCap('single', 2024)).toBe(10000);
+            expect(getSaltCap('marriedSeparate', 2023)).toBe(5000);
+        });
+
+        it('should use the OBBBA cap from 2025', () => {
+            expect(getSaltCap('married', 2025)).toBe(40000);
+            expect(getSaltCap('marriedSeparate', 2025)).toBe(20000);
+        });
+
+        it('should reduce the OBBBA cap by 30% of MAGI over the threshold, not below $10,000', () => {
+            expect(getSaltCap('single', 2025, 500000)).toBe(40000);
+            expect(getSaltCap('married', 2025, 550000)).toBe(25000);
+            expect(getSaltCap('married', 2025, 700000)).toBe(10000);
+            expect(getSaltCap('marriedSeparate', 2025, 270000)).toBe(14000);
+            expect(getSaltCap('marriedSeparate', 2025, 400000)).toBe(5000);
+            // 2026: $40,400 less 30% of MAGI over $505,000
+            expect(getSaltCap('single', 2026, 555000)).toBe(25400);
+            expect(getSaltCap('single', 2024, 900000)).toBe(10000);
+        });
+    });
+
+    describe('calculateTotalTax with form.taxYear', () => {
+        it('should compute a 2024 W-2 return with 2024 tables', () => {
+            const result = calculateTotalTax({
+                taxYear: 2024,
+                filingStatus: 'single',
+                totalWages: 60000,
+            });
+
+            // Standard deduction $14,600 → taxable $45,400
+            // $11,600 @ 10% = $1,160.00
+            // ($45,400 - $11,600) @ 12% = $4,056.00
+            expect(result.taxYear).toBe(2024);
+            expect(result.deduction).toBe(14600);
+            expect(result.taxableIncome).toBe(45400);
+            expect(result.regularTax).toBeCloseTo(5216, 2);
+        });
+
+        it('should not allow OBBBA deductions before 2025', () => {
+            const form = { filingStatus: 'single', totalWages: 60000, tipIncome: 10000 };
+
+            expect(calculateTotalTax(form).totalAdjustments).toBe(10000);
+            expect(calculateTotalTax({ ...form, taxYear: 2023 }).totalAdjustments).toBe(0);
+        });
+
+        it('should cap SALT at $10,000 for 2024 itemizers', () => {
+            const form = {
+                filingStatus: 'married',
+                totalWages: 300000,
+                deductionType: 'itemized',
+                stateLocalTaxes: 30000,
+                mortgageInterest: 5000,
+            };
+
+            expect(calculateTotalTax(form).deduction).toBe(35000);
+            expect(calculateTotalTax({ ...form, taxYear: 2024 }).deduction).toBe(15000);
+        });
+    });
+
+    describe('year-aware helpers', () => {
+        it('should use the 2024 Social Security wage base', () => {
+            // $400,000 profit → $369,400 SE base
+            // SS: $168,600 × 12.4% = $20,906.40
+            // Medicare: $369,400 × 2.9% = $10,712.60
+            // (Additional Medicare Tax is on Form 8959, not Schedule SE)
+            const result = calculateSelfEmploymentTax(400000, 2024);
+            expect(result.tax).toBeCloseTo(31619.00, 2);
+        });
+
+        it('should use the 2026 capital gains breakpoints', () => {
+            // Single, $40,000 ordinary + $20,000 gains; 0% bracket ends at $49,450
+            // Gains taxed at 15%: $60,000 - $49,450 = $10,550 → $1,582.50
+            expect(calculateCapitalGainsTax(40000, 20000, 'single', 2026)).toBeCloseTo(1582.50, 2);
+        });
+
+        it('should size 401(k) recommendations from the year\'s limit', () => {
+            const form = {
+                taxYear: 2026,
+                filingStatus: 'single',
+                totalWages: 150000,
+                retirement401k: 10000,
+                birthDate: '1990-01-01',
+            };
+
+            const opt = analyzeRetirementOptimizations(form).find(o => o.id === 'retirement-401k-max');
+            expect(opt.description).toContain('$24,500');
+            expect(opt.description).toContain('2026');
+        });
+
+        it('should use the year\'s Saver\'s Credit AGI limits', () => {
+            // $39,000 AGI: over the 2024 limit ($38,250), under 2025's ($39,500)
+            const form = { filingStatus: 'single', totalWages: 41000, iraDeduction: 2000 };
+            const savers = (taxYear) => analyzeRetirementOptimizations({ ...form, taxYear })
+                .find(o => o.id === 'retirement-savers-credit');
+
+            expect(savers(2024)).toBeUndefined();
+            expect(savers(2025).potentialSavings).toBe(200);
+        });
+
+        it('should cap a QCD at the year\'s limit', () => {
+            const form = {
+                filingStatus: 'single',
+                birthDate: '1950-01-01',
+                taxableIra: 200000,
+                charityCash: 150000,
+            };
+            const qcd = (taxYear) => analyzeDeductionOptimizations({ ...form, taxYear })
+                .find(o => o.id === 'deduction-qcd');
+
+            expect(qcd(2024).details).toContain('Maximum QCD for 2024: $105,000');
+            expect(qcd(2026).details).toContain('Maximum QCD for 2026: $111,000');
+        });
+    });
+});